@@ -1,10 +1,29 @@
 import L from 'leaflet';
 import MapLayers from './mapLayers';
 import MapToolbar from './mapToolbar';
+import { getGeometryMetrics, formatArea, formatLength } from './geoMeasure';
+import {
+    GeoreferencedImageOverlay,
+    getImageCorners,
+    getOutline,
+} from './georeferencedImage';
+import { formatActivationCountdown, formatCountdown } from './ttlCountdown';
 
 // Fix Leaflet default icons path
 L.Icon.Default.prototype.options.imagePath = '/build/images/leaflet/';
 
+/**
+ * Escape text for HTML: titles and descriptions of geo objects come from
+ * users and imported KML/GeoJSON files
+ * @param {*} value - Text, null and undefined give an empty string
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === null || value === undefined ? '' : value;
+    return div.innerHTML;
+}
+
 /**
  * Base Map Component - Common functionality for map components
  * Provides shared methods for map initialization, toolbar management, and utilities
@@ -46,43 +65,35 @@ export default class BaseMapComponent {
                     font-weight: 600;
                     text-shadow: 0 1px 2px rgba(0,0,0,0.2);
                 ">
-                    ${object.side.name}
+                    ${escapeHtml(object.side.name)}
                 </span>
             </div>`;
         }
 
         // Add title (common for all popups)
-        content += `<h5>${
+        content += `<h5>${escapeHtml(
             object.title || object.name || 'Unnamed object'
-        }</h5>`;
+        )}</h5>`;
 
         // Add description if available (common for all popups)
         if (object.description) {
-            content += `<p>${object.description}</p>`;
+            content += `<p>${escapeHtml(object.description)}</p>`;
         }
 
         // Add visibility info (admin only)
-        if (showVisibility && object.isExpired !== undefined) {
-            const visibilityIcon = object.isExpired
-                ? '<i class="fas fa-eye-slash text-danger"></i>'
-                : '<i class="fas fa-eye text-success"></i>';
-            const visibilityText = object.isExpired
-                ? 'Expired (not visible)'
-                : 'Visible';
-            const visibilityClass = object.isExpired
-                ? 'text-danger'
-                : 'text-success';
-
-            content += `<div class="visibility-info mb-2">
-                <small class="${visibilityClass}">
-                    ${visibilityIcon} ${visibilityText}
-                </small>
-            </div>`;
+        if (showVisibility) {
+            content += this.formatVisibilityInfo(object);
         }
 
         // Add TTL information (common logic with different display)
         content += this.formatTTLInfo(object);
 
+        // Add scheduled start and end
+        content += this.formatScheduleInfo(object);
+
+        // Add area and perimeter for polygons and circles
+        content += this.formatMetricsInfo(object);
+
         // Add creation time (observer only)
         if (showCreatedAt && object.createdAt) {
             content += `<div class="creation-info mt-2">
@@ -109,8 +120,81 @@ export default class BaseMapComponent {
         return content;
     }
 
+    /**
+     * Format visibility status for popup: visible, pending or expired
+     * @param {Object} object - Geo object data
+     * @returns {string} HTML for visibility info
+     */
+    formatVisibilityInfo(object) {
+        if (object.isExpired === undefined) {
+            return '';
+        }
+
+        let status = {
+            icon: 'fa-eye',
+            text: 'Visible',
+            className: 'text-success',
+        };
+        if (object.isExpired) {
+            status = {
+                icon: 'fa-eye-slash',
+                text: 'Expired (not visible)',
+                className: 'text-danger',
+            };
+        } else if (object.isPending) {
+            status = {
+                icon: 'fa-hourglass-start',
+                text: 'Pending (not visible yet)',
+                className: 'text-warning',
+            };
+        }
+
+        return `<div class="visibility-info mb-2">
+            <small class="${status.className}">
+                <i class="fas ${status.icon} ${status.className}"></i> ${status.text}
+            </small>
+        </div>`;
+    }
+
+    /**
+     * Format scheduled start and end for popup
+     * Pending objects get a live countdown to their start
+     * @param {Object} object - Geo object data
+     * @returns {string} HTML for schedule info, empty if not scheduled
+     */
+    formatScheduleInfo(object) {
+        const lines = [];
+
+        if (object.activeFrom) {
+            const countdown = object.isPending
+                ? formatActivationCountdown(object)
+                : '';
+            lines.push(
+                `<i class="fas fa-hourglass-start"></i> Starts: ${new Date(
+                    object.activeFrom
+                ).toLocaleString()}${countdown ? ` · in ${countdown}` : ''}`
+            );
+        }
+        if (object.activeUntil) {
+            lines.push(
+                `<i class="fas fa-hourglass-end"></i> Ends: ${new Date(
+                    object.activeUntil
+                ).toLocaleString()}`
+            );
+        }
+
+        if (lines.length === 0) {
+            return '';
+        }
+
+        return `<div class="schedule-info">
+            <small class="text-muted">${lines.join('<br>')}</small>
+        </div>`;
+    }
+
     /**
      * Format TTL information for popup (DRY principle)
+     * Active objects get a live countdown (see ttlCountdown.js)
      * @param {Object} object - Geo object data
      * @returns {string} HTML for TTL info
      */
@@ -130,9 +214,13 @@ export default class BaseMapComponent {
                 ttlDisplay = object.ttl + 's';
             }
 
+            const countdown = object.isExpired ? '' : formatCountdown(object);
+
             return `<div class="ttl-info">
                 <small class="text-muted">
-                    <i class="fas fa-clock"></i> TTL: ${ttlDisplay}
+                    <i class="fas fa-clock"></i> TTL: ${ttlDisplay}${
+                        countdown ? ` · expires in ${countdown}` : ''
+                    }
                 </small>
             </div>`;
         } else if (object.ttl === 0 || object.ttl === null) {
@@ -145,6 +233,98 @@ export default class BaseMapComponent {
         return '';
     }
 
+    /**
+     * Format geodesic area and perimeter for popup
+     * @param {Object} object - Geo object data
+     * @returns {string} HTML for metrics info, empty for points and lines
+     */
+    formatMetricsInfo(object) {
+        let metrics = null;
+        try {
+            metrics = getGeometryMetrics(
+                typeof object.geoJson === 'string'
+                    ? JSON.parse(object.geoJson)
+                    : object.geoJson
+            );
+        } catch (error) {
+            return '';
+        }
+
+        if (!metrics) {
+            return '';
+        }
+
+        return `<div class="geo-metrics-info">
+            <small class="text-muted">
+                <i class="fas fa-ruler-combined"></i> Area: ${formatArea(
+                    metrics.area
+                )}<br>
+                <i class="fas fa-draw-polygon"></i> Perimeter: ${formatLength(
+                    metrics.perimeter
+                )}
+            </small>
+        </div>`;
+    }
+
+    /**
+     * Create layer for an Image object: the image and a clickable outline
+     * The image is listed in the toolbar layer selector
+     * @param {Object} geoJson - Image geometry
+     * @param {Object} objectData - Geo object data
+     * @returns {L.FeatureGroup|null} Layer group or null for invalid geometry
+     */
+    createImageOverlayLayer(geoJson, objectData) {
+        const corners = getImageCorners(geoJson);
+        if (!corners || !geoJson.imageUrl) {
+            return null;
+        }
+
+        const color =
+            objectData && objectData.side && objectData.side.color
+                ? objectData.side.color
+                : '#6f42c1';
+
+        const overlay = new GeoreferencedImageOverlay(
+            geoJson.imageUrl,
+            corners,
+            { opacity: geoJson.opacity }
+        );
+        const outline = L.polygon(getOutline(corners), {
+            color,
+            weight: 1,
+            dashArray: '4 4',
+            fillOpacity: 0,
+        });
+
+        if (this.toolbar && objectData) {
+            this.toolbar.setImageOverlay(
+                objectData.id,
+                objectData.title,
+                overlay
+            );
+        }
+
+        return L.featureGroup([overlay, outline]);
+    }
+
+    /**
+     * Remove image overlay of an object from the toolbar layer selector
+     * @param {string|number} objectId - Geo object ID
+     * @param {L.Layer} layer - Layer of the object, other layers are ignored
+     */
+    removeImageOverlay(objectId, layer) {
+        if (!this.toolbar || !(layer instanceof L.LayerGroup)) {
+            return;
+        }
+
+        const overlay = layer
+            .getLayers()
+            .find((child) => child instanceof GeoreferencedImageOverlay);
+        if (overlay) {
+            this.toolbar.removeImageOverlay(objectId, overlay);
+        }
+    }
+
     /**
      * Get map coordinates from container attributes
      * @param {HTMLElement} container - Map container element
@@ -170,6 +350,28 @@ export default class BaseMapComponent {
         return { lat: centerLat, lng: centerLng, zoom };
     }
 
+    /**
+     * Get custom tile sources and default layer from container attributes
+     * @param {HTMLElement} container - Map container element
+     * @returns {Object} Layer config {tileSources, defaultLayer}
+     */
+    getLayerConfigFromContainer(container) {
+        let tileSources = [];
+
+        try {
+            tileSources = JSON.parse(
+                container.getAttribute('data-tile-sources') || '[]'
+            );
+        } catch (error) {
+            console.error('Invalid tile sources data:', error);
+        }
+
+        return {
+            tileSources: Array.isArray(tileSources) ? tileSources : [],
+            defaultLayer: container.getAttribute('data-default-layer') || null,
+        };
+    }
+
     /**
      * Initialize Leaflet map with layers
      * @param {string|HTMLElement} container - Container ID or element
@@ -187,8 +389,12 @@ export default class BaseMapComponent {
         const mapOptions = { ...defaultOptions, ...options };
         this.map = L.map(container, mapOptions);
 
-        // Initialize map with layers
-        const layersData = MapLayers.initializeMapWithLayers(this.map);
+        // Initialize map with layers, custom sources and default layer
+        const layersData = MapLayers.initializeMapWithLayers(
+            this.map,
+            {},
+            this.getLayerConfigFromContainer(this.map.getContainer())
+        );
         this.baseLayers = layersData.baseLayers;
         this.layerControl = layersData.layerControl;
 
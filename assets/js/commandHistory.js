@@ -0,0 +1,197 @@
+/**
+ * Command History
+ * Undo/redo stack for geometry editing and geo object CRUD.
+ *
+ * A command is a plain object:
+ * {
+ *     label: 'Move vertex',          // shown in notifications
+ *     scope: 'geometry' | 'object',  // lets callers drop commands of one kind
+ *     undo: () => void | Promise,
+ *     redo: () => void | Promise,
+ * }
+ * Commands are pushed after the action has already been performed.
+ */
+
+export default class CommandHistory {
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                limit: 100,
+            },
+            options
+        );
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.busy = false;
+        this.listeners = [];
+        this.keydownHandler = null;
+        this.keyboardTarget = null;
+    }
+
+    /**
+     * Register an already performed command
+     * @param {Object} command - Command with undo/redo callbacks
+     */
+    push(command) {
+        if (!command || typeof command.undo !== 'function') {
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.options.limit) {
+            this.undoStack.shift();
+        }
+
+        // A new action invalidates everything that could be redone
+        this.redoStack = [];
+        this.notify({ type: 'change' });
+    }
+
+    /**
+     * Undo last command
+     * @returns {Promise<boolean>} True if a command was undone
+     */
+    undo() {
+        return this.run(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Redo last undone command
+     * @returns {Promise<boolean>} True if a command was redone
+     */
+    redo() {
+        return this.run(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Move command between stacks after running its action
+     * Async commands (server requests) lock the history until they finish
+     */
+    run(fromStack, toStack, action) {
+        if (this.busy || fromStack.length === 0) {
+            return Promise.resolve(false);
+        }
+
+        const command = fromStack.pop();
+        this.busy = true;
+
+        return Promise.resolve()
+            .then(() => command[action]())
+            .then(() => {
+                toStack.push(command);
+                this.notify({ type: action, command });
+                return true;
+            })
+            .catch((error) => {
+                // Failed command can't be trusted anymore - drop it
+                console.error(`CommandHistory: ${action} failed`, error);
+                this.notify({ type: 'error', action, command, error });
+                return false;
+            })
+            .finally(() => {
+                this.busy = false;
+                this.notify({ type: 'change' });
+            });
+    }
+
+    /**
+     * Remove all commands of given scope (e.g. when an edit session ends)
+     * @param {string} scope - Command scope
+     */
+    clearScope(scope) {
+        this.undoStack = this.undoStack.filter((cmd) => cmd.scope !== scope);
+        this.redoStack = this.redoStack.filter((cmd) => cmd.scope !== scope);
+        this.notify({ type: 'change' });
+    }
+
+    /**
+     * Remove all commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify({ type: 'change' });
+    }
+
+    canUndo() {
+        return !this.busy && this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return !this.busy && this.redoStack.length > 0;
+    }
+
+    /**
+     * Subscribe to history events ('change', 'undo', 'redo', 'error')
+     * @param {Function} listener - Called with event object
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter((item) => item !== listener);
+        };
+    }
+
+    notify(event) {
+        this.listeners.forEach((listener) => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('CommandHistory: listener failed', error);
+            }
+        });
+    }
+
+    /**
+     * Bind Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) to undo/redo
+     * Text fields keep their native undo behaviour
+     */
+    attachKeyboardShortcuts(target = document) {
+        if (this.keydownHandler) {
+            return;
+        }
+
+        this.keydownHandler = (event) => {
+            if (!(event.ctrlKey || event.metaKey)) {
+                return;
+            }
+
+            const element = event.target;
+            if (
+                element &&
+                (element.isContentEditable ||
+                    ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName))
+            ) {
+                return;
+            }
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.redo();
+            }
+        };
+
+        target.addEventListener('keydown', this.keydownHandler);
+        this.keyboardTarget = target;
+    }
+
+    /**
+     * Remove keyboard shortcuts
+     */
+    detachKeyboardShortcuts() {
+        if (this.keydownHandler && this.keyboardTarget) {
+            this.keyboardTarget.removeEventListener(
+                'keydown',
+                this.keydownHandler
+            );
+        }
+        this.keydownHandler = null;
+        this.keyboardTarget = null;
+    }
+}
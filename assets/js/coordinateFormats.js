@@ -0,0 +1,374 @@
+/**
+ * Coordinate Formats
+ * Conversion between WGS84 lat/lng and the coordinate systems offered in the
+ * map toolbar: decimal degrees, degrees/minutes/seconds, UTM and MGRS.
+ *
+ * UTM/MGRS are defined between 80°S and 84°N; outside that range (UPS polar
+ * zones) values fall back to decimal degrees.
+ */
+
+export const COORDINATE_SYSTEMS = {
+    dd: 'Decimal degrees',
+    dms: 'DMS',
+    utm: 'UTM',
+    mgrs: 'MGRS',
+};
+
+// WGS84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+const SCALE_FACTOR = 0.9996;
+const E2 = FLATTENING * (2 - FLATTENING);
+const EP2 = E2 / (1 - E2);
+
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// Leading coefficient of the meridian arc series
+const MERIDIAN_FACTOR = 1 - E2 / 4 - (3 * E2 * E2) / 64 - (5 * E2 ** 3) / 256;
+
+const DECIMAL_PATTERN =
+    /^([-+]?\d{1,2}(?:\.\d+)?)\s*[,;\s]\s*([-+]?\d{1,3}(?:\.\d+)?)$/;
+const UTM_PATTERN =
+    /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d{1,6}(?:\.\d+)?)\s+(\d{1,8}(?:\.\d+)?)$/;
+const MGRS_PATTERN =
+    /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/;
+
+/**
+ * Format position in selected coordinate system
+ * @param {number} lat
+ * @param {number} lng
+ * @param {string} system - key of COORDINATE_SYSTEMS
+ * @returns {string}
+ */
+export function formatCoordinates(lat, lng, system = 'dd') {
+    if (system === 'dms') {
+        return `${formatDms(lat, 'N', 'S')} ${formatDms(lng, 'E', 'W')}`;
+    }
+
+    if (system === 'utm') {
+        const utm = latLngToUtm(lat, lng);
+        if (utm) {
+            return `${utm.zone}${utm.band} ${Math.floor(
+                utm.easting
+            )} ${Math.floor(utm.northing)}`;
+        }
+    }
+
+    if (system === 'mgrs') {
+        const mgrs = latLngToMgrs(lat, lng);
+        if (mgrs) {
+            return mgrs;
+        }
+    }
+
+    return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+}
+
+/**
+ * Parse a typed position: decimal degrees ("50.45, 30.52"),
+ * MGRS ("35U QR 12345 67890") or UTM ("35U 512345 5589012")
+ * @param {string} text
+ * @returns {{lat: number, lng: number}|null}
+ */
+export function parseCoordinates(text) {
+    const value = String(text || '')
+        .trim()
+        .toUpperCase();
+    if (!value) {
+        return null;
+    }
+
+    const decimal = DECIMAL_PATTERN.exec(value);
+    if (decimal) {
+        const lat = parseFloat(decimal[1]);
+        const lng = parseFloat(decimal[2]);
+        if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+            return { lat, lng };
+        }
+        return null;
+    }
+
+    const utm = UTM_PATTERN.exec(value);
+    if (utm) {
+        return utmToLatLng(
+            parseInt(utm[1], 10),
+            utm[2],
+            parseFloat(utm[3]),
+            parseFloat(utm[4])
+        );
+    }
+
+    return mgrsToLatLng(value);
+}
+
+/**
+ * Convert lat/lng to UTM
+ * @returns {Object|null} { zone, band, easting, northing }
+ */
+export function latLngToUtm(lat, lng) {
+    if (lat < -80 || lat > 84 || Math.abs(lng) > 180) {
+        return null;
+    }
+
+    const zone = getUtmZone(lat, lng);
+    const phi = toRadians(lat);
+    const lambda = toRadians(lng - centralMeridian(zone));
+
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    const tanPhi = Math.tan(phi);
+
+    const n = SEMI_MAJOR_AXIS / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+    const t = tanPhi * tanPhi;
+    const c = EP2 * cosPhi * cosPhi;
+    const a = cosPhi * lambda;
+
+    const easting =
+        SCALE_FACTOR *
+            n *
+            (a +
+                ((1 - t + c) * a ** 3) / 6 +
+                ((5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5) / 120) +
+        FALSE_EASTING;
+
+    let northing =
+        SCALE_FACTOR *
+        (meridianArc(phi) +
+            n *
+                tanPhi *
+                ((a * a) / 2 +
+                    ((5 - t + 9 * c + 4 * c * c) * a ** 4) / 24 +
+                    ((61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6) /
+                        720));
+
+    if (lat < 0) {
+        northing += FALSE_NORTHING_SOUTH;
+    }
+
+    return { zone, band: getLatitudeBand(lat), easting, northing };
+}
+
+/**
+ * Convert UTM to lat/lng
+ * @param {number} zone - 1..60
+ * @param {string} band - latitude band letter (C..X), N and above is north
+ */
+export function utmToLatLng(zone, band, easting, northing) {
+    if (zone < 1 || zone > 60 || !LATITUDE_BANDS.includes(band)) {
+        return null;
+    }
+
+    const north = band >= 'N';
+    const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+    const mu =
+        (north ? northing : northing - FALSE_NORTHING_SOUTH) /
+        SCALE_FACTOR /
+        (SEMI_MAJOR_AXIS * MERIDIAN_FACTOR);
+
+    const phi1 =
+        mu +
+        ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+        ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+        ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+        ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+    const sinPhi1 = Math.sin(phi1);
+    const cosPhi1 = Math.cos(phi1);
+    const tanPhi1 = Math.tan(phi1);
+
+    const c1 = EP2 * cosPhi1 * cosPhi1;
+    const t1 = tanPhi1 * tanPhi1;
+    const n1 = SEMI_MAJOR_AXIS / Math.sqrt(1 - E2 * sinPhi1 * sinPhi1);
+    const r1 =
+        (SEMI_MAJOR_AXIS * (1 - E2)) / (1 - E2 * sinPhi1 * sinPhi1) ** 1.5;
+    const d = (easting - FALSE_EASTING) / (n1 * SCALE_FACTOR);
+
+    const phi =
+        phi1 -
+        ((n1 * tanPhi1) / r1) *
+            ((d * d) / 2 -
+                ((5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4) /
+                    24 +
+                ((61 +
+                    90 * t1 +
+                    298 * c1 +
+                    45 * t1 * t1 -
+                    252 * EP2 -
+                    3 * c1 * c1) *
+                    d ** 6) /
+                    720);
+
+    const lambda =
+        (d -
+            ((1 + 2 * t1 + c1) * d ** 3) / 6 +
+            ((5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) *
+                d ** 5) /
+                120) /
+        cosPhi1;
+
+    const lat = toDegrees(phi);
+    const lng = centralMeridian(zone) + toDegrees(lambda);
+
+    if (!Number.isFinite(lat) || Math.abs(lat) > 90) {
+        return null;
+    }
+
+    return { lat, lng: ((((lng + 180) % 360) + 360) % 360) - 180 };
+}
+
+/**
+ * Convert lat/lng to MGRS reference with 1 m precision
+ * e.g. "35U QR 12345 67890"
+ * @returns {string|null}
+ */
+export function latLngToMgrs(lat, lng) {
+    const utm = latLngToUtm(lat, lng);
+    if (!utm) {
+        return null;
+    }
+
+    const easting = Math.floor(utm.easting);
+    const northing = Math.floor(utm.northing);
+
+    const columns = MGRS_COLUMN_SETS[(utm.zone - 1) % 3];
+    const column = columns[Math.floor(easting / 100000) - 1];
+    if (!column) {
+        return null;
+    }
+
+    const rowOffset = utm.zone % 2 === 0 ? 5 : 0;
+    const row =
+        MGRS_ROW_LETTERS[(Math.floor(northing / 100000) + rowOffset) % 20];
+
+    const digits = (value) => String(value % 100000).padStart(5, '0');
+
+    return `${utm.zone}${utm.band} ${column}${row} ${digits(
+        easting
+    )} ${digits(northing)}`;
+}
+
+/**
+ * Convert MGRS reference to lat/lng (south-west corner of the grid cell)
+ * Accepts 0-5 digit precision with or without spaces: "35UQR1234567890"
+ * @returns {{lat: number, lng: number}|null}
+ */
+export function mgrsToLatLng(text) {
+    const match = MGRS_PATTERN.exec(String(text).trim().toUpperCase());
+    if (!match) {
+        return null;
+    }
+
+    const zone = parseInt(match[1], 10);
+    const band = match[2];
+    const digits = match[5] + match[6];
+    if (zone < 1 || zone > 60 || digits.length % 2 !== 0) {
+        return null;
+    }
+
+    const precision = digits.length / 2;
+    if (precision > 5) {
+        return null;
+    }
+
+    const scale = 10 ** (5 - precision);
+    const gridEasting = precision
+        ? parseInt(digits.slice(0, precision), 10) * scale
+        : 0;
+    const gridNorthing = precision
+        ? parseInt(digits.slice(precision), 10) * scale
+        : 0;
+
+    const columnIndex = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(match[3]);
+    if (columnIndex < 0) {
+        return null;
+    }
+
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+    const rowIndex =
+        (MGRS_ROW_LETTERS.indexOf(match[4]) - rowOffset + 20) % 20;
+
+    const easting = (columnIndex + 1) * 100000 + gridEasting;
+
+    // Row letters repeat every 2000 km, pick the cycle closest to the band
+    const bandIndex = LATITUDE_BANDS.indexOf(band);
+    const bandCenterLat = band === 'X' ? 78 : -80 + bandIndex * 8 + 4;
+    const bandCenter = latLngToUtm(bandCenterLat, centralMeridian(zone));
+    const cycleNorthing = rowIndex * 100000 + gridNorthing;
+    const cycles = Math.round(
+        (bandCenter.northing - cycleNorthing) / 2000000
+    );
+    const northing = cycleNorthing + cycles * 2000000;
+
+    return utmToLatLng(zone, band, easting, northing);
+}
+
+function getUtmZone(lat, lng) {
+    // Norway exception
+    if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) {
+        return 32;
+    }
+
+    // Svalbard exceptions
+    if (lat >= 72 && lng >= 0 && lng < 42) {
+        if (lng < 9) return 31;
+        if (lng < 21) return 33;
+        if (lng < 33) return 35;
+        return 37;
+    }
+
+    return Math.min(Math.floor((lng + 180) / 6) + 1, 60);
+}
+
+function getLatitudeBand(lat) {
+    return LATITUDE_BANDS[Math.min(Math.floor((lat + 80) / 8), 19)];
+}
+
+function centralMeridian(zone) {
+    return (zone - 1) * 6 - 180 + 3;
+}
+
+function meridianArc(phi) {
+    return (
+        SEMI_MAJOR_AXIS *
+        (MERIDIAN_FACTOR * phi -
+            ((3 * E2) / 8 + (3 * E2 * E2) / 32 + (45 * E2 ** 3) / 1024) *
+                Math.sin(2 * phi) +
+            ((15 * E2 * E2) / 256 + (45 * E2 ** 3) / 1024) *
+                Math.sin(4 * phi) -
+            ((35 * E2 ** 3) / 3072) * Math.sin(6 * phi))
+    );
+}
+
+function formatDms(value, positive, negative) {
+    const absolute = Math.abs(value);
+    let degrees = Math.floor(absolute);
+    let minutes = Math.floor((absolute - degrees) * 60);
+    let seconds = (absolute - degrees - minutes / 60) * 3600;
+
+    // Avoid 60.0" after rounding
+    if (seconds >= 59.95) {
+        seconds = 0;
+        minutes += 1;
+    }
+    if (minutes === 60) {
+        minutes = 0;
+        degrees += 1;
+    }
+
+    return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds
+        .toFixed(1)
+        .padStart(4, '0')}"${value < 0 ? negative : positive}`;
+}
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function toDegrees(radians) {
+    return (radians * 180) / Math.PI;
+}
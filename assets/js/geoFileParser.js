@@ -0,0 +1,416 @@
+/**
+ * Geo File Parser
+ * Converts KML, KMZ and GPX files to GeoJSON FeatureCollections so they can
+ * go through the same import dialog as GeoJSON files.
+ *
+ * Feature properties: name, description, and for KML styles styleColor
+ * (#rrggbb) and styleIcon (icon href); GPX waypoint symbols become styleIcon.
+ */
+
+/**
+ * Read file of any supported format
+ * @param {File} file - .geojson/.json, .kml, .kmz or .gpx
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export function parseGeoFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+
+    if (extension === 'kmz') {
+        return file
+            .arrayBuffer()
+            .then((buffer) => readKmz(buffer))
+            .then((text) => parseKml(text));
+    }
+
+    return file.text().then((text) => {
+        if (extension === 'kml') {
+            return parseKml(text);
+        }
+        if (extension === 'gpx') {
+            return parseGpx(text);
+        }
+        return JSON.parse(text);
+    });
+}
+
+/**
+ * Parse KML document
+ */
+export function parseKml(text) {
+    const doc = parseXml(text);
+    const styles = readKmlStyles(doc);
+    const features = [];
+
+    Array.from(doc.getElementsByTagName('Placemark')).forEach((placemark) => {
+        const style = resolvePlacemarkStyle(placemark, styles);
+        const properties = {
+            name: childText(placemark, 'name'),
+            description: childText(placemark, 'description'),
+        };
+        if (style.color) {
+            properties.styleColor = style.color;
+        }
+        if (style.icon) {
+            properties.styleIcon = style.icon;
+        }
+
+        readKmlGeometries(placemark).forEach((geometry) => {
+            features.push({ type: 'Feature', geometry, properties });
+        });
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Parse GPX document: waypoints become points, routes and tracks lines
+ */
+export function parseGpx(text) {
+    const doc = parseXml(text);
+    const features = [];
+    const position = (element) => [
+        parseFloat(element.getAttribute('lon')),
+        parseFloat(element.getAttribute('lat')),
+    ];
+    const infoOf = (element) => {
+        const properties = {
+            name: childText(element, 'name'),
+            description: childText(element, 'desc'),
+        };
+        const symbol = childText(element, 'sym');
+        if (symbol) {
+            properties.styleIcon = symbol;
+        }
+        return properties;
+    };
+
+    Array.from(doc.getElementsByTagName('wpt')).forEach((wpt) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: position(wpt) },
+            properties: infoOf(wpt),
+        });
+    });
+
+    Array.from(doc.getElementsByTagName('rte')).forEach((rte) => {
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: Array.from(rte.getElementsByTagName('rtept')).map(
+                    position
+                ),
+            },
+            properties: infoOf(rte),
+        });
+    });
+
+    Array.from(doc.getElementsByTagName('trk')).forEach((trk) => {
+        const segments = Array.from(trk.getElementsByTagName('trkseg'))
+            .map((segment) =>
+                Array.from(segment.getElementsByTagName('trkpt')).map(position)
+            )
+            .filter((points) => points.length > 1);
+
+        if (segments.length === 0) {
+            return;
+        }
+
+        features.push({
+            type: 'Feature',
+            geometry:
+                segments.length === 1
+                    ? { type: 'LineString', coordinates: segments[0] }
+                    : { type: 'MultiLineString', coordinates: segments },
+            properties: infoOf(trk),
+        });
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Find side with the closest color (RGB distance)
+ * @param {string} color - #rrggbb
+ * @param {Array} sides - [{ id, name, color }]
+ */
+export function findNearestSide(color, sides) {
+    const target = hexToRgb(color);
+    if (!target) {
+        return null;
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    sides.forEach((side) => {
+        const rgb = hexToRgb(side.color);
+        if (!rgb) {
+            return;
+        }
+
+        const distance =
+            (rgb[0] - target[0]) ** 2 +
+            (rgb[1] - target[1]) ** 2 +
+            (rgb[2] - target[2]) ** 2;
+
+        if (distance < nearestDistance) {
+            nearest = side;
+            nearestDistance = distance;
+        }
+    });
+
+    return nearest;
+}
+
+/**
+ * Find custom icon whose file name matches the style icon
+ * e.g. ".../kml/paddle/red-circle.png" matches icon "red-circle"
+ * @param {string} href - KML icon href or GPX symbol name
+ * @param {Array} icons - IconSelector entries [{ name, url }]
+ */
+export function findMatchingIcon(href, icons) {
+    const baseName = (value) =>
+        String(value)
+            .split(/[\\/]/)
+            .pop()
+            .replace(/\.[a-z0-9]+$/i, '')
+            .toLowerCase();
+
+    const needle = baseName(href);
+    if (!needle) {
+        return null;
+    }
+
+    return (
+        icons.find(
+            (icon) =>
+                baseName(icon.name) === needle || baseName(icon.url) === needle
+        ) || null
+    );
+}
+
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('File is not valid XML');
+    }
+    return doc;
+}
+
+function childText(element, tagName) {
+    const child = Array.from(element.children).find(
+        (node) => node.localName === tagName
+    );
+    return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Collect Style and StyleMap definitions by id
+ */
+function readKmlStyles(doc) {
+    const styles = {};
+
+    Array.from(doc.getElementsByTagName('Style')).forEach((style) => {
+        const id = style.getAttribute('id');
+        if (id) {
+            styles[id] = readKmlStyle(style);
+        }
+    });
+
+    // StyleMap points to the "normal" style
+    Array.from(doc.getElementsByTagName('StyleMap')).forEach((styleMap) => {
+        const id = styleMap.getAttribute('id');
+        const normal = Array.from(styleMap.getElementsByTagName('Pair')).find(
+            (pair) => childText(pair, 'key') === 'normal'
+        );
+        if (id && normal) {
+            const target = childText(normal, 'styleUrl').replace(/^.*#/, '');
+            styles[id] = styles[target] || {};
+        }
+    });
+
+    return styles;
+}
+
+function readKmlStyle(style) {
+    const result = {};
+
+    // Line color describes the shape best, then polygon fill, then icon tint
+    for (const tagName of ['LineStyle', 'PolyStyle', 'IconStyle']) {
+        const element = style.getElementsByTagName(tagName)[0];
+        const color = element ? childText(element, 'color') : '';
+        if (color) {
+            result.color = kmlColorToHex(color);
+            break;
+        }
+    }
+
+    const icon = style.getElementsByTagName('Icon')[0];
+    if (icon && childText(icon, 'href')) {
+        result.icon = childText(icon, 'href');
+    }
+
+    return result;
+}
+
+function resolvePlacemarkStyle(placemark, styles) {
+    const inline = Array.from(placemark.children).find(
+        (node) => node.localName === 'Style'
+    );
+    if (inline) {
+        return readKmlStyle(inline);
+    }
+
+    const styleUrl = childText(placemark, 'styleUrl').replace(/^.*#/, '');
+    return styles[styleUrl] || {};
+}
+
+/**
+ * KML colors are aabbggrr
+ */
+function kmlColorToHex(color) {
+    const value = color.replace(/^#/, '').toLowerCase();
+    if (!/^[0-9a-f]{8}$/.test(value)) {
+        return null;
+    }
+    return `#${value.slice(6, 8)}${value.slice(4, 6)}${value.slice(2, 4)}`;
+}
+
+function hexToRgb(color) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(color || '');
+    if (!match) {
+        return null;
+    }
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function parseKmlCoordinates(element) {
+    const text = element ? childText(element, 'coordinates') : '';
+    return text
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((tuple) => tuple.split(',').map(parseFloat));
+}
+
+/**
+ * Read Point/LineString/Polygon geometries of a placemark
+ * (MultiGeometry children are returned as separate geometries)
+ */
+function readKmlGeometries(placemark) {
+    const geometries = [];
+
+    Array.from(placemark.getElementsByTagName('Point')).forEach((point) => {
+        const coordinates = parseKmlCoordinates(point)[0];
+        if (coordinates) {
+            geometries.push({ type: 'Point', coordinates });
+        }
+    });
+
+    Array.from(placemark.getElementsByTagName('LineString')).forEach(
+        (line) => {
+            geometries.push({
+                type: 'LineString',
+                coordinates: parseKmlCoordinates(line),
+            });
+        }
+    );
+
+    Array.from(placemark.getElementsByTagName('Polygon')).forEach(
+        (polygon) => {
+            const ring = (boundary) =>
+                parseKmlCoordinates(
+                    boundary.getElementsByTagName('LinearRing')[0]
+                );
+            const outer = polygon.getElementsByTagName('outerBoundaryIs')[0];
+            if (!outer) {
+                return;
+            }
+
+            geometries.push({
+                type: 'Polygon',
+                coordinates: [
+                    ring(outer),
+                    ...Array.from(
+                        polygon.getElementsByTagName('innerBoundaryIs')
+                    ).map(ring),
+                ],
+            });
+        }
+    );
+
+    return geometries;
+}
+
+/**
+ * Extract main KML document from KMZ (zip) archive
+ * Supports stored and deflated entries (DecompressionStream)
+ */
+function readKmz(buffer) {
+    const view = new DataView(buffer);
+
+    // End of central directory record is at the end (after optional comment)
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= 0; i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        return Promise.reject(new Error('KMZ file is not a valid zip archive'));
+    }
+
+    const entries = [];
+    let offset = view.getUint32(eocd + 16, true);
+    const count = view.getUint16(eocd + 10, true);
+
+    for (let i = 0; i < count; i++) {
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+
+        entries.push({
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localOffset: view.getUint32(offset + 42, true),
+            name: new TextDecoder().decode(
+                new Uint8Array(buffer, offset + 46, nameLength)
+            ),
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    // doc.kml by convention, otherwise the first KML file in the archive
+    const entry =
+        entries.find((item) => item.name.toLowerCase() === 'doc.kml') ||
+        entries.find((item) => item.name.toLowerCase().endsWith('.kml'));
+    if (!entry) {
+        return Promise.reject(new Error('KMZ archive contains no KML file'));
+    }
+
+    const local = entry.localOffset;
+    const dataStart =
+        local +
+        30 +
+        view.getUint16(local + 26, true) +
+        view.getUint16(local + 28, true);
+    const data = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+    if (entry.method === 0) {
+        return Promise.resolve(new TextDecoder().decode(data));
+    }
+
+    if (entry.method !== 8 || typeof DecompressionStream === 'undefined') {
+        return Promise.reject(
+            new Error('KMZ compression is not supported by this browser')
+        );
+    }
+
+    const stream = new Blob([data])
+        .stream()
+        .pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
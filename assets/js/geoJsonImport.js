@@ -0,0 +1,647 @@
+import { escapeHtml } from './baseMapComponent';
+import {
+    parseGeoFile,
+    findNearestSide,
+    findMatchingIcon,
+} from './geoFileParser';
+
+/**
+ * GeoJSON import dialog
+ * Loads a FeatureCollection, previews it on the map, maps feature
+ * properties to geo object fields and creates objects via /geo-object/batch.
+ * KML/KMZ/GPX files are converted to GeoJSON first (see geoFileParser.js);
+ * their style colors are matched to the nearest side and style icons to
+ * custom icons.
+ *
+ * Supported geometries: Point (Circle when it has a positive "radius"
+ * property), LineString, Polygon and their Multi* variants, which are split
+ * into one object per part. Altitude is dropped.
+ */
+
+// Property names tried first when guessing the mapping
+const FIELD_GUESSES = {
+    title: ['name', 'title', 'label'],
+    description: ['description', 'desc', 'comment', 'notes'],
+    side: ['side', 'sideId', 'faction', 'team'],
+    ttl: ['ttl'],
+    icon: ['iconUrl', 'icon', 'marker-symbol'],
+};
+
+// Objects per request, same as GeoObjectService::BATCH_LIMIT
+export const BATCH_LIMIT = 500;
+
+export default class GeoJsonImportDialog {
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                modalSelector: '#geo-import-modal',
+                leafletMap: null,
+                mapId: null,
+                sides: [], // [{ id, name, color }]
+                getIcons: () => [], // IconSelector entries [{ name, url }]
+                onImported: null, // Called with created objects
+            },
+            options
+        );
+
+        this.modalElement = document.querySelector(this.options.modalSelector);
+        this.entries = [];
+        this.previewLayer = null;
+        this.importing = false;
+
+        if (this.modalElement) {
+            this.init();
+        }
+    }
+
+    /**
+     * Bind dialog controls
+     */
+    init() {
+        this.fileInput = this.modalElement.querySelector('.geo-import-file');
+        this.mappingContainer = this.modalElement.querySelector(
+            '.geo-import-mapping'
+        );
+        this.previewList = this.modalElement.querySelector(
+            '.geo-import-preview'
+        );
+        this.summary = this.modalElement.querySelector('.geo-import-summary');
+        this.submitBtn = this.modalElement.querySelector('.geo-import-submit');
+
+        this.fileInput.addEventListener('change', () => this.readFile());
+
+        this.mappingContainer
+            .querySelectorAll('select[data-field]')
+            .forEach((select) => {
+                select.addEventListener('change', () => this.renderPreview());
+            });
+
+        this.submitBtn.addEventListener('click', () => this.submit());
+
+        this.previewList.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-entry]');
+            if (row) {
+                this.focusEntry(parseInt(row.dataset.entry, 10));
+            }
+        });
+
+        // Preview must not stay on the map after the dialog is closed
+        this.modalElement.addEventListener('hidden.bs.modal', () =>
+            this.reset()
+        );
+    }
+
+    /**
+     * Read selected file and load it
+     */
+    readFile() {
+        const file = this.fileInput.files[0];
+        if (!file) {
+            return;
+        }
+
+        parseGeoFile(file)
+            .then((collection) => {
+                this.applyStyleMapping(collection);
+                this.loadCollection(collection);
+            })
+            .catch((error) => {
+                console.error('GeoJSON import: cannot read file', error);
+                this.reset(false);
+                this.showSummary(
+                    'danger',
+                    `Cannot read file: ${error.message || 'invalid JSON'}`
+                );
+            });
+    }
+
+    /**
+     * Turn KML/GPX style colors and icons into side and icon properties
+     */
+    applyStyleMapping(collection) {
+        const icons = this.options.getIcons() || [];
+
+        (collection.features || []).forEach((feature) => {
+            const properties = feature && feature.properties;
+            if (!properties) {
+                return;
+            }
+
+            if (properties.styleColor && !properties.side) {
+                const side = findNearestSide(
+                    properties.styleColor,
+                    this.options.sides
+                );
+                if (side) {
+                    properties.side = side.name;
+                }
+            }
+
+            if (properties.styleIcon && !properties.iconUrl) {
+                const icon = findMatchingIcon(properties.styleIcon, icons);
+                if (icon) {
+                    properties.iconUrl = icon.url;
+                }
+            }
+        });
+    }
+
+    /**
+     * Load FeatureCollection (a single Feature is accepted too)
+     */
+    loadCollection(json) {
+        let features;
+        if (json && json.type === 'FeatureCollection') {
+            features = Array.isArray(json.features) ? json.features : [];
+        } else if (json && json.type === 'Feature') {
+            features = [json];
+        } else {
+            throw new Error('File is not a GeoJSON FeatureCollection');
+        }
+
+        this.entries = [];
+        features.forEach((feature, featureIndex) => {
+            this.entries.push(...this.expandFeature(feature, featureIndex));
+        });
+
+        if (this.entries.length === 0) {
+            throw new Error('FeatureCollection has no features');
+        }
+
+        this.fillMappingOptions();
+        this.renderPreview();
+    }
+
+    /**
+     * Split feature into importable entries (one per Multi* part)
+     */
+    expandFeature(feature, featureIndex) {
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+        const base = { featureIndex, properties, error: null };
+
+        if (!geometry || !geometry.type) {
+            return [
+                { ...base, geometry: null, error: 'Feature has no geometry' },
+            ];
+        }
+
+        const multiTypes = {
+            MultiPoint: 'Point',
+            MultiLineString: 'LineString',
+            MultiPolygon: 'Polygon',
+        };
+
+        if (multiTypes[geometry.type]) {
+            const parts = geometry.coordinates || [];
+            return parts.map((coordinates, partIndex) => ({
+                ...base,
+                geometry: { type: multiTypes[geometry.type], coordinates },
+                part: parts.length > 1 ? partIndex + 1 : null,
+            }));
+        }
+
+        return [{ ...base, geometry, part: null }];
+    }
+
+    /**
+     * Fill mapping selects with property names found in the file
+     */
+    fillMappingOptions() {
+        const keys = new Set();
+        this.entries.forEach((entry) => {
+            Object.keys(entry.properties).forEach((key) => keys.add(key));
+        });
+
+        this.mappingContainer
+            .querySelectorAll('select[data-field]')
+            .forEach((select) => {
+                const guesses = FIELD_GUESSES[select.dataset.field] || [];
+                const guess = guesses.find((name) => keys.has(name)) || '';
+
+                select.innerHTML = '<option value="">— none —</option>';
+                keys.forEach((key) => {
+                    const option = document.createElement('option');
+                    option.value = key;
+                    option.textContent = key;
+                    select.appendChild(option);
+                });
+                select.value = guess;
+            });
+
+        this.mappingContainer.classList.remove('d-none');
+    }
+
+    /**
+     * Get selected property name for field
+     */
+    getMappedProperty(field) {
+        const select = this.mappingContainer.querySelector(
+            `select[data-field="${field}"]`
+        );
+        return select ? select.value : '';
+    }
+
+    /**
+     * Convert entry into /geo-object/batch item using current mapping
+     * @returns {{data: Object|null, error: string|null, warning: string|null}}
+     */
+    buildObjectData(entry) {
+        if (entry.error) {
+            return { data: null, error: entry.error, warning: null };
+        }
+
+        const geometry = this.convertGeometry(entry);
+        if (!geometry) {
+            return {
+                data: null,
+                error: `Unsupported geometry type: ${entry.geometry.type}`,
+                warning: null,
+            };
+        }
+
+        const value = (field) => {
+            const property = this.getMappedProperty(field);
+            const raw = property ? entry.properties[property] : null;
+            return raw === null || raw === undefined ? '' : String(raw).trim();
+        };
+
+        let title = value('title') || `Feature ${entry.featureIndex + 1}`;
+        if (entry.part) {
+            title += ` (${entry.part})`;
+        }
+
+        let warning = null;
+        let sideId = null;
+        const sideValue = value('side');
+        if (sideValue) {
+            const side = this.findSide(sideValue);
+            if (side) {
+                sideId = side.id;
+            } else {
+                warning = `Unknown side "${sideValue}"`;
+            }
+        }
+
+        const ttl = parseInt(value('ttl'), 10);
+
+        return {
+            data: {
+                title,
+                description: value('description'),
+                type: geometry.type,
+                geoJson: geometry.geoJson,
+                ttl: ttl > 0 ? ttl : 0,
+                iconUrl: value('icon') || null,
+                sideId,
+            },
+            error: null,
+            warning,
+        };
+    }
+
+    /**
+     * Convert GeoJSON geometry to geo object type + geometry
+     */
+    convertGeometry(entry) {
+        const { type, coordinates } = entry.geometry;
+        // Drop altitude - geometry validators expect [lng, lat]
+        const position = (coord) => [coord[0], coord[1]];
+
+        if (!Array.isArray(coordinates)) {
+            return null;
+        }
+
+        if (type === 'Point') {
+            const radius = parseFloat(entry.properties.radius);
+            if (radius > 0) {
+                return {
+                    type: 'Circle',
+                    geoJson: {
+                        type: 'Circle',
+                        coordinates: position(coordinates),
+                        radius,
+                    },
+                };
+            }
+
+            return {
+                type: 'Point',
+                geoJson: { type: 'Point', coordinates: position(coordinates) },
+            };
+        }
+
+        if (type === 'LineString') {
+            return {
+                type: 'Line',
+                geoJson: {
+                    type: 'LineString',
+                    coordinates: coordinates.map(position),
+                },
+            };
+        }
+
+        if (type === 'Polygon') {
+            return {
+                type: 'Polygon',
+                geoJson: {
+                    type: 'Polygon',
+                    coordinates: coordinates.map((ring) => ring.map(position)),
+                },
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Find side by id or case-insensitive name
+     */
+    findSide(value) {
+        const needle = value.toLowerCase();
+        return (
+            this.options.sides.find(
+                (side) =>
+                    String(side.id) === value ||
+                    side.name.toLowerCase() === needle
+            ) || null
+        );
+    }
+
+    /**
+     * Render feature table and map preview
+     */
+    renderPreview() {
+        this.clearPreviewLayer();
+
+        if (this.options.leafletMap) {
+            this.previewLayer = L.featureGroup().addTo(this.options.leafletMap);
+        }
+
+        const rows = this.entries.map((entry, index) => {
+            const result = this.buildObjectData(entry);
+            const error = entry.importError || result.error;
+            const type = result.data
+                ? result.data.type
+                : (entry.geometry && entry.geometry.type) || '-';
+
+            entry.layer = this.createPreviewLayer(entry, result, !!error);
+
+            return `
+                <tr data-entry="${index}" class="${error ? 'table-danger' : ''}">
+                    <td>${index + 1}</td>
+                    <td>${escapeHtml(result.data ? result.data.title : '-')}</td>
+                    <td>${escapeHtml(type)}</td>
+                    <td>${this.getStatusHtml(entry, error, result.warning)}</td>
+                </tr>
+            `;
+        });
+
+        this.previewList.innerHTML = rows.join('');
+
+        if (this.previewLayer && this.previewLayer.getLayers().length > 0) {
+            this.options.leafletMap.fitBounds(this.previewLayer.getBounds(), {
+                padding: [20, 20],
+            });
+        }
+
+        const pending = this.getPendingItems().length;
+        this.submitBtn.disabled = pending === 0 || this.importing;
+        this.showSummary(
+            'info',
+            `${this.entries.length} feature(s) found, ${pending} ready to import`
+        );
+    }
+
+    /**
+     * Status cell content for preview table
+     */
+    getStatusHtml(entry, error, warning) {
+        if (entry.imported) {
+            return '<span class="badge bg-success">Imported</span>';
+        }
+
+        if (error) {
+            return `<span class="text-danger small">${escapeHtml(error)}</span>`;
+        }
+
+        if (warning) {
+            return `<span class="text-warning small">${escapeHtml(warning)}</span>`;
+        }
+
+        return '<span class="badge bg-secondary">Ready</span>';
+    }
+
+    /**
+     * Draw entry on the map preview layer
+     */
+    createPreviewLayer(entry, result, hasError) {
+        if (!this.previewLayer || !entry.geometry || !result.data) {
+            return null;
+        }
+
+        const style = {
+            color: hasError ? '#dc3545' : '#fd7e14',
+            weight: 2,
+            dashArray: '6, 4',
+            fillOpacity: 0.15,
+        };
+
+        let layer;
+        try {
+            if (result.data.type === 'Circle') {
+                const [lng, lat] = result.data.geoJson.coordinates;
+                layer = L.circle([lat, lng], {
+                    ...style,
+                    radius: result.data.geoJson.radius,
+                });
+            } else {
+                layer = L.geoJSON(entry.geometry, {
+                    style,
+                    pointToLayer: (feature, latlng) =>
+                        L.circleMarker(latlng, { ...style, radius: 6 }),
+                });
+            }
+        } catch (error) {
+            // Malformed coordinates - server validation reports the details
+            return null;
+        }
+
+        layer.bindTooltip(escapeHtml(result.data.title));
+        layer.addTo(this.previewLayer);
+
+        return layer;
+    }
+
+    /**
+     * Zoom to entry preview
+     */
+    focusEntry(index) {
+        const entry = this.entries[index];
+        if (!entry || !entry.layer || !this.options.leafletMap) {
+            return;
+        }
+
+        if (entry.layer.getBounds) {
+            this.options.leafletMap.fitBounds(entry.layer.getBounds(), {
+                maxZoom: 16,
+            });
+        } else {
+            this.options.leafletMap.setView(entry.layer.getLatLng(), 16);
+        }
+        entry.layer.openTooltip();
+    }
+
+    /**
+     * Items that can still be imported
+     */
+    getPendingItems() {
+        return this.entries
+            .map((entry) => ({ entry, ...this.buildObjectData(entry) }))
+            .filter((item) => item.data && !item.entry.imported);
+    }
+
+    /**
+     * Send pending items to the batch endpoint, BATCH_LIMIT per request
+     */
+    submit() {
+        const items = this.getPendingItems();
+        if (items.length === 0 || this.importing) {
+            return;
+        }
+
+        this.importing = true;
+        this.submitBtn.disabled = true;
+
+        const created = [];
+        const errorsByIndex = new Map();
+        const offsets = [];
+        for (let offset = 0; offset < items.length; offset += BATCH_LIMIT) {
+            offsets.push(offset);
+        }
+
+        offsets
+            .reduce(
+                (previous, offset) =>
+                    previous.then(() => {
+                        this.showSummary(
+                            'info',
+                            `Importing ${offset + 1}-${Math.min(
+                                offset + BATCH_LIMIT,
+                                items.length
+                            )} of ${items.length} object(s)...`
+                        );
+                        return this.submitChunk(
+                            items.slice(offset, offset + BATCH_LIMIT),
+                            offset,
+                            created,
+                            errorsByIndex
+                        );
+                    }),
+                Promise.resolve()
+            )
+            .then(() => ({
+                type: errorsByIndex.size > 0 ? 'warning' : 'success',
+                message: `Imported ${items.length - errorsByIndex.size} of ${
+                    items.length
+                } object(s)`,
+            }))
+            .catch((error) => {
+                console.error('GeoJSON import failed:', error);
+                return {
+                    type: 'danger',
+                    message: `${error.message || 'Import failed'} (${
+                        created.length
+                    } object(s) imported before)`,
+                };
+            })
+            .then(({ type, message }) => {
+                this.importing = false;
+                this.renderPreview();
+                this.showSummary(type, message);
+
+                if (
+                    created.length > 0 &&
+                    typeof this.options.onImported === 'function'
+                ) {
+                    this.options.onImported(created);
+                }
+            });
+    }
+
+    /**
+     * Send one chunk of items and mark them imported or failed
+     * @param {Array} chunk - Items of the request
+     * @param {number} offset - Index of the first item among all items
+     * @param {Array} created - Collects created objects
+     * @param {Map} errorsByIndex - Collects errors by index among all items
+     */
+    submitChunk(chunk, offset, created, errorsByIndex) {
+        return fetch('/geo-object/batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+            },
+            body: JSON.stringify({
+                mapId: this.options.mapId,
+                objects: chunk.map((item) => item.data),
+            }),
+        })
+            .then((response) => response.json())
+            .then((data) => {
+                if (!data.errors && !data.success) {
+                    throw new Error(data.message || 'Import failed');
+                }
+
+                // Server indexes refer to the items of the chunk
+                (data.errors || []).forEach((error) => {
+                    errorsByIndex.set(offset + error.index, error.message);
+                });
+
+                chunk.forEach((item, index) => {
+                    const message = errorsByIndex.get(offset + index);
+                    item.entry.importError = message || null;
+                    item.entry.imported = !message;
+                });
+
+                created.push(...(data.objects || []));
+            });
+    }
+
+    /**
+     * Show status line under the preview
+     */
+    showSummary(type, message) {
+        this.summary.className = `geo-import-summary alert alert-${type} py-2 mb-0`;
+        this.summary.textContent = message;
+    }
+
+    /**
+     * Remove preview from the map
+     */
+    clearPreviewLayer() {
+        if (this.previewLayer) {
+            this.previewLayer.remove();
+            this.previewLayer = null;
+        }
+    }
+
+    /**
+     * Forget loaded file
+     * @param {boolean} clearInput - Also clear file input
+     */
+    reset(clearInput = true) {
+        this.clearPreviewLayer();
+        this.entries = [];
+        this.importing = false;
+        this.previewList.innerHTML = '';
+        this.submitBtn.disabled = true;
+        this.mappingContainer.classList.add('d-none');
+        this.summary.className = 'geo-import-summary d-none';
+
+        if (clearInput) {
+            this.fileInput.value = '';
+        }
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Geo Measure
+ * Spherical geometry helpers for the toolbar measurement tools.
+ * Positions are Leaflet LatLng objects or plain { lat, lng }.
+ */
+
+const EARTH_RADIUS = 6371008.8; // Mean radius, meters
+
+/**
+ * Initial great-circle bearing from one position to another
+ * @returns {number} Degrees clockwise from true north, 0..360
+ */
+export function calculateBearing(from, to) {
+    const phi1 = toRadians(from.lat);
+    const phi2 = toRadians(to.lat);
+    const deltaLambda = toRadians(to.lng - from.lng);
+
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x =
+        Math.cos(phi1) * Math.sin(phi2) -
+        Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+    return normalizeBearing(toDegrees(Math.atan2(y, x)));
+}
+
+/**
+ * Convert true bearing to magnetic
+ * @param {number} bearing - True bearing, degrees
+ * @param {number} declination - Magnetic declination, degrees (east positive)
+ */
+export function toMagneticBearing(bearing, declination) {
+    return normalizeBearing(bearing - (Number(declination) || 0));
+}
+
+/**
+ * Format bearing as three-digit azimuth, e.g. "045.3°"
+ */
+export function formatBearing(bearing) {
+    const value = normalizeBearing(Math.round(bearing * 10) / 10);
+    return `${value.toFixed(1).padStart(5, '0')}°`;
+}
+
+/**
+ * Position at distance and bearing from start (great circle)
+ * @returns {{lat: number, lng: number}}
+ */
+export function destinationPoint(start, distance, bearing) {
+    const delta = distance / EARTH_RADIUS;
+    const theta = toRadians(bearing);
+    const phi1 = toRadians(start.lat);
+    const lambda1 = toRadians(start.lng);
+
+    const phi2 = Math.asin(
+        Math.sin(phi1) * Math.cos(delta) +
+            Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+    );
+    const lambda2 =
+        lambda1 +
+        Math.atan2(
+            Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+            Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+        );
+
+    return {
+        lat: toDegrees(phi2),
+        lng: ((toDegrees(lambda2) + 540) % 360) - 180,
+    };
+}
+
+/**
+ * Great-circle distance in meters (haversine)
+ */
+export function calculateDistance(from, to) {
+    const phi1 = toRadians(from.lat);
+    const phi2 = toRadians(to.lat);
+    const deltaPhi = phi2 - phi1;
+    const deltaLambda = toRadians(to.lng - from.lng);
+
+    const a =
+        Math.sin(deltaPhi / 2) ** 2 +
+        Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Length of a path in meters
+ * @param {Array} points - Positions without closing duplicate
+ * @param {boolean} closed - Add the segment back to the first point
+ */
+export function calculatePerimeter(points, closed = true) {
+    let length = 0;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        length += calculateDistance(points[i], points[i + 1]);
+    }
+
+    if (closed && points.length > 2) {
+        length += calculateDistance(points[points.length - 1], points[0]);
+    }
+
+    return length;
+}
+
+/**
+ * Geodesic area of a polygon ring in square meters
+ * (spherical excess approximation, accurate for tactical-size areas)
+ * @param {Array} points - Ring positions without closing duplicate
+ */
+export function calculateArea(points) {
+    if (points.length < 3) {
+        return 0;
+    }
+
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p1 = points[i];
+        const p2 = points[(i + 1) % points.length];
+
+        area +=
+            toRadians(p2.lng - p1.lng) *
+            (2 + Math.sin(toRadians(p1.lat)) + Math.sin(toRadians(p2.lat)));
+    }
+
+    return Math.abs((area * EARTH_RADIUS * EARTH_RADIUS) / 2);
+}
+
+/**
+ * Area and perimeter of a Polygon, Circle or Image geometry
+ * @param {Object} geoJson - Geometry as stored for geo objects
+ * @returns {{area: number, perimeter: number}|null} null for other types
+ */
+export function getGeometryMetrics(geoJson) {
+    if (!geoJson || !geoJson.coordinates) {
+        return null;
+    }
+
+    if (geoJson.type === 'Circle' && geoJson.radius > 0) {
+        // Spherical cap
+        const angle = geoJson.radius / EARTH_RADIUS;
+        return {
+            area: 2 * Math.PI * EARTH_RADIUS ** 2 * (1 - Math.cos(angle)),
+            perimeter: 2 * Math.PI * EARTH_RADIUS * Math.sin(angle),
+        };
+    }
+
+    // Image overlays are measured by their outline
+    if (geoJson.type === 'Polygon' || geoJson.type === 'Image') {
+        const toRing = (positions) =>
+            positions
+                .slice(0, -1)
+                .map((position) => ({ lat: position[1], lng: position[0] }));
+
+        const [outer, ...holes] = geoJson.coordinates.map(toRing);
+        if (!outer || outer.length < 3) {
+            return null;
+        }
+
+        return {
+            area: holes.reduce(
+                (area, hole) => area - calculateArea(hole),
+                calculateArea(outer)
+            ),
+            perimeter: calculatePerimeter(outer),
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Format area in all units, e.g. "12,345 m² · 1.23 ha · 0.0123 km²"
+ */
+export function formatArea(area) {
+    const squareKm = area / 1000000;
+
+    return [
+        `${Math.round(area).toLocaleString('en-US')} m²`,
+        `${(area / 10000).toFixed(2)} ha`,
+        `${squareKm.toFixed(squareKm < 1 ? 4 : 2)} km²`,
+    ].join(' · ');
+}
+
+/**
+ * Format length, e.g. "850 m" or "12.40 km"
+ */
+export function formatLength(length) {
+    return length < 1000
+        ? `${Math.round(length)} m`
+        : `${(length / 1000).toFixed(2)} km`;
+}
+
+function normalizeBearing(bearing) {
+    return ((bearing % 360) + 360) % 360;
+}
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function toDegrees(radians) {
+    return (radians * 180) / Math.PI;
+}
@@ -0,0 +1,151 @@
+/**
+ * Geo Object Commands
+ * Undoable create/update/delete operations for CommandHistory.
+ *
+ * Deleting and re-creating an object gives it a new id, so commands keep a
+ * shared reference ({ id, object }) per object. All commands touching the
+ * same object use the same reference and see the current id.
+ */
+
+const objectRefs = new Map();
+
+/**
+ * Get shared reference for object id
+ */
+function getObjectRef(id) {
+    const key = String(id);
+
+    if (!objectRefs.has(key)) {
+        objectRefs.set(key, { id, object: null });
+    }
+
+    return objectRefs.get(key);
+}
+
+/**
+ * Point reference to a new id after the object was re-created
+ */
+function remapObjectRef(ref, object) {
+    ref.id = object.id;
+    ref.object = object;
+    objectRefs.set(String(object.id), ref);
+}
+
+/**
+ * Build create/update request payload from serialized geo object
+ * Empty values make the update endpoint clear side, icon, schedule and
+ * side visibility
+ */
+function toRequestPayload(object, mapId) {
+    return {
+        title: object.title,
+        description: object.description || '',
+        type: object.type,
+        ttl: object.ttl || 0,
+        hash: object.hash || '',
+        geoJson: object.geoJson,
+        mapId: mapId,
+        iconUrl: object.iconUrl || '',
+        sideId: object.sideId ?? '',
+        visibleToSides: object.visibleToSides || [],
+        activeFrom: object.activeFrom || '',
+        activeUntil: object.activeUntil || '',
+    };
+}
+
+/**
+ * POST JSON and reject on unsuccessful response
+ */
+function postJson(url, payload = null) {
+    return fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+        },
+        body: payload ? JSON.stringify(payload) : null,
+    })
+        .then((response) => response.json())
+        .then((data) => {
+            if (!data.success) {
+                throw new Error(data.message || 'Request failed');
+            }
+            return data;
+        });
+}
+
+function recreateObject(ref, object, mapId) {
+    return postJson('/geo-object/new', toRequestPayload(object, mapId)).then(
+        (data) => remapObjectRef(ref, data.object)
+    );
+}
+
+function deleteObject(ref) {
+    return postJson(`/geo-object/${ref.id}/delete`).then(() => {
+        ref.object = null;
+    });
+}
+
+function updateObject(ref, object, mapId) {
+    return postJson(
+        `/geo-object/${ref.id}/update`,
+        toRequestPayload(object, mapId)
+    ).then((data) => {
+        ref.object = data.object || null;
+    });
+}
+
+/**
+ * Command for an object that was just created
+ * @param {Object} object - Created object as returned by the server
+ * @param {number|string} mapId - Map ID
+ */
+export function createObjectCommand(object, mapId) {
+    const ref = getObjectRef(object.id);
+    ref.object = object;
+
+    return {
+        label: `Create "${object.title}"`,
+        scope: 'object',
+        ref,
+        undo: () => deleteObject(ref),
+        redo: () => recreateObject(ref, object, mapId),
+    };
+}
+
+/**
+ * Command for an object that was just updated
+ * @param {Object} before - Object state before the update
+ * @param {Object} after - Object state returned by the update
+ * @param {number|string} mapId - Map ID
+ */
+export function updateObjectCommand(before, after, mapId) {
+    const ref = getObjectRef(after.id);
+    ref.object = after;
+
+    return {
+        label: `Update "${after.title}"`,
+        scope: 'object',
+        ref,
+        undo: () => updateObject(ref, before, mapId),
+        redo: () => updateObject(ref, after, mapId),
+    };
+}
+
+/**
+ * Command for an object that was just deleted
+ * @param {Object} object - Object state before deletion
+ * @param {number|string} mapId - Map ID
+ */
+export function deleteObjectCommand(object, mapId) {
+    const ref = getObjectRef(object.id);
+    ref.object = null;
+
+    return {
+        label: `Delete "${object.title}"`,
+        scope: 'object',
+        ref,
+        undo: () => recreateObject(ref, object, mapId),
+        redo: () => deleteObject(ref),
+    };
+}
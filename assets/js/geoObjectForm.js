@@ -1,6 +1,18 @@
 /**
  * JavaScript for GeoObject form interaction with the map
  */
+import {
+    createObjectCommand,
+    updateObjectCommand,
+    deleteObjectCommand,
+} from './geoObjectCommands';
+import { escapeHtml } from './baseMapComponent';
+import GeoJsonImportDialog from './geoJsonImport';
+import VertexTable, { validateGeometry } from './vertexTable';
+import ImageOverlayEditor from './imageOverlayEditor';
+import ObjectHistoryPanel from './objectHistoryPanel';
+import { formatActivationCountdown, formatCountdown } from './ttlCountdown';
+
 document.addEventListener('DOMContentLoaded', function () {
     initGeoObjectForm();
 });
@@ -21,6 +33,13 @@ function initGeoObjectForm(mapInstance) {
     const titleInput = document.querySelector('.geo-object-title');
     const mapIdInput = document.querySelector('.geo-object-map-id');
     const sideSelect = document.querySelector('.geo-object-side');
+    const visibleSidesSelect = document.querySelector(
+        '.geo-object-visible-sides'
+    );
+    const activeFromInput = document.querySelector('.geo-object-active-from');
+    const activeUntilInput = document.querySelector(
+        '.geo-object-active-until'
+    );
 
     // Ensure mapId is set correctly
     if (mapIdInput) {
@@ -57,6 +76,10 @@ function initGeoObjectForm(mapInstance) {
     let currentObjectId = null;
     let drawingMode = false;
 
+    // Server state of the object being edited, used to detect remote edits
+    let editBaseObject = null;
+    let saveInFlight = false;
+
     // Get a reference to the map (should be available from a global object)
     const map = window.tacticalMap || null;
 
@@ -64,6 +87,42 @@ function initGeoObjectForm(mapInstance) {
         return;
     }
 
+    // Image objects are placed with their own panel instead of drawing
+    const imageEditor = new ImageOverlayEditor({
+        leafletMap: map.getLeafletMap(),
+        geoObjectManager: map.geoObjectManager,
+        onChange: (geometry) => {
+            geoJsonInput.value = geometry ? JSON.stringify(geometry) : '';
+        },
+    });
+
+    // Revision log of the edited object ("History" tab)
+    const historyPanel = new ObjectHistoryPanel({
+        leafletMap: map.getLeafletMap(),
+        onRestored: (object, message) => {
+            if (editBaseObject && object) {
+                recordObjectCommand(
+                    updateObjectCommand(
+                        editBaseObject,
+                        object,
+                        mapIdInput.value
+                    )
+                );
+            }
+            refreshGeoObjects();
+            loadObjectData(object.id, 'history');
+            showSuccessMessage(message || 'Object restored');
+        },
+    });
+    const historyContainer = document.getElementById('geo-object-history');
+    const formTabs = document.querySelector('.geo-form-tabs');
+
+    document.querySelectorAll('[data-geo-form-tab]').forEach((button) => {
+        button.addEventListener('click', () =>
+            showFormTab(button.dataset.geoFormTab)
+        );
+    });
+
     // Handle object type change
     typeSelect.addEventListener('change', function () {
         const type = this.value;
@@ -114,6 +173,18 @@ function initGeoObjectForm(mapInstance) {
             return;
         }
 
+        const geometryError = getGeometryError();
+        if (geometryError) {
+            showErrorMessage(geometryError);
+            return;
+        }
+
+        const scheduleError = getScheduleError();
+        if (scheduleError) {
+            showErrorMessage(scheduleError);
+            return;
+        }
+
         // Submit form - function will handle data collection
         submitGeoObjectForm(null, 'create');
     });
@@ -130,6 +201,18 @@ function initGeoObjectForm(mapInstance) {
             return;
         }
 
+        const geometryError = getGeometryError();
+        if (geometryError) {
+            showErrorMessage(geometryError);
+            return;
+        }
+
+        const scheduleError = getScheduleError();
+        if (scheduleError) {
+            showErrorMessage(scheduleError);
+            return;
+        }
+
         // Submit form - function will handle data collection
         submitGeoObjectForm(null, 'update');
     });
@@ -139,6 +222,117 @@ function initGeoObjectForm(mapInstance) {
         resetForm();
     });
 
+    /**
+     * Check drawn geometry with the same rules as the server
+     * @returns {string|null} Error message
+     */
+    function getGeometryError() {
+        if (!geoJsonInput.value) {
+            return null;
+        }
+
+        try {
+            return validateGeometry(JSON.parse(geoJsonInput.value));
+        } catch (e) {
+            return 'Invalid GeoJSON format';
+        }
+    }
+
+    /**
+     * IDs of sides selected in "Visible to sides"
+     * @returns {number[]} Empty means visible to all sides
+     */
+    function getVisibleToSides() {
+        if (!visibleSidesSelect) {
+            return [];
+        }
+
+        return Array.from(visibleSidesSelect.selectedOptions).map((option) =>
+            parseInt(option.value, 10)
+        );
+    }
+
+    /**
+     * Select sides of an object in "Visible to sides"
+     * @param {number[]|null} sideIds - null means visible to all sides
+     */
+    function setVisibleToSides(sideIds) {
+        if (!visibleSidesSelect) {
+            return;
+        }
+
+        const selected = (sideIds || []).map(String);
+        Array.from(visibleSidesSelect.options).forEach((option) => {
+            option.selected = selected.includes(option.value);
+        });
+    }
+
+    /**
+     * Side names for IDs, taken from the "Visible to sides" options
+     */
+    function getSideNames(sideIds) {
+        const options = visibleSidesSelect
+            ? Array.from(visibleSidesSelect.options)
+            : [];
+
+        return sideIds.map((sideId) => {
+            const option = options.find(
+                (item) => item.value === String(sideId)
+            );
+            return option ? option.textContent.trim() : `#${sideId}`;
+        });
+    }
+
+    /**
+     * Check that the scheduled end comes after the start
+     * @returns {string|null} Error message
+     */
+    function getScheduleError() {
+        const activeFrom = getScheduleValue(activeFromInput);
+        const activeUntil = getScheduleValue(activeUntilInput);
+
+        if (
+            activeFrom &&
+            activeUntil &&
+            Date.parse(activeUntil) <= Date.parse(activeFrom)
+        ) {
+            return '"Active until" must be later than "Active from"';
+        }
+        return null;
+    }
+
+    /**
+     * Schedule input (local time) as ISO time for the server
+     * @returns {string} Empty string clears the schedule field
+     */
+    function getScheduleValue(input) {
+        if (!input || !input.value) {
+            return '';
+        }
+
+        const time = new Date(input.value);
+        return isNaN(time.getTime()) ? '' : time.toISOString();
+    }
+
+    /**
+     * Show ISO time from the server in a datetime-local input
+     */
+    function setScheduleValue(input, value) {
+        if (!input) {
+            return;
+        }
+
+        const time = value ? new Date(value) : null;
+        if (!time || isNaN(time.getTime())) {
+            input.value = '';
+            return;
+        }
+
+        // datetime-local expects local time without offset
+        const local = new Date(time.getTime() - time.getTimezoneOffset() * 6e4);
+        input.value = local.toISOString().slice(0, 16);
+    }
+
     /**
      * Submit geo object form
      */
@@ -149,6 +343,8 @@ function initGeoObjectForm(mapInstance) {
                 : `/geo-object/${currentObjectId}/update`;
 
         showObjectsLoading();
+        saveInFlight = true;
+        const previousObject = editBaseObject;
 
         // Get form elements
         const descriptionInput = document.querySelector(
@@ -165,6 +361,9 @@ function initGeoObjectForm(mapInstance) {
             hash: hashInput ? hashInput.value : '',
             mapId: mapIdInput.value,
             sideId: sideSelect ? sideSelect.value : null,
+            visibleToSides: getVisibleToSides(),
+            activeFrom: getScheduleValue(activeFromInput),
+            activeUntil: getScheduleValue(activeUntilInput),
         };
 
         // Handle geoJson - parse if it's a string
@@ -204,10 +403,28 @@ function initGeoObjectForm(mapInstance) {
                     // Show success message
                     if (action === 'create') {
                         console.log('Geo object created successfully');
+                        if (data.object) {
+                            recordObjectCommand(
+                                createObjectCommand(data.object, jsonData.mapId)
+                            );
+                        }
                         // Reset form only after create
                         resetForm();
                     } else {
                         console.log('Geo object updated successfully');
+                        if (previousObject && data.object) {
+                            recordObjectCommand(
+                                updateObjectCommand(
+                                    previousObject,
+                                    data.object,
+                                    jsonData.mapId
+                                )
+                            );
+                        }
+                        // Our own version is now the base for conflict checks
+                        editBaseObject = data.object || editBaseObject;
+                        historyPanel.invalidate();
+                        hideConflictWarning();
                         // For updates, just show a temporary success indicator
                         showSuccessMessage('Object updated successfully');
                     }
@@ -220,6 +437,9 @@ function initGeoObjectForm(mapInstance) {
                 console.error('Error:', error);
                 showErrorMessage('Network error occurred');
                 refreshGeoObjects(); // Refresh anyway to show current state
+            })
+            .finally(() => {
+                saveInFlight = false;
             });
     }
 
@@ -239,6 +459,11 @@ function initGeoObjectForm(mapInstance) {
         if (formTitle) {
             formTitle.textContent = 'Create New Geo Object';
         }
+
+        // New objects have no history
+        if (formTabs) formTabs.style.display = 'none';
+        showFormTab('details');
+        historyPanel.setObject(null);
     }
 
     /**
@@ -257,12 +482,43 @@ function initGeoObjectForm(mapInstance) {
         if (formTitle) {
             formTitle.textContent = 'Edit Geo Object';
         }
+
+        if (formTabs) formTabs.style.display = '';
+        historyPanel.setObject(objectId);
+    }
+
+    /**
+     * Switch between the form ("details") and the revision log ("history")
+     */
+    function showFormTab(tab) {
+        const showHistory = tab === 'history' && !!historyContainer;
+        const activeTab = showHistory ? 'history' : 'details';
+
+        form.style.display = showHistory ? 'none' : '';
+        if (historyContainer) {
+            historyContainer.style.display = showHistory ? '' : 'none';
+        }
+        if (formTabs) {
+            formTabs.querySelectorAll('[data-geo-form-tab]').forEach((link) => {
+                link.classList.toggle(
+                    'active',
+                    link.dataset.geoFormTab === activeTab
+                );
+            });
+        }
+
+        if (showHistory) {
+            historyPanel.show();
+        } else {
+            historyPanel.hide();
+        }
     }
 
     /**
      * Load object data for editing
+     * @param {string} tab - Tab to show once loaded ("details" or "history")
      */
-    function loadObjectData(objectId) {
+    function loadObjectData(objectId, tab = 'details') {
         fetch(`/geo-object/${objectId}`)
             .then((response) => response.json())
             .then((data) => {
@@ -278,6 +534,9 @@ function initGeoObjectForm(mapInstance) {
                                 ? obj.ttl
                                 : ''; // Fix for TTL=0 (unlimited)
                     if (sideSelect) sideSelect.value = obj.sideId || '';
+                    setVisibleToSides(obj.visibleToSides);
+                    setScheduleValue(activeFromInput, obj.activeFrom);
+                    setScheduleValue(activeUntilInput, obj.activeUntil);
                     if (geoJsonInput)
                         geoJsonInput.value = JSON.stringify(obj.geoJson) || ''; // Changed from obj.geometry and ensure JSON string
 
@@ -291,8 +550,12 @@ function initGeoObjectForm(mapInstance) {
                     // Update type help text with correct field name
                     updateTypeHelp(obj.type || '');
 
-                    // Enable drawing mode for the current type
-                    if (obj.type) {
+                    // Image overlays are edited in the image panel
+                    if (obj.type === 'Image') {
+                        disableDrawingMode();
+                        imageEditor.start(obj.geoJson, objectId);
+                    } else if (obj.type) {
+                        // Enable drawing mode for the current type
                         enableDrawingMode(obj.type);
 
                         // Load existing geometry for editing mode with draggable markers
@@ -347,6 +610,11 @@ function initGeoObjectForm(mapInstance) {
 
                     // Set edit mode
                     setEditMode(objectId);
+                    showFormTab(tab);
+
+                    // Remember loaded state for conflict detection
+                    editBaseObject = obj;
+                    hideConflictWarning();
 
                     console.log(
                         'Geo object loaded for editing:',
@@ -399,10 +667,210 @@ function initGeoObjectForm(mapInstance) {
         // Return to create mode
         setCreateMode();
 
+        // Nothing is being edited anymore
+        editBaseObject = null;
+        hideConflictWarning();
+
         // Disable drawing mode
         disableDrawingMode();
     }
 
+    /**
+     * Check if two object states are the same from the editor's point of view
+     */
+    function isSameObjectState(first, second) {
+        const fields = [
+            'title',
+            'description',
+            'type',
+            'geoJson',
+            'ttl',
+            'activeFrom',
+            'activeUntil',
+            'iconUrl',
+            'sideId',
+            'visibleToSides',
+            'updatedAt',
+        ];
+
+        return fields.every(
+            (field) =>
+                JSON.stringify(first[field] ?? null) ===
+                JSON.stringify(second[field] ?? null)
+        );
+    }
+
+    /**
+     * React to changes received from the map change feed
+     * Warns when the object open in the form was changed by someone else
+     */
+    function handleRemoteChanges(event) {
+        const history = getHistory();
+        if (
+            currentMode !== 'edit' ||
+            !currentObjectId ||
+            saveInFlight ||
+            (history && history.busy)
+        ) {
+            return;
+        }
+
+        const changes = event.detail || {};
+        const editedId = String(currentObjectId);
+
+        const wasRemoved = (changes.removed || []).some(
+            (id) => String(id) === editedId
+        );
+        if (wasRemoved) {
+            showConflictWarning('deleted');
+            return;
+        }
+
+        const remoteObject = (changes.updated || []).find(
+            (object) => String(object.id) === editedId
+        );
+        if (
+            remoteObject &&
+            (!editBaseObject ||
+                !isSameObjectState(editBaseObject, remoteObject))
+        ) {
+            showConflictWarning('updated', remoteObject);
+        }
+    }
+
+    /**
+     * Undo/redo history shared with the map (see MapGeoObjectManager)
+     */
+    function getHistory() {
+        return map.geoObjectManager ? map.geoObjectManager.history : null;
+    }
+
+    /**
+     * Register object operation so it can be undone
+     */
+    function recordObjectCommand(command) {
+        const history = getHistory();
+        if (history) {
+            history.push(command);
+        }
+    }
+
+    /**
+     * Report undo/redo of object operations and sync form and list
+     */
+    function handleHistoryEvent(event) {
+        if (event.type === 'error' && event.command.scope === 'object') {
+            showErrorMessage(
+                `Could not ${event.action} "${event.command.label}": ${event.error.message}`
+            );
+            refreshGeoObjects();
+            return;
+        }
+
+        if (
+            (event.type !== 'undo' && event.type !== 'redo') ||
+            event.command.scope !== 'object'
+        ) {
+            return;
+        }
+
+        const ref = event.command.ref;
+        if (
+            currentMode === 'edit' &&
+            String(currentObjectId) === String(ref.id)
+        ) {
+            if (ref.object) {
+                // Restored state is ours - don't report it as a remote edit
+                editBaseObject = ref.object;
+                historyPanel.invalidate();
+                loadObjectData(ref.id);
+            } else {
+                resetForm();
+            }
+        }
+
+        showSuccessMessage(
+            `${event.type === 'undo' ? 'Undone' : 'Redone'}: ${event.command.label}`
+        );
+        refreshGeoObjects();
+    }
+
+    /**
+     * Show "edited by someone else" warning above the form
+     */
+    function showConflictWarning(kind, remoteObject = null) {
+        hideConflictWarning();
+
+        const alert = document.createElement('div');
+        alert.className = 'alert alert-warning geo-object-conflict-alert';
+
+        if (kind === 'deleted') {
+            alert.innerHTML = `
+                <i class="fas fa-exclamation-triangle me-2"></i>
+                This object was <strong>deleted by someone else</strong> while you were editing it.
+                <div class="mt-2">
+                    <button type="button" class="btn btn-sm btn-outline-secondary conflict-close-btn">
+                        <i class="fas fa-times"></i> Close editor
+                    </button>
+                </div>
+            `;
+            if (updateBtn) updateBtn.disabled = true;
+        } else {
+            alert.innerHTML = `
+                <i class="fas fa-exclamation-triangle me-2"></i>
+                This object was <strong>edited by someone else</strong> while you were editing it.
+                Saving now will overwrite their changes.
+                <div class="mt-2">
+                    <button type="button" class="btn btn-sm btn-warning conflict-reload-btn">
+                        <i class="fas fa-sync-alt"></i> Load their version
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary conflict-keep-btn">
+                        Keep mine
+                    </button>
+                </div>
+            `;
+        }
+
+        const formTitle = document.querySelector('.geo-form-title');
+        if (formTitle) {
+            formTitle.insertAdjacentElement('afterend', alert);
+        } else {
+            form.prepend(alert);
+        }
+
+        const closeBtn = alert.querySelector('.conflict-close-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => resetForm());
+        }
+
+        const reloadBtn = alert.querySelector('.conflict-reload-btn');
+        if (reloadBtn) {
+            reloadBtn.addEventListener('click', () =>
+                loadObjectData(currentObjectId)
+            );
+        }
+
+        const keepBtn = alert.querySelector('.conflict-keep-btn');
+        if (keepBtn) {
+            keepBtn.addEventListener('click', () => {
+                // Accept remote state as base; next save overwrites it knowingly
+                editBaseObject = remoteObject;
+                hideConflictWarning();
+            });
+        }
+    }
+
+    /**
+     * Remove conflict warning and re-enable saving
+     */
+    function hideConflictWarning() {
+        document
+            .querySelectorAll('.geo-object-conflict-alert')
+            .forEach((element) => element.remove());
+
+        if (updateBtn) updateBtn.disabled = false;
+    }
+
     /**
      * Convert form geometry type to map-compatible type
      */
@@ -421,6 +889,15 @@ function initGeoObjectForm(mapInstance) {
     function enableDrawingMode(type) {
         drawingMode = true;
 
+        if (type === 'Image') {
+            if (map.disableDrawingMode) {
+                map.disableDrawingMode();
+            }
+            imageEditor.start();
+            return;
+        }
+        imageEditor.stop();
+
         // Convert type for map compatibility
         const mapType = convertTypeForMap(type);
 
@@ -443,6 +920,8 @@ function initGeoObjectForm(mapInstance) {
         if (map && map.disableDrawingMode) {
             map.disableDrawingMode();
         }
+
+        imageEditor.stop();
     }
 
     /**
@@ -476,6 +955,11 @@ function initGeoObjectForm(mapInstance) {
                     ? 'Click to change center or adjust radius. Click "Update" when satisfied.'
                     : 'First click sets center, second click sets radius. Drag yellow center or purple radius markers to adjust. Click "Create" when satisfied.';
                 break;
+            case 'Image':
+                helpText.textContent = isEditMode
+                    ? 'Drag the corners or adjust control points below. Click "Update" when finished.'
+                    : 'Upload an image, then place it by dragging its corners or by control points. Click "Create" when satisfied.';
+                break;
             default:
                 helpText.textContent =
                     'Select a type from the dropdown to start creating a geo object on the map.';
@@ -645,6 +1129,9 @@ function initGeoObjectForm(mapInstance) {
         } else if (object.type === 'Line') {
             iconClass = 'fas fa-route';
             iconColor = '#ffc107';
+        } else if (object.type === 'Image') {
+            iconClass = 'fas fa-image';
+            iconColor = '#6f42c1';
         }
 
         // TTL Status Icon
@@ -653,6 +1140,9 @@ function initGeoObjectForm(mapInstance) {
             if (object.isExpired) {
                 ttlStatusIcon =
                     '<i class="fas fa-eye-slash text-danger" title="Object has expired (not visible)" style="font-size: 14px;"></i>';
+            } else if (object.isPending) {
+                ttlStatusIcon =
+                    '<i class="fas fa-hourglass-start text-warning" title="Scheduled, not visible yet" style="font-size: 14px;"></i>';
             } else {
                 ttlStatusIcon =
                     '<i class="fas fa-eye text-success" title="Object is visible" style="font-size: 14px;"></i>';
@@ -661,28 +1151,19 @@ function initGeoObjectForm(mapInstance) {
 
         // Format TTL display using new fields
         let ttlDisplay = 'Unlimited time';
-        if (object.remainingTtl !== undefined && object.remainingTtl !== null) {
+        if (object.isPending && !object.isExpired) {
+            // Live countdown to the scheduled start
+            ttlDisplay = `Starts in: ${formatActivationCountdown(object)}`;
+        } else if (
+            object.remainingTtl !== undefined &&
+            object.remainingTtl !== null
+        ) {
             if (object.isExpired) {
                 ttlDisplay =
                     '<span class="text-danger"><i class="fas fa-exclamation-triangle"></i> Expired</span>';
             } else {
-                const remaining = object.remainingTtl;
-                if (remaining >= 3600) {
-                    const hours = Math.floor(remaining / 3600);
-                    const minutes = Math.floor((remaining % 3600) / 60);
-                    ttlDisplay = `Expires in: ${hours} hour${
-                        hours !== 1 ? 's' : ''
-                    }`;
-                    if (minutes > 0) {
-                        ttlDisplay += ` ${minutes} min`;
-                    }
-                } else if (remaining >= 60) {
-                    ttlDisplay = `Expires in: ${Math.floor(
-                        remaining / 60
-                    )} min`;
-                } else {
-                    ttlDisplay = `Expires in: ${remaining} sec`;
-                }
+                // Live countdown, updated every second (ttlCountdown.js)
+                ttlDisplay = `Expires in: ${formatCountdown(object)}`;
             }
         } else if (object.ttl && object.ttl > 0) {
             // Fallback to old TTL field if new fields are not available
@@ -709,11 +1190,26 @@ function initGeoObjectForm(mapInstance) {
                 <span class="badge" style="background-color: ${
                     object.side.color || '#6c757d'
                 }; color: white;">
-                    ${object.side.name}
+                    ${escapeHtml(object.side.name)}
                 </span>
             </div>`;
         }
 
+        // Objects shown to some sides only (visibleToSides)
+        if (Array.isArray(object.visibleToSides)) {
+            const names = escapeHtml(
+                getSideNames(object.visibleToSides).join(', ')
+            );
+            const visibilityText = names
+                ? `Only visible to: ${names}`
+                : 'Hidden from all sides';
+            sideDisplay += `<div class="side-visibility-info mt-1">
+                <small class="text-muted">
+                    <i class="fas fa-user-lock"></i> ${visibilityText}
+                </small>
+            </div>`;
+        }
+
         // Create icon display (custom icon or type-based fallback)
         let iconDisplay = '';
         if (object.iconUrl) {
@@ -739,7 +1235,7 @@ function initGeoObjectForm(mapInstance) {
                 ${iconDisplay}
                 <i class="${iconClass} me-2 geo-type-icon small" style="font-size: 12px; opacity: 0.7; color: #6c757d;"></i>
                 <div>
-                    <h5 class="mb-1">${object.title}</h5>
+                    <h5 class="mb-1">${escapeHtml(object.title)}</h5>
                     <small class="text-muted">${ttlDisplay}</small>
                     ${sideDisplay}
                 </div>
@@ -787,6 +1283,7 @@ function initGeoObjectForm(mapInstance) {
 
                     if (layerInfo && layerInfo.layer) {
                         const layer = layerInfo.layer;
+                        const clusters = map.geoObjectManager.markerClusters;
                         console.log('Layer type:', layer.constructor.name);
 
                         // Focus on the object
@@ -813,6 +1310,15 @@ function initGeoObjectForm(mapInstance) {
                                     popupOpened = true;
                                 }
                             });
+                        } else if (
+                            clusters.hasMarker(layer) &&
+                            !clusters.isMarkerShown(layer)
+                        ) {
+                            // Points may be inside a cluster - zoom until
+                            // the marker is shown by itself
+                            clusters.zoomToMarker(layer, () =>
+                                layer.openPopup()
+                            );
                         } else {
                             console.log('Handling single layer');
                             // Original logic for single layers
@@ -883,6 +1389,12 @@ function initGeoObjectForm(mapInstance) {
                 if (
                     confirm(`Are you sure you want to delete "${objectTitle}"?`)
                 ) {
+                    const deletedObject = map.geoObjectManager
+                        ? map.geoObjectManager.allObjects.find(
+                              (object) => String(object.id) === objectId
+                          )
+                        : null;
+
                     // Send delete request directly
                     fetch(`/geo-object/${objectId}/delete`, {
                         method: 'POST',
@@ -896,6 +1408,15 @@ function initGeoObjectForm(mapInstance) {
                                 // Force complete refresh of both map and list
                                 const mapId = mapIdInput.value;
 
+                                if (deletedObject) {
+                                    recordObjectCommand(
+                                        deleteObjectCommand(
+                                            deletedObject,
+                                            mapId
+                                        )
+                                    );
+                                }
+
                                 if (mapId) {
                                     // Clear and reload map objects
                                     if (map && map.geoObjectManager) {
@@ -1015,6 +1536,9 @@ function initGeoObjectForm(mapInstance) {
         setEditMode: function (objectId) {
             loadObjectData(objectId);
         },
+        showHistory: function (objectId) {
+            loadObjectData(objectId, 'history');
+        },
         resetForm: resetForm,
         refreshObjects: refreshGeoObjects,
         updateObjectsList: updateObjectsList,
@@ -1022,6 +1546,52 @@ function initGeoObjectForm(mapInstance) {
         showObjectsError: showObjectsError,
     };
 
+    // Warn about remote edits of the object open in the form
+    document.addEventListener('geo-objects-changed', handleRemoteChanges);
+
+    // Ctrl+Z / Ctrl+Shift+Z for object create/update/delete
+    const history = getHistory();
+    if (history) {
+        history.subscribe(handleHistoryEvent);
+    }
+
+    // GeoJSON/KML/GPX import dialog - sides come from the form's side select
+    new GeoJsonImportDialog({
+        leafletMap: map.getLeafletMap(),
+        mapId: mapIdInput.value,
+        sides: sideSelect
+            ? Array.from(sideSelect.options)
+                  .filter((option) => option.value)
+                  .map((option) => ({
+                      id: option.value,
+                      name: option.textContent.trim(),
+                      color: option.dataset.color || null,
+                  }))
+            : [],
+        getIcons: () => geoObjectIconSelector.availableIcons,
+        onImported: () => refreshGeoObjects(),
+    });
+
+    // Numeric vertex editor for the geometry being drawn or edited
+    new VertexTable({
+        containerSelector: '#geo-vertex-editor',
+        geoObjectManager: map.geoObjectManager,
+    });
+
+    // Export buttons - by default export what is currently shown on the map
+    document.querySelectorAll('[data-export-format]').forEach((button) => {
+        button.addEventListener('click', () => {
+            const applyFilters = document.getElementById(
+                'export-apply-filters'
+            );
+            window.location.href = map.geoObjectManager.getExportUrl(
+                mapIdInput.value,
+                button.dataset.exportFormat,
+                !applyFilters || applyFilters.checked
+            );
+        });
+    });
+
     // Initialize form
     setCreateMode();
 
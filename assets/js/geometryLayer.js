@@ -0,0 +1,48 @@
+import L from 'leaflet';
+import { getImageCorners, getOutline } from './georeferencedImage';
+
+/**
+ * Geometry layer
+ * Plain Leaflet layer for a stored geometry, used wherever objects are
+ * drawn without their full map representation (revision diff, rule
+ * builder, observer preview and geofence).
+ */
+
+/**
+ * Outline of a stored geometry
+ * @param {Object|string} geoJson - Geometry (may be a JSON string)
+ * @param {Object} style - Path style
+ * @returns {L.Layer|null}
+ */
+export function createGeometryLayer(geoJson, style) {
+    const geometry =
+        typeof geoJson === 'string' ? JSON.parse(geoJson) : geoJson;
+    if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+
+    const toLatLng = (position) => L.latLng(position[1], position[0]);
+
+    if (geometry.type === 'Image') {
+        const corners = getImageCorners(geometry);
+        return corners ? L.polygon(getOutline(corners), style) : null;
+    }
+    if (geometry.type === 'Polygon') {
+        return L.polygon(geometry.coordinates[0].map(toLatLng), style);
+    }
+    if (geometry.type === 'LineString') {
+        return L.polyline(geometry.coordinates.map(toLatLng), style);
+    }
+    if (geometry.radius) {
+        return L.circle(toLatLng(geometry.coordinates), {
+            ...style,
+            radius: geometry.radius,
+        });
+    }
+    if (geometry.type === 'Point') {
+        return L.circleMarker(toLatLng(geometry.coordinates), {
+            ...style,
+            radius: 8,
+        });
+    }
+
+    return null;
+}
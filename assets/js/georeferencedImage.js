@@ -0,0 +1,314 @@
+import L from 'leaflet';
+
+/**
+ * Georeferenced images
+ * Leaflet layer that pins an image (scanned map, drone orthophoto) to the
+ * map by three corners, plus helpers to place an image by control points.
+ *
+ * Geometry of Image objects (see GeoObject::validateImageGeometry()):
+ * coordinates is a closed ring top-left, top-right, bottom-right,
+ * bottom-left. The image is drawn with an affine transform in Web Mercator,
+ * so a photo can be rotated and skewed, not only stretched to bounds.
+ */
+
+export const DEFAULT_IMAGE_OPACITY = 0.7;
+
+const projection = L.Projection.SphericalMercator;
+
+export class GeoreferencedImageOverlay extends L.Layer {
+    /**
+     * @param {string} imageUrl - Image URL
+     * @param {L.LatLng[]} corners - Top-left, top-right, bottom-left
+     * @param {Object} options - {opacity, pane}
+     */
+    constructor(imageUrl, corners, options = {}) {
+        super();
+        L.Util.setOptions(this, options);
+
+        this.imageUrl = imageUrl;
+        this.corners = corners.map((corner) => L.latLng(corner));
+        this.opacity = options.opacity ?? DEFAULT_IMAGE_OPACITY;
+        this.visible = true;
+        this.image = null;
+    }
+
+    onAdd() {
+        if (!this.image) {
+            this.image = L.DomUtil.create(
+                'img',
+                'leaflet-image-layer georeferenced-image leaflet-zoom-hide'
+            );
+            this.image.alt = '';
+            this.image.style.transformOrigin = '0 0';
+            this.image.onload = () => this.update();
+            this.image.src = this.imageUrl;
+        }
+
+        this.getPane().appendChild(this.image);
+        this.applyStyle();
+        this.update();
+    }
+
+    onRemove() {
+        L.DomUtil.remove(this.image);
+    }
+
+    getEvents() {
+        return {
+            zoomend: this.update,
+            viewreset: this.update,
+        };
+    }
+
+    /**
+     * Position image so its corners match the corner coordinates
+     */
+    update() {
+        if (!this._map || !this.image || !this.image.naturalWidth) {
+            return;
+        }
+
+        const width = this.image.naturalWidth;
+        const height = this.image.naturalHeight;
+        const [topLeft, topRight, bottomLeft] = this.corners.map((corner) =>
+            this._map.latLngToLayerPoint(corner)
+        );
+
+        const matrix = [
+            (topRight.x - topLeft.x) / width,
+            (topRight.y - topLeft.y) / width,
+            (bottomLeft.x - topLeft.x) / height,
+            (bottomLeft.y - topLeft.y) / height,
+            topLeft.x,
+            topLeft.y,
+        ];
+
+        this.image.style.width = `${width}px`;
+        this.image.style.height = `${height}px`;
+        this.image.style.transform = `matrix(${matrix.join(',')})`;
+    }
+
+    applyStyle() {
+        if (!this.image) return;
+
+        this.image.style.opacity = this.opacity;
+        this.image.style.display = this.visible ? '' : 'none';
+    }
+
+    /**
+     * @param {L.LatLng[]} corners - Top-left, top-right, bottom-left
+     */
+    setCorners(corners) {
+        this.corners = corners.map((corner) => L.latLng(corner));
+        this.update();
+        return this;
+    }
+
+    getCorners() {
+        return this.corners;
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        this.applyStyle();
+        return this;
+    }
+
+    getOpacity() {
+        return this.opacity;
+    }
+
+    /**
+     * Show or hide the image without removing the layer
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.applyStyle();
+        return this;
+    }
+
+    isVisible() {
+        return this.visible;
+    }
+
+    getBounds() {
+        return L.latLngBounds(getOutline(this.corners));
+    }
+
+    getElement() {
+        return this.image;
+    }
+}
+
+/**
+ * Corners of an Image geometry
+ * @param {Object} geoJson - Image geometry
+ * @returns {L.LatLng[]|null} Top-left, top-right, bottom-left
+ */
+export function getImageCorners(geoJson) {
+    const ring = geoJson && geoJson.coordinates && geoJson.coordinates[0];
+    if (!Array.isArray(ring) || ring.length < 4) {
+        return null;
+    }
+
+    return [ring[0], ring[1], ring[3]].map((position) =>
+        L.latLng(position[1], position[0])
+    );
+}
+
+/**
+ * Four corners of the image (bottom-right completes the parallelogram)
+ * @param {L.LatLng[]} corners - Top-left, top-right, bottom-left
+ * @returns {L.LatLng[]} Top-left, top-right, bottom-right, bottom-left
+ */
+export function getOutline(corners) {
+    const [topLeft, topRight, bottomLeft] = corners.map((corner) =>
+        projection.project(L.latLng(corner))
+    );
+    const bottomRight = topRight.add(bottomLeft).subtract(topLeft);
+
+    return [topLeft, topRight, bottomRight, bottomLeft].map((point) =>
+        projection.unproject(point)
+    );
+}
+
+/**
+ * Build Image geometry as stored for geo objects
+ * @param {Object} image - {corners, imageUrl, imageSize, opacity,
+ *     controlPoints}
+ * @returns {Object} Geometry
+ */
+export function toImageGeometry(image) {
+    const ring = getOutline(image.corners).map((latlng) => [
+        roundCoordinate(latlng.lng),
+        roundCoordinate(latlng.lat),
+    ]);
+
+    const geometry = {
+        type: 'Image',
+        coordinates: [ring.concat([ring[0]])],
+        imageUrl: image.imageUrl,
+        opacity: image.opacity ?? DEFAULT_IMAGE_OPACITY,
+    };
+
+    if (image.imageSize) {
+        geometry.imageSize = image.imageSize;
+    }
+
+    if (image.controlPoints && image.controlPoints.length > 0) {
+        geometry.controlPoints = image.controlPoints;
+    }
+
+    return geometry;
+}
+
+/**
+ * Place image by control points (least squares affine fit)
+ * @param {Array} controlPoints - [{pixel: [x, y], coordinates: [lng, lat]}]
+ * @param {number[]} imageSize - [width, height] in pixels
+ * @returns {{corners: L.LatLng[], error: number}|null} Top-left, top-right
+ *     and bottom-left corners and RMS error in meters, null when points are
+ *     fewer than 3 or lie on one line
+ */
+export function fitControlPoints(controlPoints, imageSize) {
+    if (!controlPoints || controlPoints.length < 3 || !imageSize) {
+        return null;
+    }
+
+    const targets = controlPoints.map((point) =>
+        projection.project(
+            L.latLng(point.coordinates[1], point.coordinates[0])
+        )
+    );
+    const pixels = controlPoints.map((point) => point.pixel);
+
+    const xParams = solveLeastSquares(
+        pixels,
+        targets.map((target) => target.x)
+    );
+    const yParams = solveLeastSquares(
+        pixels,
+        targets.map((target) => target.y)
+    );
+    if (!xParams || !yParams) {
+        return null;
+    }
+
+    const transform = ([x, y]) =>
+        L.point(
+            xParams[0] * x + xParams[1] * y + xParams[2],
+            yParams[0] * x + yParams[1] * y + yParams[2]
+        );
+
+    // Mercator meters are stretched by 1 / cos(latitude)
+    const scale = Math.cos(
+        (controlPoints[0].coordinates[1] * Math.PI) / 180
+    );
+    const squaredError = targets.reduce(
+        (sum, target, index) =>
+            sum + transform(pixels[index]).distanceTo(target) ** 2,
+        0
+    );
+
+    const [width, height] = imageSize;
+
+    return {
+        corners: [
+            [0, 0],
+            [width, 0],
+            [0, height],
+        ].map((pixel) => projection.unproject(transform(pixel))),
+        error: Math.sqrt(squaredError / targets.length) * scale,
+    };
+}
+
+/**
+ * Solve value = a * x + b * y + c for [a, b, c] (normal equations)
+ * @returns {number[]|null} null when points are collinear
+ */
+function solveLeastSquares(pixels, values) {
+    const matrix = [
+        [0, 0, 0],
+        [0, 0, 0],
+        [0, 0, 0],
+    ];
+    const vector = [0, 0, 0];
+
+    pixels.forEach(([x, y], index) => {
+        const row = [x, y, 1];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                matrix[i][j] += row[i] * row[j];
+            }
+            vector[i] += row[i] * values[index];
+        }
+    });
+
+    const determinant = det3(matrix);
+    if (
+        Math.abs(determinant) <=
+        1e-9 * Math.abs(matrix[0][0] * matrix[1][1] * matrix[2][2])
+    ) {
+        return null;
+    }
+
+    // Cramer's rule
+    return [0, 1, 2].map((column) => {
+        const replaced = matrix.map((row, i) =>
+            row.map((value, j) => (j === column ? vector[i] : value))
+        );
+        return det3(replaced) / determinant;
+    });
+}
+
+function det3(m) {
+    return (
+        m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])
+    );
+}
+
+function roundCoordinate(value) {
+    return Math.round(value * 1e7) / 1e7;
+}
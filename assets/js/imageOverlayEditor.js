@@ -0,0 +1,599 @@
+import {
+    DEFAULT_IMAGE_OPACITY,
+    GeoreferencedImageOverlay,
+    fitControlPoints,
+    getImageCorners,
+    getOutline,
+    toImageGeometry,
+} from './georeferencedImage';
+
+/**
+ * Image overlay editor
+ * Form panel for Image objects: uploads the image and pins it to the map
+ * either by dragging/typing its corners or by 3+ control points (a point
+ * clicked on the image and the same place clicked on the map or typed).
+ * Reports the resulting geometry through onChange.
+ */
+
+const CORNER_LABELS = ['TL', 'TR', 'BL'];
+
+export default class ImageOverlayEditor {
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                containerSelector: '#geo-image-editor',
+                uploadUrl: '/geo-object/overlay-image',
+                leafletMap: null,
+                geoObjectManager: null,
+                onChange: () => {},
+            },
+            options
+        );
+
+        this.container = document.querySelector(this.options.containerSelector);
+        this.map = this.options.leafletMap;
+        this.active = false;
+        this.reset();
+
+        this.mapClickHandler = (e) => this.placePickedPoint(e.latlng);
+
+        if (this.container && this.map) {
+            this.init();
+        }
+    }
+
+    /**
+     * Clear image and placement state
+     */
+    reset() {
+        this.imageUrl = null;
+        this.imageSize = null;
+        this.opacity = DEFAULT_IMAGE_OPACITY;
+        this.corners = null;
+        this.mode = 'corners';
+        this.controlPoints = []; // {pixel: [x, y], latlng: L.LatLng|null}
+        this.pickingIndex = null;
+        this.hiddenItem = null;
+    }
+
+    /**
+     * Bind panel controls
+     */
+    init() {
+        const find = (selector) => this.container.querySelector(selector);
+
+        this.fileInput = find('.geo-image-file');
+        this.previewWrapper = find('.geo-image-preview-wrapper');
+        this.preview = find('.geo-image-preview');
+        this.previewPoints = find('.geo-image-preview-points');
+        this.opacityInput = find('.geo-image-opacity');
+        this.cornersPanel = find('.geo-image-corners');
+        this.pointsPanel = find('.geo-image-points');
+        this.pointRows = find('.geo-image-point-rows');
+        this.message = find('.geo-image-message');
+
+        this.fileInput.addEventListener('change', () => this.uploadImage());
+
+        this.opacityInput.addEventListener('input', () => {
+            this.opacity = this.opacityInput.value / 100;
+            if (this.overlay) {
+                this.overlay.setOpacity(this.opacity);
+            }
+            this.emitChange();
+        });
+
+        this.container
+            .querySelectorAll('input[name="geo-image-mode"]')
+            .forEach((radio) =>
+                radio.addEventListener('change', () => {
+                    if (radio.checked) this.setMode(radio.value);
+                })
+            );
+
+        this.cornersPanel.addEventListener('change', (e) =>
+            this.updateCornerFromInput(e.target)
+        );
+        find('.geo-image-fit').addEventListener('click', () => {
+            this.fitToView();
+            this.redraw();
+        });
+
+        find('.geo-image-add-point').addEventListener('click', () =>
+            this.startPickOnImage()
+        );
+        this.preview.addEventListener('click', (e) =>
+            this.pickImagePixel(e)
+        );
+        this.preview.addEventListener('load', () => {
+            // Real image size is known only after loading
+            this.imageSize = [
+                this.preview.naturalWidth,
+                this.preview.naturalHeight,
+            ];
+            if (!this.corners) {
+                this.fitToView();
+            }
+            this.redraw();
+        });
+
+        this.pointRows.addEventListener('change', (e) =>
+            this.updatePointFromInput(e.target)
+        );
+        this.pointRows.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="delete"]');
+            if (button) {
+                this.controlPoints.splice(Number(button.dataset.index), 1);
+                this.stopPicking();
+                this.redraw();
+            }
+        });
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Show panel and load existing geometry
+     * @param {Object|null} geoJson - Image geometry of the edited object
+     * @param {string|number|null} objectId - Edited object, its layer is
+     *     hidden while the preview is shown
+     */
+    start(geoJson = null, objectId = null) {
+        if (!this.container) return;
+
+        this.stop();
+        this.active = true;
+        this.container.style.display = '';
+
+        if (geoJson && geoJson.imageUrl) {
+            this.imageUrl = geoJson.imageUrl;
+            this.imageSize = geoJson.imageSize || null;
+            this.opacity = geoJson.opacity ?? DEFAULT_IMAGE_OPACITY;
+            this.corners = getImageCorners(geoJson);
+            this.controlPoints = (geoJson.controlPoints || []).map(
+                (point) => ({
+                    pixel: point.pixel,
+                    latlng: L.latLng(
+                        point.coordinates[1],
+                        point.coordinates[0]
+                    ),
+                })
+            );
+            this.mode = this.controlPoints.length ? 'points' : 'corners';
+            this.preview.src = this.imageUrl;
+            this.previewWrapper.style.display = '';
+        }
+
+        this.hideObjectLayer(objectId);
+        this.opacityInput.value = Math.round(this.opacity * 100);
+        this.container.querySelector(
+            `input[name="geo-image-mode"][value="${this.mode}"]`
+        ).checked = true;
+        this.redraw();
+
+        if (this.corners) {
+            this.map.fitBounds(L.latLngBounds(getOutline(this.corners)));
+        }
+    }
+
+    /**
+     * Hide panel and remove preview from the map
+     */
+    stop() {
+        if (!this.container) return;
+
+        this.stopPicking();
+        this.clearMapLayers();
+        this.restoreObjectLayer();
+        this.reset();
+
+        this.active = false;
+        this.container.style.display = 'none';
+        this.fileInput.value = '';
+        this.preview.removeAttribute('src');
+        this.previewWrapper.style.display = 'none';
+        this.previewPoints.innerHTML = '';
+        this.pointRows.innerHTML = '';
+        this.showMessage('');
+    }
+
+    /**
+     * Hide rendered layer of the edited object behind the preview
+     */
+    hideObjectLayer(objectId) {
+        const manager = this.options.geoObjectManager;
+        const item =
+            manager && objectId ? manager.geoObjectLayers[objectId] : null;
+
+        if (item && item.layer && this.map.hasLayer(item.layer)) {
+            this.map.removeLayer(item.layer);
+            this.hiddenItem = { id: objectId, item };
+        }
+    }
+
+    restoreObjectLayer() {
+        const manager = this.options.geoObjectManager;
+        if (!this.hiddenItem || !manager) return;
+
+        const { id, item } = this.hiddenItem;
+        // Layer may have been replaced by a reload meanwhile
+        if (
+            manager.geoObjectLayers[id] === item &&
+            manager.isObjectVisible(item.data)
+        ) {
+            item.layer.addTo(this.map);
+        }
+        this.hiddenItem = null;
+    }
+
+    /**
+     * Upload selected file and show it on the map
+     */
+    uploadImage() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        const formData = new FormData();
+        formData.append('image', file);
+        this.showMessage('Uploading image...');
+
+        fetch(this.options.uploadUrl, { method: 'POST', body: formData })
+            .then((response) => response.json())
+            .then((data) => {
+                if (!data.success) {
+                    throw new Error(data.message || 'Upload failed');
+                }
+
+                this.imageUrl = data.url;
+                this.imageSize = [data.width, data.height];
+                this.controlPoints = [];
+                this.preview.src = data.url;
+                this.previewWrapper.style.display = '';
+                this.showMessage('');
+            })
+            .catch((error) => {
+                this.showMessage(error.message, true);
+            });
+    }
+
+    /**
+     * Place image in the middle of the visible area keeping its aspect ratio
+     */
+    fitToView() {
+        if (!this.imageSize) return;
+
+        const [width, height] = this.imageSize;
+        const size = this.map.getSize();
+        const scale = 0.6 * Math.min(size.x / width, size.y / height);
+        const topLeft = size
+            .divideBy(2)
+            .subtract(L.point(width * scale, height * scale).divideBy(2));
+
+        this.corners = [
+            topLeft,
+            topLeft.add(L.point(width * scale, 0)),
+            topLeft.add(L.point(0, height * scale)),
+        ].map((point) => this.map.containerPointToLatLng(point));
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.stopPicking();
+        this.redraw();
+    }
+
+    /**
+     * Recalculate placement and update map preview, tables and geometry
+     */
+    redraw() {
+        let fitError = null;
+
+        if (this.mode === 'points') {
+            const fit = fitControlPoints(
+                this.getCompleteControlPoints(),
+                this.imageSize
+            );
+            if (fit) {
+                this.corners = fit.corners;
+                fitError = fit.error;
+            }
+        }
+
+        this.cornersPanel.style.display =
+            this.mode === 'corners' ? '' : 'none';
+        this.pointsPanel.style.display = this.mode === 'points' ? '' : 'none';
+
+        this.drawMapLayers();
+        this.renderCornerInputs();
+        this.renderControlPoints();
+
+        if (this.mode === 'points' && this.pickingIndex === null) {
+            const count = this.getCompleteControlPoints().length;
+            this.showMessage(
+                fitError !== null
+                    ? `Fit error: ${fitError.toFixed(1)} m (${count} points)`
+                    : 'Add at least 3 control points that are not on one line.'
+            );
+        }
+
+        this.emitChange();
+    }
+
+    emitChange() {
+        if (!this.active) return;
+
+        if (!this.imageUrl || !this.corners) {
+            this.options.onChange(null);
+            return;
+        }
+
+        const controlPoints =
+            this.mode === 'points' ? this.getCompleteControlPoints() : [];
+
+        this.options.onChange(
+            toImageGeometry({
+                corners: this.corners,
+                imageUrl: this.imageUrl,
+                imageSize: this.imageSize,
+                opacity: this.opacity,
+                controlPoints: controlPoints.length >= 3 ? controlPoints : null,
+            })
+        );
+    }
+
+    /**
+     * Control points with both image pixel and map position
+     * @returns {Array} [{pixel, coordinates: [lng, lat]}]
+     */
+    getCompleteControlPoints() {
+        return this.controlPoints
+            .filter((point) => point.pixel && point.latlng)
+            .map((point) => ({
+                pixel: point.pixel,
+                coordinates: [
+                    Math.round(point.latlng.lng * 1e7) / 1e7,
+                    Math.round(point.latlng.lat * 1e7) / 1e7,
+                ],
+            }));
+    }
+
+    /**
+     * Image, outline, corner markers (corners mode) and control point
+     * markers (points mode) on the map
+     */
+    drawMapLayers() {
+        this.clearMapLayers();
+        if (!this.imageUrl) return;
+
+        this.editLayer = L.layerGroup().addTo(this.map);
+
+        if (this.corners) {
+            this.overlay = new GeoreferencedImageOverlay(
+                this.imageUrl,
+                this.corners,
+                { opacity: this.opacity }
+            ).addTo(this.editLayer);
+
+            L.polygon(getOutline(this.corners), {
+                color: '#6f42c1',
+                weight: 1,
+                dashArray: '4 4',
+                fill: false,
+                interactive: false,
+            }).addTo(this.editLayer);
+        }
+
+        if (this.mode === 'corners' && this.corners) {
+            this.corners.forEach((corner, index) => {
+                const marker = this.createLabelMarker(
+                    corner,
+                    CORNER_LABELS[index],
+                    'image-corner-marker'
+                );
+                marker.on('drag', () => {
+                    this.corners[index] = marker.getLatLng();
+                    this.overlay.setCorners(this.corners);
+                });
+                marker.on('dragend', () => this.redraw());
+            });
+        }
+
+        if (this.mode === 'points') {
+            this.controlPoints.forEach((point, index) => {
+                if (!point.latlng) return;
+
+                const marker = this.createLabelMarker(
+                    point.latlng,
+                    String(index + 1),
+                    'image-control-point-marker'
+                );
+                marker.on('dragend', () => {
+                    point.latlng = marker.getLatLng();
+                    this.redraw();
+                });
+            });
+        }
+    }
+
+    createLabelMarker(latlng, label, className) {
+        return L.marker(latlng, {
+            draggable: true,
+            icon: L.divIcon({
+                className,
+                html: `<div>${label}</div>`,
+                iconSize: [0, 0],
+            }),
+        }).addTo(this.editLayer);
+    }
+
+    clearMapLayers() {
+        if (this.editLayer) {
+            this.map.removeLayer(this.editLayer);
+            this.editLayer = null;
+        }
+        this.overlay = null;
+    }
+
+    renderCornerInputs() {
+        this.cornersPanel
+            .querySelectorAll('tr[data-corner]')
+            .forEach((row) => {
+                const corner = this.corners
+                    ? this.corners[row.dataset.corner]
+                    : null;
+                row.querySelectorAll('[data-field]').forEach((input) => {
+                    if (document.activeElement === input) return;
+                    input.value = corner
+                        ? corner[input.dataset.field].toFixed(6)
+                        : '';
+                    input.disabled = !corner;
+                });
+            });
+    }
+
+    /**
+     * Apply typed corner coordinate
+     */
+    updateCornerFromInput(input) {
+        const row = input.closest('tr[data-corner]');
+        const value = parseFloat(input.value);
+        if (!row || !this.corners || !Number.isFinite(value)) return;
+
+        const index = Number(row.dataset.corner);
+        const corner = this.corners[index];
+        this.corners[index] =
+            input.dataset.field === 'lat'
+                ? L.latLng(value, corner.lng)
+                : L.latLng(corner.lat, value);
+        this.redraw();
+    }
+
+    renderControlPoints() {
+        this.pointRows.innerHTML = this.controlPoints.length
+            ? this.controlPoints
+                  .map((point, index) => this.renderPointRow(point, index))
+                  .join('')
+            : `<tr><td colspan="5" class="text-muted small">
+                    No control points yet
+               </td></tr>`;
+
+        this.previewPoints.innerHTML = this.imageSize
+            ? this.controlPoints
+                  .map(
+                      (point, index) => `<span class="geo-image-preview-point"
+                        style="left: ${(point.pixel[0] / this.imageSize[0]) * 100}%;
+                               top: ${(point.pixel[1] / this.imageSize[1]) * 100}%;">
+                        ${index + 1}
+                      </span>`
+                  )
+                  .join('')
+            : '';
+    }
+
+    renderPointRow(point, index) {
+        const value = (field) =>
+            point.latlng ? point.latlng[field].toFixed(6) : '';
+
+        return `<tr data-index="${index}">
+            <td>${index + 1}</td>
+            <td class="small">${Math.round(point.pixel[0])}, ${Math.round(point.pixel[1])}</td>
+            <td><input type="number" step="any" class="form-control form-control-sm"
+                       data-field="lat" value="${value('lat')}"></td>
+            <td><input type="number" step="any" class="form-control form-control-sm"
+                       data-field="lng" value="${value('lng')}"></td>
+            <td>
+                <button type="button" class="btn btn-sm btn-outline-danger"
+                        data-action="delete" data-index="${index}" title="Delete point">
+                    <i class="fas fa-times"></i>
+                </button>
+            </td>
+        </tr>`;
+    }
+
+    /**
+     * Apply typed control point coordinates (both fields are needed)
+     */
+    updatePointFromInput(input) {
+        const row = input.closest('tr[data-index]');
+        if (!row) return;
+
+        const point = this.controlPoints[Number(row.dataset.index)];
+        const lat = parseFloat(row.querySelector('[data-field="lat"]').value);
+        const lng = parseFloat(row.querySelector('[data-field="lng"]').value);
+
+        if (Number.isFinite(lat) && Number.isFinite(lng)) {
+            point.latlng = L.latLng(lat, lng);
+            this.stopPicking();
+            this.redraw();
+        }
+    }
+
+    /**
+     * First step of adding a control point
+     */
+    startPickOnImage() {
+        if (!this.imageSize) {
+            this.showMessage('Please upload an image first', true);
+            return;
+        }
+
+        this.stopPicking();
+        this.pickingIndex = -1;
+        this.previewWrapper.classList.add('picking');
+        this.showMessage('Click the control point on the image.');
+    }
+
+    /**
+     * Second step: remember image pixel, wait for the map position
+     */
+    pickImagePixel(e) {
+        if (this.pickingIndex !== -1 || !this.imageSize) return;
+
+        const rect = this.preview.getBoundingClientRect();
+        const pixel = [
+            ((e.clientX - rect.left) / rect.width) * this.imageSize[0],
+            ((e.clientY - rect.top) / rect.height) * this.imageSize[1],
+        ].map((value) => Math.round(value * 10) / 10);
+
+        this.controlPoints.push({ pixel, latlng: null });
+        this.pickingIndex = this.controlPoints.length - 1;
+        this.previewWrapper.classList.remove('picking');
+
+        this.map.on('click', this.mapClickHandler);
+        this.map.getContainer().style.cursor = 'crosshair';
+
+        this.renderControlPoints();
+        this.showMessage(
+            'Click the same place on the map or type its coordinates.'
+        );
+    }
+
+    /**
+     * Last step: map position of the picked point
+     */
+    placePickedPoint(latlng) {
+        const point = this.controlPoints[this.pickingIndex];
+        this.stopPicking();
+
+        if (point) {
+            point.latlng = latlng;
+            this.redraw();
+        }
+    }
+
+    stopPicking() {
+        if (this.pickingIndex === null) return;
+
+        this.pickingIndex = null;
+        this.map.off('click', this.mapClickHandler);
+        this.map.getContainer().style.cursor = '';
+        this.previewWrapper.classList.remove('picking');
+    }
+
+    showMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.classList.toggle('text-danger', isError);
+        this.message.classList.toggle('text-muted', !isError);
+    }
+}
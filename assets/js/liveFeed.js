@@ -0,0 +1,237 @@
+/**
+ * Live Feed
+ * Receives geo object changes via Server-Sent Events, falling back to
+ * long-polling when EventSource is unavailable or keeps failing.
+ * Used by the observer viewer and by the map editor change feed
+ */
+
+class LiveFeed {
+    /**
+     * @param {Object} options
+     * @param {string} options.streamUrl - SSE endpoint URL
+     * @param {string} options.pollUrl - Long-poll endpoint URL
+     * @param {Function} options.onSnapshot - Called with {version, objects}
+     * @param {Function} options.onChanges - Called with {version, added, updated, removed}
+     * @param {Function} options.onGone - Called when the feed source no longer exists
+     * @param {Function} options.onStatusChange - Called with 'live' | 'polling' | 'offline'
+     */
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                streamUrl: null,
+                pollUrl: null,
+                maxStreamErrors: 3,
+                pollRetryDelay: 5000,
+                maxPollRetryDelay: 60000,
+                onSnapshot: () => {},
+                onChanges: () => {},
+                onGone: () => {},
+                onStatusChange: () => {},
+            },
+            options
+        );
+
+        this.version = null;
+        this.eventSource = null;
+        this.streamErrors = 0;
+        this.pollController = null;
+        this.pollTimer = null;
+        this.pollRetryDelay = this.options.pollRetryDelay;
+        this.stopped = true;
+    }
+
+    /**
+     * Start receiving updates
+     */
+    start() {
+        if (!this.stopped) {
+            return;
+        }
+
+        this.stopped = false;
+
+        if (window.EventSource && this.options.streamUrl) {
+            this.startStream();
+        } else {
+            this.startPolling();
+        }
+    }
+
+    /**
+     * Stop receiving updates and close open connections
+     */
+    stop() {
+        this.stopped = true;
+
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        if (this.pollController) {
+            this.pollController.abort();
+            this.pollController = null;
+        }
+
+        clearTimeout(this.pollTimer);
+    }
+
+    /**
+     * Open SSE connection
+     * The server closes the stream periodically; EventSource reconnects by itself
+     * and sends the last version back in the Last-Event-ID header
+     */
+    startStream() {
+        this.eventSource = new EventSource(this.options.streamUrl);
+
+        this.eventSource.onopen = () => {
+            this.streamErrors = 0;
+            this.options.onStatusChange('live');
+        };
+
+        this.eventSource.addEventListener('snapshot', (event) => {
+            const data = this.parseEventData(event);
+            if (data) {
+                this.version = data.version;
+                this.options.onSnapshot(data);
+            }
+        });
+
+        this.eventSource.addEventListener('changes', (event) => {
+            const data = this.parseEventData(event);
+            if (data) {
+                this.version = data.version;
+                this.options.onChanges(data);
+            }
+        });
+
+        this.eventSource.addEventListener('gone', () => {
+            this.stop();
+            this.options.onStatusChange('offline');
+            this.options.onGone();
+        });
+
+        this.eventSource.onerror = () => {
+            if (this.stopped) {
+                return;
+            }
+
+            this.streamErrors++;
+
+            // Regular stream rotation produces a single error followed by onopen;
+            // repeated errors without a successful open mean SSE is not usable here
+            if (
+                this.eventSource.readyState === EventSource.CLOSED ||
+                this.streamErrors >= this.options.maxStreamErrors
+            ) {
+                console.warn(
+                    'LiveFeed: Stream unavailable, switching to long-polling'
+                );
+                this.eventSource.close();
+                this.eventSource = null;
+                this.startPolling();
+            }
+        };
+    }
+
+    /**
+     * Parse JSON payload of an SSE message
+     */
+    parseEventData(event) {
+        try {
+            return JSON.parse(event.data);
+        } catch (error) {
+            console.error('LiveFeed: Invalid event data', error);
+            return null;
+        }
+    }
+
+    /**
+     * Start long-polling loop
+     */
+    startPolling() {
+        if (!this.options.pollUrl) {
+            this.options.onStatusChange('offline');
+            return;
+        }
+
+        this.options.onStatusChange('polling');
+        this.poll();
+    }
+
+    /**
+     * Single long-poll request; schedules the next one when finished
+     */
+    poll() {
+        if (this.stopped) {
+            return;
+        }
+
+        const url = new URL(this.options.pollUrl, window.location.origin);
+        if (this.version) {
+            url.searchParams.set('version', this.version);
+        }
+
+        this.pollController = new AbortController();
+
+        fetch(url, {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' },
+            signal: this.pollController.signal,
+        })
+            .then((response) => {
+                if (response.status === 410 || response.status === 404) {
+                    this.stop();
+                    this.options.onStatusChange('offline');
+                    this.options.onGone();
+                    return null;
+                }
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                return response.json();
+            })
+            .then((data) => {
+                if (!data) {
+                    return;
+                }
+
+                this.pollRetryDelay = this.options.pollRetryDelay;
+                this.options.onStatusChange('polling');
+
+                if (data.changed) {
+                    this.version = data.version;
+                    this.options.onSnapshot(data);
+                }
+
+                this.poll();
+            })
+            .catch((error) => {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+
+                console.error('LiveFeed: Poll failed', error);
+                this.options.onStatusChange('offline');
+
+                this.pollTimer = setTimeout(
+                    () => this.poll(),
+                    this.pollRetryDelay
+                );
+                this.pollRetryDelay = Math.min(
+                    this.pollRetryDelay * 2,
+                    this.options.maxPollRetryDelay
+                );
+            });
+    }
+
+    /**
+     * Remember version obtained outside of the feed (e.g. manual refresh)
+     */
+    setVersion(version) {
+        this.version = version;
+    }
+}
+
+export default LiveFeed;
@@ -24,9 +24,11 @@ export default class MapEditor extends BaseMapComponent {
                 latFieldId: 'map_centerLat',
                 lngFieldId: 'map_centerLng',
                 zoomFieldId: 'map_zoomLevel',
+                defaultLayerFieldId: 'map_defaultLayer',
                 displayLatId: 'display-lat',
                 displayLngId: 'display-lng',
                 displayZoomId: 'display-zoom',
+                displayLayerId: 'display-layer',
                 tileLayerUrl:
                     'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', // OSM by default
                 maxZoom: 19,
@@ -124,6 +126,12 @@ export default class MapEditor extends BaseMapComponent {
             coordinates.lng,
             coordinates.zoom
         );
+
+        // Show layer the map opens with
+        const layerName = this.toolbar && this.toolbar.getCurrentLayerName();
+        if (layerName) {
+            this.setElementText(this.options.displayLayerId, layerName);
+        }
     }
 
     /**
@@ -164,6 +172,12 @@ export default class MapEditor extends BaseMapComponent {
             const center = this.map.getCenter();
             this.updateFormFields(center.lat, center.lng, this.map.getZoom());
         });
+
+        // Layer picked in the toolbar becomes the map default
+        this.map.on('baselayerchange', (e) => {
+            this.setFieldValue(this.options.defaultLayerFieldId, e.name);
+            this.setElementText(this.options.displayLayerId, e.name);
+        });
     }
 
     /**
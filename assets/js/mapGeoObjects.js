@@ -1,12 +1,33 @@
+import { escapeHtml } from './baseMapComponent';
+import LiveFeed from './liveFeed';
+import CommandHistory from './commandHistory';
+import { deleteObjectCommand } from './geoObjectCommands';
+import { GeoreferencedImageOverlay } from './georeferencedImage';
+import MarkerClusters from './markerClusters';
+import ViewportLoader, { getGeometryBounds } from './viewportLoader';
+import TtlCountdown, {
+    fadeExpiringLayers,
+    styleExpiredLayer,
+    stylePendingLayer,
+} from './ttlCountdown';
+
 /**
  * Component for handling geo objects on the map
  */
 class MapGeoObjectManager {
-    constructor(map) {
+    /**
+     * @param {BaseMapComponent} map - Map component
+     * @param {Object} options - {lazyLoading: load objects for the
+     *     visible area only}
+     */
+    constructor(map, options = {}) {
         this.map = map;
         this.leafletMap = map.getLeafletMap();
         this.geoObjectLayers = {};
         this.tempLayer = null;
+
+        // Point markers are clustered per side instead of added to the map
+        this.markerClusters = new MarkerClusters().addTo(this.leafletMap);
         this.drawingMode = false;
         this.drawingType = null;
         this.drawingCallback = null;
@@ -29,6 +50,9 @@ class MapGeoObjectManager {
         this.editMode = false;
         this.editPointMarkers = []; // Markers for editable points
 
+        // Listeners notified when drawn/edited geometry changes (vertex table)
+        this.editGeometryListeners = [];
+
         // Side filtering - stores hidden sides instead of visible ones
         this.hiddenSides = new Set(); // Contains IDs of hidden sides
         this.sideFilterControl = null;
@@ -36,6 +60,49 @@ class MapGeoObjectManager {
 
         // TTL visibility filter
         this.showOnlyActiveObjects = false;
+
+        // "View as side" filter: ID of the side whose visibleToSides
+        // objects are shown, null shows everything (admin view)
+        this.viewAsSideId = null;
+        this.viewAsControl = null;
+        this.sides = new Map(); // side ID => {id, name, color}
+
+        // Live countdowns, fading near expiry, expiry and scheduled
+        // activation without reload
+        this.ttlCountdown = new TtlCountdown({
+            leafletMap: this.leafletMap,
+            onTick: (now) =>
+                fadeExpiringLayers(Object.values(this.geoObjectLayers), now),
+            onExpire: (objectId) => this.handleObjectExpired(objectId),
+            onActivate: (objectId) => this.handleObjectActivated(objectId),
+        });
+
+        // Change feed shared with other admins editing the same map
+        // (lazy loading: limited to the data tiles in view, see changeFeedBbox)
+        this.changeFeed = null;
+        this.changeFeedMapId = null;
+        this.changeFeedBbox = null;
+
+        // Undo/redo for geometry edits and object CRUD (shared with geoObjectForm)
+        this.history = new CommandHistory();
+        this.history.attachKeyboardShortcuts();
+
+        // Timeline replaying history, live layers stay hidden meanwhile
+        this.replay = null;
+
+        // Large maps: only objects around the viewport are fetched and drawn
+        this.viewportLoader = options.lazyLoading
+            ? new ViewportLoader(this.leafletMap, {
+                  getUrl: (bbox) =>
+                      `/geo-object/by-map/${this.mapId}?bbox=${bbox.join(',')}`,
+                  onLoad: (objects) => this.mergeLoadedObjects(objects),
+                  onViewChange: () => {
+                      this.syncViewportLayers();
+                      this.updateChangeFeedArea();
+                  },
+                  onEvict: () => this.pruneUnloadedObjects(),
+              })
+            : null;
     }
 
     /**
@@ -53,6 +120,11 @@ class MapGeoObjectManager {
         // Clear existing objects
         this.clearGeoObjects();
 
+        if (this.viewportLoader) {
+            this.loadViewportObjects(mapId);
+            return;
+        }
+
         // Fetch objects from API
         fetch(`/geo-object/by-map/${mapId}`)
             .then((response) => {
@@ -77,6 +149,90 @@ class MapGeoObjectManager {
             });
     }
 
+    /**
+     * Start loading objects around the viewport (lazy loading mode)
+     */
+    loadViewportObjects(mapId) {
+        this.mapId = mapId;
+        this.allObjects = [];
+        this.removeSidesLegend();
+
+        this.viewportLoader.stop();
+        this.viewportLoader.start();
+    }
+
+    /**
+     * Add objects of freshly fetched data tiles
+     */
+    mergeLoadedObjects(objects) {
+        const sidesBefore = this.getSideIds(this.allObjects);
+        const known = new Map(
+            this.allObjects.map((object) => [String(object.id), object])
+        );
+
+        objects.forEach((object) => {
+            const id = String(object.id);
+            const previous = known.get(id);
+            known.set(id, object);
+
+            // Already drawn with older data
+            if (
+                previous &&
+                this.geoObjectLayers[object.id] &&
+                this.getObjectFingerprint(previous) !==
+                    this.getObjectFingerprint(object)
+            ) {
+                this.renderGeoObject(object);
+            }
+        });
+        this.allObjects = [...known.values()];
+
+        if (this.getSideIds(this.allObjects) !== sidesBefore) {
+            this.createSidesLegend(this.allObjects);
+        }
+
+        this.syncViewportLayers();
+    }
+
+    /**
+     * Draw loaded objects that came into view, drop layers that left it
+     */
+    syncViewportLayers() {
+        this.allObjects.forEach((object) => {
+            const isRendered = !!this.geoObjectLayers[object.id];
+
+            if (this.isObjectInViewport(object)) {
+                if (!isRendered) this.renderGeoObject(object);
+            } else if (isRendered) {
+                this.removeGeoObjectLayer(object.id);
+            }
+        });
+
+        this.updateSidebarObjectsList();
+    }
+
+    /**
+     * Forget objects whose data tiles were evicted from the cache
+     */
+    pruneUnloadedObjects() {
+        this.allObjects = this.allObjects.filter((object) => {
+            if (this.viewportLoader.isLoaded(object.geoJson)) {
+                return true;
+            }
+            this.removeGeoObjectLayer(object.id);
+            return false;
+        });
+    }
+
+    /**
+     * Check if object is around the viewport (always true without lazy loading)
+     */
+    isObjectInViewport(object) {
+        return (
+            !this.viewportLoader || this.viewportLoader.isInView(object.geoJson)
+        );
+    }
+
     /**
      * Clear all geo objects from the map
      */
@@ -87,13 +243,16 @@ class MapGeoObjectManager {
             allLayers.push(layer);
         });
 
-        Object.values(this.geoObjectLayers).forEach((item, index) => {
+        Object.entries(this.geoObjectLayers).forEach(([id, item]) => {
             if (item.layer) {
                 this.leafletMap.removeLayer(item.layer);
+                this.map.removeImageOverlay(id, item.layer);
             }
         });
 
         this.geoObjectLayers = {};
+        this.markerClusters.clearMarkers();
+        this.ttlCountdown.clear();
 
         // FORCE REMOVE ALL GEO OBJECTS - brute force approach
         this.leafletMap.eachLayer((layer) => {
@@ -102,7 +261,8 @@ class MapGeoObjectManager {
                 layer instanceof L.Marker ||
                 layer instanceof L.Polygon ||
                 layer instanceof L.Circle ||
-                layer instanceof L.Polyline
+                layer instanceof L.Polyline ||
+                layer instanceof GeoreferencedImageOverlay
             ) {
                 this.leafletMap.removeLayer(layer);
             }
@@ -123,83 +283,417 @@ class MapGeoObjectManager {
             return;
         }
 
-        objects.forEach((object, index) => {
-            try {
-                // Check and process JSON string
-                const geoJson =
-                    typeof object.geoJson === 'string'
-                        ? JSON.parse(object.geoJson)
-                        : object.geoJson;
-
-                // Create a layer depending on the type
-                let layer;
-                const objectType = object.type.toLowerCase(); // Normalize to lowercase
-                switch (objectType) {
-                    case 'point':
-                        layer = this.createPointLayer(geoJson, object);
-                        break;
-                    case 'polygon':
-                        layer = this.createPolygonLayer(geoJson, object);
-                        break;
-                    case 'circle':
-                        layer = this.createCircleLayer(geoJson, object);
-                        break;
-                    case 'line':
-                    case 'linestring':
-                        layer = this.createLineLayer(geoJson, object);
-                        break;
-                    default:
-                        return;
-                }
+        objects.forEach((object) => {
+            this.renderGeoObject(object);
+        });
+    }
 
-                if (layer) {
-                    // Store the layer with object ID FIRST
-                    this.geoObjectLayers[object.id] = {
-                        layer: layer,
-                        type: object.type,
-                        data: object,
-                    };
-
-                    // Add a popup with object info
-                    // For LayerGroups, bind popup to each layer
-                    if (layer instanceof L.LayerGroup) {
-                        const popupContent = this.createPopupContent(object);
-                        layer.eachLayer((sublayer) => {
-                            sublayer.bindPopup(popupContent);
-                            // Remove any existing popupopen listeners to prevent duplicates
-                            sublayer.off('popupopen');
-                            sublayer.on('popupopen', () => {
-                                // Let attachPopupEventListeners handle the timing
-                                this.attachPopupEventListeners(object);
-                            });
-                        });
-                    } else {
-                        layer.bindPopup(this.createPopupContent(object));
+    /**
+     * Render a single geo object, replacing its previous layer if any
+     */
+    renderGeoObject(object) {
+        // Lazy loading: objects away from the viewport are not drawn
+        if (!this.isObjectInViewport(object)) {
+            this.removeGeoObjectLayer(object.id);
+            return;
+        }
+
+        try {
+            // Check and process JSON string
+            const geoJson =
+                typeof object.geoJson === 'string'
+                    ? JSON.parse(object.geoJson)
+                    : object.geoJson;
+
+            // Create a layer depending on the type
+            let layer;
+            const objectType = object.type.toLowerCase(); // Normalize to lowercase
+            switch (objectType) {
+                case 'point':
+                    layer = this.createPointLayer(geoJson, object);
+                    break;
+                case 'polygon':
+                    layer = this.createPolygonLayer(geoJson, object);
+                    break;
+                case 'circle':
+                    layer = this.createCircleLayer(geoJson, object);
+                    break;
+                case 'line':
+                case 'linestring':
+                    layer = this.createLineLayer(geoJson, object);
+                    break;
+                case 'image':
+                    layer = this.map.createImageOverlayLayer(geoJson, object);
+                    break;
+                default:
+                    return;
+            }
+
+            if (layer) {
+                // Drop the previous layer of this object (live updates)
+                this.removeGeoObjectLayer(object.id);
+
+                // Store the layer with object ID FIRST
+                this.geoObjectLayers[object.id] = {
+                    layer: layer,
+                    type: object.type,
+                    data: object,
+                };
+
+                // Expired objects stay on the admin map, greyed out;
+                // pending ones are drawn faint until their start time
+                if (object.isExpired) {
+                    styleExpiredLayer(layer);
+                } else if (object.isPending) {
+                    stylePendingLayer(layer);
+                }
+                this.ttlCountdown.track(object.id, object);
+
+                // Add a popup with object info
+                // For LayerGroups, bind popup to each layer
+                if (layer instanceof L.LayerGroup) {
+                    const popupContent = this.createPopupContent(object);
+                    layer.eachLayer((sublayer) => {
+                        sublayer.bindPopup(popupContent);
                         // Remove any existing popupopen listeners to prevent duplicates
-                        layer.off('popupopen');
-                        layer.on('popupopen', () => {
+                        sublayer.off('popupopen');
+                        sublayer.on('popupopen', () => {
                             // Let attachPopupEventListeners handle the timing
                             this.attachPopupEventListeners(object);
                         });
-                    }
-
-                    // Check filtering before adding to map
-                    const sideVisible =
-                        !object.side || !this.hiddenSides.has(object.side.id);
-                    const ttlVisible =
-                        !this.showOnlyActiveObjects || !object.isExpired;
-                    const shouldShow = sideVisible && ttlVisible;
+                    });
+                } else {
+                    layer.bindPopup(this.createPopupContent(object));
+                    // Remove any existing popupopen listeners to prevent duplicates
+                    layer.off('popupopen');
+                    layer.on('popupopen', () => {
+                        // Let attachPopupEventListeners handle the timing
+                        this.attachPopupEventListeners(object);
+                    });
+                }
 
-                    if (shouldShow) {
-                        // Add to map only if not filtered out
-                        layer.addTo(this.leafletMap);
-                    }
-                    // Don't add to map if object should be hidden
+                // Check filtering before adding to map
+                if (this.isObjectVisible(object)) {
+                    // Add to map only if not filtered out
+                    this.showObjectLayer(this.geoObjectLayers[object.id]);
                 }
-            } catch (error) {
-                // Silent error handling
+                // Don't add to map if object should be hidden
+            }
+        } catch (error) {
+            // Silent error handling
+        }
+    }
+
+    /**
+     * Remove the layer of a single geo object from the map
+     */
+    removeGeoObjectLayer(objectId) {
+        const item = this.geoObjectLayers[objectId];
+        if (!item) {
+            return;
+        }
+
+        if (item.layer) {
+            this.hideObjectLayer(item);
+        }
+        this.map.removeImageOverlay(objectId, item.layer);
+        this.ttlCountdown.untrack(objectId);
+        delete this.geoObjectLayers[objectId];
+    }
+
+    /**
+     * Grey out object whose TTL just ran out (hidden by the "only active"
+     * filter) and update the sidebar list
+     */
+    handleObjectExpired(objectId) {
+        const item = this.geoObjectLayers[objectId];
+        if (!item) {
+            return;
+        }
+
+        // Same data object as in allObjects, so the list sees it too
+        item.data.isExpired = true;
+        item.data.remainingTtl = 0;
+
+        this.renderGeoObject(item.data);
+        this.updateSidebarObjectsList();
+    }
+
+    /**
+     * Draw pending object normally once its scheduled start comes
+     */
+    handleObjectActivated(objectId) {
+        const item = this.geoObjectLayers[objectId];
+        if (!item) {
+            return;
+        }
+
+        item.data.isPending = false;
+        item.data.secondsUntilActive = null;
+
+        this.renderGeoObject(item.data);
+        this.updateSidebarObjectsList();
+    }
+
+    /**
+     * Put object layer on the map, point markers go to side clusters
+     */
+    showObjectLayer(item) {
+        const layer = item.layer;
+
+        if (this.replay) {
+            return;
+        }
+
+        if (layer instanceof L.Marker) {
+            if (!this.markerClusters.hasMarker(layer)) {
+                this.markerClusters.addMarker(layer, item.data.side);
+            }
+        } else if (!this.leafletMap.hasLayer(layer)) {
+            layer.addTo(this.leafletMap);
+        }
+    }
+
+    /**
+     * Hide live layers while a timeline replays history
+     * @param {MapTimeline} timeline - Timeline drawing past states
+     */
+    startReplay(timeline) {
+        this.replay = timeline;
+        Object.values(this.geoObjectLayers).forEach((item) =>
+            this.hideObjectLayer(item)
+        );
+    }
+
+    /**
+     * Show live layers again after replay
+     */
+    stopReplay() {
+        this.replay = null;
+        this.updateObjectsVisibility();
+    }
+
+    /**
+     * Take object layer off the map (or out of its cluster)
+     */
+    hideObjectLayer(item) {
+        const layer = item.layer;
+
+        if (layer instanceof L.Marker) {
+            this.markerClusters.removeMarker(layer);
+        } else if (this.leafletMap.hasLayer(layer)) {
+            this.leafletMap.removeLayer(layer);
+        }
+    }
+
+    /**
+     * Check if object passes side and TTL filters
+     * ("only active" hides both expired and pending objects)
+     * In "view as side" mode only active objects visible to that side pass
+     */
+    isObjectVisible(object) {
+        if (this.viewAsSideId !== null) {
+            return (
+                this.isVisibleToSide(object, this.viewAsSideId) &&
+                !object.isExpired &&
+                !object.isPending
+            );
+        }
+
+        const sideVisible =
+            !object.side || !this.hiddenSides.has(object.side.id);
+        const ttlVisible =
+            !this.showOnlyActiveObjects ||
+            (!object.isExpired && !object.isPending);
+
+        return sideVisible && ttlVisible;
+    }
+
+    /**
+     * Subscribe to the map change feed so edits made by other admins
+     * show up without reloading
+     */
+    subscribeToChanges(mapId) {
+        if (!mapId || this.changeFeed) {
+            return;
+        }
+
+        // Lazy loading: only the area in view, the server would otherwise
+        // snapshot every object of the map on each tick
+        this.changeFeedMapId = mapId;
+        this.changeFeedBbox = this.viewportLoader
+            ? this.viewportLoader.getViewTilesBbox()
+            : null;
+        const query = this.changeFeedBbox
+            ? `?bbox=${this.changeFeedBbox.join(',')}`
+            : '';
+
+        this.changeFeed = new LiveFeed({
+            streamUrl: `/geo-object/by-map/${mapId}/changes${query}`,
+            pollUrl: `/geo-object/by-map/${mapId}/changes/poll${query}`,
+            onSnapshot: (data) => this.applySnapshot(data.objects),
+            onChanges: (changes) => this.applyChanges(changes),
+        });
+
+        this.changeFeed.start();
+    }
+
+    /**
+     * Stop listening to the map change feed
+     */
+    unsubscribeFromChanges() {
+        if (this.changeFeed) {
+            this.changeFeed.stop();
+            this.changeFeed = null;
+        }
+    }
+
+    /**
+     * Follow the view with the change feed when other data tiles come into
+     * view (lazy loading), the new feed starts with a snapshot of the area
+     */
+    updateChangeFeedArea() {
+        if (!this.changeFeed || !this.changeFeedBbox) {
+            return;
+        }
+
+        const bbox = this.viewportLoader.getViewTilesBbox();
+        if (bbox.join(',') === this.changeFeedBbox.join(',')) {
+            return;
+        }
+
+        this.unsubscribeFromChanges();
+        this.subscribeToChanges(this.changeFeedMapId);
+    }
+
+    /**
+     * Reconcile local objects with a full snapshot from the change feed
+     */
+    applySnapshot(objects) {
+        if (!Array.isArray(objects)) {
+            return;
+        }
+
+        // Lazy loading: keep to the area of fetched data tiles, and only
+        // objects in the area of the feed can have been removed
+        let currentObjects = this.allObjects;
+        if (this.viewportLoader) {
+            objects = objects.filter((object) =>
+                this.viewportLoader.isLoaded(object.geoJson)
+            );
+            currentObjects = currentObjects.filter((object) =>
+                this.isInChangeFeedArea(object)
+            );
+        }
+
+        const incoming = new Map(
+            objects.map((object) => [String(object.id), object])
+        );
+        const current = new Map(
+            currentObjects.map((object) => [String(object.id), object])
+        );
+        const changes = { added: [], updated: [], removed: [] };
+
+        current.forEach((object, id) => {
+            if (!incoming.has(id)) {
+                changes.removed.push(object.id);
+            }
+        });
+
+        incoming.forEach((object, id) => {
+            if (!current.has(id)) {
+                changes.added.push(object);
+            } else if (
+                this.getObjectFingerprint(current.get(id)) !==
+                this.getObjectFingerprint(object)
+            ) {
+                changes.updated.push(object);
             }
         });
+
+        this.applyChanges(changes);
+    }
+
+    /**
+     * Check if object intersects the area the change feed is limited to
+     */
+    isInChangeFeedArea(object) {
+        if (!this.changeFeedBbox) {
+            return true;
+        }
+
+        const bounds = getGeometryBounds(object.geoJson);
+        const [west, south, east, north] = this.changeFeedBbox;
+
+        return (
+            !!bounds &&
+            bounds.intersects(L.latLngBounds([south, west], [north, east]))
+        );
+    }
+
+    /**
+     * Apply added/updated/removed objects in place, without a full rebuild
+     */
+    applyChanges(changes) {
+        const removed = (changes.removed || []).map(String);
+        const changed = [...(changes.added || []), ...(changes.updated || [])];
+
+        if (removed.length === 0 && changed.length === 0) {
+            return;
+        }
+
+        const sidesBefore = this.getSideIds(this.allObjects);
+
+        removed.forEach((id) => this.removeGeoObjectLayer(id));
+
+        const changedIds = new Set(changed.map((object) => String(object.id)));
+        this.allObjects = this.allObjects
+            .filter((object) => {
+                const id = String(object.id);
+                return !removed.includes(id) && !changedIds.has(id);
+            })
+            .concat(changed);
+
+        changed.forEach((object) => this.renderGeoObject(object));
+
+        // Rebuild legend only when the set of sides changed
+        if (this.getSideIds(this.allObjects) !== sidesBefore) {
+            this.createSidesLegend(this.allObjects);
+        }
+
+        this.updateSidebarObjectsList();
+
+        // Let the form detect conflicts with the object being edited
+        document.dispatchEvent(
+            new CustomEvent('geo-objects-changed', {
+                detail: {
+                    added: changes.added || [],
+                    updated: changes.updated || [],
+                    removed: changes.removed || [],
+                },
+            })
+        );
+    }
+
+    /**
+     * Comparable fingerprint of object data (remainingTtl and
+     * secondsUntilActive change on every read)
+     */
+    getObjectFingerprint(object) {
+        const { remainingTtl, secondsUntilActive, ...stableData } = object;
+        return JSON.stringify(stableData);
+    }
+
+    /**
+     * Sorted side IDs of given objects as a comparable string
+     */
+    getSideIds(objects) {
+        const ids = new Set(
+            objects
+                .filter((object) => object.side && object.side.id)
+                .map((object) => object.side.id)
+        );
+        return [...ids].sort((a, b) => a - b).join(',');
     }
 
     /**
@@ -220,72 +714,42 @@ class MapGeoObjectManager {
                     font-weight: 600;
                     text-shadow: 0 1px 2px rgba(0,0,0,0.2);
                 ">
-                    ${object.side.name}
+                    ${escapeHtml(object.side.name)}
                 </span>
             </div>`;
         }
 
-        content += `<h5>${
+        content += `<h5>${escapeHtml(
             object.title || object.name || 'Unnamed object'
-        }</h5>`;
+        )}</h5>`;
 
         if (object.description) {
-            content += `<p>${object.description}</p>`;
+            content += `<p>${escapeHtml(object.description)}</p>`;
         }
 
         // Add visibility status information
-        if (object.isExpired !== undefined) {
-            const visibilityIcon = object.isExpired
-                ? '<i class="fas fa-eye-slash text-danger"></i>'
-                : '<i class="fas fa-eye text-success"></i>';
-            const visibilityText = object.isExpired
-                ? 'Expired (not visible)'
-                : 'Visible';
-            const visibilityClass = object.isExpired
-                ? 'text-danger'
-                : 'text-success';
-
-            content += `<div class="visibility-info mb-2">
-                <small class="${visibilityClass}">
-                    ${visibilityIcon} ${visibilityText}
-                </small>
-            </div>`;
-        }
+        content += this.map.formatVisibilityInfo(object);
 
-        // Add TTL information
-        if (object.ttl > 0) {
-            // Format TTL for display
-            let ttlDisplay;
-            if (object.ttl >= 3600) {
-                const hours = Math.floor(object.ttl / 3600);
-                const minutes = Math.floor((object.ttl % 3600) / 60);
-                ttlDisplay =
-                    hours + 'h' + (minutes > 0 ? ' ' + minutes + 'm' : '');
-            } else if (object.ttl >= 60) {
-                const minutes = Math.floor(object.ttl / 60);
-                ttlDisplay = minutes + 'm';
-            } else {
-                ttlDisplay = object.ttl + 's';
-            }
+        // Add TTL information with live countdown
+        content += this.map.formatTTLInfo(object);
 
-            content += `<div class="ttl-info">
-                <small class="text-muted">
-                    <i class="fas fa-clock"></i> TTL: ${ttlDisplay}
-                </small>
-            </div>`;
-        } else if (object.ttl === 0 || object.ttl === null) {
-            content += `<div class="ttl-info">
-                <small class="text-muted">
-                    <i class="fas fa-infinity"></i> No expiration
-                </small>
-            </div>`;
-        }
+        // Add scheduled start and end
+        content += this.map.formatScheduleInfo(object);
+
+        // Add sides the object is restricted to
+        content += this.formatSideVisibilityInfo(object);
+
+        // Add area and perimeter for polygons and circles
+        content += this.map.formatMetricsInfo(object);
 
         content += `
             <div class="popup-actions mt-2">
                 <button class="btn btn-sm btn-primary popup-edit-btn" data-object-id="${object.id}">
                     <i class="fas fa-edit"></i> Edit
                 </button>
+                <button class="btn btn-sm btn-outline-secondary popup-history-btn" data-object-id="${object.id}">
+                    <i class="fas fa-history"></i> History
+                </button>
                 <button class="btn btn-sm btn-danger popup-delete-btn" data-object-id="${object.id}">
                     <i class="fas fa-trash"></i> Delete
                 </button>
@@ -661,6 +1125,8 @@ class MapGeoObjectManager {
                 this.leafletMap.on('dblclick', this.finishLineHandler);
                 break;
         }
+
+        this.notifyEditGeometryChange();
     }
 
     /**
@@ -693,6 +1159,9 @@ class MapGeoObjectManager {
         this.clearEditPointMarkers();
         this.editMode = false;
 
+        // Geometry steps belong to the finished drawing session
+        this.history.clearScope('geometry');
+
         // Reset state
         this.drawingMode = false;
         this.drawingType = null;
@@ -702,6 +1171,8 @@ class MapGeoObjectManager {
 
         // Hide point counter if it exists
         this.hidePointCounter();
+
+        this.notifyEditGeometryChange();
     }
 
     /**
@@ -748,6 +1219,8 @@ class MapGeoObjectManager {
             this.drawingType &&
             this.drawingType.toLowerCase() === 'point'
         ) {
+            const before = this.captureEditState();
+
             // Clear previous edit markers
             this.clearEditPointMarkers();
 
@@ -761,6 +1234,8 @@ class MapGeoObjectManager {
             // Update geometry callback
             this.updatePointGeometryCallback(point);
 
+            this.recordEditChange('Move point', before);
+
             return;
         }
 
@@ -784,6 +1259,8 @@ class MapGeoObjectManager {
             }),
         }).addTo(this.leafletMap);
 
+        this.tempPoints = [point];
+
         // Create GeoJSON
         const geoJson = {
             type: 'Point',
@@ -795,6 +1272,8 @@ class MapGeoObjectManager {
             this.drawingCallback(geoJson);
         }
 
+        this.notifyEditGeometryChange();
+
         // Don't automatically exit drawing mode for points - let the user see the marker
         // Drawing mode will be disabled when form is submitted or cancelled
     }
@@ -809,6 +1288,8 @@ class MapGeoObjectManager {
             this.drawingType &&
             this.drawingType.toLowerCase() === 'circle'
         ) {
+            const before = this.captureEditState();
+
             // Clear previous edit markers
             this.clearEditPointMarkers();
 
@@ -828,6 +1309,8 @@ class MapGeoObjectManager {
             this.updateEditCircleVisual(existingRadius);
             this.updateCircleGeometryCallback(e.latlng, existingRadius);
 
+            this.recordEditChange('Move circle center', before);
+
             return;
         }
 
@@ -857,6 +1340,7 @@ class MapGeoObjectManager {
 
         // Handle center dragging
         centerMarker.on('dragend', (e) => {
+            const before = this.captureEditState();
             const newCenter = e.target.getLatLng();
             this.tempCircleCenter = newCenter;
             this.tempPoints[0] = newCenter;
@@ -874,18 +1358,33 @@ class MapGeoObjectManager {
 
                 // Update counter
                 this.updatePointCounter();
+
+                this.recordEditChange('Move circle center', before);
+            } else {
+                this.notifyEditGeometryChange();
             }
         });
 
         this.editPointMarkers.push(centerMarker);
 
         // Change handler for second click
-        this.leafletMap.off('click', this.circleFirstClickHandler);
-        this.circleSecondClickHandler = this.handleCircleSecondClick.bind(this);
-        this.leafletMap.on('click', this.circleSecondClickHandler);
+        this.switchToCircleRadiusClick();
 
         // Update counter to show circle creation mode
         this.updatePointCounter();
+        this.notifyEditGeometryChange();
+    }
+
+    /**
+     * Next map click sets circle radius (circle creation)
+     */
+    switchToCircleRadiusClick() {
+        this.leafletMap.off('click', this.circleFirstClickHandler);
+        if (this.circleSecondClickHandler) {
+            this.leafletMap.off('click', this.circleSecondClickHandler);
+        }
+        this.circleSecondClickHandler = this.handleCircleSecondClick.bind(this);
+        this.leafletMap.on('click', this.circleSecondClickHandler);
     }
 
     /**
@@ -894,6 +1393,8 @@ class MapGeoObjectManager {
     handleCircleSecondClick(e) {
         if (!this.tempCircleCenter) return;
 
+        const before = this.captureEditState();
+
         // Calculate radius in meters
         const radius = this.tempCircleCenter.distanceTo(e.latlng);
 
@@ -924,6 +1425,7 @@ class MapGeoObjectManager {
 
         // Handle radius dragging
         radiusMarker.on('dragend', (e) => {
+            const dragBefore = this.captureEditState();
             const newRadius = this.tempCircleCenter.distanceTo(
                 e.target.getLatLng()
             );
@@ -934,6 +1436,8 @@ class MapGeoObjectManager {
 
             // Update counter
             this.updatePointCounter();
+
+            this.recordEditChange('Change circle radius', dragBefore);
         });
 
         this.editPointMarkers.push(radiusMarker);
@@ -983,12 +1487,17 @@ class MapGeoObjectManager {
 
         // Update counter to show circle creation with markers
         this.updatePointCounter();
+        this.notifyEditGeometryChange();
+
+        this.recordEditChange('Change circle radius', before);
     }
 
     /**
      * Handle clicks for polygon drawing
      */
     handlePolygonClick(e) {
+        const before = this.captureEditState();
+
         // Add point to the temp points array
         this.tempPoints.push(e.latlng);
 
@@ -1004,6 +1513,7 @@ class MapGeoObjectManager {
 
         // Update point counter display
         this.updatePointCounter();
+        this.recordEditChange('Add vertex', before);
     }
 
     /**
@@ -1048,6 +1558,8 @@ class MapGeoObjectManager {
      * Handle clicks for line drawing
      */
     handleLineClick(e) {
+        const before = this.captureEditState();
+
         // Similar to polygon clicks
         this.tempPoints.push(e.latlng);
 
@@ -1063,6 +1575,7 @@ class MapGeoObjectManager {
 
         // Update point counter display
         this.updatePointCounter();
+        this.recordEditChange('Add vertex', before);
     }
 
     /**
@@ -1320,6 +1833,8 @@ class MapGeoObjectManager {
                 popupContainer.querySelector('.popup-edit-btn');
             const popupDeleteButton =
                 popupContainer.querySelector('.popup-delete-btn');
+            const popupHistoryButton =
+                popupContainer.querySelector('.popup-history-btn');
 
             console.log('Found edit button:', !!popupEditButton);
             console.log('Found delete button:', !!popupDeleteButton);
@@ -1357,6 +1872,22 @@ class MapGeoObjectManager {
                 );
             }
 
+            // Attach history button listener
+            if (
+                popupHistoryButton &&
+                !popupHistoryButton.hasAttribute('data-listener-attached')
+            ) {
+                popupHistoryButton.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.showObjectHistory(object);
+                });
+                popupHistoryButton.setAttribute(
+                    'data-listener-attached',
+                    'true'
+                );
+            }
+
             // Double-check if buttons are still not found and log debug info
             if (!popupEditButton || !popupDeleteButton) {
                 console.warn('Debug - Popup HTML:', popupContainer.innerHTML);
@@ -1393,6 +1924,17 @@ class MapGeoObjectManager {
         }
     }
 
+    /**
+     * Open the edit form of a geo object on its "History" tab
+     */
+    showObjectHistory(object) {
+        this.leafletMap.closePopup();
+
+        if (window.geoObjectForm && window.geoObjectForm.showHistory) {
+            window.geoObjectForm.showHistory(object.id);
+        }
+    }
+
     /**
      * Delete a geo object
      */
@@ -1428,6 +1970,10 @@ class MapGeoObjectManager {
                             : null;
 
                         if (mapId) {
+                            this.history.push(
+                                deleteObjectCommand(object, mapId)
+                            );
+
                             // Clear and reload using current instance
                             this.clearGeoObjects();
                             this.loadGeoObjects(mapId);
@@ -1539,6 +2085,8 @@ class MapGeoObjectManager {
             // Update visual representation
             this.updateEditCircleVisual(geoJson.radius);
         }
+
+        this.notifyEditGeometryChange();
     }
 
     /**
@@ -1567,6 +2115,7 @@ class MapGeoObjectManager {
 
         // Handle dragging
         marker.on('dragend', (e) => {
+            const before = this.captureEditState();
             const newPos = e.target.getLatLng();
             this.tempPoints[index] = newPos;
 
@@ -1578,6 +2127,11 @@ class MapGeoObjectManager {
                 this.updateEditVisual();
                 this.updateGeometryCallback();
             }
+
+            this.recordEditChange(
+                isPoint ? 'Move point' : 'Move vertex',
+                before
+            );
         });
 
         // Handle right-click for deletion (not for single points)
@@ -1631,6 +2185,7 @@ class MapGeoObjectManager {
 
         // Handle center dragging
         centerMarker.on('dragend', (e) => {
+            const before = this.captureEditState();
             const newCenter = e.target.getLatLng();
             this.tempCircleCenter = newCenter;
             this.tempPoints[0] = newCenter;
@@ -1648,11 +2203,14 @@ class MapGeoObjectManager {
 
                 // Update counter
                 this.updatePointCounter();
+
+                this.recordEditChange('Move circle center', before);
             }
         });
 
         // Handle radius dragging
         radiusMarker.on('dragend', (e) => {
+            const before = this.captureEditState();
             const newRadius = this.tempCircleCenter.distanceTo(
                 e.target.getLatLng()
             );
@@ -1660,6 +2218,8 @@ class MapGeoObjectManager {
             // Update visual and callback
             this.updateEditCircleVisual(newRadius);
             this.updateCircleGeometryCallback(this.tempCircleCenter, newRadius);
+
+            this.recordEditChange('Change circle radius', before);
         });
 
         this.editPointMarkers.push(centerMarker);
@@ -1704,6 +2264,8 @@ class MapGeoObjectManager {
         if (this.editMode) {
             this.updatePointCounter();
         }
+
+        this.notifyEditGeometryChange();
     }
 
     /**
@@ -1724,6 +2286,8 @@ class MapGeoObjectManager {
         if (this.editMode) {
             this.updatePointCounter();
         }
+
+        this.notifyEditGeometryChange();
     }
 
     /**
@@ -1742,6 +2306,8 @@ class MapGeoObjectManager {
             return;
         }
 
+        const before = this.captureEditState();
+
         // Remove the point and marker
         this.tempPoints.splice(index, 1);
 
@@ -1751,6 +2317,185 @@ class MapGeoObjectManager {
         // Update visual representation
         this.updateEditVisual();
         this.updateGeometryCallback();
+
+        this.recordEditChange('Delete vertex', before);
+    }
+
+    /**
+     * Capture current edit geometry so it can be restored by undo/redo
+     */
+    captureEditState() {
+        return {
+            type: this.getDrawingTypeKey(),
+            points: this.tempPoints.map((point) =>
+                L.latLng(point.lat, point.lng)
+            ),
+            circleCenter: this.tempCircleCenter
+                ? L.latLng(this.tempCircleCenter.lat, this.tempCircleCenter.lng)
+                : null,
+            circleRadius:
+                this.tempLayer && this.tempLayer.getRadius
+                    ? this.tempLayer.getRadius()
+                    : null,
+        };
+    }
+
+    /**
+     * Restore edit geometry captured by captureEditState()
+     */
+    restoreEditState(state) {
+        // Drawing session ended or switched to another object type
+        if (!this.drawingMode || state.type !== this.getDrawingTypeKey()) {
+            return;
+        }
+
+        this.clearEditPointMarkers();
+        this.tempPoints = state.points.map((point) =>
+            L.latLng(point.lat, point.lng)
+        );
+
+        if (state.type === 'circle') {
+            this.tempCircleCenter = state.circleCenter;
+            this.createEditCircleMarker(state.circleCenter, state.circleRadius);
+            this.updateEditCircleVisual(state.circleRadius);
+            this.updateCircleGeometryCallback(
+                state.circleCenter,
+                state.circleRadius
+            );
+        } else if (state.type === 'point') {
+            this.createEditPointMarker(this.tempPoints[0], 0, 'point');
+            this.updatePointGeometryCallback(this.tempPoints[0]);
+        } else {
+            this.recreateEditPointMarkers();
+            this.updateEditVisual();
+            this.updateGeometryCallback();
+        }
+
+        this.updatePointCounter();
+    }
+
+    /**
+     * Register geometry change in undo history
+     * @param {string} label - Action name shown after undo/redo
+     * @param {Object} before - State captured before the change
+     */
+    recordEditChange(label, before) {
+        // Circle without radius is an unfinished first step - nothing to restore
+        if (before.type === 'circle' && !before.circleRadius) {
+            return;
+        }
+
+        const after = this.captureEditState();
+
+        this.history.push({
+            label,
+            scope: 'geometry',
+            undo: () => this.restoreEditState(before),
+            redo: () => this.restoreEditState(after),
+        });
+    }
+
+    /**
+     * Lowercased drawing type of the current session
+     */
+    getDrawingTypeKey() {
+        return this.drawingType ? this.drawingType.toLowerCase() : '';
+    }
+
+    /**
+     * Current drawn/edited geometry as plain values
+     * Circle: points holds the center, radius is null until it is set
+     * @returns {Object|null} { type, points: [{lat, lng}], radius }
+     */
+    getEditGeometry() {
+        if (!this.drawingMode) {
+            return null;
+        }
+
+        const type = this.getDrawingTypeKey();
+        const circleRadius =
+            type === 'circle' && this.tempLayer && this.tempLayer.getRadius
+                ? this.tempLayer.getRadius()
+                : null;
+
+        return {
+            type,
+            points: this.tempPoints.map((point) => ({
+                lat: point.lat,
+                lng: point.lng,
+            })),
+            radius: circleRadius,
+        };
+    }
+
+    /**
+     * Replace drawn/edited geometry with typed values (vertex table)
+     * Markers, temporary shape and form GeoJSON are updated like after a click
+     * @param {Object} geometry - { points: [{lat, lng}], radius }
+     */
+    setEditGeometry(geometry) {
+        if (!this.drawingMode) return;
+
+        const type = this.getDrawingTypeKey();
+        const points = geometry.points.map((point) =>
+            L.latLng(point.lat, point.lng)
+        );
+
+        if (type === 'point') {
+            if (points[0]) {
+                this.handlePointClick({ latlng: points[0] });
+            }
+            return;
+        }
+
+        if (type === 'circle') {
+            if (!points[0]) return;
+
+            // Only the center is known yet - same as the first click
+            if (!geometry.radius) {
+                this.handleCircleFirstClick({ latlng: points[0] });
+                return;
+            }
+        }
+
+        const before = this.captureEditState();
+
+        this.restoreEditState({
+            type,
+            points,
+            circleCenter: type === 'circle' ? points[0] : null,
+            circleRadius: type === 'circle' ? geometry.radius : null,
+        });
+
+        // Further clicks adjust the radius of the new circle
+        if (type === 'circle' && !this.editMode) {
+            this.switchToCircleRadiusClick();
+        }
+
+        this.recordEditChange('Edit coordinates', before);
+    }
+
+    /**
+     * Subscribe to drawn/edited geometry changes
+     * @param {Function} listener - Receives getEditGeometry() result
+     * @returns {Function} Unsubscribe function
+     */
+    onEditGeometryChange(listener) {
+        this.editGeometryListeners.push(listener);
+
+        return () => {
+            this.editGeometryListeners = this.editGeometryListeners.filter(
+                (item) => item !== listener
+            );
+        };
+    }
+
+    /**
+     * Notify listeners about geometry change
+     */
+    notifyEditGeometryChange() {
+        const geometry = this.getEditGeometry();
+        this.editGeometryListeners.forEach((listener) => listener(geometry));
     }
 
     /**
@@ -1828,6 +2573,9 @@ class MapGeoObjectManager {
     updateGeometryCallback() {
         if (!this.drawingCallback) return;
 
+        // Incomplete shapes don't produce GeoJSON but the table still follows
+        this.notifyEditGeometryChange();
+
         const drawingType = this.drawingType
             ? this.drawingType.toLowerCase()
             : '';
@@ -1929,7 +2677,9 @@ class MapGeoObjectManager {
                                 <span style="margin-left: 5px; color: ${
                                     side.color || '#6c757d'
                                 };">
-                                    <i class="fas fa-circle"></i> ${side.name}
+                                    <i class="fas fa-circle"></i> ${escapeHtml(
+                                        side.name
+                                    )}
                                 </span>
                             </label>
                         </div>
@@ -1964,8 +2714,149 @@ class MapGeoObjectManager {
         this.sidesLegend.addTo(this.leafletMap);
     }
 
+    /**
+     * Same rule as GeoObject::isVisibleToSide(): objects without
+     * visibleToSides are visible to all sides
+     * @param {Object} object - Geo object data
+     * @param {number} sideId - Side ID
+     */
+    isVisibleToSide(object, sideId) {
+        if (!Array.isArray(object.visibleToSides)) {
+            return true;
+        }
+
+        return object.visibleToSides.some((id) => Number(id) === sideId);
+    }
+
+    /**
+     * Popup line listing the sides an object is restricted to
+     * @returns {string} HTML, empty for objects visible to all sides
+     */
+    formatSideVisibilityInfo(object) {
+        if (!Array.isArray(object.visibleToSides)) {
+            return '';
+        }
+
+        const names = object.visibleToSides.map((sideId) => {
+            const side = this.sides.get(Number(sideId));
+            return side ? escapeHtml(side.name) : `#${sideId}`;
+        });
+
+        return `<div class="side-visibility-info">
+            <small class="text-muted">
+                <i class="fas fa-user-lock"></i> ${
+                    names.length > 0
+                        ? `Only visible to: ${names.join(', ')}`
+                        : 'Hidden from all sides'
+                }
+            </small>
+        </div>`;
+    }
+
+    /**
+     * Add "View as side" control: editor filter showing the objects visible
+     * to one side (visibleToSides), active only. Observer links are not
+     * bound to a side, so this is not what observers see
+     */
+    createViewAsSideControl() {
+        fetch('/api/sides/list')
+            .then((response) => response.json())
+            .then((data) => {
+                if (!data.success || data.sides.length === 0) {
+                    return;
+                }
+
+                this.sides = new Map(
+                    data.sides.map((side) => [side.id, side])
+                );
+                this.addViewAsSideControl(data.sides);
+            })
+            .catch(() => {
+                // Preview is optional, the map works without it
+            });
+    }
+
+    /**
+     * @param {Array} sides - [{id, name, color}] from /api/sides/list
+     */
+    addViewAsSideControl(sides) {
+        if (this.viewAsControl) {
+            this.leafletMap.removeControl(this.viewAsControl);
+        }
+
+        const control = L.control({ position: 'topright' });
+        control.onAdd = () => {
+            const div = L.DomUtil.create('div', 'view-as-side');
+            div.innerHTML = `
+                <label class="view-as-side-label" for="view-as-side-select">
+                    <i class="fas fa-user-secret"></i> View as side
+                </label>
+                <select id="view-as-side-select" class="form-select form-select-sm">
+                    <option value="">Admin (all objects)</option>
+                    ${sides
+                        .map(
+                            (side) =>
+                                `<option value="${side.id}">${escapeHtml(
+                                    side.name
+                                )}</option>`
+                        )
+                        .join('')}
+                </select>
+                <small class="view-as-side-note">
+                    Objects visible to this side, observer links
+                    are not filtered by side
+                </small>
+            `;
+
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            const select = div.querySelector('select');
+            select.value =
+                this.viewAsSideId !== null ? String(this.viewAsSideId) : '';
+            select.addEventListener('change', () => {
+                this.setViewAsSide(select.value ? Number(select.value) : null);
+            });
+
+            return div;
+        };
+
+        this.viewAsControl = control.addTo(this.leafletMap);
+        this.updateViewAsSideState();
+    }
+
+    /**
+     * Switch "view as side" filter
+     * @param {number|null} sideId - Side to filter by, null for the admin view
+     */
+    setViewAsSide(sideId) {
+        this.viewAsSideId = sideId;
+        this.updateViewAsSideState();
+
+        this.updateObjectsVisibility();
+        this.updateSidebarObjectsList();
+    }
+
+    /**
+     * Highlight the control while a side is selected (filters of the
+     * legend do not apply then)
+     */
+    updateViewAsSideState() {
+        const container = this.viewAsControl
+            ? this.viewAsControl.getContainer()
+            : null;
+        if (container) {
+            container.classList.toggle(
+                'view-as-side-active',
+                this.viewAsSideId !== null
+            );
+        }
+    }
+
     /**
      * Toggle TTL visibility filter
+     * @param {boolean} showOnlyActive - Hide expired objects and scheduled
+     *     objects that have not started yet
      */
     toggleTtlVisibilityFilter(showOnlyActive) {
         this.showOnlyActiveObjects = showOnlyActive;
@@ -1977,6 +2868,30 @@ class MapGeoObjectManager {
         this.updateSidebarObjectsList();
     }
 
+    /**
+     * Build export file URL (format: geojson, kml or gpx)
+     * @param {boolean} applyFilters - Skip hidden sides and, if enabled,
+     *     expired and pending objects
+     */
+    getExportUrl(mapId, format, applyFilters = true) {
+        const params = new URLSearchParams();
+
+        if (applyFilters) {
+            if (this.hiddenSides.size > 0) {
+                params.set(
+                    'hiddenSides',
+                    Array.from(this.hiddenSides).join(',')
+                );
+            }
+            if (this.showOnlyActiveObjects) {
+                params.set('activeOnly', '1');
+            }
+        }
+
+        const query = params.toString();
+        return `/geo-object/by-map/${mapId}/export/${format}${query ? `?${query}` : ''}`;
+    }
+
     /**
      * Toggle visibility of objects for a specific side based on checkbox state
      */
@@ -2000,30 +2915,23 @@ class MapGeoObjectManager {
      * Update visibility of all objects based on side filters and TTL filter
      */
     updateObjectsVisibility() {
+        // Filters apply to replayed history instead
+        if (this.replay) {
+            this.replay.refresh();
+            return;
+        }
+
         Object.values(this.geoObjectLayers).forEach((item) => {
             const object = item.data;
             const layer = item.layer;
 
             if (!layer) return;
 
-            // Check side filter
-            const sideVisible =
-                !object.side || !this.hiddenSides.has(object.side.id);
-
-            // Check TTL filter
-            const ttlVisible = !this.showOnlyActiveObjects || !object.isExpired;
-
-            // Show object if it passes both filters
-            const shouldShow = sideVisible && ttlVisible;
-
-            if (shouldShow) {
-                if (!this.leafletMap.hasLayer(layer)) {
-                    layer.addTo(this.leafletMap);
-                }
+            // Show object if it passes both side and TTL filters
+            if (this.isObjectVisible(object)) {
+                this.showObjectLayer(item);
             } else {
-                if (this.leafletMap.hasLayer(layer)) {
-                    this.leafletMap.removeLayer(layer);
-                }
+                this.hideObjectLayer(item);
             }
         });
     }
@@ -2034,17 +2942,12 @@ class MapGeoObjectManager {
     updateSidebarObjectsList() {
         if (window.geoObjectForm && window.geoObjectForm.updateObjectsList) {
             // Filter objects by hidden sides and TTL filter
-            const visibleObjects = this.allObjects.filter((object) => {
-                // Check side filter
-                const sideVisible =
-                    !object.side || !this.hiddenSides.has(object.side.id);
-
-                // Check TTL filter
-                const ttlVisible =
-                    !this.showOnlyActiveObjects || !object.isExpired;
-
-                return sideVisible && ttlVisible;
-            });
+            // (and by viewport when loading lazily)
+            const visibleObjects = this.allObjects.filter(
+                (object) =>
+                    this.isObjectVisible(object) &&
+                    this.isObjectInViewport(object)
+            );
 
             window.geoObjectForm.updateObjectsList(visibleObjects);
         }
@@ -7,10 +7,11 @@ import L from 'leaflet';
 export default class MapLayers {
     /**
      * Get all available base layers
+     * @param {Array} tileSources - Custom sources (TileSource::toArray())
      * @returns {Object} Object with layer names as keys and Leaflet layers as values
      */
-    static getBaseLayers() {
-        return {
+    static getBaseLayers(tileSources = []) {
+        const baseLayers = {
             // OpenStreetMap
             'Street Map': L.tileLayer(
                 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
@@ -70,13 +71,67 @@ export default class MapLayers {
                 }
             ),
         };
+
+        // Custom sources registered by admins
+        tileSources.forEach((source) => {
+            const layer = this.createTileSourceLayer(source);
+            if (!layer) return;
+
+            // Custom sources may be downloaded for offline use
+            layer.tileSource = source;
+
+            const name = baseLayers[source.name]
+                ? `${source.name} (custom)`
+                : source.name;
+            baseLayers[name] = layer;
+        });
+
+        return baseLayers;
+    }
+
+    /**
+     * Create layer for a custom tile source
+     * @param {Object} source - {name, type: xyz|tms|wms, url, attribution, minZoom, maxZoom, subdomains, wmsLayers}
+     * @returns {L.TileLayer|null} Layer or null for unknown source type
+     */
+    static createTileSourceLayer(source) {
+        const options = {
+            attribution: source.attribution || '',
+            minZoom: source.minZoom ?? 0,
+            maxZoom: source.maxZoom ?? 19,
+        };
+
+        if (source.subdomains && source.subdomains.length > 0) {
+            options.subdomains = source.subdomains;
+        }
+
+        switch (source.type) {
+            case 'xyz':
+                return L.tileLayer(source.url, options);
+            case 'tms':
+                return L.tileLayer(source.url, { ...options, tms: true });
+            case 'wms':
+                return L.tileLayer.wms(source.url, {
+                    ...options,
+                    layers: source.wmsLayers,
+                    format: 'image/png',
+                });
+            default:
+                console.warn(`Unknown tile source type: ${source.type}`);
+                return null;
+        }
     }
 
     /**
      * Get default layer name
+     * @param {string|null} preferredName - Default layer saved for the map
+     * @param {Object|null} baseLayers - Available layers to check the name against
      * @returns {string} Default layer name
      */
-    static getDefaultLayerName() {
+    static getDefaultLayerName(preferredName = null, baseLayers = null) {
+        if (preferredName && (!baseLayers || baseLayers[preferredName])) {
+            return preferredName;
+        }
         return 'Satellite';
     }
 
@@ -122,11 +177,16 @@ export default class MapLayers {
      * Initialize map with base layers and layer control
      * @param {L.Map} map - Leaflet map instance
      * @param {Object} options - Options for layer control
+     * @param {Object} layerConfig - {tileSources, defaultLayer} of the map
      * @returns {Object} Object containing baseLayers and layerControl
      */
-    static initializeMapWithLayers(map, options = {}) {
-        const baseLayers = this.getBaseLayers();
-        const defaultLayerName = this.getDefaultLayerName();
+    static initializeMapWithLayers(map, options = {}, layerConfig = {}) {
+        const { tileSources = [], defaultLayer = null } = layerConfig;
+        const baseLayers = this.getBaseLayers(tileSources);
+        const defaultLayerName = this.getDefaultLayerName(
+            defaultLayer,
+            baseLayers
+        );
 
         // Add default layer to map
         baseLayers[defaultLayerName].addTo(map);
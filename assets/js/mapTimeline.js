@@ -0,0 +1,443 @@
+import L from 'leaflet';
+import { escapeHtml } from './baseMapComponent';
+import {
+    GeoreferencedImageOverlay,
+    getImageCorners,
+    getOutline,
+} from './georeferencedImage';
+import { styleExpiredLayer, stylePendingLayer } from './ttlCountdown';
+
+/**
+ * Map timeline
+ * Map control that replays the revision history of a map's geo objects:
+ * the slider picks a past moment and the map shows the objects that existed
+ * then, where they were and which of them had expired or were still waiting
+ * for their scheduled start. Playback moves the slider forward at the
+ * selected speed.
+ *
+ * While the timeline is open the live layers are hidden (the geo object
+ * manager is in replay mode) and history is drawn in a separate layer.
+ */
+
+const TICK_INTERVAL = 200; // ms
+
+// Seconds of history per second of playback
+const SPEEDS = [
+    { value: 60, label: '1 min/s' },
+    { value: 600, label: '10 min/s' },
+    { value: 3600, label: '1 h/s' },
+    { value: 21600, label: '6 h/s' },
+    { value: 86400, label: '1 day/s' },
+];
+
+export default class MapTimeline {
+    /**
+     * @param {Object} options
+     * @param {L.Map} options.map - Leaflet map
+     * @param {MapGeoObjectManager} options.geoObjectManager - Live objects
+     * @param {string|number} options.mapId - Map ID
+     * @param {string} options.position - Control position
+     */
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                map: null,
+                geoObjectManager: null,
+                mapId: null,
+                position: 'bottomleft',
+            },
+            options
+        );
+
+        this.map = this.options.map;
+        this.manager = this.options.geoObjectManager;
+        this.control = null;
+        this.container = null;
+
+        this.revisions = [];
+        this.start = 0;
+        this.end = 0;
+        this.time = 0;
+        this.active = false;
+        this.playTimer = null;
+
+        this.replayLayer = L.layerGroup();
+        this.replayItems = new Map(); // objectId => {key, layer}
+
+        if (this.map && this.manager && this.options.mapId) {
+            this.init();
+        }
+    }
+
+    /**
+     * Create control
+     */
+    init() {
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+        this.control.addTo(this.map);
+    }
+
+    /**
+     * Build control markup
+     */
+    createContainer() {
+        const container = L.DomUtil.create('div', 'map-timeline');
+        container.innerHTML = `
+            <button type="button" class="map-timeline-toggle" title="Replay object history">
+                <i class="fas fa-history"></i> Timeline
+            </button>
+            <div class="map-timeline-body" style="display: none;">
+                <div class="map-timeline-header">
+                    <span class="map-timeline-time"></span>
+                    <button type="button" class="btn btn-sm btn-outline-secondary map-timeline-live" title="Back to live objects">
+                        Live
+                    </button>
+                </div>
+                <input type="range" class="form-range map-timeline-slider" step="1000">
+                <div class="map-timeline-controls">
+                    <button type="button" class="btn btn-sm btn-primary map-timeline-play" title="Play">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <select class="form-select form-select-sm map-timeline-speed" title="Playback speed">
+                        ${SPEEDS.map(
+                            (speed) =>
+                                `<option value="${speed.value}">${speed.label}</option>`
+                        ).join('')}
+                    </select>
+                    <span class="map-timeline-summary"></span>
+                </div>
+                <div class="map-timeline-message"></div>
+            </div>
+        `;
+
+        this.container = container;
+        this.body = container.querySelector('.map-timeline-body');
+        this.timeLabel = container.querySelector('.map-timeline-time');
+        this.slider = container.querySelector('.map-timeline-slider');
+        this.playBtn = container.querySelector('.map-timeline-play');
+        this.speedSelect = container.querySelector('.map-timeline-speed');
+        this.summary = container.querySelector('.map-timeline-summary');
+        this.message = container.querySelector('.map-timeline-message');
+
+        this.speedSelect.value = String(SPEEDS[1].value);
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        L.DomEvent.on(
+            container.querySelector('.map-timeline-toggle'),
+            'click',
+            () => (this.active ? this.close() : this.open())
+        );
+        L.DomEvent.on(
+            container.querySelector('.map-timeline-live'),
+            'click',
+            () => this.close()
+        );
+        L.DomEvent.on(this.slider, 'input', () => {
+            this.pause();
+            this.setTime(Number(this.slider.value));
+        });
+        L.DomEvent.on(this.playBtn, 'click', () =>
+            this.playTimer ? this.pause() : this.play()
+        );
+
+        return container;
+    }
+
+    /**
+     * Load history and switch the map to replay mode
+     */
+    open() {
+        this.active = true;
+        this.body.style.display = '';
+        this.showMessage('Loading history...');
+        this.setControlsEnabled(false);
+
+        this.manager.startReplay(this);
+        this.replayLayer.addTo(this.map);
+
+        fetch(`/geo-object/by-map/${this.options.mapId}/timeline`)
+            .then((response) => response.json())
+            .then((data) => {
+                if (!this.active) return;
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to load history');
+                }
+
+                this.revisions = data.revisions.map((revision) =>
+                    Object.assign({}, revision, {
+                        time: Date.parse(revision.recordedAt),
+                        expiresTime: revision.expiresAt
+                            ? Date.parse(revision.expiresAt)
+                            : null,
+                        activeTime: revision.object.activeFrom
+                            ? Date.parse(revision.object.activeFrom)
+                            : null,
+                    })
+                );
+                this.start = Date.parse(data.start);
+                this.end = Math.max(Date.parse(data.end), this.start);
+
+                this.slider.min = this.start;
+                this.slider.max = this.end;
+                this.showMessage(
+                    this.revisions.length === 0 ? 'No history yet.' : ''
+                );
+                this.setControlsEnabled(this.revisions.length > 0);
+                this.setTime(this.end);
+            })
+            .catch((error) => {
+                if (this.active) this.showMessage(error.message, true);
+            });
+    }
+
+    /**
+     * Leave replay mode and show live objects again
+     */
+    close() {
+        this.pause();
+        this.active = false;
+        this.body.style.display = 'none';
+
+        this.clearReplayLayers();
+        this.map.removeLayer(this.replayLayer);
+        this.revisions = [];
+
+        this.manager.stopReplay();
+    }
+
+    play() {
+        if (this.revisions.length === 0) return;
+
+        // Replay from the beginning when already at the end
+        if (this.time >= this.end) {
+            this.setTime(this.start);
+        }
+
+        this.playBtn.innerHTML = '<i class="fas fa-pause"></i>';
+        this.playBtn.title = 'Pause';
+        this.playTimer = setInterval(() => {
+            const step = Number(this.speedSelect.value) * TICK_INTERVAL;
+            const time = Math.min(this.time + step, this.end);
+
+            this.setTime(time);
+            if (time >= this.end) this.pause();
+        }, TICK_INTERVAL);
+    }
+
+    pause() {
+        if (this.playTimer) {
+            clearInterval(this.playTimer);
+            this.playTimer = null;
+        }
+        if (this.playBtn) {
+            this.playBtn.innerHTML = '<i class="fas fa-play"></i>';
+            this.playBtn.title = 'Play';
+        }
+    }
+
+    /**
+     * Move to a moment and redraw objects
+     * @param {number} time - Timestamp in ms
+     */
+    setTime(time) {
+        this.time = time;
+        this.slider.value = time;
+        this.timeLabel.textContent = new Date(time).toLocaleString();
+        this.refresh();
+    }
+
+    /**
+     * Redraw objects for the current moment (also after filter changes)
+     */
+    refresh() {
+        if (!this.active) return;
+
+        const states = this.getStateAt(this.time).filter(
+            (state) =>
+                this.manager.isObjectVisible(
+                    Object.assign({}, state.revision.object, {
+                        isExpired: state.expired,
+                        isPending: state.pending,
+                    })
+                )
+        );
+        const shown = new Set();
+
+        states.forEach((state) => {
+            const objectId = state.revision.objectId;
+            const key = [
+                state.revision.id,
+                state.expired,
+                state.pending,
+            ].join(':');
+            const current = this.replayItems.get(objectId);
+            shown.add(objectId);
+
+            if (current && current.key === key) return;
+            if (current) this.replayLayer.removeLayer(current.layer);
+
+            const layer = this.createReplayLayer(state);
+            if (layer) {
+                this.replayLayer.addLayer(layer);
+                this.replayItems.set(objectId, { key, layer });
+            } else {
+                this.replayItems.delete(objectId);
+            }
+        });
+
+        this.replayItems.forEach((item, objectId) => {
+            if (!shown.has(objectId)) {
+                this.replayLayer.removeLayer(item.layer);
+                this.replayItems.delete(objectId);
+            }
+        });
+
+        const expired = states.filter((state) => state.expired).length;
+        const pending = states.filter((state) => state.pending).length;
+        this.summary.textContent = `${states.length} objects${
+            expired > 0 ? `, ${expired} expired` : ''
+        }${pending > 0 ? `, ${pending} pending` : ''}`;
+    }
+
+    /**
+     * Latest state of every object that existed at a moment
+     * @param {number} time - Timestamp in ms
+     * @returns {Array} [{revision, expired, pending}]
+     */
+    getStateAt(time) {
+        const latest = new Map();
+
+        for (const revision of this.revisions) {
+            if (revision.time > time) break;
+            latest.set(revision.objectId, revision);
+        }
+
+        return Array.from(latest.values())
+            .filter((revision) => revision.action !== 'deleted')
+            .map((revision) => ({
+                revision,
+                expired:
+                    revision.expiresTime !== null &&
+                    time >= revision.expiresTime,
+                pending:
+                    revision.activeTime !== null && time < revision.activeTime,
+            }));
+    }
+
+    /**
+     * Build layer for an object state, expired objects are greyed out and
+     * pending ones drawn faint
+     */
+    createReplayLayer(state) {
+        const object = state.revision.object;
+        const geoJson =
+            typeof object.geoJson === 'string'
+                ? JSON.parse(object.geoJson)
+                : object.geoJson;
+        let layer = null;
+
+        switch ((object.type || '').toLowerCase()) {
+            case 'point':
+                layer = this.manager.createPointLayer(geoJson, object);
+                break;
+            case 'polygon':
+                layer = this.manager.createPolygonLayer(geoJson, object);
+                break;
+            case 'circle':
+                layer = this.manager.createCircleLayer(geoJson, object);
+                break;
+            case 'line':
+            case 'linestring':
+                layer = this.manager.createLineLayer(geoJson, object);
+                break;
+            case 'image':
+                layer = this.createImageLayer(geoJson, object);
+                break;
+        }
+
+        if (!layer) return null;
+
+        if (state.expired) {
+            styleExpiredLayer(layer);
+        } else if (state.pending) {
+            stylePendingLayer(layer);
+        }
+
+        // Plain layer groups do not open popups of their sublayers
+        const popupContent = this.createPopupContent(state);
+        const isPlainGroup =
+            layer instanceof L.LayerGroup && !(layer instanceof L.FeatureGroup);
+        if (isPlainGroup) {
+            layer.eachLayer((sublayer) => sublayer.bindPopup(popupContent));
+        } else {
+            layer.bindPopup(popupContent);
+        }
+
+        return layer;
+    }
+
+    /**
+     * Image overlay with outline, not registered in the toolbar layer list
+     */
+    createImageLayer(geoJson, object) {
+        const corners = getImageCorners(geoJson);
+        if (!corners || !geoJson.imageUrl) return null;
+
+        return L.featureGroup([
+            new GeoreferencedImageOverlay(geoJson.imageUrl, corners, {
+                opacity: geoJson.opacity,
+            }),
+            L.polygon(getOutline(corners), {
+                color: object.side ? object.side.color : '#6f42c1',
+                weight: 1,
+                dashArray: '4 4',
+                fillOpacity: 0,
+            }),
+        ]);
+    }
+
+    createPopupContent(state) {
+        const { revision, expired, pending } = state;
+        const object = revision.object;
+        const side = object.side
+            ? `<div><strong>Side:</strong> ${escapeHtml(object.side.name)}</div>`
+            : '';
+
+        return `
+            <div class="map-timeline-popup">
+                <h6>${escapeHtml(object.title)}</h6>
+                ${side}
+                <div><strong>Status:</strong> ${
+                    expired
+                        ? '<span class="text-danger">Expired</span>'
+                        : pending
+                          ? '<span class="text-warning">Pending</span>'
+                          : '<span class="text-success">Active</span>'
+                }</div>
+                <div class="text-muted small">
+                    ${revision.action === 'created' ? 'Created' : 'Updated'}
+                    ${new Date(revision.time).toLocaleString()}
+                </div>
+            </div>
+        `;
+    }
+
+    clearReplayLayers() {
+        this.replayLayer.clearLayers();
+        this.replayItems.clear();
+    }
+
+    setControlsEnabled(enabled) {
+        this.slider.disabled = !enabled;
+        this.playBtn.disabled = !enabled;
+    }
+
+    showMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.classList.toggle('text-danger', isError);
+        this.message.style.display = text ? '' : 'none';
+    }
+}
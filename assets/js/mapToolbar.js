@@ -1,4 +1,22 @@
 import L from 'leaflet';
+import {
+    COORDINATE_SYSTEMS,
+    formatCoordinates,
+    parseCoordinates,
+} from './coordinateFormats';
+import {
+    calculateBearing,
+    toMagneticBearing,
+    formatBearing,
+    destinationPoint,
+    calculateArea,
+    calculatePerimeter,
+    formatArea,
+    formatLength,
+} from './geoMeasure';
+
+const COORDINATE_SYSTEM_STORAGE_KEY = 'tacticalMaps.coordinateSystem';
+const MEASURE_SETTINGS_STORAGE_KEY = 'tacticalMaps.measureSettings';
 
 /**
  * Map Toolbar - Additional tools for map interaction
@@ -14,8 +32,30 @@ export default class MapToolbar {
         this.distanceMode = false;
         this.distanceMarkers = [];
         this.distancePolyline = null;
+        this.distanceLegLabels = [];
+        this.rangeRingsMode = false;
+        this.rangeRingsCenter = null;
+        this.rangeRingsLayer = null;
+        this.measureSettings = this.loadMeasureSettings();
+        this.markerRingsHandler = (e) => {
+            // Rings around an existing point object instead of its popup
+            this.map.closePopup();
+            this.placeRangeRings(e.target.getLatLng());
+        };
+        this.layerAddRingsHandler = (e) => this.bindMarkerRings(e.layer);
+        this.areaMode = false;
+        this.areaPoints = [];
+        this.areaLayer = null;
+        this.areaShape = null;
+        this.areaLabel = null;
         this.coordinateTooltip = null;
         this.currentLayer = null;
+        this.imageOverlays = {}; // Object ID => {name, overlay}
+        this.imageOverlaySettings = {}; // Object ID => {visible, opacity}
+        this.overlayList = null;
+        this.coordinateSystem = this.loadCoordinateSystem();
+        this.cursorReadout = null;
+        this.mapEventHandlers = null;
 
         // Find current active layer
         if (this.baseLayers) {
@@ -54,10 +94,16 @@ export default class MapToolbar {
         this.createCenterButton();
         this.createLayerSelector();
         this.createCoordinatesToggle();
+        this.createCoordinateSystemSelector();
         this.createDistanceToggle();
+        this.createAreaToggle();
+        this.createRangeRingsToggle();
+        this.createMeasurePanel();
+        this.createGotoBox();
 
         // Add to map
         this.map.getContainer().appendChild(this.toolbar);
+        this.createCursorReadout();
 
         // Hide default layer control if it exists
         if (this.layerControl) {
@@ -125,16 +171,7 @@ export default class MapToolbar {
 
         // Get layer names and current layer
         const layerNames = Object.keys(this.baseLayers);
-        let currentLayerName = 'Satellite'; // Default layer from mapLayers.js
-
-        // Find current active layer
-        this.map.eachLayer((layer) => {
-            layerNames.forEach((name) => {
-                if (this.baseLayers[name] === layer) {
-                    currentLayerName = name;
-                }
-            });
-        });
+        const currentLayerName = this.getCurrentLayerName();
 
         // Create dropdown items for each layer
         layerNames.forEach((layerName) => {
@@ -159,6 +196,14 @@ export default class MapToolbar {
             });
         });
 
+        // Image overlays of geo objects: visibility and opacity
+        this.overlayList = L.DomUtil.create(
+            'div',
+            'toolbar-layer-overlays',
+            dropdownMenu
+        );
+        this.renderImageOverlays();
+
         // Handle button click to toggle dropdown
         L.DomEvent.on(layerButton, 'click', (e) => {
             L.DomEvent.stopPropagation(e);
@@ -179,6 +224,91 @@ export default class MapToolbar {
         });
     }
 
+    /**
+     * Add or replace image overlay in the layer selector
+     * @param {string|number} id - Geo object ID
+     * @param {string} name - Name shown in the selector
+     * @param {GeoreferencedImageOverlay} overlay - Image layer
+     */
+    setImageOverlay(id, name, overlay) {
+        // Keep user's choice when the object is re-rendered
+        const settings = this.imageOverlaySettings[id] || {};
+        if (settings.visible !== undefined) {
+            overlay.setVisible(settings.visible);
+        }
+        if (settings.opacity !== undefined) {
+            overlay.setOpacity(settings.opacity);
+        }
+
+        this.imageOverlays[id] = { name, overlay };
+        this.renderImageOverlays();
+    }
+
+    /**
+     * Remove image overlay from the layer selector
+     * @param {string|number} id - Geo object ID
+     * @param {GeoreferencedImageOverlay|null} overlay - Remove only this layer
+     */
+    removeImageOverlay(id, overlay = null) {
+        const item = this.imageOverlays[id];
+        if (!item || (overlay && item.overlay !== overlay)) return;
+
+        delete this.imageOverlays[id];
+        this.renderImageOverlays();
+    }
+
+    /**
+     * Render image overlay toggles and opacity sliders
+     */
+    renderImageOverlays() {
+        if (!this.overlayList) return;
+
+        const ids = Object.keys(this.imageOverlays);
+        this.overlayList.innerHTML = '';
+        this.overlayList.style.display = ids.length ? '' : 'none';
+        if (!ids.length) return;
+
+        L.DomUtil.create(
+            'div',
+            'toolbar-layer-overlays-title',
+            this.overlayList
+        ).textContent = 'Image overlays';
+
+        ids.forEach((id) => {
+            const item = this.imageOverlays[id];
+            const row = L.DomUtil.create(
+                'div',
+                'toolbar-layer-overlay-item',
+                this.overlayList
+            );
+
+            const label = L.DomUtil.create('label', '', row);
+            const checkbox = L.DomUtil.create('input', '', label);
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.overlay.isVisible();
+            label.appendChild(document.createTextNode(` ${item.name}`));
+
+            const slider = L.DomUtil.create('input', '', row);
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = 100;
+            slider.value = Math.round(item.overlay.getOpacity() * 100);
+            slider.title = 'Opacity';
+
+            const settings = (this.imageOverlaySettings[id] =
+                this.imageOverlaySettings[id] || {});
+
+            L.DomEvent.on(checkbox, 'change', () => {
+                settings.visible = checkbox.checked;
+                item.overlay.setVisible(checkbox.checked);
+            });
+            L.DomEvent.on(slider, 'input', () => {
+                settings.opacity = slider.value / 100;
+                item.overlay.setOpacity(settings.opacity);
+            });
+        });
+    }
+
     /**
      * Toggle layer dropdown visibility
      */
@@ -230,6 +360,20 @@ export default class MapToolbar {
         });
     }
 
+    /**
+     * Name of the active base layer
+     * @returns {string|null}
+     */
+    getCurrentLayerName() {
+        if (!this.baseLayers || !this.currentLayer) return null;
+
+        return (
+            Object.keys(this.baseLayers).find(
+                (name) => this.baseLayers[name] === this.currentLayer
+            ) || null
+        );
+    }
+
     /**
      * Change map layer
      */
@@ -247,6 +391,12 @@ export default class MapToolbar {
 
         // Move layer to back so geo objects stay on top
         this.currentLayer.bringToBack();
+
+        // Same event as Leaflet's layers control (map editor saves default)
+        this.map.fire('baselayerchange', {
+            layer: this.currentLayer,
+            name: layerName,
+        });
     }
 
     /**
@@ -285,6 +435,148 @@ export default class MapToolbar {
         });
     }
 
+    /**
+     * Create coordinate system selector (DD, DMS, UTM, MGRS)
+     */
+    createCoordinateSystemSelector() {
+        const select = L.DomUtil.create(
+            'select',
+            'toolbar-select toolbar-coordinate-system',
+            this.toolbar
+        );
+        select.title = 'Coordinate System';
+
+        Object.entries(COORDINATE_SYSTEMS).forEach(([system, label]) => {
+            const option = L.DomUtil.create('option', '', select);
+            option.value = system;
+            option.textContent = label;
+        });
+        select.value = this.coordinateSystem;
+
+        L.DomEvent.disableClickPropagation(select);
+        L.DomEvent.on(select, 'change', (e) => {
+            this.setCoordinateSystem(e.target.value);
+        });
+
+        this.coordinateSystemSelect = select;
+    }
+
+    /**
+     * Create "go to" box accepting decimal degrees, UTM or MGRS
+     */
+    createGotoBox() {
+        const input = L.DomUtil.create(
+            'input',
+            'toolbar-input toolbar-goto',
+            this.toolbar
+        );
+        input.type = 'text';
+        input.placeholder = 'Go to: MGRS / UTM / lat, lng';
+        input.title = 'Go to coordinates (press Enter)';
+
+        L.DomEvent.disableClickPropagation(input);
+        L.DomEvent.disableScrollPropagation(input);
+
+        L.DomEvent.on(input, 'input', () => {
+            input.classList.remove('is-invalid');
+        });
+        L.DomEvent.on(input, 'keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.goToCoordinates(input.value);
+            } else if (e.key === 'Escape') {
+                input.value = '';
+                input.classList.remove('is-invalid');
+                input.blur();
+            }
+        });
+
+        this.gotoInput = input;
+    }
+
+    /**
+     * Create live cursor position readout
+     */
+    createCursorReadout() {
+        this.cursorReadout = L.DomUtil.create(
+            'div',
+            'map-cursor-readout',
+            this.map.getContainer()
+        );
+        this.cursorReadout.style.display = 'none';
+    }
+
+    /**
+     * Load saved coordinate system
+     */
+    loadCoordinateSystem() {
+        try {
+            const saved = window.localStorage.getItem(
+                COORDINATE_SYSTEM_STORAGE_KEY
+            );
+            if (saved && COORDINATE_SYSTEMS[saved]) {
+                return saved;
+            }
+        } catch (error) {
+            // Storage may be unavailable (private mode)
+        }
+
+        return 'dd';
+    }
+
+    /**
+     * Change coordinate system used by popups and readout
+     */
+    setCoordinateSystem(system) {
+        if (!COORDINATE_SYSTEMS[system]) return;
+
+        this.coordinateSystem = system;
+
+        try {
+            window.localStorage.setItem(COORDINATE_SYSTEM_STORAGE_KEY, system);
+        } catch (error) {
+            // Selection just won't persist
+        }
+
+        // Reformat open coordinates popup
+        if (this.coordinateTooltip) {
+            this.showCoordinates({
+                latlng: this.coordinateTooltip.getLatLng(),
+            });
+        }
+    }
+
+    /**
+     * Format position in selected coordinate system
+     */
+    formatLatLng(latlng) {
+        return formatCoordinates(latlng.lat, latlng.lng, this.coordinateSystem);
+    }
+
+    /**
+     * Center map on typed coordinates
+     * @returns {boolean} Whether the input was understood
+     */
+    goToCoordinates(text) {
+        const position = parseCoordinates(text);
+
+        if (!position) {
+            this.gotoInput?.classList.add('is-invalid');
+            return false;
+        }
+
+        this.gotoInput?.classList.remove('is-invalid');
+
+        const latlng = L.latLng(position.lat, position.lng);
+        this.map.setView(latlng, Math.max(this.map.getZoom(), 15), {
+            animate: true,
+            duration: 1.0,
+        });
+        this.showTemporaryIndicator(latlng);
+
+        return true;
+    }
+
     /**
      * Create distance toggle
      */
@@ -321,6 +613,212 @@ export default class MapToolbar {
         });
     }
 
+    /**
+     * Create area measurement toggle
+     */
+    createAreaToggle() {
+        const areaWrapper = L.DomUtil.create(
+            'div',
+            'toolbar-toggle-wrapper',
+            this.toolbar
+        );
+
+        const areaCheckbox = L.DomUtil.create(
+            'input',
+            'toolbar-checkbox',
+            areaWrapper
+        );
+        areaCheckbox.type = 'checkbox';
+        areaCheckbox.id = 'area-toggle';
+
+        const areaLabel = L.DomUtil.create(
+            'label',
+            'toolbar-label toolbar-icon-area',
+            areaWrapper
+        );
+        areaLabel.htmlFor = 'area-toggle';
+        areaLabel.title = 'Area Measurement';
+
+        // Try to load custom icon
+        this.loadCustomIcon(areaLabel, 'area');
+
+        L.DomEvent.on(areaCheckbox, 'change', (e) => {
+            L.DomEvent.stopPropagation(e);
+            this.toggleAreaMode(e.target.checked);
+        });
+    }
+
+    /**
+     * Create range rings toggle
+     */
+    createRangeRingsToggle() {
+        const ringsWrapper = L.DomUtil.create(
+            'div',
+            'toolbar-toggle-wrapper',
+            this.toolbar
+        );
+
+        const ringsCheckbox = L.DomUtil.create(
+            'input',
+            'toolbar-checkbox',
+            ringsWrapper
+        );
+        ringsCheckbox.type = 'checkbox';
+        ringsCheckbox.id = 'range-rings-toggle';
+
+        const ringsLabel = L.DomUtil.create(
+            'label',
+            'toolbar-label toolbar-icon-rings',
+            ringsWrapper
+        );
+        ringsLabel.htmlFor = 'range-rings-toggle';
+        ringsLabel.title = 'Range Rings';
+
+        // Try to load custom icon
+        this.loadCustomIcon(ringsLabel, 'rings');
+
+        L.DomEvent.on(ringsCheckbox, 'change', (e) => {
+            L.DomEvent.stopPropagation(e);
+            this.toggleRangeRingsMode(e.target.checked);
+        });
+    }
+
+    /**
+     * Create measurement settings panel (declination, rings, save)
+     * Shown below the toolbar while a measurement mode is active
+     */
+    createMeasurePanel() {
+        const panel = L.DomUtil.create(
+            'div',
+            'toolbar-measure-panel',
+            this.toolbar
+        );
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <label class="measure-field measure-distance-only" title="Magnetic declination, east positive">
+                Decl. °E
+                <input type="number" step="0.1" class="measure-declination">
+            </label>
+            <label class="measure-field measure-rings-only">
+                Every, m
+                <input type="number" min="1" step="any" class="measure-ring-interval">
+            </label>
+            <label class="measure-field measure-rings-only">
+                Rings
+                <input type="number" min="1" max="50" step="1" class="measure-ring-count">
+            </label>
+            <button type="button" class="measure-btn measure-save" title="Save as geo object">💾 Save</button>
+            <button type="button" class="measure-btn measure-clear" title="Clear measurement">✖</button>
+        `;
+
+        const declinationInput = panel.querySelector('.measure-declination');
+        const intervalInput = panel.querySelector('.measure-ring-interval');
+        const countInput = panel.querySelector('.measure-ring-count');
+        const saveBtn = panel.querySelector('.measure-save');
+
+        declinationInput.value = this.measureSettings.declination;
+        intervalInput.value = this.measureSettings.ringInterval;
+        countInput.value = this.measureSettings.ringCount;
+
+        // Saving needs a map to save to (not available in observer view)
+        if (!this.mapData.mapId) {
+            saveBtn.style.display = 'none';
+        }
+
+        L.DomEvent.disableClickPropagation(panel);
+        L.DomEvent.disableScrollPropagation(panel);
+
+        L.DomEvent.on(declinationInput, 'change', () => {
+            this.updateMeasureSettings({
+                declination: parseFloat(declinationInput.value) || 0,
+            });
+            this.updateDistanceLegLabels();
+        });
+
+        L.DomEvent.on(intervalInput, 'change', () => {
+            const value = parseFloat(intervalInput.value);
+            if (value > 0) {
+                this.updateMeasureSettings({ ringInterval: value });
+                this.drawRangeRings();
+            } else {
+                intervalInput.value = this.measureSettings.ringInterval;
+            }
+        });
+
+        L.DomEvent.on(countInput, 'change', () => {
+            const value = parseInt(countInput.value, 10);
+            if (value >= 1 && value <= 50) {
+                this.updateMeasureSettings({ ringCount: value });
+                this.drawRangeRings();
+            } else {
+                countInput.value = this.measureSettings.ringCount;
+            }
+        });
+
+        L.DomEvent.on(saveBtn, 'click', () => this.saveMeasurement(saveBtn));
+        L.DomEvent.on(panel.querySelector('.measure-clear'), 'click', () => {
+            this.clearDistanceMeasurement();
+            this.clearAreaMeasurement();
+            this.clearRangeRings();
+        });
+
+        this.measurePanel = panel;
+    }
+
+    /**
+     * Show measurement panel for active measurement mode
+     */
+    updateMeasurePanel() {
+        if (!this.measurePanel) return;
+
+        this.measurePanel.style.display =
+            this.distanceMode || this.areaMode || this.rangeRingsMode
+                ? ''
+                : 'none';
+        this.measurePanel
+            .querySelectorAll('.measure-distance-only')
+            .forEach((element) => {
+                element.style.display = this.distanceMode ? '' : 'none';
+            });
+        this.measurePanel
+            .querySelectorAll('.measure-rings-only')
+            .forEach((element) => {
+                element.style.display = this.rangeRingsMode ? '' : 'none';
+            });
+    }
+
+    /**
+     * Load saved measurement settings
+     */
+    loadMeasureSettings() {
+        const defaults = { declination: 0, ringInterval: 1000, ringCount: 3 };
+
+        try {
+            const saved = JSON.parse(
+                window.localStorage.getItem(MEASURE_SETTINGS_STORAGE_KEY)
+            );
+            return Object.assign(defaults, saved || {});
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Change and persist measurement settings
+     */
+    updateMeasureSettings(changes) {
+        Object.assign(this.measureSettings, changes);
+
+        try {
+            window.localStorage.setItem(
+                MEASURE_SETTINGS_STORAGE_KEY,
+                JSON.stringify(this.measureSettings)
+            );
+        } catch (error) {
+            // Settings just won't persist
+        }
+    }
+
     /**
      * Try to load custom icon for element
      * @param {HTMLElement} element - Element to set background image
@@ -359,15 +857,41 @@ export default class MapToolbar {
      * Attach map event listeners
      */
     attachEventListeners() {
-        this.map.on('click', (e) => {
-            if (this.coordinatesMode) {
-                this.showCoordinates(e);
-            }
+        this.mapEventHandlers = {
+            click: (e) => {
+                if (this.coordinatesMode) {
+                    this.showCoordinates(e);
+                }
 
-            if (this.distanceMode) {
-                this.addDistancePoint(e);
-            }
-        });
+                if (this.distanceMode) {
+                    this.addDistancePoint(e);
+                }
+
+                if (this.areaMode) {
+                    this.addAreaPoint(e.latlng);
+                }
+
+                if (this.rangeRingsMode) {
+                    this.placeRangeRings(e.latlng);
+                }
+            },
+            mousemove: (e) => {
+                if (this.areaMode && this.areaPoints.length > 0) {
+                    this.updateAreaMeasurement(e.latlng);
+                }
+
+                if (!this.cursorReadout) return;
+                this.cursorReadout.textContent = this.formatLatLng(e.latlng);
+                this.cursorReadout.style.display = '';
+            },
+            mouseout: () => {
+                if (this.cursorReadout) {
+                    this.cursorReadout.style.display = 'none';
+                }
+            },
+        };
+
+        this.map.on(this.mapEventHandlers);
     }
 
     /**
@@ -414,6 +938,8 @@ export default class MapToolbar {
         if (enabled) {
             this.map.getContainer().style.cursor = 'crosshair';
             this.disableDistanceMode();
+            this.disableAreaMode();
+            this.disableRangeRingsMode();
         } else {
             this.map.getContainer().style.cursor = '';
             this.hideCoordinateTooltip();
@@ -426,6 +952,15 @@ export default class MapToolbar {
     showCoordinates(e) {
         const lat = e.latlng.lat.toFixed(6);
         const lng = e.latlng.lng.toFixed(6);
+        const formatted = this.formatLatLng(e.latlng);
+        const values =
+            this.coordinateSystem === 'dd'
+                ? `<div><strong>Lat:</strong> ${lat}</div>
+                    <div><strong>Lng:</strong> ${lng}</div>`
+                : `<div><strong>${
+                      COORDINATE_SYSTEMS[this.coordinateSystem]
+                  }:</strong> ${formatted}</div>
+                    <div class="coord-secondary">${lat}, ${lng}</div>`;
 
         // Remove existing tooltip
         this.hideCoordinateTooltip();
@@ -443,10 +978,9 @@ export default class MapToolbar {
             <div class="coordinate-content">
                 <strong>📍 Coordinates:</strong><br>
                 <div class="coord-values">
-                    <div><strong>Lat:</strong> ${lat}</div>
-                    <div><strong>Lng:</strong> ${lng}</div>
+                    ${values}
                 </div>
-                <button class="copy-btn" data-coords="${lat}, ${lng}">📋 Copy</button>
+                <button class="copy-btn" data-coords="${formatted}">📋 Copy</button>
             </div>
         `
             )
@@ -459,7 +993,7 @@ export default class MapToolbar {
             );
             if (copyBtn) {
                 copyBtn.addEventListener('click', (event) => {
-                    this.handleCopyCoordinates(event, lat, lng);
+                    this.handleCopyCoordinates(event, formatted);
                 });
             }
         }, 100);
@@ -468,9 +1002,8 @@ export default class MapToolbar {
     /**
      * Handle coordinates copying with animation
      */
-    handleCopyCoordinates(event, lat, lng) {
+    handleCopyCoordinates(event, coordsText) {
         const button = event.target;
-        const coordsText = `${lat}, ${lng}`;
 
         // Add copying animation class
         button.classList.add('copying');
@@ -523,11 +1056,15 @@ export default class MapToolbar {
         if (enabled) {
             this.map.getContainer().style.cursor = 'crosshair';
             this.disableCoordinatesMode();
+            this.disableAreaMode();
+            this.disableRangeRingsMode();
             this.clearDistanceMeasurement();
         } else {
             this.map.getContainer().style.cursor = '';
             this.clearDistanceMeasurement();
         }
+
+        this.updateMeasurePanel();
     }
 
     /**
@@ -577,6 +1114,8 @@ export default class MapToolbar {
             totalDistance += points[i].distanceTo(points[i + 1]);
         }
 
+        this.updateDistanceLegLabels();
+
         // Show compact distance popup on last point
         const lastPoint = points[points.length - 1];
         const distanceText = this.formatDistance(totalDistance);
@@ -594,11 +1133,81 @@ export default class MapToolbar {
                 `<div class="distance-content">
                     <div class="distance-point-number">#${pointNumber}</div>
                     <div class="distance-value">${distanceText}</div>
+                    <div class="distance-coords">${this.formatLatLng(
+                        lastPoint
+                    )}</div>
                 </div>`
             )
             .openOn(this.map);
     }
 
+    /**
+     * Label every leg with its length and true/magnetic bearing
+     */
+    updateDistanceLegLabels() {
+        this.distanceLegLabels.forEach((label) => this.map.removeLayer(label));
+        this.distanceLegLabels = [];
+
+        const points = this.distanceMarkers.map((marker) =>
+            marker.getLatLng()
+        );
+
+        this.getDistanceLegs(points).forEach((leg) => {
+            const label = L.marker(
+                L.latLng(
+                    (leg.from.lat + leg.to.lat) / 2,
+                    (leg.from.lng + leg.to.lng) / 2
+                ),
+                {
+                    interactive: false,
+                    keyboard: false,
+                    icon: L.divIcon({
+                        className: 'distance-leg-label',
+                        html: `<div>
+                            <span>${this.formatDistance(leg.distance)}</span>
+                            <span>${this.formatLegBearings(leg)}</span>
+                        </div>`,
+                        iconSize: null,
+                    }),
+                }
+            ).addTo(this.map);
+
+            this.distanceLegLabels.push(label);
+        });
+    }
+
+    /**
+     * Length and bearings of each measured leg
+     */
+    getDistanceLegs(points) {
+        const legs = [];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const bearing = calculateBearing(points[i], points[i + 1]);
+            legs.push({
+                from: points[i],
+                to: points[i + 1],
+                distance: points[i].distanceTo(points[i + 1]),
+                bearing,
+                magneticBearing: toMagneticBearing(
+                    bearing,
+                    this.measureSettings.declination
+                ),
+            });
+        }
+
+        return legs;
+    }
+
+    /**
+     * True and magnetic bearing of a leg, e.g. "045.0° T / 039.5° M"
+     */
+    formatLegBearings(leg) {
+        return `${formatBearing(leg.bearing)} T / ${formatBearing(
+            leg.magneticBearing
+        )} M`;
+    }
+
     /**
      * Format distance for display
      */
@@ -626,6 +1235,10 @@ export default class MapToolbar {
             this.distancePolyline = null;
         }
 
+        // Remove leg labels
+        this.distanceLegLabels.forEach((label) => this.map.removeLayer(label));
+        this.distanceLegLabels = [];
+
         // Close distance popups
         this.map.eachLayer((layer) => {
             if (
@@ -637,6 +1250,406 @@ export default class MapToolbar {
         });
     }
 
+    /**
+     * Toggle area measurement mode
+     */
+    toggleAreaMode(enabled) {
+        this.areaMode = enabled;
+
+        if (enabled) {
+            this.disableCoordinatesMode();
+            this.disableDistanceMode();
+            this.disableRangeRingsMode();
+            this.map.getContainer().style.cursor = 'crosshair';
+        } else {
+            this.map.getContainer().style.cursor = '';
+        }
+
+        this.clearAreaMeasurement();
+        this.updateMeasurePanel();
+    }
+
+    /**
+     * Add area polygon vertex
+     */
+    addAreaPoint(latlng) {
+        if (!this.areaLayer) {
+            this.areaLayer = L.layerGroup().addTo(this.map);
+            this.areaShape = L.polygon([], {
+                color: '#ff6b35',
+                weight: 3,
+                opacity: 0.8,
+                fillOpacity: 0.15,
+                dashArray: '5, 10',
+                interactive: false,
+            }).addTo(this.areaLayer);
+        }
+
+        this.areaPoints.push(L.latLng(latlng.lat, latlng.lng));
+
+        L.circleMarker(latlng, {
+            radius: 5,
+            color: '#ff6b35',
+            fillColor: '#ff6b35',
+            fillOpacity: 0.8,
+            weight: 2,
+            interactive: false,
+        }).addTo(this.areaLayer);
+
+        this.updateAreaMeasurement();
+    }
+
+    /**
+     * Redraw area polygon and its area/perimeter label
+     * @param {L.LatLng|null} cursor - Preview vertex under the mouse
+     */
+    updateAreaMeasurement(cursor = null) {
+        if (!this.areaLayer) return;
+
+        const points = cursor ? [...this.areaPoints, cursor] : this.areaPoints;
+        this.areaShape.setLatLngs(points);
+
+        if (this.areaLabel) {
+            this.areaLayer.removeLayer(this.areaLabel);
+            this.areaLabel = null;
+        }
+
+        if (points.length < 3) return;
+
+        this.areaLabel = L.marker(this.areaShape.getBounds().getCenter(), {
+            interactive: false,
+            keyboard: false,
+            icon: L.divIcon({
+                className: 'area-measure-label',
+                html: `<div>
+                    <span>${formatArea(calculateArea(points))}</span>
+                    <span>Perimeter: ${formatLength(
+                        calculatePerimeter(points)
+                    )}</span>
+                </div>`,
+                iconSize: null,
+            }),
+        }).addTo(this.areaLayer);
+    }
+
+    /**
+     * Clear area measurement
+     */
+    clearAreaMeasurement() {
+        if (this.areaLayer) {
+            this.map.removeLayer(this.areaLayer);
+        }
+        this.areaLayer = null;
+        this.areaShape = null;
+        this.areaLabel = null;
+        this.areaPoints = [];
+    }
+
+    /**
+     * Toggle range rings mode
+     */
+    toggleRangeRingsMode(enabled) {
+        this.rangeRingsMode = enabled;
+
+        if (enabled) {
+            this.map.getContainer().style.cursor = 'crosshair';
+            this.disableCoordinatesMode();
+            this.disableDistanceMode();
+            this.disableAreaMode();
+
+            // Clicking an existing point object uses its position
+            this.map.eachLayer((layer) => this.bindMarkerRings(layer));
+            this.map.on('layeradd', this.layerAddRingsHandler);
+        } else {
+            this.map.getContainer().style.cursor = '';
+            this.map.off('layeradd', this.layerAddRingsHandler);
+            this.map.eachLayer((layer) => {
+                if (layer instanceof L.Marker) {
+                    layer.off('click', this.markerRingsHandler);
+                }
+            });
+            this.clearRangeRings();
+        }
+
+        this.updateMeasurePanel();
+    }
+
+    /**
+     * Listen to clicks on a point marker while range rings mode is active
+     */
+    bindMarkerRings(layer) {
+        if (layer instanceof L.Marker && layer.options.interactive !== false) {
+            layer.off('click', this.markerRingsHandler);
+            layer.on('click', this.markerRingsHandler);
+        }
+    }
+
+    /**
+     * Set range rings center
+     */
+    placeRangeRings(latlng) {
+        this.rangeRingsCenter = L.latLng(latlng.lat, latlng.lng);
+        this.drawRangeRings();
+    }
+
+    /**
+     * Draw concentric rings around the center at the configured interval
+     */
+    drawRangeRings() {
+        if (this.rangeRingsLayer) {
+            this.map.removeLayer(this.rangeRingsLayer);
+            this.rangeRingsLayer = null;
+        }
+
+        if (!this.rangeRingsCenter) return;
+
+        const center = this.rangeRingsCenter;
+        this.rangeRingsLayer = L.layerGroup().addTo(this.map);
+
+        L.circleMarker(center, {
+            radius: 5,
+            color: '#ff6b35',
+            fillColor: '#ff6b35',
+            fillOpacity: 0.9,
+            weight: 2,
+            interactive: false,
+        }).addTo(this.rangeRingsLayer);
+
+        this.getRangeRingRadii().forEach((radius) => {
+            L.circle(center, {
+                radius,
+                color: '#ff6b35',
+                weight: 2,
+                opacity: 0.8,
+                fill: false,
+                dashArray: '6, 6',
+                interactive: false,
+            }).addTo(this.rangeRingsLayer);
+
+            // Label on top of the ring
+            L.marker(destinationPoint(center, radius, 0), {
+                interactive: false,
+                keyboard: false,
+                icon: L.divIcon({
+                    className: 'range-ring-label',
+                    html: `<div>${this.formatRingRadius(radius)}</div>`,
+                    iconSize: null,
+                }),
+            }).addTo(this.rangeRingsLayer);
+        });
+    }
+
+    /**
+     * Radii of the range rings in meters
+     */
+    getRangeRingRadii() {
+        const radii = [];
+        for (let i = 1; i <= this.measureSettings.ringCount; i++) {
+            radii.push(i * this.measureSettings.ringInterval);
+        }
+        return radii;
+    }
+
+    /**
+     * Short ring label, e.g. "500 m" or "1.5 km"
+     */
+    formatRingRadius(radius) {
+        return radius < 1000
+            ? `${Math.round(radius)} m`
+            : `${Number((radius / 1000).toFixed(2))} km`;
+    }
+
+    /**
+     * Remove range rings
+     */
+    clearRangeRings() {
+        if (this.rangeRingsLayer) {
+            this.map.removeLayer(this.rangeRingsLayer);
+            this.rangeRingsLayer = null;
+        }
+        this.rangeRingsCenter = null;
+    }
+
+    /**
+     * Save current measurement as geo objects:
+     * range rings become circles, a measured route becomes a line
+     */
+    saveMeasurement(button) {
+        const objects = this.getMeasurementObjects();
+        if (!objects) {
+            let hint = 'Add at least 2 points to the measurement first.';
+            if (this.rangeRingsMode) {
+                hint =
+                    'Click on the map or a point object to place range rings first.';
+            } else if (this.areaMode) {
+                hint = 'Add at least 3 points to the area first.';
+            }
+            alert(hint);
+            return;
+        }
+
+        let defaultTitle = 'Route';
+        if (this.rangeRingsMode) {
+            defaultTitle = 'Range ring';
+        } else if (this.areaMode) {
+            defaultTitle = 'Area';
+        }
+
+        const title = prompt('Title for the saved object', defaultTitle);
+        if (title === null || !title.trim()) {
+            return;
+        }
+
+        const payload = objects.map((object) =>
+            Object.assign(object, {
+                title: object.title
+                    ? `${title.trim()} ${object.title}`
+                    : title.trim(),
+                ttl: 0,
+            })
+        );
+
+        button.disabled = true;
+
+        fetch('/geo-object/batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+            },
+            body: JSON.stringify({
+                mapId: this.mapData.mapId,
+                objects: payload,
+            }),
+        })
+            .then((response) => response.json())
+            .then((data) => {
+                if (!data.success) {
+                    throw new Error(data.message || 'Unknown error');
+                }
+
+                const originalText = button.innerHTML;
+                button.innerHTML = '✅ Saved';
+                setTimeout(() => {
+                    button.innerHTML = originalText;
+                }, 1500);
+
+                this.refreshGeoObjects();
+            })
+            .catch((error) => {
+                console.error('Error saving measurement:', error);
+                alert(`Error saving measurement: ${error.message}`);
+            })
+            .finally(() => {
+                button.disabled = false;
+            });
+    }
+
+    /**
+     * Geo object payloads for the current measurement
+     * @returns {Array|null} null when there is nothing to save
+     */
+    getMeasurementObjects() {
+        if (this.rangeRingsMode) {
+            if (!this.rangeRingsCenter) return null;
+
+            const center = this.rangeRingsCenter;
+            return this.getRangeRingRadii().map((radius) => ({
+                title: this.formatRingRadius(radius),
+                description: `Range ring around ${formatCoordinates(
+                    center.lat,
+                    center.lng,
+                    this.coordinateSystem
+                )}`,
+                type: 'Circle',
+                geoJson: {
+                    type: 'Circle',
+                    coordinates: [center.lng, center.lat],
+                    radius,
+                },
+            }));
+        }
+
+        if (this.areaMode) {
+            const ring = this.areaPoints;
+            if (ring.length < 3) return null;
+
+            return [
+                {
+                    description: [
+                        `Area: ${formatArea(calculateArea(ring))}`,
+                        `Perimeter: ${formatLength(calculatePerimeter(ring))}`,
+                    ].join('\n'),
+                    type: 'Polygon',
+                    geoJson: {
+                        type: 'Polygon',
+                        coordinates: [
+                            [...ring, ring[0]].map((point) => [
+                                point.lng,
+                                point.lat,
+                            ]),
+                        ],
+                    },
+                },
+            ];
+        }
+
+        const points = this.distanceMarkers.map((marker) =>
+            marker.getLatLng()
+        );
+        if (points.length < 2) return null;
+
+        const legs = this.getDistanceLegs(points);
+        const total = legs.reduce((sum, leg) => sum + leg.distance, 0);
+        const legLines = legs.map(
+            (leg, index) =>
+                `${index + 1}. ${this.formatDistance(
+                    leg.distance
+                )}, ${this.formatLegBearings(leg)}`
+        );
+
+        return [
+            {
+                description: [
+                    `Total: ${this.formatDistance(total)}`,
+                    ...legLines,
+                ].join('\n'),
+                type: 'Line',
+                geoJson: {
+                    type: 'LineString',
+                    coordinates: points.map((point) => [point.lng, point.lat]),
+                },
+            },
+        ];
+    }
+
+    /**
+     * Reload geo objects list and map after saving
+     */
+    refreshGeoObjects() {
+        if (window.geoObjectForm && window.geoObjectForm.refreshObjects) {
+            window.geoObjectForm.refreshObjects();
+            return;
+        }
+
+        document.dispatchEvent(
+            new CustomEvent('geo-objects-refresh', {
+                detail: { mapId: this.mapData.mapId },
+            })
+        );
+    }
+
+    /**
+     * Disable range rings mode
+     */
+    disableRangeRingsMode() {
+        const ringsCheckbox = document.getElementById('range-rings-toggle');
+        if (ringsCheckbox && ringsCheckbox.checked) {
+            ringsCheckbox.checked = false;
+            this.toggleRangeRingsMode(false);
+        }
+    }
+
     /**
      * Disable coordinates mode
      */
@@ -659,6 +1672,17 @@ export default class MapToolbar {
         }
     }
 
+    /**
+     * Disable area measurement mode
+     */
+    disableAreaMode() {
+        const areaCheckbox = document.getElementById('area-toggle');
+        if (areaCheckbox && areaCheckbox.checked) {
+            areaCheckbox.checked = false;
+            this.toggleAreaMode(false);
+        }
+    }
+
     /**
      * Destroy toolbar
      */
@@ -667,7 +1691,20 @@ export default class MapToolbar {
             this.toolbar.parentNode.removeChild(this.toolbar);
         }
 
+        if (this.mapEventHandlers) {
+            this.map.off(this.mapEventHandlers);
+            this.mapEventHandlers = null;
+        }
+
+        if (this.cursorReadout && this.cursorReadout.parentNode) {
+            this.cursorReadout.parentNode.removeChild(this.cursorReadout);
+        }
+
         this.clearDistanceMeasurement();
+        this.clearAreaMeasurement();
+        if (this.rangeRingsMode) {
+            this.toggleRangeRingsMode(false);
+        }
         this.hideCoordinateTooltip();
         this.hideLayerDropdown();
         this.map.getContainer().style.cursor = '';
@@ -675,5 +1712,11 @@ export default class MapToolbar {
         // Clear references
         this.layerButton = null;
         this.layerDropdown = null;
+        this.overlayList = null;
+        this.imageOverlays = {};
+        this.coordinateSystemSelect = null;
+        this.measurePanel = null;
+        this.gotoInput = null;
+        this.cursorReadout = null;
     }
 }
@@ -1,5 +1,6 @@
 import MapGeoObjectManager from './mapGeoObjects';
 import BaseMapComponent from './baseMapComponent';
+import MapTimeline from './mapTimeline';
 
 /**
  * Tactical Map Viewer component
@@ -27,6 +28,7 @@ class TacticalMapViewer extends BaseMapComponent {
         }
 
         this.geoObjectManager = null;
+        this.timeline = null;
         this.init();
     }
 
@@ -44,11 +46,12 @@ class TacticalMapViewer extends BaseMapComponent {
             // Initialize map
             this.initializeLeafletMap(this.container, coordinates);
 
-            // Initialize toolbar
+            // Initialize toolbar (mapId enables saving measurements)
             const mapData = {
                 centerLat: coordinates.lat,
                 centerLng: coordinates.lng,
                 zoom: coordinates.zoom,
+                mapId: this.container.getAttribute('data-map-id'),
             };
             this.initializeToolbar(mapData);
 
@@ -89,12 +92,27 @@ class TacticalMapViewer extends BaseMapComponent {
      */
     initializeGeoObjectManager() {
         try {
-            this.geoObjectManager = new MapGeoObjectManager(this);
+            this.geoObjectManager = new MapGeoObjectManager(this, {
+                lazyLoading: this.container.dataset.lazyLoad === '1',
+            });
 
             // Load objects after manager is created
             const mapId = this.container.getAttribute('data-map-id');
             if (mapId) {
                 this.loadGeoObjects(mapId);
+
+                // Receive changes made by other admins on this map
+                this.geoObjectManager.subscribeToChanges(mapId);
+
+                // Preview of what observers of a side see
+                this.geoObjectManager.createViewAsSideControl();
+
+                // Replay of the map's object history
+                this.timeline = new MapTimeline({
+                    map: this.getLeafletMap(),
+                    geoObjectManager: this.geoObjectManager,
+                    mapId,
+                });
             }
         } catch (error) {
             console.warn('Could not initialize geo object manager:', error);
@@ -206,7 +224,18 @@ class TacticalMapViewer extends BaseMapComponent {
      * Destroy map viewer and cleanup
      */
     destroy() {
+        if (this.timeline) {
+            this.timeline.pause();
+            this.timeline = null;
+        }
+
         if (this.geoObjectManager) {
+            this.geoObjectManager.unsubscribeFromChanges();
+            if (this.geoObjectManager.viewportLoader) {
+                this.geoObjectManager.viewportLoader.stop();
+            }
+            this.geoObjectManager.ttlCountdown.stop();
+            this.geoObjectManager.history.detachKeyboardShortcuts();
             this.geoObjectManager = null;
         }
 
@@ -0,0 +1,387 @@
+import L from 'leaflet';
+
+/**
+ * Marker clustering per side
+ * Point markers are grouped by side, so a cluster never mixes sides and is
+ * drawn with the side color and the number of markers in it. Clicking a
+ * small cluster spreads its markers around it (spiderfy), a large one zooms
+ * into its bounds. Clusters dissolve from disableClusteringAtZoom on.
+ *
+ * Markers are added with addMarker() instead of addTo(map); the layer
+ * decides whether a marker is shown itself or as part of a cluster.
+ */
+
+const DEFAULT_OPTIONS = {
+    radius: 60, // px
+    disableClusteringAtZoom: 17,
+    spiderfyMaxCount: 12,
+    defaultColor: '#6c757d',
+};
+
+export default class MarkerClusters extends L.Layer {
+    constructor(options = {}) {
+        super();
+        L.Util.setOptions(this, Object.assign({}, DEFAULT_OPTIONS, options));
+
+        this.markers = new Map(); // marker => {key, color, name}
+        this.shownMarkers = new Set();
+        this.clusterMarkers = [];
+        this.spiderfied = null;
+        this.redrawFrame = null;
+    }
+
+    onAdd() {
+        this.redraw();
+    }
+
+    onRemove() {
+        this.cancelRedraw();
+        this.unspiderfy();
+        this.clearDisplay();
+    }
+
+    getEvents() {
+        return {
+            zoomstart: this.unspiderfy,
+            zoomend: this.redraw,
+            click: this.unspiderfy,
+        };
+    }
+
+    /**
+     * Add marker to be shown or clustered
+     * @param {L.Marker} marker - Point marker
+     * @param {Object|null} side - Side of the object {id, name, color}
+     */
+    addMarker(marker, side = null) {
+        this.markers.set(marker, {
+            key: side ? String(side.id) : '',
+            color: (side && side.color) || this.options.defaultColor,
+            name: side ? side.name : null,
+        });
+        this.scheduleRedraw();
+        return this;
+    }
+
+    removeMarker(marker) {
+        if (!this.markers.has(marker)) {
+            return this;
+        }
+
+        if (this.spiderfied && this.spiderfied.markers.includes(marker)) {
+            this.unspiderfy();
+        }
+        if (this.shownMarkers.has(marker)) {
+            this.shownMarkers.delete(marker);
+            if (this._map) this._map.removeLayer(marker);
+        }
+        this.markers.delete(marker);
+        this.scheduleRedraw();
+        return this;
+    }
+
+    hasMarker(marker) {
+        return this.markers.has(marker);
+    }
+
+    clearMarkers() {
+        this.cancelRedraw();
+        this.unspiderfy();
+        this.clearDisplay();
+        this.markers.clear();
+        return this;
+    }
+
+    /**
+     * Check if marker is on the map by itself (not inside a cluster)
+     */
+    isMarkerShown(marker) {
+        return this.shownMarkers.has(marker);
+    }
+
+    /**
+     * Zoom in until marker leaves its cluster, then call back
+     * @param {L.Marker} marker - Clustered marker
+     * @param {Function} callback - Called once marker is on the map
+     */
+    zoomToMarker(marker, callback = () => {}) {
+        if (!this._map || !this.markers.has(marker)) {
+            return;
+        }
+
+        this.refresh();
+        if (this.isMarkerShown(marker)) {
+            this._map.panTo(marker.getLatLng());
+            callback();
+            return;
+        }
+
+        this._map.once('zoomend', () => {
+            this.refresh();
+            callback();
+        });
+        this._map.setView(
+            marker.getLatLng(),
+            Math.max(this._map.getZoom(), this.options.disableClusteringAtZoom)
+        );
+    }
+
+    /**
+     * Redraw now instead of on the next animation frame
+     */
+    refresh() {
+        if (this.redrawFrame !== null) {
+            this.cancelRedraw();
+            this.redraw();
+        }
+        return this;
+    }
+
+    /**
+     * Batch redraws when many markers are added at once
+     */
+    scheduleRedraw() {
+        if (!this._map || this.redrawFrame !== null) return;
+
+        this.redrawFrame = L.Util.requestAnimFrame(() => {
+            this.redrawFrame = null;
+            this.redraw();
+        });
+    }
+
+    cancelRedraw() {
+        if (this.redrawFrame !== null) {
+            L.Util.cancelAnimFrame(this.redrawFrame);
+            this.redrawFrame = null;
+        }
+    }
+
+    /**
+     * Rebuild clusters for the current zoom
+     * Markers that stay unclustered are not re-added, so their open popups
+     * survive the redraw
+     */
+    redraw() {
+        if (!this._map) return;
+
+        this.unspiderfy();
+        this.clusterMarkers.forEach((cluster) =>
+            this._map.removeLayer(cluster)
+        );
+        this.clusterMarkers = [];
+
+        const groups = this.buildClusters();
+        const shown = new Set();
+
+        groups.forEach((group) => {
+            if (group.markers.length === 1) {
+                shown.add(group.markers[0]);
+            } else {
+                this.clusterMarkers.push(this.createClusterMarker(group));
+            }
+        });
+
+        this.shownMarkers.forEach((marker) => {
+            if (!shown.has(marker)) this._map.removeLayer(marker);
+        });
+        shown.forEach((marker) => {
+            if (!this._map.hasLayer(marker)) marker.addTo(this._map);
+        });
+        this.shownMarkers = shown;
+
+        this.clusterMarkers.forEach((cluster) => cluster.addTo(this._map));
+    }
+
+    /**
+     * Greedy clustering: a marker joins the first cluster of its side whose
+     * first marker is closer than radius pixels
+     * @returns {Array} [{markers, color, name, center: L.Point}]
+     */
+    buildClusters() {
+        const zoom = this._map.getZoom();
+        const clustering = zoom < this.options.disableClusteringAtZoom;
+        const radius = this.options.radius;
+        const cells = new Map();
+        const groups = [];
+
+        this.markers.forEach((group, marker) => {
+            const point = this._map.project(marker.getLatLng(), zoom);
+
+            if (!clustering) {
+                groups.push({ markers: [marker], center: point, ...group });
+                return;
+            }
+
+            const cellX = Math.floor(point.x / radius);
+            const cellY = Math.floor(point.y / radius);
+            let target = null;
+
+            for (let dx = -1; dx <= 1 && !target; dx++) {
+                for (let dy = -1; dy <= 1 && !target; dy++) {
+                    const candidates =
+                        cells.get(`${group.key}:${cellX + dx}:${cellY + dy}`) ||
+                        [];
+                    target = candidates.find(
+                        (candidate) =>
+                            candidate.center.distanceTo(point) < radius
+                    );
+                }
+            }
+
+            if (target) {
+                target.markers.push(marker);
+                return;
+            }
+
+            const created = { markers: [marker], center: point, ...group };
+            const cellKey = `${group.key}:${cellX}:${cellY}`;
+            cells.set(cellKey, (cells.get(cellKey) || []).concat(created));
+            groups.push(created);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Round side-colored marker with the count of clustered markers
+     */
+    createClusterMarker(group) {
+        const count = group.markers.length;
+        const size = count < 10 ? 30 : count < 100 ? 36 : 42;
+        const latlngs = group.markers.map((marker) => marker.getLatLng());
+        const bounds = L.latLngBounds(latlngs);
+
+        const cluster = L.marker(bounds.getCenter(), {
+            icon: L.divIcon({
+                className: 'marker-cluster',
+                html: `<div style="background-color: ${group.color};">
+                    <span>${count}</span>
+                </div>`,
+                iconSize: [size, size],
+                iconAnchor: [size / 2, size / 2],
+            }),
+            title: group.name
+                ? `${group.name}: ${count} objects`
+                : `${count} objects`,
+            zIndexOffset: 1000,
+        });
+
+        cluster.on('click', () => {
+            const boundsZoom = this._map.getBoundsZoom(bounds);
+
+            if (
+                count <= this.options.spiderfyMaxCount ||
+                boundsZoom <= this._map.getZoom()
+            ) {
+                this.spiderfy(cluster, group);
+            } else {
+                this._map.fitBounds(bounds);
+            }
+        });
+
+        return cluster;
+    }
+
+    /**
+     * Spread cluster markers around the cluster position
+     * Markers are moved temporarily, unspiderfy() puts them back
+     */
+    spiderfy(cluster, group) {
+        this.unspiderfy();
+
+        const center = this._map.latLngToLayerPoint(cluster.getLatLng());
+        const positions = getSpiderPositions(group.markers.length, center);
+        const legs = L.layerGroup().addTo(this._map);
+
+        const original = group.markers.map((marker, index) => {
+            const latlng = this._map.layerPointToLatLng(positions[index]);
+            const previous = marker.getLatLng();
+
+            L.polyline([cluster.getLatLng(), latlng], {
+                color: group.color,
+                weight: 1.5,
+                opacity: 0.7,
+                interactive: false,
+            }).addTo(legs);
+
+            marker.setLatLng(latlng).addTo(this._map);
+            return previous;
+        });
+
+        cluster.setOpacity(0.3);
+        this.spiderfied = {
+            cluster,
+            legs,
+            markers: group.markers,
+            original,
+        };
+    }
+
+    unspiderfy() {
+        if (!this.spiderfied || !this._map) {
+            this.spiderfied = null;
+            return;
+        }
+
+        const { cluster, legs, markers, original } = this.spiderfied;
+        this.spiderfied = null;
+
+        markers.forEach((marker, index) => {
+            this._map.removeLayer(marker);
+            marker.setLatLng(original[index]);
+        });
+        this._map.removeLayer(legs);
+        cluster.setOpacity(1);
+    }
+
+    clearDisplay() {
+        if (this._map) {
+            this.clusterMarkers.forEach((cluster) =>
+                this._map.removeLayer(cluster)
+            );
+            this.shownMarkers.forEach((marker) =>
+                this._map.removeLayer(marker)
+            );
+        }
+        this.clusterMarkers = [];
+        this.shownMarkers = new Set();
+    }
+}
+
+/**
+ * Layer points around center: a circle for few markers, a spiral for more
+ * @param {number} count - Number of markers
+ * @param {L.Point} center - Cluster position
+ * @returns {L.Point[]}
+ */
+function getSpiderPositions(count, center) {
+    const positions = [];
+
+    if (count <= 9) {
+        const radius = Math.max(30, (25 * (2 + count)) / (2 * Math.PI));
+        const step = (2 * Math.PI) / count;
+
+        for (let i = 0; i < count; i++) {
+            const angle = step * i - Math.PI / 2;
+            positions.push(
+                center.add(
+                    L.point(Math.cos(angle), Math.sin(angle)).multiplyBy(radius)
+                )
+            );
+        }
+        return positions;
+    }
+
+    let legLength = 11;
+    let angle = 0;
+    for (let i = 0; i < count; i++) {
+        angle += 28 / legLength + i * 0.0005;
+        positions.push(
+            center.add(
+                L.point(Math.cos(angle), Math.sin(angle)).multiplyBy(legLength)
+            )
+        );
+        legLength += (2 * Math.PI * 5) / angle;
+    }
+    return positions;
+}
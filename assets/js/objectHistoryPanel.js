@@ -0,0 +1,288 @@
+import L from 'leaflet';
+import { escapeHtml } from './baseMapComponent';
+import { createGeometryLayer } from './geometryLayer';
+
+/**
+ * Object history panel
+ * "History" tab of the geo object form: lists recorded revisions of the
+ * edited object (who changed what and when), draws the geometry before and
+ * after a revision on the map and restores the object to an earlier state.
+ */
+
+const FIELD_LABELS = {
+    title: 'title',
+    description: 'description',
+    type: 'type',
+    geoJson: 'geometry',
+    sideId: 'side',
+    visibleToSides: 'visible to',
+    ttl: 'TTL',
+    activeFrom: 'start time',
+    activeUntil: 'end time',
+    iconUrl: 'icon',
+};
+
+const BEFORE_STYLE = {
+    color: '#dc3545',
+    weight: 2,
+    dashArray: '6 6',
+    fillOpacity: 0.05,
+};
+
+const AFTER_STYLE = {
+    color: '#198754',
+    weight: 3,
+    fillOpacity: 0.15,
+};
+
+export default class ObjectHistoryPanel {
+    /**
+     * @param {Object} options
+     * @param {string} options.containerSelector - History tab container
+     * @param {L.Map} options.leafletMap - Map for geometry diffs
+     * @param {Function} options.onRestored - Called with the restored object
+     */
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                containerSelector: '#geo-object-history',
+                leafletMap: null,
+                onRestored: (object) => {},
+            },
+            options
+        );
+
+        this.container = document.querySelector(this.options.containerSelector);
+        this.map = this.options.leafletMap;
+        this.objectId = null;
+        this.revisions = [];
+        this.loaded = false;
+        this.diffLayer = L.layerGroup();
+        this.selectedId = null;
+
+        if (!this.container) return;
+
+        this.list = this.container.querySelector('.geo-history-list');
+        this.message = this.container.querySelector('.geo-history-message');
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history-action]');
+            if (!button) return;
+
+            const revision = this.revisions.find(
+                (item) => String(item.id) === button.dataset.revisionId
+            );
+            if (!revision) return;
+
+            if (button.dataset.historyAction === 'show') {
+                this.showDiff(revision);
+            } else if (button.dataset.historyAction === 'restore') {
+                this.restore(revision);
+            }
+        });
+    }
+
+    /**
+     * Switch to another object, history is loaded when the tab is opened
+     * @param {number|null} objectId - Edited object, null in create mode
+     */
+    setObject(objectId) {
+        if (objectId === this.objectId) return;
+
+        this.objectId = objectId;
+        this.invalidate();
+    }
+
+    /**
+     * Forget loaded revisions (the object was saved)
+     */
+    invalidate() {
+        this.loaded = false;
+        this.revisions = [];
+        this.clearDiff();
+        if (this.list) this.list.innerHTML = '';
+    }
+
+    /**
+     * Load history if not loaded yet
+     */
+    show() {
+        if (!this.container || !this.objectId || this.loaded) return;
+
+        this.loaded = true;
+        this.showMessage('Loading history...');
+
+        const objectId = this.objectId;
+        fetch(`/geo-object/${objectId}/history`)
+            .then((response) => response.json())
+            .then((data) => {
+                if (objectId !== this.objectId) return;
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to load history');
+                }
+
+                this.revisions = data.revisions;
+                this.render();
+            })
+            .catch((error) => {
+                this.loaded = false;
+                this.showMessage(error.message, true);
+            });
+    }
+
+    /**
+     * Leave the tab: geometry diff is removed from the map
+     */
+    hide() {
+        this.clearDiff();
+    }
+
+    render() {
+        this.showMessage(
+            this.revisions.length === 0
+                ? 'No changes recorded for this object yet.'
+                : ''
+        );
+
+        this.list.innerHTML = this.revisions
+            .map((revision, index) => this.renderRevision(revision, index))
+            .join('');
+    }
+
+    /**
+     * @param {Object} revision - Revision (newest first)
+     * @param {number} index - Position in the list, 0 is the current state
+     */
+    renderRevision(revision, index) {
+        const isCurrent = index === 0;
+        const changes =
+            revision.action === 'created'
+                ? 'Created'
+                : revision.action === 'deleted'
+                  ? 'Deleted'
+                  : revision.changes.length > 0
+                    ? `Changed ${revision.changes
+                          .map((field) => FIELD_LABELS[field] || field)
+                          .join(', ')}`
+                    : 'Saved without changes';
+        const canRestore = !isCurrent && revision.action !== 'deleted';
+
+        return `
+            <li class="list-group-item geo-history-item${
+                revision.id === this.selectedId ? ' active-revision' : ''
+            }">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div>
+                        <div class="fw-semibold">${escapeHtml(changes)}</div>
+                        <small class="text-muted">
+                            ${new Date(revision.recordedAt).toLocaleString()}
+                            · ${escapeHtml(revision.changedBy || 'system')}
+                            ${isCurrent ? '· <span class="badge bg-secondary">current</span>' : ''}
+                        </small>
+                    </div>
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-secondary" title="Show geometry before and after on the map"
+                                data-history-action="show" data-revision-id="${revision.id}">
+                            <i class="fas fa-map-marked-alt"></i>
+                        </button>
+                        ${
+                            canRestore
+                                ? `<button type="button" class="btn btn-outline-primary" title="Restore this revision"
+                                        data-history-action="restore" data-revision-id="${revision.id}">
+                                    <i class="fas fa-undo"></i>
+                                </button>`
+                                : ''
+                        }
+                    </div>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Draw geometry of the revision (green) over the one before it (red)
+     */
+    showDiff(revision) {
+        if (!this.map) return;
+
+        this.clearDiff();
+        this.selectedId = revision.id;
+        this.render();
+
+        const index = this.revisions.indexOf(revision);
+        const previous = this.revisions[index + 1];
+        const layers = [];
+
+        if (previous) {
+            const before = createGeometryLayer(
+                previous.object.geoJson,
+                BEFORE_STYLE
+            );
+            if (before) {
+                layers.push(before.bindTooltip('Before', { sticky: true }));
+            }
+        }
+
+        const after = createGeometryLayer(revision.object.geoJson, AFTER_STYLE);
+        if (after) {
+            layers.push(
+                after.bindTooltip(previous ? 'After' : 'Created', {
+                    sticky: true,
+                })
+            );
+        }
+
+        if (layers.length === 0) return;
+
+        const group = L.featureGroup(layers);
+        this.diffLayer.addLayer(group);
+        this.diffLayer.addTo(this.map);
+        this.map.fitBounds(group.getBounds(), {
+            padding: [40, 40],
+            maxZoom: 17,
+        });
+    }
+
+    clearDiff() {
+        this.diffLayer.clearLayers();
+        if (this.map) this.map.removeLayer(this.diffLayer);
+        this.selectedId = null;
+    }
+
+    /**
+     * Restore object to a revision after confirmation
+     */
+    restore(revision) {
+        const time = new Date(revision.recordedAt).toLocaleString();
+        if (!confirm(`Restore this object to its state from ${time}?`)) {
+            return;
+        }
+
+        fetch(`/geo-object/${this.objectId}/history/${revision.id}/restore`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+            },
+        })
+            .then((response) => response.json())
+            .then((data) => {
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to restore');
+                }
+
+                this.invalidate();
+                this.show();
+                this.options.onRestored(data.object, data.message);
+            })
+            .catch((error) => this.showMessage(error.message, true));
+    }
+
+    showMessage(text, isError = false) {
+        if (!this.message) return;
+
+        this.message.textContent = text;
+        this.message.classList.toggle('text-danger', isError);
+        this.message.style.display = text ? '' : 'none';
+    }
+}
@@ -1,7 +1,9 @@
 /**
  * Observer Form JavaScript functionality
- * Uses the universal IconSelector module
+ * Uses the universal IconSelector module and the rule builder
  */
+import RuleBuilder from './ruleBuilder';
+import ObserverPreview from './observerPreview';
 
 document.addEventListener('DOMContentLoaded', function () {
     initObserverForm();
@@ -28,4 +30,19 @@ function initObserverForm() {
 
     // Store reference globally if needed for other functionality
     window.observerIconSelector = observerIconSelector;
+
+    // Preview of the observer map with the unsaved rules (edit page only)
+    const rulesTextarea = document.querySelector('.observer-rules-textarea');
+    const observerPreview = new ObserverPreview({
+        containerSelector: '#observer-preview',
+        getRules: () => JSON.parse(rulesTextarea.value.trim() || '{}'),
+    });
+
+    // Typed inputs for the rules, kept in sync with the rules JSON textarea
+    window.observerRuleBuilder = new RuleBuilder({
+        containerSelector: '#observer-rule-builder',
+        textareaSelector: '.observer-rules-textarea',
+        mapSelectSelector: '#observer_map',
+        onChange: () => observerPreview.scheduleRefresh(),
+    });
 }
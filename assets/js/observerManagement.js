@@ -1,7 +1,8 @@
 /**
  * Observer Management JavaScript
- * Handles token copying and other observer management functionality
+ * Handles copying, refreshing and other management of observer access links
  */
+import ObserverPreview from './observerPreview';
 
 class ObserverManagement {
     constructor() {
@@ -21,29 +22,20 @@ class ObserverManagement {
         this.setupAccessLinkGeneration();
         this.setupTokenRefresh();
         this.setupUrlCopying();
+        this.setupRulesPreview();
     }
 
     /**
-     * Setup token copying functionality for both index and show pages
+     * Setup token copying for the access links of the show page
      */
     setupTokenCopying() {
-        // Handle copy buttons in observer index (multiple tokens)
-        this.setupIndexTokenCopying();
-
-        // Handle copy functionality in observer show page (single token)
-        this.setupShowTokenCopying();
-    }
-
-    /**
-     * Setup token copying for observer index page
-     */
-    setupIndexTokenCopying() {
         const copyButtons = document.querySelectorAll('.copy-token-btn');
 
         copyButtons.forEach((button) => {
             button.addEventListener('click', (event) => {
                 event.preventDefault();
 
+                // Read on click, the token changes when the link is refreshed
                 const token = button.getAttribute('data-token');
                 if (!token) {
                     console.error(
@@ -62,25 +54,6 @@ class ObserverManagement {
         );
     }
 
-    /**
-     * Setup token copying for observer show page
-     */
-    setupShowTokenCopying() {
-        // Make copyToken function available globally for onclick handlers
-        window.copyToken = () => {
-            const tokenInput = document.getElementById('tokenInput');
-            if (!tokenInput) {
-                console.error('ObserverManagement: Token input not found');
-                return;
-            }
-
-            const token = tokenInput.value;
-            const button = event.target.closest('button');
-
-            this.copyToClipboard(token, button, true);
-        };
-    }
-
     /**
      * Setup URL copying functionality
      */
@@ -112,27 +85,20 @@ class ObserverManagement {
     /**
      * Copy text to clipboard with visual feedback
      */
-    async copyToClipboard(text, button, isInputBased = false) {
+    async copyToClipboard(text, button) {
         try {
             // Try modern clipboard API first
             if (navigator.clipboard && window.isSecureContext) {
                 await navigator.clipboard.writeText(text);
             } else {
-                // Fallback for older browsers or non-HTTPS
-                if (isInputBased) {
-                    const tokenInput = document.getElementById('tokenInput');
-                    tokenInput.select();
-                    tokenInput.setSelectionRange(0, 99999);
-                    document.execCommand('copy');
-                } else {
-                    // Create temporary input for copying
-                    const tempInput = document.createElement('input');
-                    tempInput.value = text;
-                    document.body.appendChild(tempInput);
-                    tempInput.select();
-                    document.execCommand('copy');
-                    document.body.removeChild(tempInput);
-                }
+                // Fallback for older browsers or non-HTTPS:
+                // copy from a temporary input
+                const tempInput = document.createElement('input');
+                tempInput.value = text;
+                document.body.appendChild(tempInput);
+                tempInput.select();
+                document.execCommand('copy');
+                document.body.removeChild(tempInput);
             }
 
             // Show success feedback
@@ -209,7 +175,7 @@ class ObserverManagement {
     }
 
     /**
-     * Setup token refresh functionality
+     * Setup token refresh of individual access links
      */
     setupTokenRefresh() {
         const refreshButtons = document.querySelectorAll('.refresh-token-btn');
@@ -219,23 +185,23 @@ class ObserverManagement {
                 event.preventDefault();
 
                 const confirmRefresh = confirm(
-                    'Are you sure you want to refresh this token? ' +
-                        'The old token will become invalid and any existing links will stop working.'
+                    'Are you sure you want to refresh this link? ' +
+                        'Its current URL will stop working.'
                 );
 
                 if (confirmRefresh) {
-                    const observerId = button.getAttribute('data-observer-id');
-                    this.refreshObserverToken(observerId, button);
+                    this.refreshLinkToken(button);
                 }
             });
         });
     }
 
     /**
-     * Refresh observer token via AJAX
+     * Refresh access link token via AJAX
      */
-    async refreshObserverToken(observerId, button) {
+    async refreshLinkToken(button) {
         const originalContent = button.innerHTML;
+        const linkId = button.getAttribute('data-link-id');
 
         try {
             // Show loading state
@@ -243,29 +209,25 @@ class ObserverManagement {
             button.disabled = true;
 
             const response = await fetch(
-                `/admin/observers/${observerId}/refresh-token`,
+                button.getAttribute('data-refresh-url'),
                 {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                         'X-Requested-With': 'XMLHttpRequest',
+                        'X-CSRF-Token': button.getAttribute('data-csrf-token'),
                     },
                 }
             );
+            const data = await response.json().catch(() => ({}));
 
-            if (response.ok) {
-                const data = await response.json();
-
-                if (data.success && data.newToken) {
-                    // Update token in UI
-                    this.updateTokenInUI(observerId, data.newToken);
-                    this.showSuccess('Token refreshed successfully');
-                } else {
-                    throw new Error(data.message || 'Failed to refresh token');
-                }
+            if (response.ok && data.success && data.newToken) {
+                this.updateLinkInUI(linkId, data.newToken, data.url);
+                this.showSuccess('Link token refreshed successfully');
             } else {
                 throw new Error(
-                    `HTTP ${response.status}: ${response.statusText}`
+                    data.message ||
+                        `HTTP ${response.status}: ${response.statusText}`
                 );
             }
         } catch (error) {
@@ -279,43 +241,25 @@ class ObserverManagement {
     }
 
     /**
-     * Update token in UI elements
+     * Update token and URL of one access link in UI elements
      */
-    updateTokenInUI(observerId, newToken) {
-        // Update token input if on show page
-        const tokenInput = document.getElementById('tokenInput');
-        if (tokenInput) {
-            tokenInput.value = newToken;
-        }
-
-        // Update data-token attributes
-        const tokenButtons = document.querySelectorAll(
-            `[data-observer-id="${observerId}"]`
+    updateLinkInUI(linkId, newToken, newUrl) {
+        const elements = document.querySelectorAll(
+            `[data-link-id="${linkId}"]`
         );
-        tokenButtons.forEach((button) => {
-            if (button.hasAttribute('data-token')) {
-                button.setAttribute('data-token', newToken);
-            }
-        });
 
-        // Update any displayed token text
-        const tokenDisplays = document.querySelectorAll('.token-display');
-        tokenDisplays.forEach((display) => {
-            if (display.getAttribute('data-observer-id') === observerId) {
-                display.textContent = newToken;
+        elements.forEach((element) => {
+            if (element.hasAttribute('data-token')) {
+                element.setAttribute('data-token', newToken);
             }
-        });
-
-        // Update URL buttons with new token
-        const urlButtons = document.querySelectorAll('.copy-url-btn');
-        urlButtons.forEach((button) => {
-            const currentUrl = button.getAttribute('data-url');
-            if (currentUrl && currentUrl.includes('/observer/')) {
-                const newUrl = currentUrl.replace(
-                    /\/observer\/[^\/]+/,
-                    `/observer/${newToken}`
-                );
-                button.setAttribute('data-url', newUrl);
+            if (element.hasAttribute('data-url')) {
+                element.setAttribute('data-url', newUrl);
+            }
+            if (element.classList.contains('token-display')) {
+                element.textContent = newToken;
+            }
+            if (element.tagName === 'A') {
+                element.href = newUrl;
             }
         });
     }
@@ -361,6 +305,17 @@ class ObserverManagement {
         }, 5000);
     }
 
+    /**
+     * Setup preview of the observer map with the saved rules (show page)
+     */
+    setupRulesPreview() {
+        if (document.getElementById('observer-preview')) {
+            this.rulesPreview = new ObserverPreview({
+                containerSelector: '#observer-preview',
+            });
+        }
+    }
+
     /**
      * Get observer statistics
      */
@@ -374,7 +329,8 @@ class ObserverManagement {
             copyButtonsCount: copyButtons,
             refreshButtonsCount: refreshButtons,
             urlButtonsCount: urlButtons,
-            hasTokenInput: !!document.getElementById('tokenInput'),
+            linksCount: document.querySelectorAll('.observer-access-link')
+                .length,
         };
     }
 }
@@ -1,5 +1,18 @@
 import L from 'leaflet';
 import BaseMapComponent from './baseMapComponent';
+import OfflineTilesPanel from './offlineTilesPanel';
+import MarkerClusters from './markerClusters';
+import TtlCountdown, { fadeExpiringLayers } from './ttlCountdown';
+import { registerOfflineWorker } from './offlineCache';
+import { createGeometryLayer } from './geometryLayer';
+
+// Outline of the area a geofence rule limits the observer to
+const GEOFENCE_STYLE = {
+    color: '#0d6efd',
+    weight: 2,
+    dashArray: '8 6',
+    fill: false,
+};
 
 /**
  * Simple Map Viewer for Observers
@@ -14,6 +27,7 @@ class ObserverMapViewer extends BaseMapComponent {
                 mapContainerId: 'map-container',
                 initialZoom: 13,
                 maxZoom: 18,
+                offline: true, // false for admin previews
             },
             options
         );
@@ -44,6 +58,29 @@ class ObserverMapViewer extends BaseMapComponent {
             // Initialize map
             this.initializeLeafletMap(this.container, coordinates);
 
+            // Point markers are clustered per side
+            this.markerClusters = new MarkerClusters().addTo(this.map);
+
+            this.geofenceLayer = L.featureGroup().addTo(this.map);
+            if (this.container.dataset.geofence) {
+                this.setGeofence(
+                    JSON.parse(this.container.dataset.geofence),
+                    true
+                );
+            }
+
+            // Objects fade near the end of their TTL and disappear when it
+            // runs out, without waiting for the next feed update
+            this.ttlCountdown = new TtlCountdown({
+                leafletMap: this.map,
+                onTick: (now) =>
+                    fadeExpiringLayers(
+                        Object.values(this.geoObjectLayers),
+                        now
+                    ),
+                onExpire: (objectId) => this.handleObjectExpired(objectId),
+            });
+
             // Initialize toolbar (basic tools only)
             const mapData = {
                 centerLat: coordinates.lat,
@@ -52,6 +89,16 @@ class ObserverMapViewer extends BaseMapComponent {
             };
             this.initializeToolbar(mapData);
 
+            // Offline support: cached page, objects and downloaded tiles
+            if (this.options.offline) {
+                registerOfflineWorker();
+                this.offlineTilesPanel = new OfflineTilesPanel({
+                    map: this.map,
+                    getActiveLayer: () =>
+                        this.toolbar ? this.toolbar.currentLayer : null,
+                });
+            }
+
             // Make the map object available globally
             window.tacticalMap = this;
 
@@ -122,6 +169,12 @@ class ObserverMapViewer extends BaseMapComponent {
                 return;
             }
 
+            // Observers only see active objects (pending ones are not sent,
+            // they arrive with a feed update once started)
+            if (object.isExpired || object.isPending) {
+                return;
+            }
+
             // Parse geoJson if it's a string
             const geoJson =
                 typeof object.geoJson === 'string'
@@ -161,6 +214,9 @@ class ObserverMapViewer extends BaseMapComponent {
                     );
                     layer = lineResult.layer;
                     break;
+                case 'image':
+                    layer = this.createImageOverlayLayer(geoJson, object);
+                    break;
                 default:
                     console.warn(`Unknown geometry type: ${objectType}`);
                     return;
@@ -170,8 +226,12 @@ class ObserverMapViewer extends BaseMapComponent {
                 // Use universal popup binding method (DRY principle)
                 this.bindPopupToLayer(layer, object);
 
-                // Add to map
-                layer.addTo(this.map);
+                // Add to map (points through side clusters)
+                if (layer instanceof L.Marker) {
+                    this.markerClusters.addMarker(layer, object.side);
+                } else {
+                    layer.addTo(this.map);
+                }
 
                 // Store reference (simplified - no need for mainLayer anymore)
                 this.geoObjectLayers[object.id] = {
@@ -179,6 +239,7 @@ class ObserverMapViewer extends BaseMapComponent {
                     type: object.type,
                     data: object,
                 };
+                this.ttlCountdown.track(object.id, object);
             } else {
                 console.error('Failed to create layer for object:', object);
             }
@@ -380,16 +441,201 @@ class ObserverMapViewer extends BaseMapComponent {
         return { layer: line };
     }
 
+    /**
+     * Reconcile displayed objects with a full snapshot
+     * Only layers whose data actually changed are recreated
+     * @param {Array} geoObjects - Complete list of objects visible to observer
+     * @returns {Object} Counts of added, updated and removed objects
+     */
+    applySnapshot(geoObjects) {
+        if (!Array.isArray(geoObjects)) {
+            console.warn('Invalid geo objects snapshot provided');
+            return { added: 0, updated: 0, removed: 0 };
+        }
+
+        const incomingIds = new Set(
+            geoObjects.map((object) => String(object.id))
+        );
+        const result = { added: 0, updated: 0, removed: 0 };
+
+        Object.keys(this.geoObjectLayers).forEach((id) => {
+            if (!incomingIds.has(id)) {
+                this.removeGeoObject(id);
+                result.removed++;
+            }
+        });
+
+        geoObjects.forEach((object) => {
+            const existing = this.geoObjectLayers[object.id];
+
+            if (!existing) {
+                this.displayGeoObject(object);
+                result.added++;
+            } else if (
+                this.getObjectFingerprint(existing.data) !==
+                this.getObjectFingerprint(object)
+            ) {
+                this.upsertGeoObject(object);
+                result.updated++;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Apply incremental changes received from the live feed
+     * @param {Object} changes - {added: Array, updated: Array, removed: Array<id>}
+     */
+    applyChanges(changes) {
+        (changes.removed || []).forEach((id) => this.removeGeoObject(id));
+        (changes.added || []).forEach((object) => this.upsertGeoObject(object));
+        (changes.updated || []).forEach((object) =>
+            this.upsertGeoObject(object)
+        );
+    }
+
+    /**
+     * Add object or replace its layer in place, keeping an open popup open
+     * @param {Object} object - Geo object data
+     */
+    upsertGeoObject(object) {
+        const existing = this.geoObjectLayers[object.id];
+        const popupWasOpen = existing
+            ? this.isLayerPopupOpen(existing.layer)
+            : false;
+
+        if (existing) {
+            this.removeGeoObject(object.id);
+        }
+
+        this.displayGeoObject(object);
+
+        const created = this.geoObjectLayers[object.id];
+        if (popupWasOpen && created) {
+            this.openLayerPopup(created.layer);
+        }
+    }
+
+    /**
+     * Remove a single object from the map
+     * @param {number|string} objectId - Geo object ID
+     */
+    removeGeoObject(objectId) {
+        const item = this.geoObjectLayers[objectId];
+        if (!item) {
+            return;
+        }
+
+        if (item.layer) {
+            this.map.removeLayer(item.layer);
+            this.markerClusters.removeMarker(item.layer);
+            this.removeImageOverlay(objectId, item.layer);
+        }
+        this.ttlCountdown.untrack(objectId);
+        delete this.geoObjectLayers[objectId];
+    }
+
+    /**
+     * Remove object whose TTL just ran out
+     * @param {number|string} objectId - Geo object ID
+     */
+    handleObjectExpired(objectId) {
+        const item = this.geoObjectLayers[objectId];
+        if (!item) {
+            return;
+        }
+
+        // Shared with the page data, keeps statistics right
+        item.data.isExpired = true;
+        item.data.remainingTtl = 0;
+
+        this.removeGeoObject(objectId);
+    }
+
+    /**
+     * Get all object data currently displayed
+     * @returns {Array}
+     */
+    getDisplayedObjects() {
+        return Object.values(this.geoObjectLayers).map((item) => item.data);
+    }
+
+    /**
+     * Build comparable fingerprint of object data
+     * remainingTtl and secondsUntilActive change on every request and are
+     * ignored
+     */
+    getObjectFingerprint(object) {
+        const { remainingTtl, secondsUntilActive, ...stableData } = object;
+        return JSON.stringify(stableData);
+    }
+
+    /**
+     * Check if popup is open on layer or any of its children
+     */
+    isLayerPopupOpen(layer) {
+        if (layer instanceof L.LayerGroup) {
+            return layer
+                .getLayers()
+                .some((child) => child.isPopupOpen && child.isPopupOpen());
+        }
+
+        return !!(layer.isPopupOpen && layer.isPopupOpen());
+    }
+
+    /**
+     * Open popup on layer (first child for LayerGroup)
+     */
+    openLayerPopup(layer) {
+        const target =
+            layer instanceof L.LayerGroup ? layer.getLayers()[0] : layer;
+
+        // Newly added markers are placed on the next redraw
+        this.markerClusters.refresh();
+
+        if (target && target.openPopup) {
+            target.openPopup();
+        }
+    }
+
     /**
      * Clear all geo objects from the map
      */
     clearGeoObjects() {
-        Object.values(this.geoObjectLayers).forEach((item) => {
+        Object.entries(this.geoObjectLayers).forEach(([id, item]) => {
             if (item.layer) {
                 this.map.removeLayer(item.layer);
+                this.removeImageOverlay(id, item.layer);
             }
         });
         this.geoObjectLayers = {};
+        this.markerClusters.clearMarkers();
+        this.ttlCountdown.clear();
+    }
+
+    /**
+     * Outline the area the observer is limited to
+     * @param {Object|null} geometry - Boundary geometry, null without geofence
+     * @param {boolean} fitBounds - Zoom the map to the area
+     */
+    setGeofence(geometry, fitBounds = false) {
+        if (!this.geofenceLayer) return;
+
+        this.geofenceLayer.clearLayers();
+        const layer = geometry
+            ? createGeometryLayer(geometry, GEOFENCE_STYLE)
+            : null;
+        if (!layer) return;
+
+        layer.bindTooltip('Objects outside this area are not shown', {
+            sticky: true,
+        });
+        this.geofenceLayer.addLayer(layer);
+
+        if (fitBounds) {
+            this.map.fitBounds(layer.getBounds(), { padding: [20, 20] });
+        }
     }
 
     /**
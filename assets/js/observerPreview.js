@@ -0,0 +1,227 @@
+import L from 'leaflet';
+import { escapeHtml } from './baseMapComponent';
+import ObserverMapViewer from './observerMapViewer';
+import { createGeometryLayer } from './geometryLayer';
+import { getRuleLabel } from './ruleBuilder';
+
+/**
+ * Observer preview
+ * Preview pane of the observer show/edit pages: the map as the observer sees
+ * it with the given rules and, outlined in the colour of each rule, the
+ * objects that rule hides. Rules are only tried (dry run on the server), so
+ * stateful rules such as request limits are not counted.
+ */
+
+const REFRESH_DELAY = 600;
+
+const RULE_COLORS = [
+    '#dc3545',
+    '#fd7e14',
+    '#6f42c1',
+    '#d63384',
+    '#20c997',
+    '#0dcaf0',
+];
+
+const REMOVED_STYLE = {
+    weight: 2,
+    dashArray: '5 5',
+    fillOpacity: 0.05,
+};
+
+export default class ObserverPreview {
+    /**
+     * @param {Object} options
+     * @param {string} options.containerSelector - Preview pane, with the
+     *     preview URL in data-preview-url
+     * @param {string} options.mapContainerId - Map element inside the pane
+     * @param {Function|null} options.getRules - Returns the rules to try
+     *     (may throw on invalid input), null previews the saved rules
+     */
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                containerSelector: '#observer-preview',
+                mapContainerId: 'observer-preview-map',
+                getRules: null,
+            },
+            options
+        );
+
+        this.container = document.querySelector(this.options.containerSelector);
+        this.refreshTimer = null;
+        this.requestId = 0;
+        this.geofenceKey = null;
+
+        if (!this.container) return;
+
+        this.previewUrl = this.container.dataset.previewUrl;
+        this.summary = this.container.querySelector(
+            '.observer-preview-summary'
+        );
+        this.ruleList = this.container.querySelector('.observer-preview-rules');
+        this.showRemovedInput = this.container.querySelector(
+            '.observer-preview-show-removed'
+        );
+
+        this.viewer = new ObserverMapViewer({
+            mapContainerId: this.options.mapContainerId,
+            offline: false,
+        });
+        this.removedLayer = L.featureGroup();
+
+        if (this.showRemovedInput) {
+            this.showRemovedInput.addEventListener('change', () =>
+                this.updateRemovedLayer()
+            );
+        }
+        this.updateRemovedLayer();
+
+        this.refresh();
+    }
+
+    /**
+     * Refresh after the rules stopped changing for a moment
+     */
+    scheduleRefresh() {
+        if (!this.container) return;
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+    }
+
+    refresh() {
+        let rules = null;
+
+        try {
+            rules = this.options.getRules ? this.options.getRules() : null;
+        } catch (error) {
+            this.showSummary('Fix the rules JSON to update the preview.', true);
+            return;
+        }
+
+        const requestId = ++this.requestId;
+        this.showSummary('Updating preview...');
+
+        fetch(this.previewUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+            },
+            body: JSON.stringify({ rules }),
+        })
+            .then((response) => response.json())
+            .then((data) => {
+                if (requestId !== this.requestId) return;
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to load preview');
+                }
+
+                this.render(data);
+            })
+            .catch((error) => {
+                if (requestId === this.requestId) {
+                    this.showSummary(error.message, true);
+                }
+            });
+    }
+
+    /**
+     * @param {Object} data - {objects, removed: [{object, rule}], rules,
+     *     geofence}
+     */
+    render(data) {
+        const colors = new Map(
+            data.rules.map((rule, index) => [
+                rule.name,
+                RULE_COLORS[index % RULE_COLORS.length],
+            ])
+        );
+
+        this.viewer.applySnapshot(data.objects);
+
+        // Zoom to the area only when it changed, not on every refresh
+        const geofenceKey = JSON.stringify(data.geofence);
+        this.viewer.setGeofence(
+            data.geofence,
+            geofenceKey !== this.geofenceKey
+        );
+        this.geofenceKey = geofenceKey;
+
+        this.removedLayer.clearLayers();
+        data.removed.forEach(({ object, rule }) => {
+            const layer = createGeometryLayer(object.geoJson, {
+                ...REMOVED_STYLE,
+                color: colors.get(rule),
+            });
+            if (!layer) return;
+
+            layer.bindTooltip(
+                `${escapeHtml(object.title)}<br><small>Hidden by ${escapeHtml(
+                    getRuleLabel(rule)
+                )}</small>`,
+                { sticky: true }
+            );
+            this.removedLayer.addLayer(layer);
+        });
+
+        this.renderRules(data.rules, colors);
+        this.showSummary(
+            data.rules.length === 0
+                ? `No rules: ${data.objects.length} objects visible to everyone are shown.`
+                : `${data.objects.length} objects visible, ${data.removed.length} hidden by rules.`
+        );
+    }
+
+    renderRules(rules, colors) {
+        if (!this.ruleList) return;
+
+        this.ruleList.innerHTML = rules
+            .map(
+                (rule) => `
+                    <li class="list-group-item d-flex justify-content-between align-items-start">
+                        <div>
+                            <span class="observer-preview-swatch" style="border-color: ${colors.get(rule.name)}"></span>
+                            <strong>${escapeHtml(getRuleLabel(rule.name))}</strong>
+                            <code class="small ms-1">${escapeHtml(rule.name)}</code>
+                            ${
+                                rule.applied
+                                    ? ''
+                                    : `<div class="text-danger small">Not applied: ${escapeHtml(
+                                          rule.errors.join('; ')
+                                      )}</div>`
+                            }
+                        </div>
+                        <span class="badge ${rule.removed > 0 ? 'bg-danger' : 'bg-secondary'}">
+                            ${rule.removed} hidden
+                        </span>
+                    </li>
+                `
+            )
+            .join('');
+    }
+
+    /**
+     * Show or hide outlines of objects removed by rules
+     */
+    updateRemovedLayer() {
+        const map = this.viewer.getLeafletMap();
+        if (!map) return;
+
+        const show = !this.showRemovedInput || this.showRemovedInput.checked;
+        if (show) {
+            this.removedLayer.addTo(map);
+        } else {
+            map.removeLayer(this.removedLayer);
+        }
+    }
+
+    showSummary(text, isError = false) {
+        if (!this.summary) return;
+
+        this.summary.textContent = text;
+        this.summary.classList.toggle('text-danger', isError);
+        this.summary.classList.toggle('text-muted', !isError);
+    }
+}
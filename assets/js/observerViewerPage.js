@@ -3,11 +3,15 @@
  * Handles the initialization and data loading for observer map viewer
  */
 
+import LiveFeed from './liveFeed';
+import { storeCachedJson } from './offlineCache';
+
 class ObserverViewerPage {
     constructor() {
         this.geoObjects = [];
         this.mapInstance = null;
         this.isMapReady = false;
+        this.liveFeed = null;
 
         this.init();
     }
@@ -45,6 +49,7 @@ class ObserverViewerPage {
             this.isMapReady = true;
             this.loadObjectsIntoMap();
             this.markMapAsLoaded();
+            this.startLiveUpdates();
         }
     }
 
@@ -103,6 +108,7 @@ class ObserverViewerPage {
                 this.isMapReady = true;
                 this.loadObjectsIntoMap();
                 this.markMapAsLoaded();
+                this.startLiveUpdates();
             } else {
                 console.error(
                     'ObserverViewerPage: Invalid map instance in event'
@@ -171,9 +177,6 @@ class ObserverViewerPage {
 
         // Setup keyboard shortcuts
         this.setupKeyboardShortcuts();
-
-        // Setup auto-refresh if needed
-        this.setupAutoRefresh();
     }
 
     /**
@@ -243,38 +246,173 @@ class ObserverViewerPage {
     }
 
     /**
-     * Setup auto-refresh functionality
+     * Start receiving live object updates (SSE with long-poll fallback)
+     * Replaces periodic full page reloads
      */
-    setupAutoRefresh() {
-        // Auto-refresh every 5 minutes for active TTL objects
-        setInterval(() => {
-            const activeObjects = this.geoObjects.filter(
-                (obj) => obj.ttl && !obj.isExpired
-            );
-            if (activeObjects.length > 0) {
-                console.log(
-                    'ObserverViewerPage: Auto-refreshing due to TTL objects'
-                );
-                this.refreshData();
+    startLiveUpdates() {
+        if (this.liveFeed) {
+            return;
+        }
+
+        const mapContainer = document.getElementById('map-container');
+        if (!mapContainer) {
+            return;
+        }
+
+        this.liveFeed = new LiveFeed({
+            streamUrl: mapContainer.dataset.streamUrl,
+            pollUrl: mapContainer.dataset.pollUrl,
+            onSnapshot: (data) => this.applySnapshot(data.objects),
+            onChanges: (changes) => this.applyChanges(changes),
+            onGone: () =>
+                this.showError(
+                    'Access to this observer view has been revoked.'
+                ),
+            onStatusChange: (status) => this.updateLiveStatus(status),
+        });
+
+        this.liveFeed.start();
+
+        // Close connections when leaving the page
+        window.addEventListener('beforeunload', () => this.liveFeed.stop());
+
+        // Page served from the offline cache: show the last stored objects
+        if (!navigator.onLine) {
+            this.refreshData();
+        }
+    }
+
+    /**
+     * Replace current objects with a full snapshot
+     * The map only re-renders objects that actually changed
+     */
+    applySnapshot(objects) {
+        if (!Array.isArray(objects)) {
+            return;
+        }
+
+        this.geoObjects = objects;
+
+        if (this.mapInstance && this.mapInstance.applySnapshot) {
+            this.mapInstance.applySnapshot(objects);
+        }
+
+        this.updateObjectsCount(this.geoObjects.length);
+        this.storeOfflineSnapshot();
+    }
+
+    /**
+     * Apply incremental changes from the live feed
+     */
+    applyChanges(changes) {
+        const removedIds = new Set((changes.removed || []).map(String));
+        const changedObjects = [
+            ...(changes.added || []),
+            ...(changes.updated || []),
+        ];
+        const changedIds = new Set(
+            changedObjects.map((object) => String(object.id))
+        );
+
+        this.geoObjects = this.geoObjects
+            .filter((object) => {
+                const id = String(object.id);
+                return !removedIds.has(id) && !changedIds.has(id);
+            })
+            .concat(changedObjects);
+
+        if (this.mapInstance && this.mapInstance.applyChanges) {
+            this.mapInstance.applyChanges(changes);
+        }
+
+        this.updateObjectsCount(this.geoObjects.length);
+        this.storeOfflineSnapshot();
+    }
+
+    /**
+     * Keep the latest objects as the cached objects response,
+     * the service worker returns it when the page is opened offline
+     */
+    storeOfflineSnapshot() {
+        const mapContainer = document.getElementById('map-container');
+        const objectsUrl = mapContainer?.dataset.objectsUrl;
+
+        if (!objectsUrl) {
+            return;
+        }
+
+        storeCachedJson(objectsUrl, {
+            success: true,
+            version: this.liveFeed ? this.liveFeed.version : null,
+            objects: this.geoObjects,
+        });
+    }
+
+    /**
+     * Update live connection indicator
+     */
+    updateLiveStatus(status) {
+        const labels = {
+            live: 'Live',
+            polling: 'Live (polling)',
+            offline: 'Offline',
+        };
+
+        document.querySelectorAll('[data-live-status]').forEach((element) => {
+            element.dataset.liveStatus = status;
+
+            const text = element.querySelector('.live-status-text');
+            if (text) {
+                text.textContent = labels[status] || status;
             }
-        }, 5 * 60 * 1000); // 5 minutes
+        });
     }
 
     /**
-     * Refresh page data
+     * Refresh objects without reloading the page
      */
     refreshData() {
         const refreshBtn = document.querySelector('.refresh-btn');
+        const mapContainer = document.getElementById('map-container');
+        const objectsUrl = mapContainer?.dataset.objectsUrl;
+
+        if (!objectsUrl) {
+            return;
+        }
+
         if (refreshBtn) {
             refreshBtn.innerHTML =
                 '<i class="fas fa-spinner fa-spin"></i> Refreshing...';
             refreshBtn.disabled = true;
         }
 
-        // Reload the page to get fresh data
-        setTimeout(() => {
-            window.location.reload();
-        }, 500);
+        fetch(objectsUrl, {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' },
+        })
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((data) => {
+                this.applySnapshot(data.objects);
+
+                if (this.liveFeed) {
+                    this.liveFeed.setVersion(data.version);
+                }
+            })
+            .catch((error) => {
+                console.error('ObserverViewerPage: Refresh failed', error);
+                this.showError('Failed to refresh map data.');
+            })
+            .finally(() => {
+                if (refreshBtn) {
+                    refreshBtn.innerHTML =
+                        '<i class="fas fa-sync-alt"></i> Refresh';
+                    refreshBtn.disabled = false;
+                }
+            });
     }
 
     /**
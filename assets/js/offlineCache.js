@@ -0,0 +1,288 @@
+import L from 'leaflet';
+
+/**
+ * Offline Cache
+ * Helpers for the observer service worker (public/observer-sw.js):
+ * worker registration, bulk tile download for an area and storage usage.
+ * Cache names must match the service worker
+ */
+
+export const TILE_CACHE = 'tactical-maps-tiles-v1';
+export const PAGE_CACHE = 'tactical-maps-observer-v1';
+
+// Keep downloads within what a self-hosted tile server handles
+export const MAX_DOWNLOAD_TILES = 5000;
+
+const WORKER_URL = '/observer-sw.js';
+const WORKER_SCOPE = '/observer/';
+const DOWNLOAD_CONCURRENCY = 4;
+
+/**
+ * Check if the browser supports offline caching
+ */
+export function isOfflineCacheSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+/**
+ * Register observer service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export function registerOfflineWorker() {
+    if (!isOfflineCacheSupported()) {
+        return Promise.resolve(null);
+    }
+
+    return navigator.serviceWorker
+        .register(WORKER_URL, { scope: WORKER_SCOPE })
+        .catch((error) => {
+            console.warn('Offline cache is not available:', error);
+            return null;
+        });
+}
+
+/**
+ * Whether tiles of a layer may be downloaded in bulk
+ * Only custom tile sources registered by admins qualify (MapLayers sets
+ * layer.tileSource), public servers such as OSM or Google forbid bulk
+ * downloads in their usage policies
+ * @param {L.TileLayer|null} layer - Base layer
+ * @returns {boolean}
+ */
+export function isAreaDownloadAllowed(layer) {
+    return Boolean(layer && layer.tileSource && layer.tileSource.url);
+}
+
+/**
+ * Tile URLs of a custom source layer covering bounds across a zoom range
+ * @param {L.Map} map - Map the layer is added to
+ * @param {L.TileLayer} layer - Layer of a custom tile source
+ * @param {L.LatLngBounds} bounds - Area to cover
+ * @param {number} minZoom - First zoom level
+ * @param {number} maxZoom - Last zoom level (inclusive)
+ * @returns {Array<string>}
+ */
+export function getTileUrls(map, layer, bounds, minZoom, maxZoom) {
+    const urls = [];
+
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const range = getTileRange(map, layer, bounds, zoom);
+        for (let x = range.min.x; x <= range.max.x; x++) {
+            for (let y = range.min.y; y <= range.max.y; y++) {
+                const coords = L.point(x, y);
+                coords.z = zoom;
+                urls.push(getTileUrl(layer, coords));
+            }
+        }
+    }
+
+    return urls;
+}
+
+/**
+ * Number of tiles covering bounds across a zoom range
+ */
+export function countTiles(map, layer, bounds, minZoom, maxZoom) {
+    let count = 0;
+
+    for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+        const range = getTileRange(map, layer, bounds, zoom);
+        count +=
+            (range.max.x - range.min.x + 1) * (range.max.y - range.min.y + 1);
+    }
+
+    return count;
+}
+
+/**
+ * Download tiles into the tile cache, skipping tiles already stored
+ * @param {Array<string>} urls - Tile URLs
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with {done, total, failed}
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @returns {Promise<{done: number, total: number, failed: number}>}
+ */
+export function downloadTiles(urls, options = {}) {
+    const { onProgress = () => {}, signal = null } = options;
+    const progress = { done: 0, total: urls.length, failed: 0 };
+    const queue = urls.slice();
+
+    return caches.open(TILE_CACHE).then((cache) => {
+        const next = () => {
+            if (queue.length === 0 || (signal && signal.aborted)) {
+                return Promise.resolve();
+            }
+
+            const url = queue.shift();
+
+            return cache
+                .match(url)
+                .then((cached) => cached || fetchTile(url, signal))
+                .then((response) => {
+                    // Opaque (no-cors) responses can't report their status
+                    if (!response.ok && response.type !== 'opaque') {
+                        throw new Error(`Tile not available: ${url}`);
+                    }
+                    return cache.put(url, response);
+                })
+                .catch(() => {
+                    progress.failed++;
+                })
+                .then(() => {
+                    progress.done++;
+                    onProgress({ ...progress });
+                    return next();
+                });
+        };
+
+        const workers = [];
+        for (let i = 0; i < DOWNLOAD_CONCURRENCY; i++) {
+            workers.push(next());
+        }
+
+        return Promise.all(workers).then(() => progress);
+    });
+}
+
+/**
+ * Stored tiles count and browser storage estimate
+ * @returns {Promise<{tiles: number, usage: number|null, quota: number|null}>}
+ */
+export function getStorageUsage() {
+    const estimate =
+        navigator.storage && navigator.storage.estimate
+            ? navigator.storage.estimate().catch(() => ({}))
+            : Promise.resolve({});
+
+    return Promise.all([
+        caches.open(TILE_CACHE).then((cache) => cache.keys()),
+        estimate,
+    ]).then(([keys, storage]) => ({
+        tiles: keys.length,
+        usage: storage.usage ?? null,
+        quota: storage.quota ?? null,
+    }));
+}
+
+/**
+ * Remove all downloaded tiles
+ */
+export function clearTileCache() {
+    return caches.delete(TILE_CACHE);
+}
+
+/**
+ * Ask the browser not to evict offline data under storage pressure
+ */
+export function requestPersistentStorage() {
+    if (navigator.storage && navigator.storage.persist) {
+        return navigator.storage.persist().catch(() => false);
+    }
+    return Promise.resolve(false);
+}
+
+/**
+ * Store JSON as the cached response of a URL, so the service worker
+ * can answer it while offline
+ * @param {string} url - Request URL (relative to the page)
+ * @param {Object} data - Response body
+ */
+export function storeCachedJson(url, data) {
+    if (!('caches' in window)) {
+        return Promise.resolve();
+    }
+
+    return caches
+        .open(PAGE_CACHE)
+        .then((cache) =>
+            cache.put(
+                url,
+                new Response(JSON.stringify(data), {
+                    headers: { 'Content-Type': 'application/json' },
+                })
+            )
+        )
+        .catch((error) => {
+            console.warn('Could not store offline data:', error);
+        });
+}
+
+/**
+ * Format byte size, e.g. "12.3 MB"
+ */
+export function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Tile coordinate range covering bounds at zoom
+ */
+function getTileRange(map, layer, bounds, zoom) {
+    const tileSize = layer.getTileSize();
+    const maxIndex = Math.pow(2, zoom) - 1;
+    const clamp = (value) => Math.min(Math.max(value, 0), maxIndex);
+
+    const northWest = map
+        .project(bounds.getNorthWest(), zoom)
+        .unscaleBy(tileSize)
+        .floor();
+    const southEast = map
+        .project(bounds.getSouthEast(), zoom)
+        .unscaleBy(tileSize)
+        .floor();
+
+    return {
+        min: L.point(clamp(northWest.x), clamp(northWest.y)),
+        max: L.point(clamp(southEast.x), clamp(southEast.y)),
+    };
+}
+
+/**
+ * URL of one tile, the same URL the layer requests for it so the
+ * service worker finds downloaded tiles
+ * WMS layers build it from the tile coordinates alone; XYZ/TMS URLs are
+ * filled in from the source template like L.TileLayer does
+ */
+function getTileUrl(layer, coords) {
+    if (layer instanceof L.TileLayer.WMS) {
+        return layer.getTileUrl(coords);
+    }
+
+    const { subdomains } = layer.options;
+    const invertedY = Math.pow(2, coords.z) - 1 - coords.y;
+    const data = {
+        ...layer.options,
+        r: L.Browser.retina ? '@2x' : '',
+        s: subdomains[Math.abs(coords.x + coords.y) % subdomains.length],
+        x: coords.x,
+        y: layer.options.tms ? invertedY : coords.y,
+        '-y': invertedY,
+        z: coords.z,
+    };
+
+    return L.Util.template(layer.tileSource.url, data);
+}
+
+/**
+ * Fetch tile with CORS when the server allows it, so the stored
+ * response is readable; otherwise store an opaque response
+ */
+function fetchTile(url, signal) {
+    return fetch(url, { mode: 'cors', credentials: 'omit', signal }).catch(
+        (error) => {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            return fetch(url, { mode: 'no-cors', signal });
+        }
+    );
+}
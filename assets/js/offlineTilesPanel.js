@@ -0,0 +1,306 @@
+import L from 'leaflet';
+import {
+    MAX_DOWNLOAD_TILES,
+    isOfflineCacheSupported,
+    isAreaDownloadAllowed,
+    getTileUrls,
+    countTiles,
+    downloadTiles,
+    getStorageUsage,
+    clearTileCache,
+    requestPersistentStorage,
+    formatBytes,
+} from './offlineCache';
+
+/**
+ * Offline tiles panel
+ * Map control that downloads tiles of the active base layer for the
+ * visible area across a zoom range and shows offline storage usage.
+ * Tiles are served by the observer service worker when the network drops.
+ * Area download is offered for custom tile sources only, public servers
+ * such as OSM or Google do not allow bulk downloads.
+ */
+export default class OfflineTilesPanel {
+    /**
+     * @param {Object} options
+     * @param {L.Map} options.map - Leaflet map
+     * @param {Function} options.getActiveLayer - Returns current base layer
+     * @param {string} options.position - Control position
+     * @param {number} options.zoomLevels - Default zoom levels above current
+     */
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                map: null,
+                getActiveLayer: () => null,
+                position: 'bottomleft',
+                zoomLevels: 3,
+            },
+            options
+        );
+
+        this.map = this.options.map;
+        this.control = null;
+        this.container = null;
+        this.downloadController = null;
+        this.moveHandler = () => this.updateEstimate();
+
+        if (this.map && isOfflineCacheSupported()) {
+            this.init();
+        }
+    }
+
+    /**
+     * Create control and bind its actions
+     */
+    init() {
+        this.control = L.control({ position: this.options.position });
+        this.control.onAdd = () => this.createContainer();
+        this.control.addTo(this.map);
+
+        this.map.on('moveend', this.moveHandler);
+        this.updateEstimate();
+        this.updateUsage();
+    }
+
+    /**
+     * Build control markup
+     */
+    createContainer() {
+        const container = L.DomUtil.create('div', 'offline-tiles-panel');
+        container.innerHTML = `
+            <button type="button" class="offline-tiles-toggle" title="Offline map">
+                <i class="fas fa-download"></i> Offline
+            </button>
+            <div class="offline-tiles-body" style="display: none;">
+                <div class="offline-tiles-title">Download area for offline</div>
+                <div class="offline-tiles-download-options">
+                <div class="offline-tiles-zoom">
+                    Zoom
+                    <input type="number" class="offline-tiles-min-zoom" min="0" step="1">
+                    –
+                    <input type="number" class="offline-tiles-max-zoom" min="0" step="1">
+                </div>
+                </div>
+                <div class="offline-tiles-estimate"></div>
+                <progress class="offline-tiles-progress" value="0" max="1" style="display: none;"></progress>
+                <div class="offline-tiles-actions">
+                    <button type="button" class="btn btn-sm btn-primary offline-tiles-download">Download</button>
+                    <button type="button" class="btn btn-sm btn-outline-danger offline-tiles-clear">Clear</button>
+                </div>
+                <div class="offline-tiles-usage"></div>
+            </div>
+        `;
+
+        this.container = container;
+        this.body = container.querySelector('.offline-tiles-body');
+        this.minZoomInput = container.querySelector('.offline-tiles-min-zoom');
+        this.maxZoomInput = container.querySelector('.offline-tiles-max-zoom');
+        this.downloadOptions = container.querySelector(
+            '.offline-tiles-download-options'
+        );
+        this.estimate = container.querySelector('.offline-tiles-estimate');
+        this.progress = container.querySelector('.offline-tiles-progress');
+        this.downloadBtn = container.querySelector('.offline-tiles-download');
+        this.usage = container.querySelector('.offline-tiles-usage');
+
+        const zoom = Math.round(this.map.getZoom());
+        this.minZoomInput.value = zoom;
+        this.maxZoomInput.value = zoom + this.options.zoomLevels;
+
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.disableScrollPropagation(container);
+
+        L.DomEvent.on(
+            container.querySelector('.offline-tiles-toggle'),
+            'click',
+            () => this.toggleBody()
+        );
+        L.DomEvent.on(this.minZoomInput, 'change', () => this.updateEstimate());
+        L.DomEvent.on(this.maxZoomInput, 'change', () => this.updateEstimate());
+        L.DomEvent.on(this.downloadBtn, 'click', () => {
+            if (this.downloadController) {
+                this.downloadController.abort();
+            } else {
+                this.downloadArea();
+            }
+        });
+        L.DomEvent.on(
+            container.querySelector('.offline-tiles-clear'),
+            'click',
+            () => this.clearTiles()
+        );
+
+        return container;
+    }
+
+    /**
+     * Show or hide panel body
+     */
+    toggleBody() {
+        const hidden = this.body.style.display === 'none';
+        this.body.style.display = hidden ? '' : 'none';
+
+        if (hidden) {
+            this.updateEstimate();
+            this.updateUsage();
+        }
+    }
+
+    /**
+     * Selected zoom range limited to what the layer provides
+     * @returns {{minZoom: number, maxZoom: number}}
+     */
+    getZoomRange(layer) {
+        const layerMaxZoom = layer.options.maxZoom ?? 18;
+        const clamp = (value) =>
+            Math.min(Math.max(parseInt(value, 10) || 0, 0), layerMaxZoom);
+
+        const minZoom = clamp(this.minZoomInput.value);
+        const maxZoom = Math.max(clamp(this.maxZoomInput.value), minZoom);
+
+        return { minZoom, maxZoom };
+    }
+
+    /**
+     * Show number of tiles for the visible area
+     * @returns {number} Tile count, 0 when nothing can be downloaded
+     */
+    updateEstimate() {
+        if (!this.estimate || this.downloadController) return 0;
+
+        const layer = this.options.getActiveLayer();
+        const allowed = isAreaDownloadAllowed(layer);
+        this.downloadOptions.style.display = allowed ? '' : 'none';
+        this.downloadBtn.style.display = allowed ? '' : 'none';
+
+        if (!allowed) {
+            this.estimate.textContent =
+                'Area download is available for custom map layers only.';
+            this.estimate.classList.remove('text-danger');
+            return 0;
+        }
+
+        const { minZoom, maxZoom } = this.getZoomRange(layer);
+        const count = countTiles(
+            this.map,
+            layer,
+            this.map.getBounds(),
+            minZoom,
+            maxZoom
+        );
+        const tooMany = count > MAX_DOWNLOAD_TILES;
+
+        this.estimate.textContent = tooMany
+            ? `${count} tiles — too many, zoom in or narrow the zoom range (max ${MAX_DOWNLOAD_TILES}).`
+            : `${count} tiles for the visible area.`;
+        this.estimate.classList.toggle('text-danger', tooMany);
+        this.downloadBtn.disabled = tooMany;
+
+        return tooMany ? 0 : count;
+    }
+
+    /**
+     * Download tiles of the visible area into the tile cache
+     */
+    downloadArea() {
+        const layer = this.options.getActiveLayer();
+        if (!layer || this.updateEstimate() === 0) return;
+
+        const { minZoom, maxZoom } = this.getZoomRange(layer);
+        const urls = getTileUrls(
+            this.map,
+            layer,
+            this.map.getBounds(),
+            minZoom,
+            maxZoom
+        );
+
+        this.downloadController = new AbortController();
+        this.downloadBtn.textContent = 'Cancel';
+        this.progress.style.display = '';
+        this.progress.max = urls.length;
+        this.progress.value = 0;
+
+        requestPersistentStorage();
+
+        downloadTiles(urls, {
+            signal: this.downloadController.signal,
+            onProgress: ({ done, total, failed }) => {
+                this.progress.value = done;
+                this.estimate.textContent = `Downloading ${done} / ${total}${
+                    failed ? ` (${failed} failed)` : ''
+                }`;
+            },
+        })
+            .then(({ done, total, failed }) => {
+                this.estimate.textContent =
+                    done < total
+                        ? `Cancelled after ${done} of ${total} tiles.`
+                        : `Stored ${total - failed} of ${total} tiles.`;
+            })
+            .catch((error) => {
+                console.error('Offline tiles download failed:', error);
+                this.estimate.textContent = `Download failed: ${error.message}`;
+            })
+            .finally(() => {
+                this.downloadController = null;
+                this.downloadBtn.textContent = 'Download';
+                this.progress.style.display = 'none';
+                this.updateUsage();
+            });
+    }
+
+    /**
+     * Remove all stored tiles
+     */
+    clearTiles() {
+        if (!confirm('Remove all map tiles stored for offline use?')) {
+            return;
+        }
+
+        clearTileCache().then(() => {
+            this.updateEstimate();
+            this.updateUsage();
+        });
+    }
+
+    /**
+     * Show stored tiles and storage usage
+     */
+    updateUsage() {
+        if (!this.usage) return;
+
+        getStorageUsage()
+            .then(({ tiles, usage, quota }) => {
+                let text = `${tiles} tiles stored`;
+                if (usage !== null) {
+                    text += ` · ${formatBytes(usage)} used`;
+                    if (quota) {
+                        text += ` of ${formatBytes(quota)}`;
+                    }
+                }
+                this.usage.textContent = text;
+            })
+            .catch(() => {
+                this.usage.textContent = '';
+            });
+    }
+
+    /**
+     * Remove control and stop running download
+     */
+    destroy() {
+        if (this.downloadController) {
+            this.downloadController.abort();
+        }
+        if (this.control) {
+            this.map.off('moveend', this.moveHandler);
+            this.control.remove();
+            this.control = null;
+        }
+        this.container = null;
+        this.estimate = null;
+        this.usage = null;
+    }
+}
@@ -0,0 +1,1157 @@
+import L from 'leaflet';
+import { escapeHtml } from './baseMapComponent';
+import { createGeometryLayer } from './geometryLayer';
+import { formatRemaining } from './ttlCountdown';
+
+/**
+ * Observer rule builder
+ * Edits observer rules with typed inputs instead of raw JSON. Available rules
+ * and their configuration schemas come from the server, every change is
+ * written back to the rules textarea (which is what the form submits) and
+ * checked by the same validator that is used when the observer map is served,
+ * so the errors shown are exactly the ones RuleConfigValidator reports.
+ */
+
+const TIME_PATTERN = '^([0-1][0-9]|2[0-3]):[0-5][0-9]$';
+const VALIDATE_DELAY = 400;
+
+// Known rules: label, help text, editor and configuration of a new rule
+const RULE_INFO = {
+    ObjectIdRule: {
+        label: 'Specific objects',
+        help: 'Only the selected objects are shown. Click objects on the map to select them.',
+        editor: 'objects',
+        defaultConfig: () => [],
+    },
+    SideIdRule: {
+        label: 'Sides',
+        help: 'Only objects of the selected sides are shown.',
+        editor: 'sides',
+        defaultConfig: () => [],
+    },
+    time_range: {
+        label: 'Daily time window',
+        help: 'The map is only shown between these times of day.',
+        defaultConfig: () => ({ start_time: '09:00', end_time: '17:00' }),
+    },
+    time_limit: {
+        label: 'Access duration',
+        help: 'Access ends this long after the observer link is first opened.',
+        defaultConfig: () => ({ duration_seconds: 3600 }),
+    },
+    request_limit: {
+        label: 'Request limit',
+        help: 'Access ends after this many map requests.',
+        defaultConfig: () => ({ limit: 100 }),
+    },
+    geofence: {
+        label: 'Visible area',
+        help: 'Only objects inside the area are shown, the observer sees its outline on the map.',
+        editor: 'area',
+        defaultConfig: () => ({ shape: 'polygon', coordinates: [] }),
+    },
+};
+
+const AREA_SHAPES = {
+    polygon: {
+        label: 'Polygon',
+        hint: 'Click the map to add corners of the area (at least 3).',
+    },
+    circle: {
+        label: 'Circle',
+        hint: 'Click the map to place the center of the circle.',
+    },
+};
+
+const OBJECT_STYLE = {
+    color: '#6c757d',
+    weight: 2,
+    fillOpacity: 0.1,
+};
+
+const SELECTED_OBJECT_STYLE = {
+    color: '#0d6efd',
+    weight: 4,
+    fillOpacity: 0.35,
+};
+
+const AREA_STYLE = {
+    color: '#0d6efd',
+    weight: 2,
+    dashArray: '8 6',
+    fillOpacity: 0.08,
+    interactive: false,
+};
+
+export default class RuleBuilder {
+    /**
+     * @param {Object} options
+     * @param {string} options.containerSelector - Element the builder is
+     *     rendered in
+     * @param {string} options.textareaSelector - Rules JSON textarea
+     * @param {string} options.mapSelectSelector - Map select of the form,
+     *     objects of the selected map are offered in the object picker
+     * @param {string} options.schemaUrl - Rule schemas endpoint
+     * @param {string} options.validateUrl - Rule validation endpoint
+     * @param {Function} options.onChange - Called with the configuration
+     *     after every change (in the builder or in the textarea)
+     */
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                containerSelector: '#observer-rule-builder',
+                textareaSelector: '.observer-rules-textarea',
+                mapSelectSelector: '#observer_map',
+                schemaUrl: '/admin/observers/rules/schema',
+                validateUrl: '/admin/observers/rules/validate',
+                onChange: (config) => {},
+            },
+            options
+        );
+
+        this.container = document.querySelector(this.options.containerSelector);
+        this.textarea = document.querySelector(this.options.textareaSelector);
+        this.mapSelect = document.querySelector(this.options.mapSelectSelector);
+
+        this.schemas = {}; // rule name => {schema, priority}
+        this.config = {}; // rule name => rule configuration
+        this.sides = [];
+        this.objects = [];
+        this.objectLayers = new Map(); // object ID => layer
+        this.objectMap = null;
+        this.areaMap = null;
+        this.validateTimer = null;
+        this.validationId = 0;
+
+        if (!this.container || !this.textarea) return;
+
+        this.renderLayout();
+        this.bindEvents();
+        this.load();
+    }
+
+    renderLayout() {
+        this.container.innerHTML = `
+            <fieldset class="rule-builder-fieldset">
+                <div class="rule-builder-rules"></div>
+                <div class="input-group input-group-sm rule-builder-add mt-2">
+                    <select class="form-select rule-builder-add-select"></select>
+                    <button type="button" class="btn btn-outline-primary rule-builder-add-btn">
+                        <i class="fas fa-plus"></i> Add rule
+                    </button>
+                </div>
+            </fieldset>
+            <div class="rule-builder-status small mt-2"></div>
+        `;
+
+        this.fieldset = this.container.querySelector('.rule-builder-fieldset');
+        this.rulesList = this.container.querySelector('.rule-builder-rules');
+        this.addSelect = this.container.querySelector(
+            '.rule-builder-add-select'
+        );
+        this.addButton = this.container.querySelector('.rule-builder-add-btn');
+        this.status = this.container.querySelector('.rule-builder-status');
+    }
+
+    bindEvents() {
+        this.addButton.addEventListener('click', () => {
+            if (this.addSelect.value) this.addRule(this.addSelect.value);
+        });
+
+        this.rulesList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule-action]');
+            if (!button) return;
+
+            const ruleName = button.closest('[data-rule]').dataset.rule;
+            const action = button.dataset.ruleAction;
+
+            if (action === 'remove') {
+                this.removeRule(ruleName);
+            } else if (action === 'reset-state') {
+                delete this.config[ruleName]._state;
+                this.renderRules();
+                this.changed();
+            } else if (action === 'unselect-object') {
+                this.toggleObject(Number(button.dataset.objectId));
+            } else if (action === 'area-shape') {
+                this.setAreaShape(button.dataset.shape);
+            } else if (action === 'area-undo' || action === 'area-clear') {
+                this.removeAreaPoints(action === 'area-clear');
+            }
+        });
+
+        // Typed inputs update the configuration without re-rendering, so
+        // focus and the object picker map are kept
+        this.rulesList.addEventListener('input', (e) => this.handleInput(e));
+        this.rulesList.addEventListener('change', (e) => this.handleInput(e));
+
+        this.textarea.addEventListener('input', () => {
+            if (this.readTextarea()) {
+                this.renderRules();
+                this.scheduleValidation();
+                this.options.onChange(this.config);
+            }
+        });
+
+        if (this.mapSelect) {
+            this.mapSelect.addEventListener('change', () => this.loadObjects());
+        }
+    }
+
+    /**
+     * Load rule schemas and sides, then show rules from the textarea
+     */
+    load() {
+        this.showStatus('Loading rules...');
+
+        Promise.all([
+            fetchJson(this.options.schemaUrl),
+            fetchJson('/api/sides/list').catch(() => ({ sides: [] })),
+        ])
+            .then(([schemaData, sideData]) => {
+                if (!schemaData.success) {
+                    throw new Error(
+                        schemaData.message || 'Failed to load rules'
+                    );
+                }
+
+                this.schemas = schemaData.rules;
+                this.sides = sideData.sides || [];
+
+                const isValidJson = this.readTextarea();
+                this.renderRules();
+                if (isValidJson) this.validate();
+            })
+            .catch((error) => {
+                // Rules can still be edited as JSON
+                this.fieldset.disabled = true;
+                this.showStatus(error.message, true);
+            });
+    }
+
+    /**
+     * Take configuration from the textarea
+     * @returns {boolean} False if the textarea does not hold a JSON object
+     */
+    readTextarea() {
+        const text = this.textarea.value.trim();
+        let config;
+
+        try {
+            config = text === '' ? {} : JSON.parse(text);
+        } catch (error) {
+            this.setJsonError(`Rules JSON is not valid: ${error.message}`);
+            return false;
+        }
+
+        if (!config || typeof config !== 'object') {
+            this.setJsonError('Rules JSON must be an object');
+            return false;
+        }
+
+        // The form stores an empty list as {}
+        this.config =
+            Array.isArray(config) && config.length === 0 ? {} : config;
+        this.setJsonError(null);
+        return true;
+    }
+
+    writeTextarea() {
+        this.textarea.value =
+            Object.keys(this.config).length > 0
+                ? JSON.stringify(this.config, null, 4)
+                : '{}';
+    }
+
+    /**
+     * Builder is disabled while the textarea holds invalid JSON, so that
+     * typed changes do not overwrite it
+     * @param {string|null} message - Error, null when JSON is valid
+     */
+    setJsonError(message) {
+        this.fieldset.disabled = message !== null;
+        if (message !== null) {
+            clearTimeout(this.validateTimer);
+            this.validationId++;
+            this.showStatus(message, true);
+        }
+    }
+
+    addRule(ruleName) {
+        const info = RULE_INFO[ruleName];
+        this.config[ruleName] = info
+            ? info.defaultConfig()
+            : getDefaultConfig(this.schemas[ruleName].schema);
+
+        this.renderRules();
+        this.changed();
+    }
+
+    removeRule(ruleName) {
+        delete this.config[ruleName];
+        this.renderRules();
+        this.changed();
+    }
+
+    /**
+     * Configuration changed in the builder
+     */
+    changed() {
+        this.writeTextarea();
+        this.scheduleValidation();
+        this.options.onChange(this.config);
+    }
+
+    renderRules() {
+        this.destroyObjectMap();
+        this.destroyAreaMap();
+
+        const names = Object.keys(this.config);
+        this.rulesList.innerHTML = names
+            .map((ruleName) => this.renderRule(ruleName))
+            .join('');
+
+        const available = Object.keys(this.schemas)
+            .filter((ruleName) => !(ruleName in this.config))
+            .sort(
+                (a, b) => this.schemas[a].priority - this.schemas[b].priority
+            );
+        this.addSelect.innerHTML = available
+            .map(
+                (ruleName) =>
+                    `<option value="${ruleName}">${escapeHtml(
+                        getRuleLabel(ruleName)
+                    )}</option>`
+            )
+            .join('');
+        this.addSelect.disabled = available.length === 0;
+        this.addButton.disabled = available.length === 0;
+
+        if (this.rulesList.querySelector('.rule-builder-object-map')) {
+            this.createObjectMap();
+        }
+        if (this.rulesList.querySelector('.rule-builder-area-map')) {
+            this.createAreaMap();
+        }
+    }
+
+    renderRule(ruleName) {
+        const info = RULE_INFO[ruleName];
+        const known = ruleName in this.schemas;
+
+        return `
+            <div class="card rule-builder-rule mb-2" data-rule="${escapeHtml(ruleName)}">
+                <div class="card-header d-flex justify-content-between align-items-center py-1">
+                    <span>
+                        <strong>${escapeHtml(getRuleLabel(ruleName))}</strong>
+                        <code class="small ms-1">${escapeHtml(ruleName)}</code>
+                        ${known ? '' : '<span class="badge bg-warning text-dark ms-1">unknown rule</span>'}
+                    </span>
+                    <button type="button" class="btn btn-sm btn-link text-danger" title="Remove rule"
+                            data-rule-action="remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="card-body py-2">
+                    ${info ? `<small class="text-muted d-block mb-2">${escapeHtml(info.help)}</small>` : ''}
+                    ${this.renderEditor(ruleName)}
+                    <div class="rule-builder-rule-errors text-danger small"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Typed inputs for a rule, picked by rule and then by schema
+     */
+    renderEditor(ruleName) {
+        const info = RULE_INFO[ruleName] || {};
+        const schema = this.schemas[ruleName]
+            ? this.schemas[ruleName].schema
+            : null;
+        const config = this.config[ruleName];
+
+        if (info.editor === 'sides' && Array.isArray(config)) {
+            return this.renderSideSelect(config);
+        }
+        if (info.editor === 'objects' && Array.isArray(config)) {
+            return this.renderObjectPicker();
+        }
+        if (info.editor === 'area' && config && config.shape in AREA_SHAPES) {
+            return this.renderAreaEditor(config);
+        }
+        if (
+            schema &&
+            schema.type === 'object' &&
+            config &&
+            typeof config === 'object' &&
+            !Array.isArray(config)
+        ) {
+            return this.renderProperties(schema, config);
+        }
+        if (
+            schema &&
+            schema.type === 'array' &&
+            schema.items &&
+            schema.items.type === 'integer' &&
+            Array.isArray(config)
+        ) {
+            return `
+                <input type="text" class="form-control form-control-sm" data-rule-input="id-list"
+                       placeholder="IDs separated by commas" value="${escapeHtml(config.join(', '))}">
+            `;
+        }
+
+        return `
+            <textarea class="form-control form-control-sm font-monospace" rows="3"
+                      data-rule-input="json">${escapeHtml(JSON.stringify(config, null, 4))}</textarea>
+        `;
+    }
+
+    renderSideSelect(selectedIds) {
+        if (this.sides.length === 0 && selectedIds.length === 0) {
+            return '<div class="text-muted small">No sides available</div>';
+        }
+
+        const options = this.sides.map((side) => ({
+            id: side.id,
+            name: side.name,
+        }));
+        // Keep IDs of sides that no longer exist, validation points them out
+        selectedIds
+            .filter((id) => !options.some((side) => side.id === id))
+            .forEach((id) => options.push({ id, name: `Side #${id}` }));
+
+        return `
+            <select multiple class="form-select form-select-sm" data-rule-input="sides"
+                    size="${Math.min(Math.max(options.length, 2), 6)}">
+                ${options
+                    .map(
+                        (side) =>
+                            `<option value="${escapeHtml(side.id)}"${
+                                selectedIds.includes(side.id) ? ' selected' : ''
+                            }>${escapeHtml(side.name)}</option>`
+                    )
+                    .join('')}
+            </select>
+            <small class="text-muted">Hold Ctrl (Cmd on Mac) to select several sides</small>
+        `;
+    }
+
+    renderObjectPicker() {
+        return `
+            <div class="rule-builder-object-map"></div>
+            <div class="rule-builder-object-message text-muted small mt-1"></div>
+            <div class="rule-builder-object-list mt-1"></div>
+        `;
+    }
+
+    /**
+     * Shape switch and mini map to draw the area of the geofence rule
+     */
+    renderAreaEditor(config) {
+        const shapes = Object.entries(AREA_SHAPES)
+            .map(
+                ([shape, { label }]) => `
+                    <button type="button" class="btn btn-outline-primary${
+                        shape === config.shape ? ' active' : ''
+                    }" data-rule-action="area-shape" data-shape="${shape}">
+                        ${label}
+                    </button>
+                `
+            )
+            .join('');
+        const radius =
+            config.shape === 'circle'
+                ? `
+                    <div class="input-group input-group-sm rule-builder-area-radius">
+                        <span class="input-group-text">Radius, m</span>
+                        <input type="number" class="form-control" data-rule-field="radius"
+                               min="1" step="any" value="${escapeHtml(config.radius ?? '')}">
+                    </div>
+                `
+                : '';
+        const undo =
+            config.shape === 'polygon'
+                ? `
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-rule-action="area-undo">
+                        <i class="fas fa-undo"></i> Undo point
+                    </button>
+                `
+                : '';
+
+        return `
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-2">
+                <div class="btn-group btn-group-sm" role="group">${shapes}</div>
+                ${radius}
+                ${undo}
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-rule-action="area-clear">
+                    <i class="fas fa-eraser"></i> Clear
+                </button>
+            </div>
+            <div class="rule-builder-area-map"></div>
+            <small class="text-muted">${AREA_SHAPES[config.shape].hint}</small>
+        `;
+    }
+
+    /**
+     * Inputs for properties of an object schema; properties starting with
+     * "_" are rule state kept by the server and are only shown as a note
+     */
+    renderProperties(schema, config) {
+        const required = schema.required || [];
+        const properties = Object.entries(schema.properties || {}).filter(
+            ([name]) => !name.startsWith('_')
+        );
+
+        const inputs = properties
+            .map(([name, property]) =>
+                this.renderProperty(
+                    name,
+                    property,
+                    config[name],
+                    required.includes(name)
+                )
+            )
+            .join('');
+
+        const state = config._state
+            ? `
+                <div class="d-flex align-items-center gap-2 mt-2 small text-muted">
+                    <span>Usage is being counted (${escapeHtml(
+                        formatState(config._state)
+                    )})</span>
+                    <button type="button" class="btn btn-sm btn-outline-secondary py-0"
+                            data-rule-action="reset-state" title="Start counting again">
+                        <i class="fas fa-redo"></i> Reset
+                    </button>
+                </div>
+            `
+            : '';
+
+        return `<div class="row g-2">${inputs}</div>${state}`;
+    }
+
+    renderProperty(name, property, value, isRequired) {
+        const label = `${escapeHtml(humanize(name))}${isRequired ? ' *' : ''}`;
+        const title = property.description
+            ? ` title="${escapeHtml(property.description)}"`
+            : '';
+        const current = value === undefined || value === null ? '' : value;
+        let input;
+
+        if (Array.isArray(property.enum)) {
+            input = `
+                <select class="form-select form-select-sm" data-rule-field="${name}"${title}>
+                    ${isRequired ? '' : '<option value="">(default)</option>'}
+                    ${property.enum
+                        .map(
+                            (option) =>
+                                `<option value="${escapeHtml(option)}"${
+                                    option === value ? ' selected' : ''
+                                }>${escapeHtml(option)}</option>`
+                        )
+                        .join('')}
+                </select>
+            `;
+        } else if (property.type === 'integer' || property.type === 'number') {
+            const min =
+                property.minimum !== undefined
+                    ? ` min="${property.minimum}"`
+                    : '';
+            input = `
+                <input type="number" class="form-control form-control-sm" data-rule-field="${name}"
+                       step="${property.type === 'integer' ? 1 : 'any'}"${min}${title}
+                       value="${escapeHtml(current)}">
+                ${name.endsWith('_seconds') ? `<small class="text-muted rule-builder-duration" data-duration-for="${name}">${formatDuration(value)}</small>` : ''}
+            `;
+        } else if (property.pattern === TIME_PATTERN) {
+            input = `
+                <input type="time" class="form-control form-control-sm" data-rule-field="${name}"${title}
+                       value="${escapeHtml(current)}">
+            `;
+        } else {
+            input = `
+                <input type="text" class="form-control form-control-sm" data-rule-field="${name}"${title}
+                       value="${escapeHtml(current)}">
+            `;
+        }
+
+        return `
+            <div class="col-sm-6">
+                <label class="form-label small mb-0">${label}</label>
+                ${input}
+            </div>
+        `;
+    }
+
+    handleInput(e) {
+        const element = e.target;
+        const ruleElement = element.closest('[data-rule]');
+        if (!ruleElement) return;
+
+        const ruleName = ruleElement.dataset.rule;
+        const input = element.dataset.ruleInput;
+        const field = element.dataset.ruleField;
+
+        if (input === 'sides') {
+            this.config[ruleName] = Array.from(element.selectedOptions).map(
+                (option) => Number(option.value)
+            );
+        } else if (input === 'id-list') {
+            this.config[ruleName] = element.value
+                .split(',')
+                .map((id) => id.trim())
+                .filter((id) => id !== '')
+                .map(toNumber);
+        } else if (input === 'json') {
+            try {
+                this.config[ruleName] = JSON.parse(element.value);
+            } catch (error) {
+                this.showRuleErrors(ruleName, ['Invalid JSON']);
+                return;
+            }
+        } else if (field) {
+            this.setProperty(ruleName, field, element);
+            if (ruleName === 'geofence') this.drawArea();
+        } else {
+            return;
+        }
+
+        this.changed();
+    }
+
+    setProperty(ruleName, field, element) {
+        const config = this.config[ruleName];
+        const property = this.schemas[ruleName].schema.properties[field];
+
+        if (element.value === '') {
+            delete config[field];
+        } else if (
+            property.type === 'integer' ||
+            property.type === 'number'
+        ) {
+            config[field] = toNumber(element.value);
+        } else {
+            config[field] = element.value;
+        }
+
+        const duration = element.parentElement.querySelector(
+            `[data-duration-for="${field}"]`
+        );
+        if (duration) duration.textContent = formatDuration(config[field]);
+    }
+
+    /**
+     * Mini map with objects of the selected map for ObjectIdRule
+     */
+    createObjectMap() {
+        const element = this.rulesList.querySelector(
+            '.rule-builder-object-map'
+        );
+
+        this.objectMap = L.map(element, { attributionControl: false }).setView(
+            [0, 0],
+            2
+        );
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+        }).addTo(this.objectMap);
+        this.objectGroup = L.featureGroup().addTo(this.objectMap);
+
+        if (this.objects.length > 0) {
+            this.drawObjects();
+        } else {
+            this.loadObjects();
+        }
+    }
+
+    destroyObjectMap() {
+        if (!this.objectMap) return;
+
+        this.objectMap.remove();
+        this.objectMap = null;
+        this.objectLayers.clear();
+    }
+
+    /**
+     * Load objects of the map selected in the form
+     */
+    loadObjects() {
+        this.objects = [];
+        if (!this.objectMap && !this.areaMap) return;
+
+        const mapId = this.mapSelect ? this.mapSelect.value : '';
+        if (!mapId) {
+            this.drawObjects();
+            this.drawAreaObjects();
+            this.showObjectMessage('Select a map to pick objects from it.');
+            return;
+        }
+
+        this.showObjectMessage('Loading objects...');
+        fetchJson(`/geo-object/by-map/${mapId}`)
+            .then((data) => {
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to load objects');
+                }
+                if (!this.mapSelect || this.mapSelect.value !== mapId) return;
+
+                this.objects = data.objects;
+                this.drawObjects();
+                this.drawAreaObjects();
+            })
+            .catch((error) => this.showObjectMessage(error.message, true));
+    }
+
+    drawObjects() {
+        if (!this.objectMap) return;
+
+        this.objectGroup.clearLayers();
+        this.objectLayers.clear();
+
+        this.objects.forEach((object) => {
+            const layer = createGeometryLayer(object.geoJson, OBJECT_STYLE);
+            if (!layer) return;
+
+            layer
+                .bindTooltip(object.title || `Object #${object.id}`, {
+                    sticky: true,
+                })
+                .on('click', () => this.toggleObject(object.id));
+            this.objectGroup.addLayer(layer);
+            this.objectLayers.set(object.id, layer);
+        });
+
+        if (this.objectLayers.size > 0) {
+            this.objectMap.fitBounds(this.objectGroup.getBounds(), {
+                padding: [20, 20],
+                maxZoom: 16,
+            });
+        }
+
+        this.showObjectMessage(
+            this.objects.length === 0 && this.mapSelect && this.mapSelect.value
+                ? 'This map has no objects yet.'
+                : ''
+        );
+        this.updateObjectSelection();
+    }
+
+    toggleObject(objectId) {
+        const ids = this.config.ObjectIdRule;
+        if (!Array.isArray(ids)) return;
+
+        const index = ids.indexOf(objectId);
+        if (index === -1) {
+            ids.push(objectId);
+        } else {
+            ids.splice(index, 1);
+        }
+
+        this.updateObjectSelection();
+        this.changed();
+    }
+
+    /**
+     * Highlight selected objects and list them under the mini map
+     */
+    updateObjectSelection() {
+        const ids = this.config.ObjectIdRule;
+        const list = this.rulesList.querySelector('.rule-builder-object-list');
+        if (!Array.isArray(ids) || !list) return;
+
+        this.objectLayers.forEach((layer, objectId) =>
+            layer.setStyle(
+                ids.includes(objectId) ? SELECTED_OBJECT_STYLE : OBJECT_STYLE
+            )
+        );
+
+        list.innerHTML =
+            ids.length === 0
+                ? '<small class="text-muted">No objects selected</small>'
+                : ids
+                      .map((objectId) => {
+                          const object = this.objects.find(
+                              (item) => item.id === objectId
+                          );
+                          const name = object
+                              ? `${object.title} #${objectId}`
+                              : `#${objectId}`;
+
+                          return `
+                            <span class="badge bg-primary rule-builder-chip">
+                                ${escapeHtml(name)}
+                                <button type="button" class="btn-close btn-close-white" title="Unselect"
+                                        data-rule-action="unselect-object" data-object-id="${escapeHtml(objectId)}"></button>
+                            </span>
+                        `;
+                      })
+                      .join('');
+    }
+
+    showObjectMessage(text, isError = false) {
+        const message = this.rulesList.querySelector(
+            '.rule-builder-object-message'
+        );
+        if (!message) return;
+
+        message.textContent = text;
+        message.classList.toggle('text-danger', isError);
+    }
+
+    /**
+     * Mini map to draw the geofence area, objects of the selected map are
+     * shown for orientation
+     */
+    createAreaMap() {
+        const element = this.rulesList.querySelector('.rule-builder-area-map');
+
+        this.areaMap = L.map(element, { attributionControl: false }).setView(
+            [0, 0],
+            2
+        );
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            maxZoom: 19,
+        }).addTo(this.areaMap);
+        this.areaObjectGroup = L.featureGroup().addTo(this.areaMap);
+        this.areaGroup = L.featureGroup().addTo(this.areaMap);
+        this.areaMap.on('click', (e) => this.addAreaPoint(e.latlng.wrap()));
+
+        this.drawArea();
+        this.fitAreaMap();
+        if (this.objects.length > 0) {
+            this.drawAreaObjects();
+        } else if (!this.objectMap) {
+            // The object picker loads them otherwise
+            this.loadObjects();
+        }
+    }
+
+    destroyAreaMap() {
+        if (!this.areaMap) return;
+
+        this.areaMap.remove();
+        this.areaMap = null;
+    }
+
+    drawAreaObjects() {
+        if (!this.areaMap) return;
+
+        this.areaObjectGroup.clearLayers();
+        this.objects.forEach((object) => {
+            const layer = createGeometryLayer(object.geoJson, {
+                ...OBJECT_STYLE,
+                interactive: false,
+            });
+            if (layer) this.areaObjectGroup.addLayer(layer);
+        });
+
+        this.fitAreaMap();
+    }
+
+    /**
+     * Outline of the area, corners of a polygon that is being drawn
+     */
+    drawArea() {
+        const config = this.config.geofence;
+        if (!this.areaMap || !config) return;
+
+        this.areaGroup.clearLayers();
+
+        const points = (
+            config.shape === 'polygon' && Array.isArray(config.coordinates)
+                ? config.coordinates
+                : [config.center]
+        ).filter(isPosition);
+        const geometry = getAreaGeometry(config);
+
+        if (geometry) {
+            this.areaGroup.addLayer(createGeometryLayer(geometry, AREA_STYLE));
+        } else if (points.length > 1) {
+            this.areaGroup.addLayer(
+                L.polyline(points.map(toLatLng), AREA_STYLE)
+            );
+        }
+
+        points.forEach((position) =>
+            this.areaGroup.addLayer(
+                L.circleMarker(toLatLng(position), {
+                    ...AREA_STYLE,
+                    dashArray: null,
+                    radius: 4,
+                    fillOpacity: 1,
+                })
+            )
+        );
+    }
+
+    /**
+     * Show the area, or the objects while there is no area yet
+     */
+    fitAreaMap() {
+        const group =
+            this.areaGroup.getLayers().length > 0
+                ? this.areaGroup
+                : this.areaObjectGroup;
+        if (group.getLayers().length === 0) return;
+
+        this.areaMap.fitBounds(group.getBounds(), {
+            padding: [20, 20],
+            maxZoom: 16,
+        });
+    }
+
+    /**
+     * Map click: next polygon corner or circle center
+     */
+    addAreaPoint(latlng) {
+        const config = this.config.geofence;
+        if (!config) return;
+
+        const position = [
+            roundCoordinate(latlng.lng),
+            roundCoordinate(latlng.lat),
+        ];
+        if (config.shape === 'circle') {
+            config.center = position;
+        } else {
+            const coordinates = Array.isArray(config.coordinates)
+                ? config.coordinates
+                : [];
+            config.coordinates = [...coordinates, position];
+        }
+
+        this.drawArea();
+        this.changed();
+    }
+
+    /**
+     * @param {boolean} all - Remove all points, only the last one otherwise
+     */
+    removeAreaPoints(all) {
+        const config = this.config.geofence;
+
+        if (config.shape === 'circle') {
+            delete config.center;
+        } else if (Array.isArray(config.coordinates)) {
+            config.coordinates = all ? [] : config.coordinates.slice(0, -1);
+        }
+
+        this.drawArea();
+        this.changed();
+    }
+
+    setAreaShape(shape) {
+        const config = this.config.geofence;
+        if (config.shape === shape) return;
+
+        this.config.geofence =
+            shape === 'circle'
+                ? { shape, radius: config.radius || 1000 }
+                : { shape, coordinates: [] };
+
+        this.renderRules();
+        this.changed();
+    }
+
+    scheduleValidation() {
+        clearTimeout(this.validateTimer);
+        this.validateTimer = setTimeout(() => this.validate(), VALIDATE_DELAY);
+    }
+
+    /**
+     * Validate configuration on the server and show errors by rule
+     */
+    validate() {
+        const validationId = ++this.validationId;
+
+        // No rules means default behavior, nothing to validate
+        if (Object.keys(this.config).length === 0) {
+            this.showErrors([]);
+            this.showStatus(
+                'No rules: the observer sees all objects that are visible to everyone.'
+            );
+            return;
+        }
+
+        fetchJson(this.options.validateUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.config),
+        })
+            .then((data) => {
+                if (validationId !== this.validationId) return;
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to validate rules');
+                }
+
+                this.showErrors(data.errors);
+                if (data.valid) this.showStatus('Rules are valid.');
+            })
+            .catch((error) => {
+                if (validationId === this.validationId) {
+                    this.showStatus(error.message, true);
+                }
+            });
+    }
+
+    /**
+     * Show validator errors under their rules, the rest under the builder
+     * @param {Array} errors - Messages like "[time_range.start_time] ..."
+     */
+    showErrors(errors) {
+        const byRule = new Map();
+        const general = [];
+
+        errors.forEach((error) => {
+            const ruleName = getErrorRule(error);
+            if (ruleName && ruleName in this.config) {
+                byRule.set(ruleName, [...(byRule.get(ruleName) || []), error]);
+            } else {
+                general.push(error);
+            }
+        });
+
+        Object.keys(this.config).forEach((ruleName) =>
+            this.showRuleErrors(ruleName, byRule.get(ruleName) || [])
+        );
+        this.showStatus(general.join('\n'), general.length > 0);
+    }
+
+    showRuleErrors(ruleName, errors) {
+        const card = Array.from(
+            this.rulesList.querySelectorAll('[data-rule]')
+        ).find((element) => element.dataset.rule === ruleName);
+        if (!card) return;
+
+        card.classList.toggle('border-danger', errors.length > 0);
+        card.querySelector('.rule-builder-rule-errors').innerHTML = errors
+            .map((error) => `<div>${escapeHtml(error)}</div>`)
+            .join('');
+    }
+
+    showStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('text-danger', isError);
+        this.status.classList.toggle('text-muted', !isError);
+    }
+}
+
+/**
+ * Rule a validator error belongs to, from its "[property]" prefix
+ * @returns {string|null}
+ */
+function getErrorRule(error) {
+    const match = /^\[([a-zA-Z][a-zA-Z0-9_]*)/.exec(error);
+    return match ? match[1] : null;
+}
+
+/**
+ * Configuration of a new rule without RULE_INFO, from its schema
+ */
+function getDefaultConfig(schema) {
+    if (schema.type === 'array') return [];
+    if (schema.type !== 'object') return null;
+
+    const config = {};
+    (schema.required || []).forEach((name) => {
+        const property = schema.properties[name] || {};
+        if (Array.isArray(property.enum)) {
+            config[name] = property.enum[0];
+        } else if (property.type === 'integer' || property.type === 'number') {
+            config[name] =
+                property.minimum !== undefined ? property.minimum : 0;
+        } else {
+            config[name] = '';
+        }
+    });
+    return config;
+}
+
+/**
+ * Geometry of a complete geofence area, the same as the rule outlines on
+ * the observer map
+ * @returns {Object|null}
+ */
+function getAreaGeometry(config) {
+    if (config.shape === 'circle') {
+        return isPosition(config.center) && config.radius > 0
+            ? {
+                  type: 'Point',
+                  coordinates: config.center,
+                  radius: config.radius,
+              }
+            : null;
+    }
+
+    const ring = Array.isArray(config.coordinates)
+        ? config.coordinates.filter(isPosition)
+        : [];
+    if (ring.length < 3) return null;
+
+    return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+function isPosition(value) {
+    return (
+        Array.isArray(value) &&
+        Number.isFinite(value[0]) &&
+        Number.isFinite(value[1])
+    );
+}
+
+function toLatLng(position) {
+    return L.latLng(position[1], position[0]);
+}
+
+function roundCoordinate(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Readable name of a rule, the rule name itself for rules without RULE_INFO
+ */
+export function getRuleLabel(ruleName) {
+    return RULE_INFO[ruleName] ? RULE_INFO[ruleName].label : ruleName;
+}
+
+/**
+ * Number for numeric input, text that is not a number is kept as it is so
+ * that the validator reports it
+ */
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+}
+
+function formatDuration(seconds) {
+    return Number.isInteger(seconds) && seconds > 0
+        ? formatRemaining(seconds)
+        : '';
+}
+
+function formatState(state) {
+    if (state.remaining !== undefined) {
+        return `${state.remaining} requests remaining`;
+    }
+    if (state.expires_at !== undefined) {
+        return `expires ${new Date(state.expires_at * 1000).toLocaleString()}`;
+    }
+    return 'started';
+}
+
+function humanize(name) {
+    const text = name.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function fetchJson(url, options = {}) {
+    return fetch(url, {
+        ...options,
+        headers: {
+            'X-Requested-With': 'XMLHttpRequest',
+            ...(options.headers || {}),
+        },
+    }).then((response) => response.json());
+}
@@ -0,0 +1,384 @@
+import L from 'leaflet';
+
+/**
+ * TTL countdowns
+ * Objects carry remainingTtl (seconds left when the server sent them); it is
+ * turned into an absolute expiry time when the object is first seen. Elements
+ * with class "ttl-countdown" (popups, sidebar list) are updated every second,
+ * layers fade during the last minutes of their TTL and TtlCountdown reports
+ * each object exactly when it expires.
+ *
+ * Scheduled objects that are still pending carry secondsUntilActive, handled
+ * the same way: TtlCountdown reports them when their start time comes.
+ */
+
+const FADE_SECONDS = 300; // fade during the last 5 minutes (or half the TTL)
+const MIN_FADE_OPACITY = 0.35;
+const MAX_TIMEOUT = 2147483647; // setTimeout limit (~24.8 days)
+
+// Object data => expiry / activation timestamp in ms
+const expiryTimes = new WeakMap();
+const activationTimes = new WeakMap();
+
+export default class TtlCountdown {
+    /**
+     * @param {Object} options
+     * @param {L.Map} options.leafletMap - Countdowns in opened popups are
+     *     updated right away
+     * @param {Function} options.onTick - Called every second with the time
+     * @param {Function} options.onExpire - Called with the ID of an object
+     *     as soon as it expires
+     * @param {Function} options.onActivate - Called with the ID of a pending
+     *     object as soon as its scheduled start comes
+     */
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                leafletMap: null,
+                onTick: (now) => {},
+                onExpire: (objectId) => {},
+                onActivate: (objectId) => {},
+            },
+            options
+        );
+
+        this.expiries = new Map(); // objectId => expiry timestamp
+        this.activations = new Map(); // objectId => activation timestamp
+        this.tickTimer = null;
+        this.expiryTimer = null;
+
+        if (this.options.leafletMap) {
+            this.options.leafletMap.on('popupopen', (e) =>
+                updateCountdowns(e.popup.getElement())
+            );
+        }
+    }
+
+    /**
+     * Watch object for expiry and, if pending, for its scheduled start
+     * (objects that never expire or already expired are ignored)
+     * @param {number|string} objectId - Geo object ID
+     * @param {Object} object - Geo object data
+     */
+    track(objectId, object) {
+        const key = String(objectId);
+        const expiresAt = getExpiresAt(object);
+        const activatesAt = getActivatesAt(object);
+
+        if (expiresAt === null || object.isExpired) {
+            this.expiries.delete(key);
+        } else {
+            this.expiries.set(key, expiresAt);
+        }
+
+        if (activatesAt === null || object.isExpired) {
+            this.activations.delete(key);
+        } else {
+            this.activations.set(key, activatesAt);
+        }
+
+        this.scheduleExpiry();
+        this.start();
+    }
+
+    untrack(objectId) {
+        const key = String(objectId);
+        const expiryDeleted = this.expiries.delete(key);
+        const activationDeleted = this.activations.delete(key);
+
+        if (expiryDeleted || activationDeleted) {
+            this.scheduleExpiry();
+        }
+    }
+
+    clear() {
+        this.expiries.clear();
+        this.activations.clear();
+        this.scheduleExpiry();
+    }
+
+    start() {
+        if (this.tickTimer) return;
+
+        this.tickTimer = setInterval(() => {
+            const now = Date.now();
+            updateCountdowns(document, now);
+            this.options.onTick(now);
+        }, 1000);
+    }
+
+    stop() {
+        clearInterval(this.tickTimer);
+        clearTimeout(this.expiryTimer);
+        this.tickTimer = null;
+        this.expiryTimer = null;
+    }
+
+    /**
+     * Set timer for the object expiring (or starting) next
+     */
+    scheduleExpiry() {
+        clearTimeout(this.expiryTimer);
+        this.expiryTimer = null;
+
+        if (this.expiries.size === 0 && this.activations.size === 0) return;
+
+        const next = Math.min(
+            ...this.expiries.values(),
+            ...this.activations.values()
+        );
+        const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMEOUT);
+        this.expiryTimer = setTimeout(() => this.expireDue(), delay);
+    }
+
+    /**
+     * Report objects whose scheduled start came and objects whose TTL is over
+     */
+    expireDue() {
+        const now = Date.now();
+        const activated = takeDue(this.activations, now);
+        const expired = takeDue(this.expiries, now);
+
+        updateCountdowns(document, now);
+        activated.forEach((objectId) => this.options.onActivate(objectId));
+        expired.forEach((objectId) => this.options.onExpire(objectId));
+
+        this.scheduleExpiry();
+    }
+}
+
+/**
+ * Expiry time of object data, fixed when the object is first seen
+ * @param {Object} object - Geo object data with remainingTtl
+ * @returns {number|null} Timestamp in ms, null if the object never expires
+ */
+export function getExpiresAt(object) {
+    if (
+        !object ||
+        object.remainingTtl === undefined ||
+        object.remainingTtl === null
+    ) {
+        return null;
+    }
+
+    if (!expiryTimes.has(object)) {
+        expiryTimes.set(object, Date.now() + object.remainingTtl * 1000);
+    }
+    return expiryTimes.get(object);
+}
+
+/**
+ * Scheduled start of pending object data, fixed when the object is first seen
+ * @param {Object} object - Geo object data with secondsUntilActive
+ * @returns {number|null} Timestamp in ms, null if the object is not pending
+ */
+export function getActivatesAt(object) {
+    if (
+        !object ||
+        !object.isPending ||
+        object.secondsUntilActive === undefined ||
+        object.secondsUntilActive === null
+    ) {
+        return null;
+    }
+
+    if (!activationTimes.has(object)) {
+        activationTimes.set(
+            object,
+            Date.now() + object.secondsUntilActive * 1000
+        );
+    }
+    return activationTimes.get(object);
+}
+
+/**
+ * Live countdown element for object data
+ * @returns {string} HTML, empty if the object never expires
+ */
+export function formatCountdown(object) {
+    const expiresAt = getExpiresAt(object);
+    if (expiresAt === null) return '';
+
+    return `<span class="ttl-countdown" data-expires-at="${expiresAt}">${getCountdownText(
+        expiresAt
+    )}</span>`;
+}
+
+/**
+ * Live countdown element until the scheduled start of a pending object
+ * @returns {string} HTML, empty if the object is not pending
+ */
+export function formatActivationCountdown(object) {
+    const activatesAt = getActivatesAt(object);
+    if (activatesAt === null) return '';
+
+    return `<span class="ttl-countdown ttl-countdown-pending" data-activates-at="${activatesAt}">${getCountdownText(
+        activatesAt,
+        Date.now(),
+        'Starting'
+    )}</span>`;
+}
+
+/**
+ * Update countdown elements inside root
+ * @param {Element|Document|null} root - Element to search in
+ * @param {number} now - Current time in ms
+ */
+export function updateCountdowns(root = document, now = Date.now()) {
+    if (!root) return;
+
+    root.querySelectorAll('.ttl-countdown[data-expires-at]').forEach(
+        (element) => {
+            const expiresAt = Number(element.dataset.expiresAt);
+            const remaining = Math.ceil((expiresAt - now) / 1000);
+
+            element.textContent = getCountdownText(expiresAt, now);
+            element.classList.toggle('ttl-countdown-expired', remaining <= 0);
+            element.classList.toggle(
+                'ttl-countdown-soon',
+                remaining > 0 && remaining <= 60
+            );
+        }
+    );
+
+    root.querySelectorAll('.ttl-countdown[data-activates-at]').forEach(
+        (element) => {
+            const activatesAt = Number(element.dataset.activatesAt);
+            element.textContent = getCountdownText(
+                activatesAt,
+                now,
+                'Starting'
+            );
+        }
+    );
+}
+
+/**
+ * Format seconds as "2d 3h", "1h 05m", "4m 09s" or "35s"
+ * @param {number} seconds - Remaining seconds
+ * @returns {string}
+ */
+export function formatRemaining(seconds) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+    if (minutes > 0) return `${minutes}m ${pad(secs)}s`;
+    return `${secs}s`;
+}
+
+/**
+ * Opacity of an object layer: 1 until the last minutes of its TTL, then
+ * going down towards MIN_FADE_OPACITY
+ * @param {Object} object - Geo object data
+ * @param {number} now - Current time in ms
+ * @returns {number}
+ */
+export function getFadeOpacity(object, now = Date.now()) {
+    const expiresAt = getExpiresAt(object);
+    if (expiresAt === null || object.isExpired) return 1;
+
+    const remaining = (expiresAt - now) / 1000;
+    const fadeWindow = Math.min(FADE_SECONDS, (object.ttl || 0) / 2);
+    if (remaining <= 0 || fadeWindow <= 0 || remaining >= fadeWindow) {
+        return 1;
+    }
+
+    return MIN_FADE_OPACITY + ((1 - MIN_FADE_OPACITY) * remaining) / fadeWindow;
+}
+
+/**
+ * Fade layers of objects close to expiry
+ * @param {Array} items - [{layer, data}] stored object layers; the
+ *     "faded" flag is kept on the item
+ * @param {number} now - Current time in ms
+ */
+export function fadeExpiringLayers(items, now = Date.now()) {
+    items.forEach((item) => {
+        if (!item.layer || !item.data) return;
+
+        const opacity = getFadeOpacity(item.data, now);
+        if (opacity < 1 || item.faded) {
+            setLayerOpacity(item.layer, opacity);
+            item.faded = opacity < 1;
+        }
+    });
+}
+
+/**
+ * Set opacity of layer elements (on top of their own style)
+ */
+function setLayerOpacity(layer, opacity) {
+    if (layer instanceof L.LayerGroup) {
+        layer.eachLayer((sublayer) => setLayerOpacity(sublayer, opacity));
+        return;
+    }
+
+    const element = layer.getElement ? layer.getElement() : null;
+    if (element) {
+        element.style.opacity = opacity < 1 ? opacity : '';
+    }
+}
+
+/**
+ * Draw layer (and its sublayers) of an expired object greyed out and dashed
+ */
+export function styleExpiredLayer(layer) {
+    if (layer instanceof L.LayerGroup) {
+        layer.eachLayer(styleExpiredLayer);
+    } else if (layer instanceof L.Path) {
+        layer.setStyle({
+            color: '#6c757d',
+            fillColor: '#6c757d',
+            opacity: 0.5,
+            fillOpacity: 0.05,
+            dashArray: '4 6',
+        });
+    } else if (layer.setOpacity) {
+        layer.setOpacity(0.4);
+    }
+}
+
+/**
+ * Draw layer (and its sublayers) of a pending object faint and dashed,
+ * keeping its own colour
+ */
+export function stylePendingLayer(layer) {
+    if (layer instanceof L.LayerGroup) {
+        layer.eachLayer(stylePendingLayer);
+    } else if (layer instanceof L.Path) {
+        layer.setStyle({
+            opacity: 0.6,
+            fillOpacity: 0.05,
+            dashArray: '2 6',
+        });
+    } else if (layer.setOpacity) {
+        layer.setOpacity(0.5);
+    }
+}
+
+function getCountdownText(time, now = Date.now(), doneText = 'Expired') {
+    const remaining = Math.ceil((time - now) / 1000);
+    return remaining > 0 ? formatRemaining(remaining) : doneText;
+}
+
+/**
+ * Remove and return IDs whose timestamp has passed
+ * @param {Map} times - objectId => timestamp in ms
+ * @param {number} now - Current time in ms
+ * @returns {Array}
+ */
+function takeDue(times, now) {
+    const due = [];
+
+    times.forEach((time, objectId) => {
+        if (time <= now) due.push(objectId);
+    });
+    due.forEach((objectId) => times.delete(objectId));
+
+    return due;
+}
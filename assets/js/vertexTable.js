@@ -0,0 +1,509 @@
+import { parseCoordinates } from './coordinateFormats';
+
+/**
+ * Vertex table
+ * Numeric editor for the geometry being drawn or edited on the map: every
+ * point (circle center and radius) can be typed, pasted as "lat, lng",
+ * MGRS or UTM, inserted or deleted. Stays in sync with the draggable edit
+ * markers of MapGeoObjectManager in both directions.
+ */
+
+// Minimum number of points per drawing type
+const MIN_POINTS = { polygon: 3, line: 2, linestring: 2 };
+
+export default class VertexTable {
+    constructor(options = {}) {
+        this.options = Object.assign(
+            {
+                containerSelector: '#geo-vertex-editor',
+                geoObjectManager: null,
+            },
+            options
+        );
+
+        this.container = document.querySelector(this.options.containerSelector);
+        this.manager = this.options.geoObjectManager;
+        this.geometry = null;
+
+        if (this.container && this.manager) {
+            this.init();
+        }
+    }
+
+    /**
+     * Bind table controls and subscribe to map geometry changes
+     */
+    init() {
+        this.rowsBody = this.container.querySelector('.geo-vertex-rows');
+        this.radiusGroup = this.container.querySelector(
+            '.geo-vertex-radius-group'
+        );
+        this.radiusInput = this.container.querySelector('.geo-vertex-radius');
+        this.pasteInput = this.container.querySelector('.geo-vertex-paste');
+        this.addBtn = this.container.querySelector('.geo-vertex-add');
+        this.message = this.container.querySelector('.geo-vertex-message');
+
+        this.rowsBody.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-field]');
+            if (input) {
+                this.updateVertex(input);
+            }
+        });
+
+        this.rowsBody.addEventListener('paste', (e) => {
+            const input = e.target.closest('[data-field]');
+            if (input) {
+                this.pasteIntoVertex(e, input);
+            }
+        });
+
+        this.rowsBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) {
+                return;
+            }
+
+            const index = parseInt(button.dataset.index, 10);
+            if (button.dataset.action === 'insert') {
+                this.insertAfter(index);
+            } else if (button.dataset.action === 'delete') {
+                this.manager.deleteEditPoint(index);
+            }
+        });
+
+        this.radiusInput.addEventListener('change', () => this.updateRadius());
+
+        this.addBtn.addEventListener('click', () => this.addFromText());
+        this.pasteInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.addFromText();
+            }
+        });
+
+        this.manager.onEditGeometryChange((geometry) => this.render(geometry));
+        this.render(this.manager.getEditGeometry());
+    }
+
+    /**
+     * Render current geometry (null hides the table)
+     */
+    render(geometry) {
+        this.geometry = geometry;
+
+        if (!geometry || !geometry.type) {
+            this.container.style.display = 'none';
+            this.rowsBody.innerHTML = '';
+            return;
+        }
+
+        this.container.style.display = '';
+
+        const multi = this.isMultiPoint();
+        const rows = this.rowsBody.querySelectorAll('tr[data-index]');
+
+        // Same shape - update values in place so focus is kept while tabbing
+        if (
+            rows.length > 0 &&
+            rows.length === geometry.points.length &&
+            this.rowsBody.dataset.type === geometry.type
+        ) {
+            geometry.points.forEach((point, index) => {
+                this.setInputValue(rows[index], 'lat', point.lat);
+                this.setInputValue(rows[index], 'lng', point.lng);
+            });
+        } else {
+            this.rowsBody.dataset.type = geometry.type;
+            this.rowsBody.innerHTML = geometry.points.length
+                ? geometry.points
+                      .map((point, index) =>
+                          this.renderRow(point, index, multi)
+                      )
+                      .join('')
+                : `<tr><td colspan="4" class="text-muted small">
+                        No points yet - click on the map or enter coordinates below
+                   </td></tr>`;
+        }
+
+        this.radiusGroup.style.display =
+            geometry.type === 'circle' ? '' : 'none';
+        if (
+            geometry.type === 'circle' &&
+            document.activeElement !== this.radiusInput
+        ) {
+            this.radiusInput.value = geometry.radius
+                ? geometry.radius.toFixed(1)
+                : '';
+            this.radiusInput.classList.remove('is-invalid');
+        }
+
+        this.addBtn.innerHTML = multi
+            ? '<i class="fas fa-plus"></i> Add'
+            : '<i class="fas fa-crosshairs"></i> Set';
+        this.pasteInput.placeholder = multi
+            ? 'lat, lng / MGRS / UTM - one point per line'
+            : 'lat, lng / MGRS / UTM';
+
+        this.showHint();
+    }
+
+    /**
+     * Table row for one point
+     */
+    renderRow(point, index, multi) {
+        const input = (field, value) =>
+            `<input type="text" inputmode="decimal"
+                class="form-control form-control-sm"
+                data-field="${field}" data-index="${index}"
+                value="${value.toFixed(6)}">`;
+
+        const actions = multi
+            ? `<button type="button" class="btn btn-sm btn-outline-secondary"
+                    data-action="insert" data-index="${index}"
+                    title="Insert point after">
+                    <i class="fas fa-plus"></i>
+               </button>
+               <button type="button" class="btn btn-sm btn-outline-danger"
+                    data-action="delete" data-index="${index}"
+                    title="Delete point">
+                    <i class="fas fa-times"></i>
+               </button>`
+            : '';
+
+        return `
+            <tr data-index="${index}">
+                <td class="text-muted">${
+                    this.geometry.type === 'circle' ? 'C' : index + 1
+                }</td>
+                <td>${input('lat', point.lat)}</td>
+                <td>${input('lng', point.lng)}</td>
+                <td class="text-nowrap">${actions}</td>
+            </tr>
+        `;
+    }
+
+    setInputValue(row, field, value) {
+        const input = row.querySelector(`[data-field="${field}"]`);
+        if (input && document.activeElement !== input) {
+            input.value = value.toFixed(6);
+            input.classList.remove('is-invalid');
+        }
+    }
+
+    /**
+     * Apply edited latitude/longitude cell
+     */
+    updateVertex(input) {
+        const index = parseInt(input.dataset.index, 10);
+        const point = Object.assign({}, this.geometry.points[index]);
+        const value = input.value.trim().replace(',', '.');
+        point[input.dataset.field] = value === '' ? NaN : Number(value);
+
+        const error = validatePosition([point.lng, point.lat]);
+        if (error) {
+            input.classList.add('is-invalid');
+            this.showMessage(error, 'danger');
+            return;
+        }
+
+        input.classList.remove('is-invalid');
+        this.applyPoints(
+            this.geometry.points.map((item, itemIndex) =>
+                itemIndex === index ? point : item
+            )
+        );
+    }
+
+    /**
+     * Pasting a full position ("lat, lng", MGRS, UTM) into a cell
+     * sets both coordinates of the row
+     */
+    pasteIntoVertex(e, input) {
+        const text = (e.clipboardData || window.clipboardData).getData('text');
+        const position = parseCoordinates(text);
+        if (!position) {
+            return; // Plain number - default paste
+        }
+
+        e.preventDefault();
+        const index = parseInt(input.dataset.index, 10);
+        this.applyPoints(
+            this.geometry.points.map((item, itemIndex) =>
+                itemIndex === index ? position : item
+            )
+        );
+    }
+
+    /**
+     * Add points typed or pasted into the text box
+     * Point/circle: the single position replaces the current one
+     */
+    addFromText() {
+        const lines = this.pasteInput.value
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter(Boolean);
+        if (lines.length === 0) {
+            return;
+        }
+
+        const positions = [];
+        for (let i = 0; i < lines.length; i++) {
+            const position = parseCoordinates(lines[i]);
+            if (!position) {
+                this.pasteInput.classList.add('is-invalid');
+                this.showMessage(
+                    `Cannot read coordinates "${lines[i]}"`,
+                    'danger'
+                );
+                return;
+            }
+            positions.push(position);
+        }
+
+        if (!this.isMultiPoint() && positions.length > 1) {
+            this.pasteInput.classList.add('is-invalid');
+            this.showMessage('Only one position is expected', 'danger');
+            return;
+        }
+
+        this.pasteInput.classList.remove('is-invalid');
+        this.pasteInput.value = '';
+
+        this.applyPoints(
+            this.isMultiPoint()
+                ? this.geometry.points.concat(positions)
+                : positions
+        );
+    }
+
+    /**
+     * Insert point after index: middle of the next segment, or one more
+     * segment of the same length at the end of a line
+     */
+    insertAfter(index) {
+        const points = this.geometry.points;
+        const current = points[index];
+        let next = points[index + 1];
+
+        if (!next && this.geometry.type === 'polygon') {
+            next = points[0];
+        }
+
+        let point;
+        if (next && next !== current) {
+            point = {
+                lat: (current.lat + next.lat) / 2,
+                lng: (current.lng + next.lng) / 2,
+            };
+        } else if (index > 0) {
+            const previous = points[index - 1];
+            point = {
+                lat: current.lat + (current.lat - previous.lat),
+                lng: current.lng + (current.lng - previous.lng),
+            };
+        } else {
+            point = { lat: current.lat, lng: current.lng };
+        }
+
+        const updated = points.slice();
+        updated.splice(index + 1, 0, point);
+        this.applyPoints(updated);
+    }
+
+    /**
+     * Apply edited circle radius
+     */
+    updateRadius() {
+        const value = Number(this.radiusInput.value);
+
+        if (this.geometry.points.length === 0) {
+            this.radiusInput.classList.add('is-invalid');
+            this.showMessage('Set the circle center first', 'danger');
+            return;
+        }
+
+        if (!this.radiusInput.value || !Number.isFinite(value) || value <= 0) {
+            this.radiusInput.classList.add('is-invalid');
+            this.showMessage(
+                'Circle geometry must have a positive numeric "radius" in meters',
+                'danger'
+            );
+            return;
+        }
+
+        this.radiusInput.classList.remove('is-invalid');
+        this.manager.setEditGeometry({
+            points: this.geometry.points,
+            radius: value,
+        });
+    }
+
+    applyPoints(points) {
+        this.manager.setEditGeometry({
+            points,
+            radius: this.geometry.radius,
+        });
+    }
+
+    isMultiPoint() {
+        return Boolean(this.geometry && MIN_POINTS[this.geometry.type]);
+    }
+
+    /**
+     * Show what is still missing for a valid geometry
+     */
+    showHint() {
+        const geometry = this.geometry;
+        const minPoints = MIN_POINTS[geometry.type];
+
+        if (geometry.points.length === 0) {
+            this.showMessage('', 'muted');
+        } else if (minPoints && geometry.points.length < minPoints) {
+            this.showMessage(
+                `At least ${minPoints} points are required`,
+                'muted'
+            );
+        } else if (geometry.type === 'circle' && !geometry.radius) {
+            this.showMessage('Set the radius to finish the circle', 'muted');
+        } else {
+            this.showMessage(
+                validateGeometry(toGeoJson(geometry)) || '',
+                'danger'
+            );
+        }
+    }
+
+    showMessage(text, variant) {
+        this.message.className = `small geo-vertex-message text-${variant}`;
+        this.message.textContent = text;
+    }
+}
+
+/**
+ * Validate geometry with the same rules as GeoObject::setGeometry()
+ * @param {Object} geoJson - Point, Polygon, LineString, Circle or Image
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateGeometry(geoJson) {
+    if (!geoJson || !geoJson.coordinates) {
+        return 'Geometry must have "coordinates"';
+    }
+
+    switch (geoJson.type) {
+        case 'Point':
+            return validatePointPosition(geoJson.coordinates);
+        case 'Circle': {
+            const centerError = validatePointPosition(geoJson.coordinates);
+            if (centerError) {
+                return centerError;
+            }
+            return Number(geoJson.radius) > 0
+                ? null
+                : 'Circle geometry must have a positive numeric "radius" in meters';
+        }
+        case 'Polygon': {
+            const ring = geoJson.coordinates[0];
+            if (!Array.isArray(ring) || ring.length < 4) {
+                return 'Polygon must have at least 3 points (4 with closure)';
+            }
+
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                return 'Polygon outer ring must be closed (first and last points must be the same)';
+            }
+
+            return validatePositions(ring, 'Polygon');
+        }
+        case 'Image': {
+            const ring = geoJson.coordinates[0];
+            if (!Array.isArray(ring) || ring.length !== 5) {
+                return 'Image geometry must have 4 corners (5 points with closure)';
+            }
+
+            if (!geoJson.imageUrl) {
+                return 'Please upload an image first';
+            }
+
+            return validatePositions(ring, 'Image');
+        }
+        case 'LineString':
+            if (geoJson.coordinates.length < 2) {
+                return 'LineString geometry must have "coordinates" array with at least 2 points';
+            }
+            return validatePositions(geoJson.coordinates, 'LineString');
+        default:
+            return null;
+    }
+}
+
+function validatePointPosition(position) {
+    if (!Array.isArray(position) || position.length !== 2) {
+        return 'Point geometry must have "coordinates" array with [longitude, latitude]';
+    }
+
+    return validatePosition(position);
+}
+
+function validatePositions(positions, typeName) {
+    for (const position of positions) {
+        if (!Array.isArray(position) || position.length !== 2) {
+            return `${typeName} coordinates must be arrays of [longitude, latitude]`;
+        }
+
+        const error = validatePosition(position);
+        if (error) {
+            return error;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @param {Array} position - [longitude, latitude]
+ */
+function validatePosition(position) {
+    const [longitude, latitude] = position;
+
+    if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) {
+        return 'Coordinates must be numeric values';
+    }
+
+    if (latitude < -90 || latitude > 90) {
+        return 'Latitude must be between -90 and 90 degrees';
+    }
+
+    if (longitude < -180 || longitude > 180) {
+        return 'Longitude must be between -180 and 180 degrees';
+    }
+
+    return null;
+}
+
+/**
+ * GeoJSON of table geometry, as sent to the server
+ */
+function toGeoJson(geometry) {
+    const positions = geometry.points.map((point) => [point.lng, point.lat]);
+
+    switch (geometry.type) {
+        case 'polygon':
+            return {
+                type: 'Polygon',
+                coordinates: [positions.concat([positions[0]])],
+            };
+        case 'line':
+        case 'linestring':
+            return { type: 'LineString', coordinates: positions };
+        case 'circle':
+            return {
+                type: 'Circle',
+                coordinates: positions[0],
+                radius: geometry.radius,
+            };
+        default:
+            return { type: 'Point', coordinates: positions[0] };
+    }
+}
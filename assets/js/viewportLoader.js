@@ -0,0 +1,284 @@
+import L from 'leaflet';
+
+/**
+ * Viewport-based loading of geo objects
+ * The world is split into Web Mercator data tiles; only tiles covering the
+ * visible area (plus a margin) are requested, one bbox request per map move.
+ * Fetched tiles are cached (least recently used are dropped first) so
+ * panning back does not hit the server again.
+ */
+
+const DEFAULT_OPTIONS = {
+    margin: 0.5, // part of the view added on each side
+    tileZoom: 10, // zoom of data tiles, lowered when the view is large
+    maxTilesPerView: 16,
+    maxCachedTiles: 256,
+    getUrl: (bbox) => '',
+    onLoad: (objects) => {},
+    onViewChange: () => {},
+    onEvict: () => {},
+};
+
+export default class ViewportLoader {
+    constructor(leafletMap, options = {}) {
+        this.map = leafletMap;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+        this.tiles = new Map(); // key => L.LatLngBounds (insertion = LRU order)
+        this.pendingTiles = new Set();
+        this.generation = 0;
+
+        this.moveHandler = () => this.update();
+    }
+
+    start() {
+        this.map.on('moveend', this.moveHandler);
+        this.update();
+    }
+
+    stop() {
+        this.map.off('moveend', this.moveHandler);
+        this.reset();
+    }
+
+    /**
+     * Forget cached tiles, responses of running requests are ignored
+     */
+    reset() {
+        this.tiles.clear();
+        this.pendingTiles.clear();
+        this.generation++;
+    }
+
+    /**
+     * Visible area with margin
+     * @returns {L.LatLngBounds}
+     */
+    getViewBounds() {
+        return this.map.getBounds().pad(this.options.margin);
+    }
+
+    /**
+     * Check if geometry intersects the visible area (with margin)
+     * @param {Object} geoJson - Geo object geometry
+     */
+    isInView(geoJson) {
+        const bounds = getGeometryBounds(geoJson);
+        return !!bounds && this.getViewBounds().intersects(bounds);
+    }
+
+    /**
+     * Check if geometry intersects any fetched tile
+     * @param {Object} geoJson - Geo object geometry
+     */
+    isLoaded(geoJson) {
+        const bounds = getGeometryBounds(geoJson);
+        if (!bounds) return false;
+
+        for (const tileBounds of this.tiles.values()) {
+            if (tileBounds.intersects(bounds)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Fetch tiles of the current view that are not cached yet
+     */
+    update() {
+        const tiles = this.getViewTiles();
+        const missing = tiles.filter(
+            (tile) =>
+                !this.tiles.has(tile.key) && !this.pendingTiles.has(tile.key)
+        );
+
+        // Tiles in view become most recently used
+        tiles.forEach((tile) => {
+            if (this.tiles.has(tile.key)) {
+                this.tiles.delete(tile.key);
+                this.tiles.set(tile.key, tile.bounds);
+            }
+        });
+
+        this.options.onViewChange();
+
+        if (missing.length > 0) {
+            this.fetchTiles(missing);
+        }
+    }
+
+    /**
+     * Load missing tiles with one request for their common bounding box
+     */
+    fetchTiles(tiles) {
+        const generation = this.generation;
+        const bounds = L.latLngBounds([]);
+        tiles.forEach((tile) => {
+            bounds.extend(tile.bounds);
+            this.pendingTiles.add(tile.key);
+        });
+
+        const bbox = toBbox(bounds);
+
+        fetch(this.options.getUrl(bbox))
+            .then((response) => response.json())
+            .then((data) => {
+                if (generation !== this.generation) return;
+
+                tiles.forEach((tile) => this.pendingTiles.delete(tile.key));
+                if (!data.success) return;
+
+                tiles.forEach((tile) => this.tiles.set(tile.key, tile.bounds));
+                this.options.onLoad(data.objects || []);
+                this.evictTiles();
+            })
+            .catch(() => {
+                // Missing tiles are requested again on the next move
+                if (generation === this.generation) {
+                    tiles.forEach((tile) => this.pendingTiles.delete(tile.key));
+                }
+            });
+    }
+
+    /**
+     * Drop least recently used tiles over the cache limit
+     */
+    evictTiles() {
+        const excess = this.tiles.size - this.options.maxCachedTiles;
+        if (excess <= 0) return;
+
+        const viewBounds = this.getViewBounds();
+        let evicted = 0;
+
+        for (const [key, bounds] of this.tiles) {
+            if (evicted >= excess) break;
+            if (bounds.intersects(viewBounds)) continue;
+
+            this.tiles.delete(key);
+            evicted++;
+        }
+
+        if (evicted > 0) {
+            this.options.onEvict();
+        }
+    }
+
+    /**
+     * Bounding box of the data tiles covering the visible area
+     * Stays the same while moving within the same tiles
+     * @returns {Array} [minLng, minLat, maxLng, maxLat]
+     */
+    getViewTilesBbox() {
+        const bounds = L.latLngBounds([]);
+        this.getViewTiles().forEach((tile) => bounds.extend(tile.bounds));
+        return toBbox(bounds);
+    }
+
+    /**
+     * Data tiles covering the visible area
+     * Tile zoom is lowered until the view needs at most maxTilesPerView
+     * @returns {Array} [{key, bounds}]
+     */
+    getViewTiles() {
+        const view = this.getViewBounds();
+        const south = Math.max(view.getSouth(), -85);
+        const north = Math.min(view.getNorth(), 85);
+        const west = Math.max(view.getWest(), -180);
+        const east = Math.min(view.getEast(), 180);
+
+        let zoom = Math.floor(
+            Math.min(this.options.tileZoom, this.map.getZoom())
+        );
+        let range = getTileRange(zoom, south, west, north, east);
+        while (range.count > this.options.maxTilesPerView && zoom > 0) {
+            zoom--;
+            range = getTileRange(zoom, south, west, north, east);
+        }
+
+        const tiles = [];
+        for (let x = range.min.x; x <= range.max.x; x++) {
+            for (let y = range.min.y; y <= range.max.y; y++) {
+                tiles.push({
+                    key: `${range.zoom}/${x}/${y}`,
+                    bounds: getTileBounds(range.zoom, x, y),
+                });
+            }
+        }
+        return tiles;
+    }
+}
+
+/**
+ * Bounds of a geo object geometry (circles include their radius)
+ * @param {Object|string} geoJson - Geometry (may be a JSON string)
+ * @returns {L.LatLngBounds|null}
+ */
+export function getGeometryBounds(geoJson) {
+    const geometry =
+        typeof geoJson === 'string' ? JSON.parse(geoJson) : geoJson;
+    if (!geometry || !Array.isArray(geometry.coordinates)) {
+        return null;
+    }
+
+    // [lng, lat], [[lng, lat], ...] or [[[lng, lat], ...]] (outer ring)
+    const coordinates = geometry.coordinates;
+    const positions =
+        typeof coordinates[0] === 'number'
+            ? [coordinates]
+            : Array.isArray(coordinates[0] && coordinates[0][0])
+              ? coordinates[0]
+              : coordinates;
+
+    const latlngs = positions
+        .filter((position) => Array.isArray(position))
+        .map((position) => L.latLng(position[1], position[0]));
+    if (latlngs.length === 0) {
+        return null;
+    }
+
+    if (geometry.radius && latlngs.length === 1) {
+        return latlngs[0].toBounds(geometry.radius * 2);
+    }
+
+    return L.latLngBounds(latlngs);
+}
+
+/**
+ * [minLng, minLat, maxLng, maxLat] rounded to 6 decimals
+ * @param {L.LatLngBounds} bounds
+ */
+function toBbox(bounds) {
+    return [
+        bounds.getWest(),
+        bounds.getSouth(),
+        bounds.getEast(),
+        bounds.getNorth(),
+    ].map((value) => Math.round(value * 1e6) / 1e6);
+}
+
+function getTileRange(zoom, south, west, north, east) {
+    const last = 2 ** zoom - 1;
+    const clamp = (value) => Math.min(Math.max(value, 0), last);
+    const toTile = (lat, lng) =>
+        L.CRS.EPSG3857.latLngToPoint(L.latLng(lat, lng), zoom)
+            .divideBy(256)
+            .floor();
+
+    const topLeft = toTile(north, west);
+    const bottomRight = toTile(south, east);
+    const min = L.point(clamp(topLeft.x), clamp(topLeft.y));
+    const max = L.point(clamp(bottomRight.x), clamp(bottomRight.y));
+
+    return {
+        zoom,
+        min,
+        max,
+        count: (max.x - min.x + 1) * (max.y - min.y + 1),
+    };
+}
+
+function getTileBounds(zoom, x, y) {
+    const toLatLng = (px, py) =>
+        L.CRS.EPSG3857.pointToLatLng(L.point(px * 256, py * 256), zoom);
+
+    return L.latLngBounds(toLatLng(x, y + 1), toLatLng(x + 1, y));
+}
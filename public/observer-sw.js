@@ -0,0 +1,96 @@
+/**
+ * Observer Service Worker
+ * Keeps the observer viewer usable when the network drops:
+ * - map tiles downloaded with "Download area for offline" are served
+ *   from the tile cache before going to the network
+ * - the observer page, its objects snapshot and build assets are fetched
+ *   network-first, the last successful response is used when offline
+ *
+ * Registered by the observer viewer with scope /observer/.
+ * Cache names must match assets/js/offlineCache.js
+ */
+
+const TILE_CACHE = 'tactical-maps-tiles-v1';
+const PAGE_CACHE = 'tactical-maps-observer-v1';
+
+// Live connections are never cached
+const LIVE_PATH_PATTERN = /^\/observer\/[^/]+\/(stream|poll)$/;
+const CACHED_DESTINATIONS = ['style', 'script', 'font'];
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((names) =>
+                Promise.all(
+                    names
+                        .filter(
+                            (name) =>
+                                name.startsWith('tactical-maps-') &&
+                                name !== TILE_CACHE &&
+                                name !== PAGE_CACHE
+                        )
+                        .map((name) => caches.delete(name))
+                )
+            )
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (!LIVE_PATH_PATTERN.test(url.pathname)) {
+            event.respondWith(networkFirst(request));
+        }
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(cachedTileFirst(request));
+    } else if (CACHED_DESTINATIONS.includes(request.destination)) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Serve downloaded tile, otherwise go to the network
+ */
+function cachedTileFirst(request) {
+    return caches
+        .open(TILE_CACHE)
+        .then((cache) => cache.match(request.url))
+        .then((cached) => cached || fetch(request));
+}
+
+/**
+ * Fetch and remember the response, fall back to it when offline
+ */
+function networkFirst(request) {
+    return fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches
+                    .open(PAGE_CACHE)
+                    .then((cache) => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() =>
+            caches
+                .open(PAGE_CACHE)
+                .then((cache) => cache.match(request, { ignoreVary: true }))
+                .then((cached) => cached || Response.error())
+        );
+}
@@ -4,11 +4,20 @@ namespace App\Controller;
 
 use App\Entity\GeoObject;
 use App\Entity\Map;
+use App\Service\ChangeFeedStreamer;
+use App\Service\GeoObjectExportService;
+use App\Service\GeoObjectHistoryService;
 use App\Service\GeoObjectService;
+use App\Service\GeoObjectTimelineService;
+use App\Service\MapFeedService;
+use App\Service\OverlayImageService;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\ResponseHeaderBag;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
 use Symfony\Component\Routing\Annotation\Route;
 
 error_log('=== GeoObjectController.php loaded ===');
@@ -128,6 +137,48 @@ class GeoObjectController extends AbstractController
         }
     }
     
+    /**
+     * API for creating many GeoObjects at once (GeoJSON import)
+     *
+     * Returns created objects and per-item validation errors
+     */
+    #[Route('/batch', name: 'geo_object_batch', methods: ['POST'])]
+    public function batch(Request $request): JsonResponse
+    {
+        $data = json_decode($request->getContent(), true);
+        
+        if (!is_array($data)) {
+            return $this->json([
+                'success' => false,
+                'message' => 'Invalid JSON data'
+            ], Response::HTTP_BAD_REQUEST);
+        }
+        
+        $result = $this->geoObjectService->createGeoObjectsBatch($data);
+        $statusCode = $result['status'] ?? Response::HTTP_OK;
+        unset($result['status']); // Remove status code from response
+        
+        return $this->json($result, $statusCode);
+    }
+    
+    /**
+     * Upload image for a georeferenced overlay (multipart field "image")
+     *
+     * Returns URL to use as "imageUrl" of an Image object and image size.
+     * Admins only: the image is written to the public uploads directory.
+     */
+    #[Route('/overlay-image', name: 'geo_object_overlay_image', methods: ['POST'])]
+    public function uploadOverlayImage(Request $request, OverlayImageService $overlayImageService): JsonResponse
+    {
+        $this->denyAccessUnlessGranted('ROLE_ADMIN');
+        
+        $result = $overlayImageService->upload($request->files->get('image'));
+        $statusCode = $result['status'] ?? Response::HTTP_OK;
+        unset($result['status']); // Remove status code from response
+        
+        return $this->json($result, $statusCode);
+    }
+    
     /**
      * API for updating existing GeoObject
      */
@@ -187,19 +238,149 @@ class GeoObjectController extends AbstractController
         return $this->json($result, $statusCode);
     }
     
+    /**
+     * Revision log of a GeoObject (who changed what and when), newest first
+     *
+     * Admins only: revisions name the admin who made the change.
+     */
+    #[Route('/{id}/history', name: 'geo_object_history', methods: ['GET'])]
+    public function history(GeoObject $geoObject, GeoObjectHistoryService $historyService): JsonResponse
+    {
+        $this->denyAccessUnlessGranted('ROLE_ADMIN');
+        
+        return $this->json($historyService->getHistory($geoObject));
+    }
+    
+    /**
+     * Restore GeoObject to the state of an earlier revision
+     */
+    #[Route('/{id}/history/{revisionId}/restore', name: 'geo_object_restore_revision', requirements: ['revisionId' => '\d+'], methods: ['POST'])]
+    public function restoreRevision(GeoObject $geoObject, int $revisionId, GeoObjectHistoryService $historyService): JsonResponse
+    {
+        $this->denyAccessUnlessGranted('ROLE_ADMIN');
+        
+        $result = $historyService->restoreRevision($geoObject, $revisionId);
+        $statusCode = $result['status'] ?? Response::HTTP_OK;
+        unset($result['status']); // Remove status code from response
+        
+        return $this->json($result, $statusCode);
+    }
+    
     /**
      * API for getting all GeoObject for map
+     *
+     * Optional query: bbox=minLng,minLat,maxLng,maxLat (only objects intersecting it)
      */
     #[Route('/by-map/{map}', name: 'geo_object_by_map', methods: ['GET'])]
-    public function getByMap(Map $map): JsonResponse
+    public function getByMap(Map $map, Request $request): JsonResponse
     {
-        $result = $this->geoObjectService->getGeoObjectsByMap($map);
+        $bbox = $request->query->get('bbox');
+        $result = $bbox !== null
+            ? $this->geoObjectService->getGeoObjectsByMapInBounds($map, (string) $bbox)
+            : $this->geoObjectService->getGeoObjectsByMap($map);
         $statusCode = $result['status'] ?? Response::HTTP_OK;
         unset($result['status']); // Remove status code from response
         
         return $this->json($result, $statusCode);
     }
     
+    /**
+     * Revision history of all GeoObjects of a map for timeline playback
+     *
+     * Admins only: revisions include deleted, hidden and scheduled objects.
+     */
+    #[Route('/by-map/{map}/timeline', name: 'geo_object_map_timeline', methods: ['GET'])]
+    public function timeline(Map $map, GeoObjectTimelineService $timelineService): JsonResponse
+    {
+        $this->denyAccessUnlessGranted('ROLE_ADMIN');
+
+        return $this->json($timelineService->getTimeline($map));
+    }
+    
+    /**
+     * Change feed for all GeoObjects of a map (Server-Sent Events)
+     *
+     * Optional query: bbox=minLng,minLat,maxLng,maxLat (only objects intersecting it)
+     */
+    #[Route('/by-map/{map}/changes', name: 'geo_object_map_changes', methods: ['GET'])]
+    public function mapChanges(
+        Map $map,
+        Request $request,
+        MapFeedService $mapFeedService,
+        ChangeFeedStreamer $changeFeedStreamer
+    ): StreamedResponse {
+        $mapId = $map->getId();
+        $bbox = $this->getFeedBbox($request);
+        $knownVersion = $request->headers->get('Last-Event-ID') ?? $request->query->get('version');
+        
+        return $changeFeedStreamer->createStreamResponse(
+            fn () => $mapFeedService->refreshSnapshot($mapId, $bbox),
+            $knownVersion
+        );
+    }
+    
+    /**
+     * Long-poll fallback for the map change feed
+     */
+    #[Route('/by-map/{map}/changes/poll', name: 'geo_object_map_changes_poll', methods: ['GET'])]
+    public function pollMapChanges(
+        Map $map,
+        Request $request,
+        MapFeedService $mapFeedService,
+        ChangeFeedStreamer $changeFeedStreamer
+    ): JsonResponse {
+        $mapId = $map->getId();
+        $bbox = $this->getFeedBbox($request);
+        
+        $result = $changeFeedStreamer->waitForChanges(
+            fn () => $mapFeedService->refreshSnapshot($mapId, $bbox),
+            $request->query->get('version')
+        );
+        
+        if ($result === null) {
+            return $this->json([
+                'success' => false,
+                'message' => 'Map no longer exists'
+            ], Response::HTTP_GONE);
+        }
+        
+        return $this->json($result);
+    }
+    
+    /**
+     * Export map GeoObjects as GeoJSON, KML or GPX file
+     *
+     * Optional query: hiddenSides=1,2 (skip these sides), activeOnly=1 (skip expired and pending)
+     */
+    #[Route('/by-map/{map}/export/{format}', name: 'geo_object_map_export', requirements: ['format' => 'geojson|kml|gpx'], methods: ['GET'])]
+    public function export(
+        Map $map,
+        string $format,
+        Request $request,
+        GeoObjectExportService $exportService
+    ): Response {
+        $hiddenSides = array_values(array_filter(array_map(
+            'intval',
+            explode(',', (string) $request->query->get('hiddenSides', ''))
+        )));
+        
+        $export = $exportService->export(
+            $map,
+            $format,
+            $hiddenSides,
+            $request->query->getBoolean('activeOnly')
+        );
+        
+        $response = new Response($export['content']);
+        $response->headers->set('Content-Type', $export['contentType']);
+        $response->headers->set('Content-Disposition', $response->headers->makeDisposition(
+            ResponseHeaderBag::DISPOSITION_ATTACHMENT,
+            $export['filename']
+        ));
+        
+        return $response;
+    }
+    
     /**
      * API for getting one GeoObject by ID
      */
@@ -243,4 +424,24 @@ class GeoObjectController extends AbstractController
         
         return $this->json($result, $statusCode);
     }
-} 
\ No newline at end of file
+    
+    /**
+     * Area the change feed is limited to, from the optional bbox query
+     *
+     * @throws BadRequestHttpException When bbox is malformed
+     */
+    private function getFeedBbox(Request $request): ?array
+    {
+        $bbox = $request->query->get('bbox');
+        if ($bbox === null) {
+            return null;
+        }
+        
+        $bounds = $this->geoObjectService->parseBbox((string) $bbox);
+        if ($bounds === null) {
+            throw new BadRequestHttpException('Invalid bbox, expected "minLng,minLat,maxLng,maxLat"');
+        }
+        
+        return $bounds;
+    }
+}
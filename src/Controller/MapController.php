@@ -5,6 +5,7 @@ namespace App\Controller;
 use App\Entity\Map;
 use App\Form\MapType;
 use App\Repository\MapRepository;
+use App\Repository\TileSourceRepository;
 use Doctrine\ORM\EntityManagerInterface;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
 use Symfony\Component\HttpFoundation\Request;
@@ -25,7 +26,11 @@ class MapController extends AbstractController
     }
 
     #[Route('/new', name: 'map_new', methods: ['GET', 'POST'])]
-    public function new(Request $request, EntityManagerInterface $entityManager): Response
+    public function new(
+        Request $request,
+        EntityManagerInterface $entityManager,
+        TileSourceRepository $tileSourceRepository
+    ): Response
     {
         $map = new Map();
         // Set default values (center and zoom level)
@@ -46,11 +51,16 @@ class MapController extends AbstractController
         return $this->render('map/new.html.twig', [
             'map' => $map,
             'form' => $form,
+            'tileSources' => $tileSourceRepository->getLayerConfigsForMap(null),
         ]);
     }
 
     #[Route('/{id}', name: 'map_show', methods: ['GET'])]
-    public function show(Map $map, FormFactoryInterface $formFactory): Response
+    public function show(
+        Map $map,
+        FormFactoryInterface $formFactory,
+        TileSourceRepository $tileSourceRepository
+    ): Response
     {
         // Create an empty form for new geo objects
         $geoObjectForm = $formFactory->create(GeoObjectType::class, null, [
@@ -60,11 +70,17 @@ class MapController extends AbstractController
         return $this->render('map/show.html.twig', [
             'map' => $map,
             'geoObjectForm' => $geoObjectForm->createView(),
+            'tileSources' => $tileSourceRepository->getLayerConfigsForMap($map),
         ]);
     }
 
     #[Route('/{id}/edit', name: 'map_edit', methods: ['GET', 'POST'])]
-    public function edit(Request $request, Map $map, EntityManagerInterface $entityManager): Response
+    public function edit(
+        Request $request,
+        Map $map,
+        EntityManagerInterface $entityManager,
+        TileSourceRepository $tileSourceRepository
+    ): Response
     {
         $form = $this->createForm(MapType::class, $map);
         $form->handleRequest($request);
@@ -78,6 +94,7 @@ class MapController extends AbstractController
         return $this->render('map/edit.html.twig', [
             'map' => $map,
             'form' => $form,
+            'tileSources' => $tileSourceRepository->getLayerConfigsForMap($map),
         ]);
     }
 
@@ -3,13 +3,22 @@
 namespace App\Controller;
 
 use App\Entity\Observer;
+use App\Entity\ObserverAccessLink;
 use App\Form\ObserverType;
 use App\Repository\ObserverRepository;
+use App\Repository\TileSourceRepository;
+use App\Service\GeoObjectService;
+use App\Service\ObserverAccessLinkService;
+use App\Service\ObserverAccessLogService;
+use App\Service\ObserverRuleService;
+use App\Service\Rule\RuleFactoryInterface;
 use Doctrine\ORM\EntityManagerInterface;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
 use Symfony\Component\Routing\Annotation\Route;
+use Symfony\Component\Routing\Generator\UrlGeneratorInterface;
 use Symfony\Component\Security\Http\Attribute\IsGranted;
 use App\Repository\MapRepository;
 
@@ -18,8 +27,12 @@ use App\Repository\MapRepository;
 class ObserverController extends AbstractController
 {
     #[Route('/', name: 'observer_index', methods: ['GET'])]
-    public function index(ObserverRepository $observerRepository, Request $request, MapRepository $mapRepository): Response
-    {
+    public function index(
+        ObserverRepository $observerRepository,
+        Request $request,
+        MapRepository $mapRepository,
+        ObserverAccessLinkService $accessLinkService
+    ): Response {
         // Get map filter from request
         $mapId = $request->query->get('map');
         $selectedMap = null;
@@ -30,6 +43,7 @@ class ObserverController extends AbstractController
         
         // Get observers with optional map filter
         $observers = $observerRepository->findAllWithMapFilter($selectedMap);
+        $accessLinkService->ensureDefaultLinks($observers);
         
         // Get all maps for the filter dropdown
         $maps = $mapRepository->findAll();
@@ -62,17 +76,140 @@ class ObserverController extends AbstractController
         ]);
     }
 
-    #[Route('/{id}', name: 'observer_show', methods: ['GET'])]
-    public function show(Observer $observer): Response
+    /**
+     * Configuration schemas of available rules for the rule builder
+     */
+    #[Route('/rules/schema', name: 'observer_rules_schema', methods: ['GET'])]
+    public function rulesSchema(RuleFactoryInterface $ruleFactory): JsonResponse
+    {
+        return $this->json([
+            'success' => true,
+            'rules' => $ruleFactory->getConfigSchemas(),
+        ]);
+    }
+
+    /**
+     * Validate rules configuration (JSON body) the same way it is validated
+     * when the observer map is served
+     */
+    #[Route('/rules/validate', name: 'observer_rules_validate', methods: ['POST'])]
+    public function validateRules(Request $request, RuleFactoryInterface $ruleFactory): JsonResponse
     {
+        $config = json_decode($request->getContent(), true);
+        
+        if (!is_array($config)) {
+            return $this->json([
+                'success' => false,
+                'message' => 'Invalid JSON data',
+            ], Response::HTTP_BAD_REQUEST);
+        }
+        
+        $errors = $ruleFactory->validateConfig($config);
+        
+        return $this->json([
+            'success' => true,
+            'valid' => empty($errors),
+            'errors' => $errors,
+        ]);
+    }
+
+    /**
+     * Access dashboard: accesses per day, last access and request budget of every observer
+     */
+    #[Route('/analytics', name: 'observer_analytics', methods: ['GET'])]
+    public function analytics(
+        Request $request,
+        ObserverRepository $observerRepository,
+        MapRepository $mapRepository,
+        ObserverAccessLogService $accessLogService
+    ): Response {
+        $mapId = $request->query->get('map');
+        $selectedMap = $mapId ? $mapRepository->find($mapId) : null;
+        
+        return $this->render('observer/analytics.html.twig', [
+            'summaries' => $accessLogService->getOverview($observerRepository->findAllWithMapFilter($selectedMap)),
+            'maps' => $mapRepository->findAll(),
+            'selectedMap' => $selectedMap,
+        ]);
+    }
+
+    #[Route('/{id}', name: 'observer_show', methods: ['GET'])]
+    public function show(
+        Observer $observer,
+        TileSourceRepository $tileSourceRepository,
+        ObserverAccessLinkService $accessLinkService
+    ): Response {
+        $accessLinkService->ensureDefaultLinks([$observer]);
+        
         return $this->render('observer/show.html.twig', [
             'observer' => $observer,
+            'tileSources' => $tileSourceRepository->getLayerConfigsForMap($observer->getMap()),
         ]);
     }
 
-    #[Route('/{id}/edit', name: 'observer_edit', methods: ['GET', 'POST'])]
-    public function edit(Request $request, Observer $observer, EntityManagerInterface $entityManager): Response
+    /**
+     * Dry run of rules for the preview pane: objects the observer would see
+     * and, for every hidden object, the rule that removed it
+     * 
+     * Body: {"rules": {...}} to try unsaved rules, saved rules are used when
+     * "rules" is missing or null. Stateful rules are not advanced.
+     */
+    #[Route('/{id}/preview', name: 'observer_preview', methods: ['POST'])]
+    public function preview(
+        Request $request,
+        Observer $observer,
+        ObserverRuleService $observerRuleService,
+        GeoObjectService $geoObjectService
+    ): JsonResponse {
+        $data = json_decode($request->getContent() ?: '{}', true);
+        
+        if (!is_array($data) || (isset($data['rules']) && !is_array($data['rules']))) {
+            return $this->json([
+                'success' => false,
+                'message' => 'Invalid JSON data',
+            ], Response::HTTP_BAD_REQUEST);
+        }
+        
+        $rules = $data['rules'] ?? $observer->getRules();
+        $preview = $observerRuleService->previewRules($observer, $rules);
+        
+        return $this->json([
+            'success' => true,
+            'objects' => array_map(
+                fn ($geoObject) => $geoObjectService->serializeGeoObject($geoObject),
+                $preview['objects']
+            ),
+            'removed' => array_map(
+                fn ($item) => [
+                    'object' => $geoObjectService->serializeGeoObject($item['object']),
+                    'rule' => $item['rule'],
+                ],
+                $preview['removed']
+            ),
+            'rules' => $preview['rules'],
+            'geofence' => $observerRuleService->getGeofenceBoundary($rules),
+        ]);
+    }
+
+    /**
+     * Access statistics of one observer with its latest accesses
+     */
+    #[Route('/{id}/analytics', name: 'observer_analytics_show', methods: ['GET'])]
+    public function analyticsShow(Observer $observer, ObserverAccessLogService $accessLogService): Response
     {
+        return $this->render('observer/analytics_show.html.twig', [
+            'observer' => $observer,
+            'statistics' => $accessLogService->getObserverStatistics($observer),
+        ]);
+    }
+
+    #[Route('/{id}/edit', name: 'observer_edit', methods: ['GET', 'POST'])]
+    public function edit(
+        Request $request,
+        Observer $observer,
+        EntityManagerInterface $entityManager,
+        TileSourceRepository $tileSourceRepository
+    ): Response {
         $form = $this->createForm(ObserverType::class, $observer);
         $form->handleRequest($request);
 
@@ -86,20 +223,98 @@ class ObserverController extends AbstractController
         return $this->render('observer/edit.html.twig', [
             'observer' => $observer,
             'form' => $form,
+            'tileSources' => $tileSourceRepository->getLayerConfigsForMap($observer->getMap()),
         ]);
     }
 
-    #[Route('/{id}/regenerate-token', name: 'observer_regenerate_token', methods: ['POST'])]
-    public function regenerateToken(Request $request, Observer $observer, EntityManagerInterface $entityManager): Response
+    /**
+     * Create a named access link
+     * 
+     * Form fields: name, expires_at (optional), max_uses (optional), pin (optional)
+     */
+    #[Route('/{id}/links', name: 'observer_link_new', methods: ['POST'])]
+    public function newLink(Request $request, Observer $observer, ObserverAccessLinkService $accessLinkService): Response
     {
-        if ($this->isCsrfTokenValid('regenerate'.$observer->getId(), $request->request->get('_token'))) {
-            $observer->regenerateAccessToken();
-            $entityManager->flush();
+        if (!$this->isCsrfTokenValid('link'.$observer->getId(), $request->request->get('_token'))) {
+            $this->addFlash('error', 'Invalid CSRF token. Please try again.');
+            return $this->redirectToRoute('observer_show', ['id' => $observer->getId()], Response::HTTP_SEE_OTHER);
+        }
+        
+        $name = trim((string) $request->request->get('name', ''));
+        $expiresAt = trim((string) $request->request->get('expires_at', ''));
+        $maxUses = trim((string) $request->request->get('max_uses', ''));
+        $pin = (string) $request->request->get('pin', '');
+        
+        $error = null;
+        if ($name === '' || mb_strlen($name) > 100) {
+            $error = 'Link name is required and must be at most 100 characters';
+        } elseif ($expiresAt !== '' && (!strtotime($expiresAt) || new \DateTimeImmutable($expiresAt) <= new \DateTimeImmutable())) {
+            $error = 'Expiry date must be in the future';
+        } elseif ($maxUses !== '' && (!ctype_digit($maxUses) || (int) $maxUses < 1)) {
+            $error = 'Maximum uses must be a positive number';
+        } elseif ($pin !== '' && (strlen($pin) < 4 || strlen($pin) > 32)) {
+            $error = 'PIN must be between 4 and 32 characters';
+        }
+        
+        if ($error) {
+            $this->addFlash('error', $error);
+            return $this->redirectToRoute('observer_show', ['id' => $observer->getId()], Response::HTTP_SEE_OTHER);
+        }
+        
+        $accessLinkService->createLink(
+            $observer,
+            $name,
+            $expiresAt !== '' ? new \DateTimeImmutable($expiresAt) : null,
+            $maxUses !== '' ? (int) $maxUses : null,
+            $pin !== '' ? $pin : null
+        );
+        
+        $this->addFlash('success', sprintf('Access link "%s" created successfully', $name));
+        return $this->redirectToRoute('observer_show', ['id' => $observer->getId()], Response::HTTP_SEE_OTHER);
+    }
+
+    #[Route('/links/{id}/revoke', name: 'observer_link_revoke', methods: ['POST'])]
+    public function revokeLink(Request $request, ObserverAccessLink $link, ObserverAccessLinkService $accessLinkService): Response
+    {
+        if ($this->isCsrfTokenValid('revoke'.$link->getId(), $request->request->get('_token'))) {
+            $accessLinkService->revoke($link);
             
-            $this->addFlash('success', 'Access token regenerated successfully');
+            $this->addFlash('success', sprintf('Access link "%s" revoked successfully', $link->getName()));
         }
 
-        return $this->redirectToRoute('observer_show', ['id' => $observer->getId()], Response::HTTP_SEE_OTHER);
+        return $this->redirectToRoute('observer_show', ['id' => $link->getObserver()->getId()], Response::HTTP_SEE_OTHER);
+    }
+
+    /**
+     * Replace the token of an access link (AJAX)
+     * 
+     * The CSRF token is sent in the X-CSRF-Token header.
+     */
+    #[Route('/links/{id}/refresh-token', name: 'observer_link_refresh_token', methods: ['POST'])]
+    public function refreshLinkToken(Request $request, ObserverAccessLink $link, ObserverAccessLinkService $accessLinkService): JsonResponse
+    {
+        if (!$this->isCsrfTokenValid('refresh'.$link->getId(), $request->headers->get('X-CSRF-Token'))) {
+            return $this->json([
+                'success' => false,
+                'message' => 'Invalid CSRF token',
+            ], Response::HTTP_FORBIDDEN);
+        }
+        
+        if (!$link->isActive()) {
+            return $this->json([
+                'success' => false,
+                'message' => 'Revoked or expired links cannot be refreshed',
+            ], Response::HTTP_CONFLICT);
+        }
+        
+        $accessLinkService->regenerateToken($link);
+        
+        return $this->json([
+            'success' => true,
+            'linkId' => $link->getId(),
+            'newToken' => $link->getToken(),
+            'url' => $this->generateUrl('observer_viewer', ['token' => $link->getToken()], UrlGeneratorInterface::ABSOLUTE_URL),
+        ]);
     }
 
     #[Route('/{id}', name: 'observer_delete', methods: ['POST'])]
@@ -2,32 +2,60 @@
 
 namespace App\Controller;
 
-use App\Entity\Observer;
-use App\Repository\ObserverRepository;
+use App\Entity\ObserverAccessLink;
+use App\Entity\ObserverAccessLog;
+use App\Repository\TileSourceRepository;
+use App\Service\ChangeFeedStreamer;
+use App\Service\ObserverAccessLinkService;
+use App\Service\ObserverAccessLogService;
+use App\Service\ObserverFeedService;
 use App\Service\ObserverRuleService;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 use Symfony\Component\Routing\Annotation\Route;
+use Symfony\Component\HttpKernel\Exception\AccessDeniedHttpException;
+use Symfony\Component\HttpKernel\Exception\GoneHttpException;
 use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
 
 class ObserverViewerController extends AbstractController
 {
+    /**
+     * Observer map opened through an access link
+     * 
+     * The first page view of a browser session counts as a use of the link.
+     * Links with a PIN ask for it before anything is shown.
+     */
     #[Route('/observer/{token}', name: 'observer_viewer', methods: ['GET'])]
     public function view(
         string $token,
-        ObserverRepository $observerRepository,
-        ObserverRuleService $observerRuleService
+        Request $request,
+        ObserverAccessLinkService $accessLinkService,
+        ObserverRuleService $observerRuleService,
+        TileSourceRepository $tileSourceRepository,
+        ObserverAccessLogService $accessLogService
     ): Response {
-        // Find observer by access token
-        $observer = $observerRepository->findByAccessToken($token);
+        $link = $this->findLinkOr404($token, $accessLinkService);
+        $session = $request->getSession();
         
-        if (!$observer) {
-            throw new NotFoundHttpException('Observer not found or invalid token');
+        if (!$link->isActive() || (!$link->isUsable() && !$accessLinkService->isOpened($link, $session))) {
+            return $this->renderUnavailable($link);
+        }
+        
+        if (!$accessLinkService->isUnlocked($link, $session)) {
+            return $this->renderUnlock($link, $token);
         }
         
+        $accessLinkService->open($link, $session);
+        $observer = $link->getObserver();
+        
         // Get filtered geo objects using new rule service (Stage 2 integration)
         // This will apply any configured rules or fallback to default behavior
-        $geoObjects = $observerRuleService->getFilteredGeoObjects($observer);
+        $appliedRules = [];
+        $geoObjects = $observerRuleService->getFilteredGeoObjects($observer, true, $appliedRules);
+        $accessLogService->logAccess($observer, $request, ObserverAccessLog::ENDPOINT_PAGE, count($geoObjects), $appliedRules);
         
         // Debug information
         $map = $observer->getMap();
@@ -42,8 +70,175 @@ class ObserverViewerController extends AbstractController
         
         return $this->render('observer_viewer/view.html.twig', [
             'observer' => $observer,
+            'token' => $token,
             'map' => $map,
             'geoObjects' => $geoObjects,
+            'tileSources' => $tileSourceRepository->getLayerConfigsForMap($map),
+            'geofence' => $observerRuleService->getGeofenceBoundary($observer->getRules()),
+        ]);
+    }
+
+    /**
+     * Check the PIN of an access link and continue to the map
+     */
+    #[Route('/observer/{token}/unlock', name: 'observer_viewer_unlock', methods: ['POST'])]
+    public function unlock(
+        string $token,
+        Request $request,
+        ObserverAccessLinkService $accessLinkService
+    ): Response {
+        $link = $this->findLinkOr404($token, $accessLinkService);
+        
+        if (!$link->isUsable()) {
+            return $this->renderUnavailable($link);
+        }
+        
+        if (!$this->isCsrfTokenValid('unlock'.$token, $request->request->get('_token'))) {
+            return $this->renderUnlock($link, $token, 'Invalid form token. Please try again.');
+        }
+        
+        if (!$accessLinkService->unlock($link, (string) $request->request->get('pin', ''), $request->getSession())) {
+            return $this->renderUnlock($link, $token, $link->isPinLocked()
+                ? sprintf('Too many wrong PINs. Try again in %d minutes.', ObserverAccessLink::PIN_LOCK_MINUTES)
+                : 'Wrong PIN');
+        }
+        
+        return $this->redirectToRoute('observer_viewer', ['token' => $token], Response::HTTP_SEE_OTHER);
+    }
+
+    /**
+     * Current snapshot of objects visible to the observer
+     * 
+     * Counts as a regular observer request for stateful rules.
+     */
+    #[Route('/observer/{token}/objects', name: 'observer_viewer_objects', methods: ['GET'])]
+    public function objects(
+        string $token,
+        Request $request,
+        ObserverAccessLinkService $accessLinkService,
+        ObserverFeedService $observerFeedService,
+        ObserverAccessLogService $accessLogService
+    ): JsonResponse {
+        $observer = $this->findLoadableLink($token, $request, $accessLinkService)->getObserver();
+        $appliedRules = [];
+        $snapshot = $observerFeedService->getSnapshot($observer, true, $appliedRules);
+        $accessLogService->logAccess($observer, $request, ObserverAccessLog::ENDPOINT_REFRESH, count($snapshot['objects']), $appliedRules);
+        
+        return $this->json([
+            'success' => true,
+            'version' => $snapshot['version'],
+            'objects' => array_values($snapshot['objects']),
         ]);
     }
-} 
\ No newline at end of file
+
+    /**
+     * Server-Sent Events stream with object changes
+     * 
+     * Live updates continue an already counted page view, so rules are
+     * evaluated without advancing stateful rule state.
+     */
+    #[Route('/observer/{token}/stream', name: 'observer_viewer_stream', methods: ['GET'])]
+    public function stream(
+        string $token,
+        Request $request,
+        ObserverAccessLinkService $accessLinkService,
+        ObserverFeedService $observerFeedService,
+        ChangeFeedStreamer $changeFeedStreamer
+    ): StreamedResponse {
+        $this->findLoadableLink($token, $request, $accessLinkService);
+        $knownVersion = $request->headers->get('Last-Event-ID') ?? $request->query->get('version');
+        
+        return $changeFeedStreamer->createStreamResponse(
+            fn () => $observerFeedService->refreshSnapshot($token),
+            $knownVersion
+        );
+    }
+
+    /**
+     * Long-poll fallback for clients without EventSource support
+     */
+    #[Route('/observer/{token}/poll', name: 'observer_viewer_poll', methods: ['GET'])]
+    public function poll(
+        string $token,
+        Request $request,
+        ObserverAccessLinkService $accessLinkService,
+        ObserverFeedService $observerFeedService,
+        ChangeFeedStreamer $changeFeedStreamer
+    ): JsonResponse {
+        $this->findLoadableLink($token, $request, $accessLinkService);
+        
+        $result = $changeFeedStreamer->waitForChanges(
+            fn () => $observerFeedService->refreshSnapshot($token),
+            $request->query->get('version')
+        );
+        
+        if ($result === null) {
+            return $this->json([
+                'success' => false,
+                'message' => 'Observer access has been revoked',
+            ], Response::HTTP_GONE);
+        }
+        
+        return $this->json($result);
+    }
+
+    /**
+     * Find access link by token or throw 404
+     */
+    private function findLinkOr404(string $token, ObserverAccessLinkService $accessLinkService): ObserverAccessLink
+    {
+        $link = $accessLinkService->findByToken($token);
+        
+        if (!$link) {
+            throw new NotFoundHttpException('Observer not found or invalid token');
+        }
+        
+        return $link;
+    }
+
+    /**
+     * Find access link the session may load objects through
+     * 
+     * Revoked and expired links are gone, links with a PIN or a use limit
+     * only serve sessions that opened the map page.
+     */
+    private function findLoadableLink(string $token, Request $request, ObserverAccessLinkService $accessLinkService): ObserverAccessLink
+    {
+        $link = $this->findLinkOr404($token, $accessLinkService);
+        
+        if (!$link->isActive()) {
+            throw new GoneHttpException('Observer access has been revoked');
+        }
+        
+        if (!$accessLinkService->canLoadObjects($link, $request->getSession())) {
+            throw new AccessDeniedHttpException('Open the observer link first');
+        }
+        
+        return $link;
+    }
+
+    /**
+     * Page explaining why an access link cannot be opened
+     */
+    private function renderUnavailable(ObserverAccessLink $link): Response
+    {
+        return $this->render('observer_viewer/link_unavailable.html.twig', [
+            'status' => $link->getStatus(),
+        ], new Response('', Response::HTTP_GONE));
+    }
+
+    /**
+     * PIN prompt of an access link
+     * 
+     * Never 200, so the offline service worker does not cache the prompt as
+     * the observer page.
+     */
+    private function renderUnlock(ObserverAccessLink $link, string $token, ?string $error = null): Response
+    {
+        return $this->render('observer_viewer/unlock.html.twig', [
+            'token' => $token,
+            'error' => $error,
+            'locked' => $link->isPinLocked(),
+        ], new Response('', Response::HTTP_UNAUTHORIZED));
+    }
+}
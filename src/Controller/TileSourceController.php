@@ -0,0 +1,83 @@
+<?php
+
+namespace App\Controller;
+
+use App\Entity\TileSource;
+use App\Form\TileSourceType;
+use App\Repository\TileSourceRepository;
+use Doctrine\ORM\EntityManagerInterface;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+
+/**
+ * Management of custom base layers (XYZ, TMS and WMS tile sources)
+ */
+#[Route('/admin/tile-sources')]
+class TileSourceController extends AbstractController
+{
+    #[Route('/', name: 'tile_source_index', methods: ['GET'])]
+    public function index(TileSourceRepository $tileSourceRepository): Response
+    {
+        return $this->render('tile_source/index.html.twig', [
+            'tileSources' => $tileSourceRepository->findBy([], ['name' => 'ASC']),
+        ]);
+    }
+
+    #[Route('/new', name: 'tile_source_new', methods: ['GET', 'POST'])]
+    public function new(Request $request, EntityManagerInterface $entityManager): Response
+    {
+        $tileSource = new TileSource();
+        $form = $this->createForm(TileSourceType::class, $tileSource);
+        $form->handleRequest($request);
+
+        if ($form->isSubmitted() && $form->isValid()) {
+            $entityManager->persist($tileSource);
+            $entityManager->flush();
+
+            $this->addFlash('success', 'Tile source created successfully');
+            return $this->redirectToRoute('tile_source_index');
+        }
+
+        return $this->render('tile_source/new.html.twig', [
+            'tile_source' => $tileSource,
+            'form' => $form,
+        ]);
+    }
+
+    #[Route('/{id}/edit', name: 'tile_source_edit', methods: ['GET', 'POST'])]
+    public function edit(Request $request, TileSource $tileSource, EntityManagerInterface $entityManager): Response
+    {
+        $form = $this->createForm(TileSourceType::class, $tileSource);
+        $form->handleRequest($request);
+
+        if ($form->isSubmitted() && $form->isValid()) {
+            $entityManager->flush();
+
+            $this->addFlash('success', 'Tile source updated successfully');
+            return $this->redirectToRoute('tile_source_index');
+        }
+
+        return $this->render('tile_source/edit.html.twig', [
+            'tile_source' => $tileSource,
+            'form' => $form,
+        ]);
+    }
+
+    #[Route('/{id}', name: 'tile_source_delete', methods: ['POST'])]
+    public function delete(Request $request, TileSource $tileSource, EntityManagerInterface $entityManager): Response
+    {
+        if ($this->isCsrfTokenValid('delete'.$tileSource->getId(), $request->request->get('_token'))) {
+            $name = $tileSource->getName();
+            $entityManager->remove($tileSource);
+            $entityManager->flush();
+
+            $this->addFlash('success', sprintf('Tile source "%s" deleted successfully', $name));
+        } else {
+            $this->addFlash('error', 'Invalid CSRF token. Please try again.');
+        }
+
+        return $this->redirectToRoute('tile_source_index');
+    }
+}
@@ -10,10 +10,12 @@ use Symfony\Component\Validator\Constraints as Assert;
 /**
  * Geographic object entity that uses GeoJSON for geometry representation.
  * Supports Point, Polygon, and Circle (as Point with radius property).
+ * Image overlays are pinned to the map by their corners.
  * Includes visibility settings based on Side IDs.
  */
 #[ORM\Entity(repositoryClass: GeoObjectRepository::class)]
 #[ORM\Table(name: 'geo_objects')]
+#[ORM\Index(columns: ['map_id', 'min_longitude', 'max_longitude'], name: 'idx_geo_object_bounds')]
 #[ORM\HasLifecycleCallbacks]
 class GeoObject
 {
@@ -22,8 +24,9 @@ class GeoObject
     public const GEOM_TYPE_POLYGON = 'Polygon';
     public const GEOM_TYPE_LINESTRING = 'Line';
     
-    // Custom geometry type (not standard GeoJSON)
+    // Custom geometry types (not standard GeoJSON)
     public const GEOM_TYPE_CIRCLE = 'Circle';
+    public const GEOM_TYPE_IMAGE = 'Image';
     
     #[ORM\Id]
     #[ORM\GeneratedValue]
@@ -44,10 +47,24 @@ class GeoObject
     private ?string $iconUrl = null;
 
     /**
-     * GeoJSON geometry type: Point, Polygon, Line or Circle (custom extension)
+     * Scheduled start: the object stays pending (hidden from observers)
+     * until this moment, null means active right away
+     */
+    #[ORM\Column(type: 'datetime_immutable', nullable: true)]
+    private ?\DateTimeImmutable $activeFrom = null;
+
+    /**
+     * Fixed end of the object's life, applies together with TTL
+     * (whichever comes first), null means no fixed end
+     */
+    #[ORM\Column(type: 'datetime_immutable', nullable: true)]
+    private ?\DateTimeImmutable $activeUntil = null;
+
+    /**
+     * GeoJSON geometry type: Point, Polygon, Line, Circle or Image (custom extensions)
      */
     #[ORM\Column(length: 30)]
-    #[Assert\Choice(choices: [self::GEOM_TYPE_POINT, self::GEOM_TYPE_POLYGON, self::GEOM_TYPE_LINESTRING, self::GEOM_TYPE_CIRCLE])]
+    #[Assert\Choice(choices: [self::GEOM_TYPE_POINT, self::GEOM_TYPE_POLYGON, self::GEOM_TYPE_LINESTRING, self::GEOM_TYPE_CIRCLE, self::GEOM_TYPE_IMAGE])]
     private string $geometryType = self::GEOM_TYPE_POINT;
 
     /**
@@ -55,10 +72,30 @@ class GeoObject
      * For points: {"coordinates": [longitude, latitude]}
      * For polygons: {"coordinates": [[[lon1, lat1], [lon2, lat2], ... [lon1, lat1]]]}
      * For circles: {"coordinates": [longitude, latitude], "radius": radiusInMeters}
+     * For images: {"coordinates": [[topLeft, topRight, bottomRight, bottomLeft, topLeft]],
+     *              "imageUrl": url, "opacity": 0..1, "imageSize": [width, height],
+     *              "controlPoints": [{"pixel": [x, y], "coordinates": [longitude, latitude]}, ...]}
      */
     #[ORM\Column(type: 'json')]
     private array $geometry = [];
 
+    /**
+     * Bounding box of the geometry (see getBounds()), kept in sync with it so
+     * bbox queries can be filtered by the database
+     * null for objects saved before the bounds were stored
+     */
+    #[ORM\Column(nullable: true)]
+    private ?float $minLongitude = null;
+
+    #[ORM\Column(nullable: true)]
+    private ?float $minLatitude = null;
+
+    #[ORM\Column(nullable: true)]
+    private ?float $maxLongitude = null;
+
+    #[ORM\Column(nullable: true)]
+    private ?float $maxLatitude = null;
+
     /**
      * Array of Side IDs that can see this object
      * null means visible to all sides
@@ -89,6 +126,7 @@ class GeoObject
     public function setCreatedAtValue(): void
     {
         $this->createdAt = new \DateTimeImmutable();
+        $this->updateStoredBounds();
         
         // Generate hash if not set
         if ($this->hash === null) {
@@ -100,6 +138,7 @@ class GeoObject
     public function setUpdatedAtValue(): void
     {
         $this->updatedAt = new \DateTimeImmutable();
+        $this->updateStoredBounds();
     }
 
     /**
@@ -171,7 +210,7 @@ class GeoObject
 
     public function setGeometryType(string $geometryType): static
     {
-        if (!in_array($geometryType, [self::GEOM_TYPE_POINT, self::GEOM_TYPE_POLYGON, self::GEOM_TYPE_LINESTRING, self::GEOM_TYPE_CIRCLE])) {
+        if (!in_array($geometryType, [self::GEOM_TYPE_POINT, self::GEOM_TYPE_POLYGON, self::GEOM_TYPE_LINESTRING, self::GEOM_TYPE_CIRCLE, self::GEOM_TYPE_IMAGE])) {
             throw new \InvalidArgumentException("Invalid geometry type: $geometryType");
         }
         
@@ -204,9 +243,13 @@ class GeoObject
             case self::GEOM_TYPE_CIRCLE:
                 $this->validateCircleGeometry($geometry);
                 break;
+            case self::GEOM_TYPE_IMAGE:
+                $this->validateImageGeometry($geometry);
+                break;
         }
         
         $this->geometry = $geometry;
+        $this->updateStoredBounds();
 
         return $this;
     }
@@ -355,6 +398,62 @@ class GeoObject
         }
     }
 
+    /**
+     * Validates image overlay geometry (custom extension to GeoJSON)
+     * Corners form a closed polygon ring: top-left, top-right, bottom-right, bottom-left
+     */
+    private function validateImageGeometry(array $geometry): void
+    {
+        $this->validatePolygonGeometry($geometry);
+
+        if (count($geometry['coordinates'][0]) !== 5) {
+            throw new \InvalidArgumentException(
+                'Image geometry must have 4 corners (5 points with closure)'
+            );
+        }
+
+        $imageUrl = $geometry['imageUrl'] ?? null;
+        if (!is_string($imageUrl) || !preg_match('#^(/|https?://)#', $imageUrl)) {
+            throw new \InvalidArgumentException(
+                'Image geometry must have "imageUrl" (absolute path or http(s) URL)'
+            );
+        }
+
+        if (isset($geometry['opacity']) && (!is_numeric($geometry['opacity']) || $geometry['opacity'] < 0 || $geometry['opacity'] > 1)) {
+            throw new \InvalidArgumentException(
+                'Image opacity must be a number between 0 and 1'
+            );
+        }
+
+        if (isset($geometry['imageSize'])) {
+            $size = $geometry['imageSize'];
+            if (!is_array($size) || count($size) !== 2 || !is_numeric($size[0]) || !is_numeric($size[1]) || $size[0] <= 0 || $size[1] <= 0) {
+                throw new \InvalidArgumentException(
+                    'Image size must be [width, height] in pixels'
+                );
+            }
+        }
+
+        if (isset($geometry['controlPoints'])) {
+            if (!is_array($geometry['controlPoints']) || count($geometry['controlPoints']) < 3) {
+                throw new \InvalidArgumentException(
+                    'Image needs at least 3 control points'
+                );
+            }
+
+            foreach ($geometry['controlPoints'] as $controlPoint) {
+                $pixel = $controlPoint['pixel'] ?? null;
+                if (!is_array($pixel) || count($pixel) !== 2 || !is_numeric($pixel[0]) || !is_numeric($pixel[1])) {
+                    throw new \InvalidArgumentException(
+                        'Control point must have "pixel" [x, y] on the image'
+                    );
+                }
+
+                $this->validatePointGeometry(['coordinates' => $controlPoint['coordinates'] ?? null]);
+            }
+        }
+    }
+
     /**
      * Gets array of Side IDs this object is visible to
      * null means visible to all sides
@@ -490,27 +589,92 @@ class GeoObject
         return $this->updatedAt;
     }
 
+    public function getActiveFrom(): ?\DateTimeImmutable
+    {
+        return $this->activeFrom;
+    }
+
+    public function setActiveFrom(?\DateTimeImmutable $activeFrom): static
+    {
+        $this->activeFrom = $activeFrom;
+
+        return $this;
+    }
+
+    public function getActiveUntil(): ?\DateTimeImmutable
+    {
+        return $this->activeUntil;
+    }
+
+    public function setActiveUntil(?\DateTimeImmutable $activeUntil): static
+    {
+        $this->activeUntil = $activeUntil;
+
+        return $this;
+    }
+
     /**
-     * Check if the object has expired based on TTL
+     * Check if the object is scheduled and its start time has not come yet
      */
-    public function isExpired(): bool
+    public function isPending(): bool
     {
-        // If TTL is not set or is 0, object never expires
-        if ($this->ttl === null || $this->ttl === 0) {
-            return false;
+        return $this->activeFrom !== null && new \DateTimeImmutable() < $this->activeFrom;
+    }
+
+    /**
+     * Get time until the scheduled start in seconds
+     *
+     * @return int|null Null if the object is not pending
+     */
+    public function getSecondsUntilActive(): ?int
+    {
+        if (!$this->isPending()) {
+            return null;
         }
-        
-        // Use updatedAt if available, otherwise use createdAt
-        $lastUpdateTime = $this->updatedAt ?? $this->createdAt;
-        
-        if ($lastUpdateTime === null) {
+
+        return $this->activeFrom->getTimestamp() - (new \DateTimeImmutable())->getTimestamp();
+    }
+
+    /**
+     * Get moment the object expires: TTL after the last update (or after the
+     * scheduled start if that is later) or the fixed end, whichever comes first
+     *
+     * @return \DateTimeImmutable|null Null if the object never expires
+     */
+    public function getExpiresAt(): ?\DateTimeImmutable
+    {
+        $expiresAt = null;
+
+        // TTL of null or 0 means the object never expires by TTL
+        if ($this->ttl !== null && $this->ttl > 0) {
+            // Use updatedAt if available, otherwise use createdAt
+            $lastUpdateTime = $this->updatedAt ?? $this->createdAt;
+
+            if ($lastUpdateTime !== null) {
+                $startTime = max($lastUpdateTime, $this->activeFrom ?? $lastUpdateTime);
+                $expiresAt = $startTime->add(new \DateInterval('PT' . $this->ttl . 'S'));
+            }
+        }
+
+        if ($this->activeUntil !== null && ($expiresAt === null || $this->activeUntil < $expiresAt)) {
+            $expiresAt = $this->activeUntil;
+        }
+
+        return $expiresAt;
+    }
+
+    /**
+     * Check if the object has expired based on TTL or its scheduled end
+     */
+    public function isExpired(): bool
+    {
+        $expirationTime = $this->getExpiresAt();
+
+        if ($expirationTime === null) {
             return false;
         }
-        
-        $expirationTime = $lastUpdateTime->add(new \DateInterval('PT' . $this->ttl . 'S'));
-        $currentTime = new \DateTimeImmutable();
-        
-        return $currentTime > $expirationTime;
+
+        return new \DateTimeImmutable() > $expirationTime;
     }
 
     /**
@@ -518,23 +682,14 @@ class GeoObject
      */
     public function getRemainingTtl(): ?int
     {
-        // If TTL is not set or is 0, object never expires
-        if ($this->ttl === null || $this->ttl === 0) {
-            return null;
-        }
-        
-        // Use updatedAt if available, otherwise use createdAt
-        $lastUpdateTime = $this->updatedAt ?? $this->createdAt;
-        
-        if ($lastUpdateTime === null) {
+        $expirationTime = $this->getExpiresAt();
+
+        if ($expirationTime === null) {
             return null;
         }
-        
-        $expirationTime = $lastUpdateTime->add(new \DateInterval('PT' . $this->ttl . 'S'));
-        $currentTime = new \DateTimeImmutable();
-        
-        $remaining = $expirationTime->getTimestamp() - $currentTime->getTimestamp();
-        
+
+        $remaining = $expirationTime->getTimestamp() - (new \DateTimeImmutable())->getTimestamp();
+
         return $remaining > 0 ? $remaining : 0;
     }
     
@@ -674,6 +829,89 @@ class GeoObject
         return $this->geometry['coordinates'] ?? null;
     }
     
+    /**
+     * Gets bounding box of the geometry (circles include their radius)
+     * @return array|null [minLongitude, minLatitude, maxLongitude, maxLatitude]
+     */
+    public function getBounds(): ?array
+    {
+        $coordinates = $this->geometry['coordinates'] ?? null;
+        if (!is_array($coordinates)) {
+            return null;
+        }
+        
+        $positions = match ($this->geometryType) {
+            self::GEOM_TYPE_POINT, self::GEOM_TYPE_CIRCLE => [$coordinates],
+            self::GEOM_TYPE_POLYGON, self::GEOM_TYPE_IMAGE => $coordinates[0] ?? [],
+            default => $coordinates,
+        };
+        
+        $longitudes = array_column($positions, 0);
+        $latitudes = array_column($positions, 1);
+        if (empty($longitudes) || empty($latitudes)) {
+            return null;
+        }
+        
+        $bounds = [min($longitudes), min($latitudes), max($longitudes), max($latitudes)];
+        
+        if ($this->geometryType === self::GEOM_TYPE_CIRCLE) {
+            // Meters to degrees, longitude degrees shrink towards the poles
+            $radius = (float) ($this->geometry['radius'] ?? 0);
+            $latDelta = $radius / 111320;
+            $lngDelta = $latDelta / max(cos(deg2rad($bounds[1])), 0.01);
+            
+            $bounds = [
+                $bounds[0] - $lngDelta,
+                $bounds[1] - $latDelta,
+                $bounds[2] + $lngDelta,
+                $bounds[3] + $latDelta,
+            ];
+        }
+        
+        return $bounds;
+    }
+    
+    /**
+     * Stored bounding box, null for objects saved before it was stored
+     * @return array|null [minLongitude, minLatitude, maxLongitude, maxLatitude]
+     */
+    public function getStoredBounds(): ?array
+    {
+        if ($this->minLongitude === null) {
+            return null;
+        }
+        
+        return [$this->minLongitude, $this->minLatitude, $this->maxLongitude, $this->maxLatitude];
+    }
+    
+    /**
+     * Copy bounding box of the geometry to the columns used by bbox queries
+     */
+    private function updateStoredBounds(): void
+    {
+        $bounds = $this->getBounds();
+        
+        $this->minLongitude = $bounds !== null ? (float) $bounds[0] : null;
+        $this->minLatitude = $bounds !== null ? (float) $bounds[1] : null;
+        $this->maxLongitude = $bounds !== null ? (float) $bounds[2] : null;
+        $this->maxLatitude = $bounds !== null ? (float) $bounds[3] : null;
+    }
+    
+    /**
+     * Checks if geometry bounding box intersects the given box
+     * @param array $bbox [minLongitude, minLatitude, maxLongitude, maxLatitude]
+     */
+    public function intersectsBounds(array $bbox): bool
+    {
+        $bounds = $this->getBounds();
+        if ($bounds === null) {
+            return false;
+        }
+        
+        return $bounds[0] <= $bbox[2] && $bounds[2] >= $bbox[0]
+            && $bounds[1] <= $bbox[3] && $bounds[3] >= $bbox[1];
+    }
+    
     /**
      * Converts this entity to a GeoJSON Feature
      * @return array GeoJSON Feature representation
@@ -709,6 +947,22 @@ class GeoObject
             ];
         }
         
+        // Image overlays are sent as their outline polygon
+        if ($this->geometryType === self::GEOM_TYPE_IMAGE) {
+            $properties['geometryType'] = 'Image';
+            $properties['imageUrl'] = $this->geometry['imageUrl'] ?? null;
+            $properties['opacity'] = $this->geometry['opacity'] ?? null;
+
+            return [
+                'type' => 'Feature',
+                'geometry' => [
+                    'type' => 'Polygon',
+                    'coordinates' => $this->geometry['coordinates']
+                ],
+                'properties' => $properties
+            ];
+        }
+        
         // For standard GeoJSON types (Point, Polygon, LineString)
         return [
             'type' => 'Feature',
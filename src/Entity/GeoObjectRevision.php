@@ -0,0 +1,99 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Entity;
+
+use App\Repository\GeoObjectRevisionRepository;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * State of a geo object after it was created, updated or deleted
+ * Revisions outlive the object itself, so the object is referenced by ID only
+ */
+#[ORM\Entity(repositoryClass: GeoObjectRevisionRepository::class)]
+#[ORM\Table(name: 'geo_object_revisions')]
+#[ORM\Index(columns: ['map_id', 'recorded_at'], name: 'idx_revision_map_time')]
+#[ORM\Index(columns: ['object_id'], name: 'idx_revision_object')]
+class GeoObjectRevision
+{
+    public const ACTION_CREATED = 'created';
+    public const ACTION_UPDATED = 'updated';
+    public const ACTION_DELETED = 'deleted';
+
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\ManyToOne(targetEntity: Map::class)]
+    #[ORM\JoinColumn(nullable: false, onDelete: 'CASCADE')]
+    private ?Map $map = null;
+
+    #[ORM\Column]
+    private int $objectId;
+
+    #[ORM\Column(length: 10)]
+    private string $action;
+
+    /**
+     * Serialized object (GeoObjectService::serializeGeoObject()),
+     * for deleted objects the last state before deletion
+     */
+    #[ORM\Column(type: Types::JSON)]
+    private array $data = [];
+
+    #[ORM\Column(type: Types::DATETIME_IMMUTABLE)]
+    private \DateTimeImmutable $recordedAt;
+
+    /**
+     * Identifier of the user who made the change, null for console/system changes
+     */
+    #[ORM\Column(length: 180, nullable: true)]
+    private ?string $changedBy = null;
+
+    public function __construct(Map $map, int $objectId, string $action, array $data, ?\DateTimeImmutable $recordedAt = null, ?string $changedBy = null)
+    {
+        $this->map = $map;
+        $this->objectId = $objectId;
+        $this->action = $action;
+        $this->data = $data;
+        $this->recordedAt = $recordedAt ?? new \DateTimeImmutable();
+        $this->changedBy = $changedBy;
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getMap(): ?Map
+    {
+        return $this->map;
+    }
+
+    public function getObjectId(): int
+    {
+        return $this->objectId;
+    }
+
+    public function getAction(): string
+    {
+        return $this->action;
+    }
+
+    public function getData(): array
+    {
+        return $this->data;
+    }
+
+    public function getRecordedAt(): \DateTimeImmutable
+    {
+        return $this->recordedAt;
+    }
+
+    public function getChangedBy(): ?string
+    {
+        return $this->changedBy;
+    }
+}
@@ -37,6 +37,19 @@ class Map
     #[Assert\Range(min: 1, max: 20)]
     private int $zoomLevel = 12;
 
+    /**
+     * Name of the base layer shown when the map opens (built-in or tile source)
+     */
+    #[ORM\Column(length: 100, nullable: true)]
+    #[Assert\Length(max: 100)]
+    private ?string $defaultLayer = null;
+
+    /**
+     * Load geo objects only for the visible area (large maps)
+     */
+    #[ORM\Column(type: 'boolean', options: ['default' => false])]
+    private bool $lazyLoadObjects = false;
+
     #[ORM\OneToMany(mappedBy: 'map', targetEntity: GeoObject::class, orphanRemoval: true)]
     private Collection $geoObjects;
 
@@ -114,6 +127,30 @@ class Map
         return $this;
     }
 
+    public function getDefaultLayer(): ?string
+    {
+        return $this->defaultLayer;
+    }
+
+    public function setDefaultLayer(?string $defaultLayer): static
+    {
+        $this->defaultLayer = $defaultLayer !== '' ? $defaultLayer : null;
+
+        return $this;
+    }
+
+    public function isLazyLoadObjects(): bool
+    {
+        return $this->lazyLoadObjects;
+    }
+
+    public function setLazyLoadObjects(bool $lazyLoadObjects): static
+    {
+        $this->lazyLoadObjects = $lazyLoadObjects;
+
+        return $this;
+    }
+
     /**
      * @return Collection<int, GeoObject>
      */
@@ -185,7 +222,9 @@ class Map
             'description' => $this->description,
             'centerLat' => $this->centerLat,
             'centerLng' => $this->centerLng,
-            'zoomLevel' => $this->zoomLevel
+            'zoomLevel' => $this->zoomLevel,
+            'defaultLayer' => $this->defaultLayer,
+            'lazyLoadObjects' => $this->lazyLoadObjects
         ];
     }
     
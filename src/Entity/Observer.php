@@ -9,6 +9,8 @@
 namespace App\Entity;
 
 use App\Repository\ObserverRepository;
+use Doctrine\Common\Collections\ArrayCollection;
+use Doctrine\Common\Collections\Collection;
 use Doctrine\DBAL\Types\Types;
 use Doctrine\ORM\Mapping as ORM;
 use Symfony\Component\Validator\Constraints as Assert;
@@ -43,10 +45,18 @@ class Observer
     #[Assert\NotNull]
     private ?Map $map = null;
 
+    /**
+     * Original single token, observers without access links get it as
+     * their first link so URLs shared before links existed keep working
+     */
     #[ORM\Column(length: 255, unique: true)]
     #[Assert\NotBlank]
     private ?string $accessToken = null;
 
+    #[ORM\OneToMany(mappedBy: 'observer', targetEntity: ObserverAccessLink::class, cascade: ['persist'], orphanRemoval: true)]
+    #[ORM\OrderBy(['createdAt' => 'DESC', 'id' => 'DESC'])]
+    private Collection $accessLinks;
+
     #[ORM\Column(type: Types::JSON)]
     private array $rules = [];
 
@@ -61,6 +71,7 @@ class Observer
         $this->createdAt = new \DateTimeImmutable();
         $this->updatedAt = new \DateTimeImmutable();
         $this->accessToken = $this->generateAccessToken();
+        $this->accessLinks = new ArrayCollection();
     }
 
     public function getId(): ?int
@@ -141,6 +152,35 @@ class Observer
         return $this;
     }
 
+    /**
+     * @return Collection<int, ObserverAccessLink>
+     */
+    public function getAccessLinks(): Collection
+    {
+        return $this->accessLinks;
+    }
+
+    /**
+     * Links that can be opened by a new viewer
+     *
+     * @return ObserverAccessLink[]
+     */
+    public function getUsableAccessLinks(): array
+    {
+        return array_values($this->accessLinks->filter(
+            fn (ObserverAccessLink $link) => $link->isUsable()
+        )->toArray());
+    }
+
+    public function addAccessLink(ObserverAccessLink $accessLink): static
+    {
+        if (!$this->accessLinks->contains($accessLink)) {
+            $this->accessLinks->add($accessLink);
+        }
+
+        return $this;
+    }
+
     public function getRules(): array
     {
         return $this->rules;
@@ -0,0 +1,259 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Entity;
+
+use App\Repository\ObserverAccessLinkRepository;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * Named share link of an observer with its own token
+ * A link stops working when it is revoked, expires or has been opened
+ * maxUses times. An optional PIN is stored as a password hash only
+ */
+#[ORM\Entity(repositoryClass: ObserverAccessLinkRepository::class)]
+#[ORM\Table(name: 'observer_access_links')]
+class ObserverAccessLink
+{
+    public const STATUS_ACTIVE = 'active';
+    public const STATUS_REVOKED = 'revoked';
+    public const STATUS_EXPIRED = 'expired';
+    public const STATUS_USED_UP = 'used_up';
+
+    /**
+     * Wrong PINs in a row before the PIN is locked for PIN_LOCK_MINUTES
+     */
+    public const MAX_PIN_ATTEMPTS = 5;
+    public const PIN_LOCK_MINUTES = 15;
+
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\ManyToOne(targetEntity: Observer::class, inversedBy: 'accessLinks')]
+    #[ORM\JoinColumn(nullable: false, onDelete: 'CASCADE')]
+    private ?Observer $observer = null;
+
+    #[ORM\Column(length: 100)]
+    private string $name;
+
+    #[ORM\Column(length: 255, unique: true)]
+    private string $token;
+
+    #[ORM\Column(type: Types::DATETIME_IMMUTABLE, nullable: true)]
+    private ?\DateTimeImmutable $expiresAt = null;
+
+    #[ORM\Column(nullable: true)]
+    private ?int $maxUses = null;
+
+    #[ORM\Column]
+    private int $useCount = 0;
+
+    #[ORM\Column(length: 255, nullable: true)]
+    private ?string $pinHash = null;
+
+    #[ORM\Column]
+    private int $pinFailures = 0;
+
+    #[ORM\Column(type: Types::DATETIME_IMMUTABLE, nullable: true)]
+    private ?\DateTimeImmutable $pinLockedUntil = null;
+
+    #[ORM\Column(type: Types::DATETIME_IMMUTABLE, nullable: true)]
+    private ?\DateTimeImmutable $lastUsedAt = null;
+
+    #[ORM\Column(type: Types::DATETIME_IMMUTABLE, nullable: true)]
+    private ?\DateTimeImmutable $revokedAt = null;
+
+    #[ORM\Column(type: Types::DATETIME_IMMUTABLE)]
+    private \DateTimeImmutable $createdAt;
+
+    public function __construct(Observer $observer, string $name, ?string $token = null, ?\DateTimeImmutable $expiresAt = null, ?int $maxUses = null, ?string $pin = null)
+    {
+        $this->observer = $observer;
+        $this->name = $name;
+        $this->token = $token ?? $this->generateToken();
+        $this->expiresAt = $expiresAt;
+        $this->maxUses = $maxUses;
+        $this->pinHash = $pin !== null && $pin !== '' ? password_hash($pin, PASSWORD_DEFAULT) : null;
+        $this->createdAt = new \DateTimeImmutable();
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getObserver(): ?Observer
+    {
+        return $this->observer;
+    }
+
+    public function getName(): string
+    {
+        return $this->name;
+    }
+
+    public function getToken(): string
+    {
+        return $this->token;
+    }
+
+    public function getExpiresAt(): ?\DateTimeImmutable
+    {
+        return $this->expiresAt;
+    }
+
+    public function getMaxUses(): ?int
+    {
+        return $this->maxUses;
+    }
+
+    public function getUseCount(): int
+    {
+        return $this->useCount;
+    }
+
+    public function getLastUsedAt(): ?\DateTimeImmutable
+    {
+        return $this->lastUsedAt;
+    }
+
+    public function getRevokedAt(): ?\DateTimeImmutable
+    {
+        return $this->revokedAt;
+    }
+
+    public function getCreatedAt(): \DateTimeImmutable
+    {
+        return $this->createdAt;
+    }
+
+    public function hasPin(): bool
+    {
+        return $this->pinHash !== null;
+    }
+
+    public function isRevoked(): bool
+    {
+        return $this->revokedAt !== null;
+    }
+
+    public function isExpired(?\DateTimeImmutable $now = null): bool
+    {
+        return $this->expiresAt !== null && $this->expiresAt <= ($now ?? new \DateTimeImmutable());
+    }
+
+    public function isUsedUp(): bool
+    {
+        return $this->maxUses !== null && $this->useCount >= $this->maxUses;
+    }
+
+    /**
+     * Neither revoked nor expired: viewers that already opened the link keep
+     * receiving updates even when its uses are exhausted
+     */
+    public function isActive(?\DateTimeImmutable $now = null): bool
+    {
+        return !$this->isRevoked() && !$this->isExpired($now);
+    }
+
+    /**
+     * Link can be opened by a new viewer
+     */
+    public function isUsable(?\DateTimeImmutable $now = null): bool
+    {
+        return $this->isActive($now) && !$this->isUsedUp();
+    }
+
+    /**
+     * One of the STATUS_* constants
+     */
+    public function getStatus(?\DateTimeImmutable $now = null): string
+    {
+        return match (true) {
+            $this->isRevoked() => self::STATUS_REVOKED,
+            $this->isExpired($now) => self::STATUS_EXPIRED,
+            $this->isUsedUp() => self::STATUS_USED_UP,
+            default => self::STATUS_ACTIVE,
+        };
+    }
+
+    /**
+     * Count one opening of the link
+     */
+    public function recordUse(?\DateTimeImmutable $now = null): static
+    {
+        $this->useCount++;
+        $this->lastUsedAt = $now ?? new \DateTimeImmutable();
+
+        return $this;
+    }
+
+    public function revoke(?\DateTimeImmutable $now = null): static
+    {
+        $this->revokedAt ??= $now ?? new \DateTimeImmutable();
+
+        return $this;
+    }
+
+    /**
+     * Replace the token, the previous URL stops working
+     */
+    public function regenerateToken(): static
+    {
+        $this->token = $this->generateToken();
+
+        return $this;
+    }
+
+    public function isPinLocked(?\DateTimeImmutable $now = null): bool
+    {
+        return $this->pinLockedUntil !== null && $this->pinLockedUntil > ($now ?? new \DateTimeImmutable());
+    }
+
+    public function getPinLockedUntil(): ?\DateTimeImmutable
+    {
+        return $this->pinLockedUntil;
+    }
+
+    /**
+     * Check a PIN entered by a viewer
+     *
+     * Wrong PINs are counted, after MAX_PIN_ATTEMPTS in a row the PIN is
+     * locked for PIN_LOCK_MINUTES and every PIN is rejected meanwhile.
+     */
+    public function verifyPin(string $pin, ?\DateTimeImmutable $now = null): bool
+    {
+        $now ??= new \DateTimeImmutable();
+
+        if ($this->pinHash === null) {
+            return true;
+        }
+
+        if ($this->isPinLocked($now)) {
+            return false;
+        }
+
+        if (password_verify($pin, $this->pinHash)) {
+            $this->pinFailures = 0;
+            $this->pinLockedUntil = null;
+
+            return true;
+        }
+
+        $this->pinFailures++;
+        if ($this->pinFailures >= self::MAX_PIN_ATTEMPTS) {
+            $this->pinFailures = 0;
+            $this->pinLockedUntil = $now->modify(sprintf('+%d minutes', self::PIN_LOCK_MINUTES));
+        }
+
+        return false;
+    }
+
+    private function generateToken(): string
+    {
+        return bin2hex(random_bytes(32));
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Entity;
+
+use App\Repository\ObserverAccessLogRepository;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\ORM\Mapping as ORM;
+
+/**
+ * One request of an observer link that was served with rule filtering
+ * The client IP is stored as a keyed hash only, enough to count visitors
+ */
+#[ORM\Entity(repositoryClass: ObserverAccessLogRepository::class)]
+#[ORM\Table(name: 'observer_access_logs')]
+#[ORM\Index(columns: ['observer_id', 'accessed_at'], name: 'idx_access_observer_time')]
+class ObserverAccessLog
+{
+    public const ENDPOINT_PAGE = 'page';
+    public const ENDPOINT_REFRESH = 'refresh';
+
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    #[ORM\ManyToOne(targetEntity: Observer::class)]
+    #[ORM\JoinColumn(nullable: false, onDelete: 'CASCADE')]
+    private ?Observer $observer = null;
+
+    #[ORM\Column(type: Types::DATETIME_IMMUTABLE)]
+    private \DateTimeImmutable $accessedAt;
+
+    #[ORM\Column(length: 10)]
+    private string $endpoint;
+
+    #[ORM\Column(length: 64, nullable: true)]
+    private ?string $ipHash = null;
+
+    #[ORM\Column(length: 255, nullable: true)]
+    private ?string $userAgent = null;
+
+    #[ORM\Column]
+    private int $objectCount = 0;
+
+    /**
+     * Names of the rules that were applied to the request
+     */
+    #[ORM\Column(type: Types::JSON)]
+    private array $rules = [];
+
+    public function __construct(Observer $observer, string $endpoint, int $objectCount, array $rules, ?string $ipHash = null, ?string $userAgent = null, ?\DateTimeImmutable $accessedAt = null)
+    {
+        $this->observer = $observer;
+        $this->endpoint = $endpoint;
+        $this->objectCount = $objectCount;
+        $this->rules = $rules;
+        $this->ipHash = $ipHash;
+        $this->userAgent = $userAgent !== null ? mb_substr($userAgent, 0, 255) : null;
+        $this->accessedAt = $accessedAt ?? new \DateTimeImmutable();
+    }
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getObserver(): ?Observer
+    {
+        return $this->observer;
+    }
+
+    public function getAccessedAt(): \DateTimeImmutable
+    {
+        return $this->accessedAt;
+    }
+
+    public function getEndpoint(): string
+    {
+        return $this->endpoint;
+    }
+
+    public function getIpHash(): ?string
+    {
+        return $this->ipHash;
+    }
+
+    public function getUserAgent(): ?string
+    {
+        return $this->userAgent;
+    }
+
+    public function getObjectCount(): int
+    {
+        return $this->objectCount;
+    }
+
+    public function getRules(): array
+    {
+        return $this->rules;
+    }
+}
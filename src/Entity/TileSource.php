@@ -0,0 +1,271 @@
+<?php
+declare(strict_types=1);
+
+namespace App\Entity;
+
+use App\Repository\TileSourceRepository;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\ORM\Mapping as ORM;
+use Symfony\Component\Validator\Constraints as Assert;
+use Symfony\Component\Validator\Context\ExecutionContextInterface;
+
+/**
+ * Entity representing a custom base layer (self-hosted or third-party tiles)
+ * A source without map is available on all maps
+ */
+#[ORM\Entity(repositoryClass: TileSourceRepository::class)]
+#[ORM\Table(name: 'tile_sources')]
+class TileSource
+{
+    public const TYPE_XYZ = 'xyz';
+    public const TYPE_TMS = 'tms';
+    public const TYPE_WMS = 'wms';
+
+    #[ORM\Id]
+    #[ORM\GeneratedValue]
+    #[ORM\Column]
+    private ?int $id = null;
+
+    /**
+     * Layer name shown in the layer selector
+     */
+    #[ORM\Column(length: 100)]
+    #[Assert\NotBlank(message: "Name cannot be blank")]
+    #[Assert\Length(max: 100)]
+    private ?string $name = null;
+
+    #[ORM\Column(length: 10)]
+    #[Assert\Choice(choices: [self::TYPE_XYZ, self::TYPE_TMS, self::TYPE_WMS])]
+    private string $type = self::TYPE_XYZ;
+
+    /**
+     * Tile URL template (e.g. "https://{s}.tiles.example.com/{z}/{x}/{y}.png")
+     * or WMS service URL
+     */
+    #[ORM\Column(length: 2048)]
+    #[Assert\NotBlank(message: "URL cannot be blank")]
+    #[Assert\Length(max: 2048)]
+    private ?string $urlTemplate = null;
+
+    #[ORM\Column(type: Types::TEXT, nullable: true)]
+    private ?string $attribution = null;
+
+    #[ORM\Column(type: Types::SMALLINT)]
+    #[Assert\Range(min: 0, max: 24)]
+    private int $minZoom = 0;
+
+    #[ORM\Column(type: Types::SMALLINT)]
+    #[Assert\Range(min: 0, max: 24)]
+    private int $maxZoom = 19;
+
+    /**
+     * Subdomains for {s}: "abc" or comma separated ("tile1,tile2")
+     */
+    #[ORM\Column(length: 255, nullable: true)]
+    private ?string $subdomains = null;
+
+    /**
+     * Comma separated WMS layer names (WMS sources only)
+     */
+    #[ORM\Column(length: 255, nullable: true)]
+    private ?string $wmsLayers = null;
+
+    /**
+     * Map the source belongs to, null for all maps
+     */
+    #[ORM\ManyToOne(targetEntity: Map::class)]
+    #[ORM\JoinColumn(nullable: true, onDelete: 'CASCADE')]
+    private ?Map $map = null;
+
+    public function getId(): ?int
+    {
+        return $this->id;
+    }
+
+    public function getName(): ?string
+    {
+        return $this->name;
+    }
+
+    public function setName(string $name): static
+    {
+        $this->name = trim($name);
+
+        return $this;
+    }
+
+    public function getType(): string
+    {
+        return $this->type;
+    }
+
+    public function setType(string $type): static
+    {
+        $this->type = $type;
+
+        return $this;
+    }
+
+    public function getUrlTemplate(): ?string
+    {
+        return $this->urlTemplate;
+    }
+
+    public function setUrlTemplate(string $urlTemplate): static
+    {
+        $this->urlTemplate = trim($urlTemplate);
+
+        return $this;
+    }
+
+    public function getAttribution(): ?string
+    {
+        return $this->attribution;
+    }
+
+    public function setAttribution(?string $attribution): static
+    {
+        $this->attribution = $attribution;
+
+        return $this;
+    }
+
+    public function getMinZoom(): int
+    {
+        return $this->minZoom;
+    }
+
+    public function setMinZoom(int $minZoom): static
+    {
+        $this->minZoom = $minZoom;
+
+        return $this;
+    }
+
+    public function getMaxZoom(): int
+    {
+        return $this->maxZoom;
+    }
+
+    public function setMaxZoom(int $maxZoom): static
+    {
+        $this->maxZoom = $maxZoom;
+
+        return $this;
+    }
+
+    public function getSubdomains(): ?string
+    {
+        return $this->subdomains;
+    }
+
+    public function setSubdomains(?string $subdomains): static
+    {
+        $subdomains = $subdomains !== null ? trim($subdomains) : null;
+        $this->subdomains = $subdomains !== '' ? $subdomains : null;
+
+        return $this;
+    }
+
+    /**
+     * Subdomains as list, "abc" gives ["a", "b", "c"]
+     *
+     * @return string[]
+     */
+    public function getSubdomainList(): array
+    {
+        if ($this->subdomains === null) {
+            return [];
+        }
+
+        if (str_contains($this->subdomains, ',')) {
+            return array_values(array_filter(array_map('trim', explode(',', $this->subdomains))));
+        }
+
+        return str_split($this->subdomains);
+    }
+
+    public function getWmsLayers(): ?string
+    {
+        return $this->wmsLayers;
+    }
+
+    public function setWmsLayers(?string $wmsLayers): static
+    {
+        $this->wmsLayers = $wmsLayers;
+
+        return $this;
+    }
+
+    public function getMap(): ?Map
+    {
+        return $this->map;
+    }
+
+    public function setMap(?Map $map): static
+    {
+        $this->map = $map;
+
+        return $this;
+    }
+
+    /**
+     * Check URL placeholders and zoom range for the source type
+     */
+    #[Assert\Callback]
+    public function validate(ExecutionContextInterface $context): void
+    {
+        if ($this->minZoom > $this->maxZoom) {
+            $context->buildViolation('Min zoom cannot be greater than max zoom')
+                ->atPath('minZoom')
+                ->addViolation();
+        }
+
+        if ($this->type === self::TYPE_WMS) {
+            if (empty($this->wmsLayers)) {
+                $context->buildViolation('WMS sources need at least one layer name')
+                    ->atPath('wmsLayers')
+                    ->addViolation();
+            }
+            return;
+        }
+
+        foreach (['{z}', '{x}', '{y}'] as $placeholder) {
+            if (!str_contains((string) $this->urlTemplate, $placeholder)) {
+                $context->buildViolation(sprintf('URL template must contain %s', $placeholder))
+                    ->atPath('urlTemplate')
+                    ->addViolation();
+            }
+        }
+
+        if (str_contains((string) $this->urlTemplate, '{s}') && empty($this->getSubdomainList())) {
+            $context->buildViolation('URL template uses {s}, please set subdomains')
+                ->atPath('subdomains')
+                ->addViolation();
+        }
+    }
+
+    /**
+     * Returns layer configuration for MapLayers (JavaScript)
+     */
+    public function toArray(): array
+    {
+        return [
+            'id' => $this->id,
+            'name' => $this->name,
+            'type' => $this->type,
+            'url' => $this->urlTemplate,
+            'attribution' => $this->attribution,
+            'minZoom' => $this->minZoom,
+            'maxZoom' => $this->maxZoom,
+            'subdomains' => $this->getSubdomainList(),
+            'wmsLayers' => $this->wmsLayers,
+            'mapId' => $this->map?->getId(),
+        ];
+    }
+
+    public function __toString(): string
+    {
+        return $this->name ?? 'Unnamed Tile Source';
+    }
+}
@@ -0,0 +1,125 @@
+<?php
+
+namespace App\EventListener;
+
+use App\Entity\GeoObject;
+use App\Entity\GeoObjectRevision;
+use App\Service\GeoObjectService;
+use Doctrine\Bundle\DoctrineBundle\Attribute\AsDoctrineListener;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\Event\PostPersistEventArgs;
+use Doctrine\ORM\Event\PostRemoveEventArgs;
+use Doctrine\ORM\Event\PostUpdateEventArgs;
+use Doctrine\ORM\Event\PreRemoveEventArgs;
+use Doctrine\ORM\Events;
+use Symfony\Bundle\SecurityBundle\Security;
+
+/**
+ * Records a GeoObjectRevision for every created, updated and deleted geo object
+ * together with the logged in user who made the change
+ *
+ * Revisions are inserted through DBAL right after the object is written,
+ * within the transaction of the flush: they are rolled back with the change
+ * and the entity manager is never flushed again from inside a flush.
+ * Deleted objects lose their ID once removed, so their last state is taken
+ * when they are scheduled for removal.
+ */
+#[AsDoctrineListener(event: Events::postPersist)]
+#[AsDoctrineListener(event: Events::postUpdate)]
+#[AsDoctrineListener(event: Events::preRemove)]
+#[AsDoctrineListener(event: Events::postRemove)]
+class GeoObjectRevisionListener
+{
+    /**
+     * Revisions of objects scheduled for removal, by spl_object_id()
+     *
+     * @var array<int, array{mapId: int, objectId: int, action: string, data: array, changedBy: ?string}>
+     */
+    private array $pendingRemovals = [];
+
+    public function __construct(
+        private GeoObjectService $geoObjectService,
+        private Security $security
+    ) {
+    }
+
+    public function postPersist(PostPersistEventArgs $args): void
+    {
+        $revision = $this->collect($args->getObject(), GeoObjectRevision::ACTION_CREATED);
+        if ($revision) {
+            $this->insert($args->getObjectManager(), $revision);
+        }
+    }
+
+    public function postUpdate(PostUpdateEventArgs $args): void
+    {
+        $revision = $this->collect($args->getObject(), GeoObjectRevision::ACTION_UPDATED);
+        if ($revision) {
+            $this->insert($args->getObjectManager(), $revision);
+        }
+    }
+
+    public function preRemove(PreRemoveEventArgs $args): void
+    {
+        $entity = $args->getObject();
+        $revision = $this->collect($entity, GeoObjectRevision::ACTION_DELETED);
+        if ($revision) {
+            $this->pendingRemovals[spl_object_id($entity)] = $revision;
+        }
+    }
+
+    public function postRemove(PostRemoveEventArgs $args): void
+    {
+        $id = spl_object_id($args->getObject());
+        if (!isset($this->pendingRemovals[$id])) {
+            return;
+        }
+
+        $revision = $this->pendingRemovals[$id];
+        unset($this->pendingRemovals[$id]);
+
+        // The map is deleted after its objects, its revisions go with it
+        $this->insert($args->getObjectManager(), $revision);
+    }
+
+    /**
+     * Revision row for a geo object, null for other entities
+     */
+    private function collect(object $entity, string $action): ?array
+    {
+        if (!$entity instanceof GeoObject || $entity->getId() === null || $entity->getMap()?->getId() === null) {
+            return null;
+        }
+
+        return [
+            'mapId' => $entity->getMap()->getId(),
+            'objectId' => $entity->getId(),
+            'action' => $action,
+            'data' => $this->geoObjectService->serializeGeoObject($entity),
+            'changedBy' => $this->security->getUser()?->getUserIdentifier(),
+        ];
+    }
+
+    /**
+     * Insert revision row on the connection of the running flush
+     */
+    private function insert(EntityManagerInterface $entityManager, array $revision): void
+    {
+        $metadata = $entityManager->getClassMetadata(GeoObjectRevision::class);
+        $columns = [
+            $metadata->getSingleAssociationJoinColumnName('map') => [$revision['mapId'], Types::INTEGER],
+            $metadata->getColumnName('objectId') => [$revision['objectId'], Types::INTEGER],
+            $metadata->getColumnName('action') => [$revision['action'], Types::STRING],
+            $metadata->getColumnName('data') => [$revision['data'], Types::JSON],
+            $metadata->getColumnName('recordedAt') => [new \DateTimeImmutable(), Types::DATETIME_IMMUTABLE],
+            $metadata->getColumnName('changedBy') => [$revision['changedBy'], Types::STRING],
+        ];
+
+        $entityManager->getConnection()->insert(
+            $metadata->getTableName(),
+            array_map(fn (array $column) => $column[0], $columns),
+            array_map(fn (array $column) => $column[1], $columns)
+        );
+    }
+}
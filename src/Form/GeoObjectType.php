@@ -8,6 +8,7 @@ use App\Entity\Side;
 use Symfony\Bridge\Doctrine\Form\Type\EntityType;
 use Symfony\Component\Form\AbstractType;
 use Symfony\Component\Form\Extension\Core\Type\ChoiceType;
+use Symfony\Component\Form\Extension\Core\Type\DateTimeType;
 use Symfony\Component\Form\Extension\Core\Type\HiddenType;
 use Symfony\Component\Form\Extension\Core\Type\IntegerType;
 use Symfony\Component\Form\Extension\Core\Type\TextareaType;
@@ -80,6 +81,8 @@ class GeoObjectType extends AbstractType
                     'class' => Side::class,
                     'choice_label' => 'name',
                     'choice_value' => 'id',
+                    // Used to match imported KML style colors to sides
+                    'choice_attr' => fn (Side $side) => ['data-color' => $side->getColor()],
                     'label' => 'Side',
                     'required' => false,
                     'placeholder' => 'Select side (optional)',
@@ -88,6 +91,24 @@ class GeoObjectType extends AbstractType
                     ]
                 ]
             )
+            ->add(
+                'visibleToSides',
+                EntityType::class,
+                [
+                    'class' => Side::class,
+                    'choice_label' => 'name',
+                    'choice_value' => 'id',
+                    // Stored as side IDs, filled in by geoObjectForm.js
+                    'mapped' => false,
+                    'multiple' => true,
+                    'label' => 'Visible to sides',
+                    'required' => false,
+                    'attr' => [
+                        'class' => 'form-control geo-object-visible-sides',
+                        'size' => 3
+                    ]
+                ]
+            )
             ->add(
                 'ttl',
                 ChoiceType::class,
@@ -117,6 +138,34 @@ class GeoObjectType extends AbstractType
                     ]
                 ]
             )
+            ->add(
+                'activeFrom',
+                DateTimeType::class,
+                [
+                    'label' => 'Active from',
+                    'required' => false,
+                    'widget' => 'single_text',
+                    'input' => 'datetime_immutable',
+                    'help' => 'Hidden from observers until then (optional)',
+                    'attr' => [
+                        'class' => 'form-control geo-object-active-from'
+                    ]
+                ]
+            )
+            ->add(
+                'activeUntil',
+                DateTimeType::class,
+                [
+                    'label' => 'Active until',
+                    'required' => false,
+                    'widget' => 'single_text',
+                    'input' => 'datetime_immutable',
+                    'help' => 'Expires at this time, together with TTL (optional)',
+                    'attr' => [
+                        'class' => 'form-control geo-object-active-until'
+                    ]
+                ]
+            )
             ->add(
                 'iconUrl',
                 TextType::class,
@@ -141,7 +190,8 @@ class GeoObjectType extends AbstractType
                         'Point' => 'Point',
                         'Polygon' => 'Polygon',
                         'Line' => 'Line',
-                        'Circle' => 'Circle'
+                        'Circle' => 'Circle',
+                        'Image overlay' => 'Image'
                     ],
                     'constraints' => [
                         new NotBlank(
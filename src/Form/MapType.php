@@ -4,6 +4,7 @@ namespace App\Form;
 
 use App\Entity\Map;
 use Symfony\Component\Form\AbstractType;
+use Symfony\Component\Form\Extension\Core\Type\CheckboxType;
 use Symfony\Component\Form\Extension\Core\Type\HiddenType;
 use Symfony\Component\Form\Extension\Core\Type\TextareaType;
 use Symfony\Component\Form\Extension\Core\Type\TextType;
@@ -31,6 +32,16 @@ class MapType extends AbstractType
                     'placeholder' => 'Enter map description (optional)'
                 ]
             ])
+            ->add('lazyLoadObjects', CheckboxType::class, [
+                'label' => 'Load objects for the visible area only',
+                'required' => false,
+                'attr' => [
+                    'class' => 'form-check-input'
+                ],
+                'label_attr' => [
+                    'class' => 'form-check-label'
+                ]
+            ])
             ->add('centerLat', HiddenType::class, [
                 'attr' => [
                     'id' => 'map_centerLat'
@@ -45,6 +56,12 @@ class MapType extends AbstractType
                 'attr' => [
                     'id' => 'map_zoomLevel'
                 ]
+            ])
+            ->add('defaultLayer', HiddenType::class, [
+                'required' => false,
+                'attr' => [
+                    'id' => 'map_defaultLayer'
+                ]
             ]);
     }
 
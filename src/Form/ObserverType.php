@@ -4,6 +4,7 @@ namespace App\Form;
 
 use App\Entity\Observer;
 use App\Entity\Map;
+use App\Service\Rule\RuleFactoryInterface;
 use Symfony\Bridge\Doctrine\Form\Type\EntityType;
 use Symfony\Component\Form\AbstractType;
 use Symfony\Component\Form\Extension\Core\Type\TextType;
@@ -11,9 +12,16 @@ use Symfony\Component\Form\Extension\Core\Type\TextareaType;
 use Symfony\Component\Form\FormBuilderInterface;
 use Symfony\Component\OptionsResolver\OptionsResolver;
 use Symfony\Component\Form\CallbackTransformer;
+use Symfony\Component\Validator\Constraints\Callback;
+use Symfony\Component\Validator\Context\ExecutionContextInterface;
 
 class ObserverType extends AbstractType
 {
+    public function __construct(
+        private RuleFactoryInterface $ruleFactory
+    ) {
+    }
+
     public function buildForm(FormBuilderInterface $builder, array $options): void
     {
         $builder
@@ -52,14 +60,17 @@ class ObserverType extends AbstractType
                 'placeholder' => 'Select a map'
             ])
             ->add('rules', TextareaType::class, [
-                'label' => 'Rules (JSON)',
+                'label' => 'Rules',
                 'required' => false,
                 'attr' => [
                     'class' => 'form-control',
                     'rows' => 8,
-                    'placeholder' => 'Enter rules as JSON format, e.g.: {"view_range": 1000, "max_requests": 100}'
+                    'placeholder' => 'Enter rules as JSON format, e.g.: {"SideIdRule": [1], "request_limit": {"limit": 100}}'
                 ],
-                'help' => 'Enter rules in JSON format. Leave empty for default rules.'
+                'help' => 'Rules in JSON format, kept in sync with the rule builder above. Leave empty for default rules.',
+                'constraints' => [
+                    new Callback([$this, 'validateRules'])
+                ]
             ]);
 
         // Add transformer for rules field to handle JSON conversion
@@ -77,6 +88,21 @@ class ObserverType extends AbstractType
             ));
     }
 
+    /**
+     * Report rule configuration errors on the rules field
+     * (no rules means default behavior and is always valid)
+     */
+    public function validateRules(mixed $rules, ExecutionContextInterface $context): void
+    {
+        if (!is_array($rules) || empty($rules)) {
+            return;
+        }
+
+        foreach ($this->ruleFactory->validateConfig($rules) as $error) {
+            $context->buildViolation($error)->addViolation();
+        }
+    }
+
     public function configureOptions(OptionsResolver $resolver): void
     {
         $resolver->setDefaults([
@@ -0,0 +1,87 @@
+<?php
+
+namespace App\Form;
+
+use App\Entity\Map;
+use App\Entity\TileSource;
+use Symfony\Bridge\Doctrine\Form\Type\EntityType;
+use Symfony\Component\Form\AbstractType;
+use Symfony\Component\Form\Extension\Core\Type\ChoiceType;
+use Symfony\Component\Form\Extension\Core\Type\IntegerType;
+use Symfony\Component\Form\Extension\Core\Type\TextareaType;
+use Symfony\Component\Form\Extension\Core\Type\TextType;
+use Symfony\Component\Form\FormBuilderInterface;
+use Symfony\Component\OptionsResolver\OptionsResolver;
+
+class TileSourceType extends AbstractType
+{
+    public function buildForm(FormBuilderInterface $builder, array $options): void
+    {
+        $builder
+            ->add('name', TextType::class, [
+                'label' => 'Layer Name',
+                'attr' => [
+                    'placeholder' => 'Name shown in the layer selector'
+                ]
+            ])
+            ->add('type', ChoiceType::class, [
+                'label' => 'Source Type',
+                'choices' => [
+                    'XYZ tiles' => TileSource::TYPE_XYZ,
+                    'TMS tiles' => TileSource::TYPE_TMS,
+                    'WMS service' => TileSource::TYPE_WMS,
+                ]
+            ])
+            ->add('urlTemplate', TextType::class, [
+                'label' => 'URL',
+                'help' => 'XYZ/TMS: template with {z}, {x}, {y} and optional {s}, e.g. https://{s}.tiles.example.com/{z}/{x}/{y}.png. WMS: service URL.',
+                'attr' => [
+                    'placeholder' => 'https://tiles.example.com/{z}/{x}/{y}.png'
+                ]
+            ])
+            ->add('subdomains', TextType::class, [
+                'label' => 'Subdomains',
+                'required' => false,
+                'help' => 'Values for {s}: "abc" or comma separated list',
+            ])
+            ->add('wmsLayers', TextType::class, [
+                'label' => 'WMS Layers',
+                'required' => false,
+                'help' => 'Comma separated layer names (WMS only)',
+            ])
+            ->add('minZoom', IntegerType::class, [
+                'label' => 'Min Zoom',
+                'attr' => ['min' => 0, 'max' => 24]
+            ])
+            ->add('maxZoom', IntegerType::class, [
+                'label' => 'Max Zoom',
+                'attr' => ['min' => 0, 'max' => 24]
+            ])
+            ->add('attribution', TextareaType::class, [
+                'label' => 'Attribution',
+                'required' => false,
+                'attr' => [
+                    'rows' => 2,
+                    'placeholder' => 'Copyright notice shown on the map (HTML allowed)'
+                ]
+            ])
+            ->add('map', EntityType::class, [
+                'label' => 'Map',
+                'class' => Map::class,
+                'choice_label' => 'title',
+                'required' => false,
+                'placeholder' => 'All maps',
+            ])
+        ;
+    }
+
+    public function configureOptions(OptionsResolver $resolver): void
+    {
+        $resolver->setDefaults([
+            'data_class' => TileSource::class,
+            'csrf_protection' => true,
+            'csrf_field_name' => '_token',
+            'csrf_token_id' => 'tile_source',
+        ]);
+    }
+}
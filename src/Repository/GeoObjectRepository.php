@@ -93,6 +93,30 @@ class GeoObjectRepository extends ServiceEntityRepository
         return $qb->getQuery()->getResult();
     }
     
+    /**
+     * Find geo objects of a map whose stored bounding box intersects the box
+     * 
+     * Objects saved before bounds were stored have none and are returned as
+     * well, callers check them with GeoObject::intersectsBounds().
+     * 
+     * @param array $bbox [minLongitude, minLatitude, maxLongitude, maxLatitude]
+     */
+    public function findByMapInBounds(Map $map, array $bbox): array
+    {
+        [$minLng, $minLat, $maxLng, $maxLat] = $bbox;
+        
+        return $this->createQueryBuilder('g')
+            ->where('g.map = :map')
+            ->andWhere('g.minLongitude IS NULL OR (g.minLongitude <= :maxLng AND g.maxLongitude >= :minLng AND g.minLatitude <= :maxLat AND g.maxLatitude >= :minLat)')
+            ->setParameter('map', $map)
+            ->setParameter('minLng', $minLng)
+            ->setParameter('minLat', $minLat)
+            ->setParameter('maxLng', $maxLng)
+            ->setParameter('maxLat', $maxLat)
+            ->getQuery()
+            ->getResult();
+    }
+    
     /**
      * Find all geo objects on the given map visible to the given side
      */
@@ -456,6 +480,49 @@ class GeoObjectRepository extends ServiceEntityRepository
         return $result;
     }
     
+    /**
+     * Skip objects that are pending (start time not reached) or past their
+     * scheduled end
+     *
+     * @param QueryBuilder $qb Query on geo objects aliased "g"
+     * @param \DateTimeImmutable|null $now Reference time, defaults to now
+     */
+    public function addScheduleConstraint(QueryBuilder $qb, ?\DateTimeImmutable $now = null): void
+    {
+        $qb->andWhere('g.activeFrom IS NULL OR g.activeFrom <= :scheduleNow')
+           ->andWhere('g.activeUntil IS NULL OR g.activeUntil > :scheduleNow')
+           ->setParameter('scheduleNow', $now ?? new \DateTimeImmutable());
+    }
+    
+    /**
+     * Skip objects whose TTL ran out and scheduled objects outside their
+     * start/end times
+     *
+     * @param QueryBuilder $qb Query on geo objects aliased "g"
+     * @param \DateTimeImmutable|null $now Reference time, defaults to now
+     */
+    public function addActiveConstraint(QueryBuilder $qb, ?\DateTimeImmutable $now = null): void
+    {
+        $now ??= new \DateTimeImmutable();
+        
+        $qb->andWhere($qb->expr()->orX(
+            // Objects without TTL or with TTL = 0 (never expire)
+            'g.ttl IS NULL OR g.ttl = 0',
+            
+            // Objects with TTL > 0 that haven't expired based on createdAt
+            'g.ttl > 0 AND DATE_ADD(g.createdAt, g.ttl, \'second\') > :now',
+            
+            // Objects with TTL > 0 that haven't expired based on updatedAt
+            'g.updatedAt IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.updatedAt, g.ttl, \'second\') > :now',
+            
+            // Scheduled objects with TTL > 0 counted from their start
+            'g.activeFrom IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.activeFrom, g.ttl, \'second\') > :now'
+        ));
+        $qb->setParameter('now', $now);
+        
+        $this->addScheduleConstraint($qb, $now);
+    }
+    
     /**
      * Add visibility constraint to the query based on the side
      */
@@ -660,11 +727,16 @@ class GeoObjectRepository extends ServiceEntityRepository
                     'g.ttl > 0 AND DATE_ADD(g.createdAt, g.ttl, \'second\') > :now',
                     
                     // Objects with TTL > 0 that haven't expired based on updatedAt
-                    'g.updatedAt IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.updatedAt, g.ttl, \'second\') > :now'
+                    'g.updatedAt IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.updatedAt, g.ttl, \'second\') > :now',
+                    
+                    // Scheduled objects with TTL > 0 counted from their start
+                    'g.activeFrom IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.activeFrom, g.ttl, \'second\') > :now'
                 )
             )
             ->setParameter('now', $now);
         
+        $this->addScheduleConstraint($qb, $now);
+        
         $this->addVisibilityConstraint($qb, $side);
         
         return $qb->getQuery()->getResult();
@@ -693,11 +765,16 @@ class GeoObjectRepository extends ServiceEntityRepository
                     'g.ttl > 0 AND DATE_ADD(g.createdAt, g.ttl, \'second\') > :now',
                     
                     // Objects with TTL > 0 that haven't expired based on updatedAt
-                    'g.updatedAt IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.updatedAt, g.ttl, \'second\') > :now'
+                    'g.updatedAt IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.updatedAt, g.ttl, \'second\') > :now',
+                    
+                    // Scheduled objects with TTL > 0 counted from their start
+                    'g.activeFrom IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.activeFrom, g.ttl, \'second\') > :now'
                 )
             )
             ->setParameter('now', $now);
         
+        $this->addScheduleConstraint($qb, $now);
+        
         // NOTE: We intentionally do NOT call addVisibilityConstraint here
         // Observer should see ALL active objects regardless of side visibility
         
@@ -713,24 +790,11 @@ class GeoObjectRepository extends ServiceEntityRepository
      */
     public function findActiveByMap(Map $map, ?Side $side = null): array
     {
-        $now = new \DateTimeImmutable();
-        
         $qb = $this->createQueryBuilder('g')
             ->where('g.map = :map')
-            ->setParameter('map', $map)
-            ->andWhere(
-                $this->getEntityManager()->getExpressionBuilder()->orX(
-                    // Objects without TTL or with TTL = 0 (never expire)
-                    'g.ttl IS NULL OR g.ttl = 0',
-                    
-                    // Objects with TTL > 0 that haven't expired based on createdAt
-                    'g.ttl > 0 AND DATE_ADD(g.createdAt, g.ttl, \'second\') > :now',
-                    
-                    // Objects with TTL > 0 that haven't expired based on updatedAt
-                    'g.updatedAt IS NOT NULL AND g.ttl > 0 AND DATE_ADD(g.updatedAt, g.ttl, \'second\') > :now'
-                )
-            )
-            ->setParameter('now', $now);
+            ->setParameter('map', $map);
+        
+        $this->addActiveConstraint($qb);
         
         $this->addVisibilityConstraint($qb, $side);
         
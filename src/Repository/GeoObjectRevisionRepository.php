@@ -0,0 +1,44 @@
+<?php
+
+namespace App\Repository;
+
+use App\Entity\GeoObjectRevision;
+use App\Entity\Map;
+use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
+use Doctrine\Persistence\ManagerRegistry;
+
+/**
+ * @extends ServiceEntityRepository<GeoObjectRevision>
+ *
+ * @method GeoObjectRevision|null find($id, $lockMode = null, $lockVersion = null)
+ * @method GeoObjectRevision|null findOneBy(array $criteria, array $orderBy = null)
+ * @method GeoObjectRevision[]    findAll()
+ * @method GeoObjectRevision[]    findBy(array $criteria, array $orderBy = null, $limit = null, $offset = null)
+ */
+class GeoObjectRevisionRepository extends ServiceEntityRepository
+{
+    public function __construct(ManagerRegistry $registry)
+    {
+        parent::__construct($registry, GeoObjectRevision::class);
+    }
+
+    /**
+     * All revisions of a map, oldest first
+     *
+     * @return GeoObjectRevision[]
+     */
+    public function findByMapChronological(Map $map): array
+    {
+        return $this->findBy(['map' => $map], ['recordedAt' => 'ASC', 'id' => 'ASC']);
+    }
+
+    /**
+     * All revisions of one geo object, oldest first
+     *
+     * @return GeoObjectRevision[]
+     */
+    public function findByObjectChronological(int $objectId): array
+    {
+        return $this->findBy(['objectId' => $objectId], ['recordedAt' => 'ASC', 'id' => 'ASC']);
+    }
+}
@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Repository;
+
+use App\Entity\Observer;
+use App\Entity\ObserverAccessLink;
+use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
+use Doctrine\Persistence\ManagerRegistry;
+
+/**
+ * @extends ServiceEntityRepository<ObserverAccessLink>
+ *
+ * @method ObserverAccessLink|null find($id, $lockMode = null, $lockVersion = null)
+ * @method ObserverAccessLink|null findOneBy(array $criteria, array $orderBy = null)
+ * @method ObserverAccessLink[]    findAll()
+ * @method ObserverAccessLink[]    findBy(array $criteria, array $orderBy = null, $limit = null, $offset = null)
+ */
+class ObserverAccessLinkRepository extends ServiceEntityRepository
+{
+    public function __construct(ManagerRegistry $registry)
+    {
+        parent::__construct($registry, ObserverAccessLink::class);
+    }
+
+    /**
+     * Find link by token, whatever its status
+     */
+    public function findOneByToken(string $token): ?ObserverAccessLink
+    {
+        return $this->findOneBy(['token' => $token]);
+    }
+
+    /**
+     * Links of an observer, newest first
+     *
+     * @return ObserverAccessLink[]
+     */
+    public function findByObserver(Observer $observer): array
+    {
+        return $this->findBy(['observer' => $observer], ['createdAt' => 'DESC', 'id' => 'DESC']);
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+
+namespace App\Repository;
+
+use App\Entity\Observer;
+use App\Entity\ObserverAccessLog;
+use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
+use Doctrine\DBAL\ArrayParameterType;
+use Doctrine\DBAL\Types\Types;
+use Doctrine\Persistence\ManagerRegistry;
+
+/**
+ * @extends ServiceEntityRepository<ObserverAccessLog>
+ *
+ * @method ObserverAccessLog|null find($id, $lockMode = null, $lockVersion = null)
+ * @method ObserverAccessLog|null findOneBy(array $criteria, array $orderBy = null)
+ * @method ObserverAccessLog[]    findAll()
+ * @method ObserverAccessLog[]    findBy(array $criteria, array $orderBy = null, $limit = null, $offset = null)
+ */
+class ObserverAccessLogRepository extends ServiceEntityRepository
+{
+    public function __construct(ManagerRegistry $registry)
+    {
+        parent::__construct($registry, ObserverAccessLog::class);
+    }
+
+    /**
+     * Latest accesses of an observer, newest first
+     *
+     * @return ObserverAccessLog[]
+     */
+    public function findRecentByObserver(Observer $observer, int $limit = 50): array
+    {
+        return $this->findBy(['observer' => $observer], ['accessedAt' => 'DESC', 'id' => 'DESC'], $limit);
+    }
+
+    /**
+     * Access totals per observer
+     *
+     * @param Observer[] $observers Observers to count
+     * @return array<int, array{accesses: int, visitors: int, lastAccessedAt: string}> indexed by observer ID
+     */
+    public function getTotalsByObserver(array $observers): array
+    {
+        if (empty($observers)) {
+            return [];
+        }
+
+        $rows = $this->createQueryBuilder('l')
+            ->select('IDENTITY(l.observer) AS observerId')
+            ->addSelect('COUNT(l.id) AS accesses')
+            ->addSelect('COUNT(DISTINCT l.ipHash) AS visitors')
+            ->addSelect('MAX(l.accessedAt) AS lastAccessedAt')
+            ->where('l.observer IN (:observers)')
+            ->setParameter('observers', $observers)
+            ->groupBy('l.observer')
+            ->getQuery()
+            ->getScalarResult();
+
+        $totals = [];
+        foreach ($rows as $row) {
+            $totals[(int) $row['observerId']] = [
+                'accesses' => (int) $row['accesses'],
+                'visitors' => (int) $row['visitors'],
+                'lastAccessedAt' => $row['lastAccessedAt'],
+            ];
+        }
+
+        return $totals;
+    }
+
+    /**
+     * Accesses per observer and day since the given moment, for charts
+     *
+     * Grouped by the database (DQL has no DATE function), so only one row
+     * per observer and day is loaded whatever the traffic.
+     *
+     * @param Observer[] $observers Observers to count
+     * @return array<int, array<string, int>> Counts by 'Y-m-d' date, indexed by observer ID
+     */
+    public function countByDaySince(\DateTimeImmutable $since, array $observers): array
+    {
+        $observerIds = array_values(array_filter(array_map(
+            fn (Observer $observer) => $observer->getId(),
+            $observers
+        )));
+        if (empty($observerIds)) {
+            return [];
+        }
+
+        $rows = $this->getEntityManager()->getConnection()->executeQuery(
+            'SELECT observer_id, DATE(accessed_at) AS day, COUNT(id) AS accesses
+             FROM observer_access_logs
+             WHERE observer_id IN (:observers) AND accessed_at >= :since
+             GROUP BY observer_id, DATE(accessed_at)',
+            ['observers' => $observerIds, 'since' => $since],
+            ['observers' => ArrayParameterType::INTEGER, 'since' => Types::DATETIME_IMMUTABLE]
+        )->fetchAllAssociative();
+
+        $counts = [];
+        foreach ($rows as $row) {
+            $counts[(int) $row['observer_id']][substr((string) $row['day'], 0, 10)] = (int) $row['accesses'];
+        }
+
+        return $counts;
+    }
+}
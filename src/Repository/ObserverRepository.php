@@ -18,13 +18,18 @@ class ObserverRepository extends ServiceEntityRepository
     }
 
     /**
-     * Find observer by access token
+     * Find observer by the token of an access link that is neither revoked
+     * nor expired
      */
     public function findByAccessToken(string $accessToken): ?Observer
     {
         return $this->createQueryBuilder('o')
-            ->andWhere('o.accessToken = :token')
+            ->innerJoin('o.accessLinks', 'l')
+            ->andWhere('l.token = :token')
+            ->andWhere('l.revokedAt IS NULL')
+            ->andWhere('l.expiresAt IS NULL OR l.expiresAt > :now')
             ->setParameter('token', $accessToken)
+            ->setParameter('now', new \DateTimeImmutable())
             ->getQuery()
             ->getOneOrNullResult();
     }
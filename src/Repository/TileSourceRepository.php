@@ -0,0 +1,59 @@
+<?php
+
+namespace App\Repository;
+
+use App\Entity\Map;
+use App\Entity\TileSource;
+use Doctrine\Bundle\DoctrineBundle\Repository\ServiceEntityRepository;
+use Doctrine\Persistence\ManagerRegistry;
+
+/**
+ * @extends ServiceEntityRepository<TileSource>
+ *
+ * @method TileSource|null find($id, $lockMode = null, $lockVersion = null)
+ * @method TileSource|null findOneBy(array $criteria, array $orderBy = null)
+ * @method TileSource[]    findAll()
+ * @method TileSource[]    findBy(array $criteria, array $orderBy = null, $limit = null, $offset = null)
+ */
+class TileSourceRepository extends ServiceEntityRepository
+{
+    public function __construct(ManagerRegistry $registry)
+    {
+        parent::__construct($registry, TileSource::class);
+    }
+
+    /**
+     * Find global sources and sources of the given map
+     *
+     * @param Map|null $map Map being displayed, null for global sources only
+     * @return TileSource[]
+     */
+    public function findAvailableForMap(?Map $map): array
+    {
+        $queryBuilder = $this->createQueryBuilder('t')
+            ->orderBy('t.name', 'ASC');
+
+        if ($map !== null && $map->getId() !== null) {
+            $queryBuilder
+                ->andWhere('t.map IS NULL OR t.map = :map')
+                ->setParameter('map', $map);
+        } else {
+            $queryBuilder->andWhere('t.map IS NULL');
+        }
+
+        return $queryBuilder->getQuery()->getResult();
+    }
+
+    /**
+     * Layer configurations of sources available for the map
+     *
+     * @return array[] Result of TileSource::toArray() for each source
+     */
+    public function getLayerConfigsForMap(?Map $map): array
+    {
+        return array_map(
+            fn (TileSource $source) => $source->toArray(),
+            $this->findAvailableForMap($map)
+        );
+    }
+}
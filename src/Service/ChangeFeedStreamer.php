@@ -0,0 +1,168 @@
+<?php
+
+/**
+ * Change Feed Streamer
+ *
+ * Delivers geo object snapshot changes over Server-Sent Events or long-polling
+ */
+
+namespace App\Service;
+
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+/**
+ * Change Feed Streamer
+ *
+ * Transport shared by live feeds. A feed is described by a loader callable
+ * returning a fresh snapshot (see GeoObjectSnapshotService::createSnapshot())
+ * or null when the feed source is gone (revoked token, deleted map).
+ *
+ * Each request stays open for at most REQUEST_DURATION seconds; SSE clients
+ * reconnect automatically and send the last version in Last-Event-ID.
+ */
+class ChangeFeedStreamer
+{
+    /**
+     * How long a single stream / long-poll request stays open (seconds)
+     */
+    public const REQUEST_DURATION = 30;
+
+    /**
+     * Delay between change checks inside a request (seconds)
+     */
+    public const CHECK_INTERVAL = 3;
+
+    public function __construct(
+        private GeoObjectSnapshotService $snapshotService
+    ) {
+    }
+
+    /**
+     * Create Server-Sent Events response
+     *
+     * Sends a full `snapshot` event on connect (unless the client already has
+     * the current version), then `changes` events with added/updated/removed
+     * diffs, or a `gone` event when the loader returns null.
+     *
+     * @param callable(): ?array $loader Snapshot loader
+     * @param string|null $knownVersion Version the client already has
+     * @return StreamedResponse
+     */
+    public function createStreamResponse(callable $loader, ?string $knownVersion): StreamedResponse
+    {
+        $response = new StreamedResponse(function () use ($loader, $knownVersion) {
+            set_time_limit(self::REQUEST_DURATION + 10);
+
+            echo "retry: 3000\n\n";
+
+            $snapshot = $loader();
+            if ($snapshot === null) {
+                $this->sendEvent('gone', $knownVersion ?? '', ['message' => 'Feed is no longer available']);
+                return;
+            }
+
+            if ($snapshot['version'] !== $knownVersion) {
+                $this->sendEvent('snapshot', $snapshot['version'], [
+                    'version' => $snapshot['version'],
+                    'objects' => array_values($snapshot['objects']),
+                ]);
+            } else {
+                $this->flushOutput();
+            }
+
+            $deadline = time() + self::REQUEST_DURATION;
+            while (time() < $deadline && !connection_aborted()) {
+                sleep(self::CHECK_INTERVAL);
+
+                $current = $loader();
+                if ($current === null) {
+                    $this->sendEvent('gone', $snapshot['version'], ['message' => 'Feed is no longer available']);
+                    return;
+                }
+
+                if ($current['version'] === $snapshot['version']) {
+                    // Comment line keeps proxies from closing an idle connection
+                    echo ": keepalive\n\n";
+                    $this->flushOutput();
+                    continue;
+                }
+
+                $diff = $this->snapshotService->diff($snapshot['objects'], $current['objects']);
+                $this->sendEvent('changes', $current['version'], ['version' => $current['version']] + $diff);
+                $snapshot = $current;
+            }
+        });
+
+        $response->headers->set('Content-Type', 'text/event-stream');
+        $response->headers->set('Cache-Control', 'no-cache');
+        $response->headers->set('X-Accel-Buffering', 'no');
+
+        return $response;
+    }
+
+    /**
+     * Wait until snapshot version differs from the known one (long-poll)
+     *
+     * @param callable(): ?array $loader Snapshot loader
+     * @param string|null $knownVersion Version the client already has
+     * @return array|null Response payload or null when the feed is gone
+     */
+    public function waitForChanges(callable $loader, ?string $knownVersion): ?array
+    {
+        set_time_limit(self::REQUEST_DURATION + 10);
+
+        $snapshot = $loader();
+        $deadline = time() + self::REQUEST_DURATION;
+
+        while ($snapshot !== null
+            && $snapshot['version'] === $knownVersion
+            && time() < $deadline
+            && !connection_aborted()
+        ) {
+            sleep(self::CHECK_INTERVAL);
+            $snapshot = $loader();
+        }
+
+        if ($snapshot === null) {
+            return null;
+        }
+
+        if ($snapshot['version'] === $knownVersion) {
+            return [
+                'success' => true,
+                'changed' => false,
+                'version' => $snapshot['version'],
+            ];
+        }
+
+        return [
+            'success' => true,
+            'changed' => true,
+            'version' => $snapshot['version'],
+            'objects' => array_values($snapshot['objects']),
+        ];
+    }
+
+    /**
+     * Write a single Server-Sent Event and flush it to the client
+     */
+    private function sendEvent(string $event, string $id, array $data): void
+    {
+        echo "event: {$event}\n";
+        echo "id: {$id}\n";
+        echo 'data: ' . json_encode($data) . "\n\n";
+
+        $this->flushOutput();
+    }
+
+    /**
+     * Flush PHP output buffers
+     */
+    private function flushOutput(): void
+    {
+        if (ob_get_level() > 0) {
+            ob_flush();
+        }
+        flush();
+    }
+}
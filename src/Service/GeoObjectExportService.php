@@ -0,0 +1,443 @@
+<?php
+
+/**
+ * GeoObject Export Service
+ *
+ * Converts map geo objects to GeoJSON, KML and GPX documents
+ */
+
+namespace App\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Map;
+use App\Repository\GeoObjectRepository;
+
+/**
+ * GeoObject Export Service
+ *
+ * Circles are not part of GeoJSON/KML: GeoJSON gets a Point with a "radius"
+ * property (the form GeoJSON import understands), KML gets a polygon
+ * approximation. Image overlays are exported as their outline polygon with
+ * the image URL. GPX only has waypoints and tracks, so it contains points
+ * and lines only.
+ */
+class GeoObjectExportService
+{
+    /**
+     * Supported formats: format => [content type, file extension]
+     */
+    public const FORMATS = [
+        'geojson' => ['application/geo+json', 'geojson'],
+        'kml' => ['application/vnd.google-earth.kml+xml', 'kml'],
+        'gpx' => ['application/gpx+xml', 'gpx'],
+    ];
+
+    /**
+     * Number of polygon vertices used to approximate a circle in KML
+     */
+    private const CIRCLE_SEGMENTS = 64;
+
+    private const EARTH_RADIUS = 6371008.8;
+
+    public function __construct(
+        private GeoObjectRepository $geoObjectRepository
+    ) {
+    }
+
+    /**
+     * Export geo objects of a map
+     *
+     * @param Map $map Map to export
+     * @param string $format One of FORMATS keys
+     * @param int[] $hiddenSideIds Skip objects belonging to these sides
+     * @param bool $activeOnly Skip expired and pending objects
+     * @return array ['content' => string, 'contentType' => string, 'filename' => string]
+     */
+    public function export(Map $map, string $format, array $hiddenSideIds = [], bool $activeOnly = false): array
+    {
+        if (!isset(self::FORMATS[$format])) {
+            throw new \InvalidArgumentException("Unsupported export format: $format");
+        }
+
+        $geoObjects = $this->filterGeoObjects(
+            $this->geoObjectRepository->findBy(['map' => $map]),
+            $hiddenSideIds,
+            $activeOnly
+        );
+
+        $content = match ($format) {
+            'geojson' => json_encode($this->toGeoJson($geoObjects), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+            'kml' => $this->toKml($map, $geoObjects),
+            'gpx' => $this->toGpx($map, $geoObjects),
+        };
+
+        [$contentType, $extension] = self::FORMATS[$format];
+
+        return [
+            'content' => $content,
+            'contentType' => $contentType,
+            'filename' => $this->createFilename($map, $extension),
+        ];
+    }
+
+    /**
+     * Apply the same side and TTL filters as the map sidebar
+     *
+     * @param GeoObject[] $geoObjects
+     * @param int[] $hiddenSideIds
+     * @param bool $activeOnly
+     * @return GeoObject[]
+     */
+    public function filterGeoObjects(array $geoObjects, array $hiddenSideIds, bool $activeOnly): array
+    {
+        return array_values(array_filter(
+            $geoObjects,
+            function (GeoObject $geoObject) use ($hiddenSideIds, $activeOnly) {
+                $side = $geoObject->getSide();
+                if ($side && in_array($side->getId(), $hiddenSideIds, true)) {
+                    return false;
+                }
+
+                return !$activeOnly || (!$geoObject->isExpired() && !$geoObject->isPending());
+            }
+        ));
+    }
+
+    /**
+     * Build GeoJSON FeatureCollection
+     *
+     * @param GeoObject[] $geoObjects
+     * @return array
+     */
+    public function toGeoJson(array $geoObjects): array
+    {
+        $features = [];
+
+        foreach ($geoObjects as $geoObject) {
+            $coordinates = $geoObject->getGeometry()['coordinates'] ?? null;
+            if ($coordinates === null) {
+                continue;
+            }
+
+            $geometryType = match ($geoObject->getGeometryType()) {
+                GeoObject::GEOM_TYPE_POLYGON, GeoObject::GEOM_TYPE_IMAGE => 'Polygon',
+                GeoObject::GEOM_TYPE_LINESTRING => 'LineString',
+                default => 'Point', // Point and circle center
+            };
+
+            $properties = [
+                'name' => $geoObject->getName(),
+                'description' => $geoObject->getDescription(),
+                'objectType' => $geoObject->getGeometryType(),
+                'hash' => $geoObject->getHash(),
+                'ttl' => $geoObject->getTtl(),
+                'iconUrl' => $geoObject->getIconUrl(),
+                'side' => $geoObject->getSide()?->getName(),
+                'sideId' => $geoObject->getSide()?->getId(),
+                'createdAt' => $geoObject->getCreatedAt()?->format(DATE_ATOM),
+                'updatedAt' => $geoObject->getUpdatedAt()?->format(DATE_ATOM),
+            ];
+
+            if ($geoObject->getGeometryType() === GeoObject::GEOM_TYPE_CIRCLE) {
+                $properties['radius'] = $geoObject->getGeometry()['radius'] ?? null;
+            }
+
+            if ($geoObject->getGeometryType() === GeoObject::GEOM_TYPE_IMAGE) {
+                $properties['imageUrl'] = $geoObject->getGeometry()['imageUrl'] ?? null;
+                $properties['opacity'] = $geoObject->getGeometry()['opacity'] ?? null;
+            }
+
+            // simplestyle-spec colors, understood by most GeoJSON viewers
+            if ($geoObject->getSide()) {
+                $properties['stroke'] = $geoObject->getSide()->getColor();
+                $properties['fill'] = $geoObject->getSide()->getColor();
+                $properties['marker-color'] = $geoObject->getSide()->getColor();
+            }
+
+            $features[] = [
+                'type' => 'Feature',
+                'id' => $geoObject->getId(),
+                'geometry' => [
+                    'type' => $geometryType,
+                    'coordinates' => $coordinates,
+                ],
+                'properties' => $properties,
+            ];
+        }
+
+        return [
+            'type' => 'FeatureCollection',
+            'features' => $features,
+        ];
+    }
+
+    /**
+     * Build KML document with one style per side
+     *
+     * @param Map $map
+     * @param GeoObject[] $geoObjects
+     * @return string
+     */
+    public function toKml(Map $map, array $geoObjects): string
+    {
+        $xml = $this->createXmlWriter();
+        $xml->startElement('kml');
+        $xml->writeAttribute('xmlns', 'http://www.opengis.net/kml/2.2');
+        $xml->startElement('Document');
+        $xml->writeElement('name', (string) $map->getTitle());
+
+        // Styles for sides used by exported objects
+        $this->writeKmlStyle($xml, 'no-side', '#3388ff');
+        $sides = [];
+        foreach ($geoObjects as $geoObject) {
+            $side = $geoObject->getSide();
+            if ($side && !isset($sides[$side->getId()])) {
+                $sides[$side->getId()] = true;
+                $this->writeKmlStyle($xml, 'side-' . $side->getId(), (string) $side->getColor());
+            }
+        }
+
+        foreach ($geoObjects as $geoObject) {
+            $geometry = $geoObject->getGeometry();
+            if (!isset($geometry['coordinates'])) {
+                continue;
+            }
+
+            $xml->startElement('Placemark');
+            $xml->writeElement('name', (string) $geoObject->getName());
+            if ($geoObject->getDescription()) {
+                $xml->writeElement('description', $geoObject->getDescription());
+            }
+            $xml->writeElement(
+                'styleUrl',
+                '#' . ($geoObject->getSide() ? 'side-' . $geoObject->getSide()->getId() : 'no-side')
+            );
+
+            $xml->startElement('ExtendedData');
+            $extendedData = [
+                'objectType' => $geoObject->getGeometryType(),
+                'hash' => $geoObject->getHash(),
+                'ttl' => $geoObject->getTtl(),
+                'side' => $geoObject->getSide()?->getName(),
+                'iconUrl' => $geoObject->getIconUrl(),
+                'radius' => $geometry['radius'] ?? null,
+                'imageUrl' => $geometry['imageUrl'] ?? null,
+            ];
+            foreach (array_filter($extendedData, fn ($value) => $value !== null && $value !== '') as $name => $value) {
+                $xml->startElement('Data');
+                $xml->writeAttribute('name', $name);
+                $xml->writeElement('value', (string) $value);
+                $xml->endElement();
+            }
+            $xml->endElement(); // ExtendedData
+
+            switch ($geoObject->getGeometryType()) {
+                case GeoObject::GEOM_TYPE_POLYGON:
+                case GeoObject::GEOM_TYPE_IMAGE:
+                    $this->writeKmlPolygon($xml, $geometry['coordinates']);
+                    break;
+                case GeoObject::GEOM_TYPE_LINESTRING:
+                    $xml->startElement('LineString');
+                    $xml->writeElement('tessellate', '1');
+                    $xml->writeElement('coordinates', $this->formatKmlCoordinates($geometry['coordinates']));
+                    $xml->endElement();
+                    break;
+                case GeoObject::GEOM_TYPE_CIRCLE:
+                    $this->writeKmlPolygon($xml, [
+                        $this->approximateCircle($geometry['coordinates'], (float) ($geometry['radius'] ?? 0)),
+                    ]);
+                    break;
+                default:
+                    $xml->startElement('Point');
+                    $xml->writeElement('coordinates', $this->formatKmlCoordinates([$geometry['coordinates']]));
+                    $xml->endElement();
+            }
+
+            $xml->endElement(); // Placemark
+        }
+
+        $xml->endElement(); // Document
+        $xml->endElement(); // kml
+
+        return $xml->outputMemory();
+    }
+
+    /**
+     * Build GPX 1.1 document (points as waypoints, lines as tracks)
+     *
+     * @param Map $map
+     * @param GeoObject[] $geoObjects
+     * @return string
+     */
+    public function toGpx(Map $map, array $geoObjects): string
+    {
+        $xml = $this->createXmlWriter();
+        $xml->startElement('gpx');
+        $xml->writeAttribute('version', '1.1');
+        $xml->writeAttribute('creator', 'Tactical Maps');
+        $xml->writeAttribute('xmlns', 'http://www.topografix.com/GPX/1/1');
+
+        $xml->startElement('metadata');
+        $xml->writeElement('name', (string) $map->getTitle());
+        $xml->endElement();
+
+        $points = array_filter($geoObjects, fn (GeoObject $geoObject) => $geoObject->getGeometryType() === GeoObject::GEOM_TYPE_POINT);
+        $lines = array_filter($geoObjects, fn (GeoObject $geoObject) => $geoObject->getGeometryType() === GeoObject::GEOM_TYPE_LINESTRING);
+
+        // GPX schema requires all waypoints before tracks
+        foreach ($points as $geoObject) {
+            $coordinates = $geoObject->getGeometry()['coordinates'] ?? null;
+            if (!$coordinates) {
+                continue;
+            }
+
+            $xml->startElement('wpt');
+            $xml->writeAttribute('lat', (string) $coordinates[1]);
+            $xml->writeAttribute('lon', (string) $coordinates[0]);
+            $this->writeGpxInfo($xml, $geoObject);
+            $xml->endElement();
+        }
+
+        foreach ($lines as $geoObject) {
+            $coordinates = $geoObject->getGeometry()['coordinates'] ?? null;
+            if (!$coordinates) {
+                continue;
+            }
+
+            $xml->startElement('trk');
+            $this->writeGpxInfo($xml, $geoObject);
+            $xml->startElement('trkseg');
+            foreach ($coordinates as $point) {
+                $xml->startElement('trkpt');
+                $xml->writeAttribute('lat', (string) $point[1]);
+                $xml->writeAttribute('lon', (string) $point[0]);
+                $xml->endElement();
+            }
+            $xml->endElement(); // trkseg
+            $xml->endElement(); // trk
+        }
+
+        $xml->endElement(); // gpx
+
+        return $xml->outputMemory();
+    }
+
+    private function createXmlWriter(): \XMLWriter
+    {
+        $xml = new \XMLWriter();
+        $xml->openMemory();
+        $xml->setIndent(true);
+        $xml->setIndentString('  ');
+        $xml->startDocument('1.0', 'UTF-8');
+
+        return $xml;
+    }
+
+    /**
+     * Write KML style; KML colors are aabbggrr
+     */
+    private function writeKmlStyle(\XMLWriter $xml, string $id, string $hexColor): void
+    {
+        $hex = strtolower(ltrim($hexColor, '#'));
+        if (!preg_match('/^[0-9a-f]{6}$/', $hex)) {
+            $hex = '3388ff';
+        }
+        $bgr = substr($hex, 4, 2) . substr($hex, 2, 2) . substr($hex, 0, 2);
+
+        $xml->startElement('Style');
+        $xml->writeAttribute('id', $id);
+
+        $xml->startElement('IconStyle');
+        $xml->writeElement('color', 'ff' . $bgr);
+        $xml->endElement();
+
+        $xml->startElement('LineStyle');
+        $xml->writeElement('color', 'ff' . $bgr);
+        $xml->writeElement('width', '2');
+        $xml->endElement();
+
+        $xml->startElement('PolyStyle');
+        $xml->writeElement('color', '4d' . $bgr); // ~30% opacity, same as the map
+        $xml->endElement();
+
+        $xml->endElement(); // Style
+    }
+
+    /**
+     * Write KML polygon: first ring is outer boundary, others are holes
+     */
+    private function writeKmlPolygon(\XMLWriter $xml, array $rings): void
+    {
+        $xml->startElement('Polygon');
+
+        foreach (array_values($rings) as $index => $ring) {
+            $xml->startElement($index === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs');
+            $xml->startElement('LinearRing');
+            $xml->writeElement('coordinates', $this->formatKmlCoordinates($ring));
+            $xml->endElement();
+            $xml->endElement();
+        }
+
+        $xml->endElement();
+    }
+
+    /**
+     * Format [[lng, lat], ...] as KML "lng,lat lng,lat"
+     */
+    private function formatKmlCoordinates(array $points): string
+    {
+        return implode(' ', array_map(fn (array $point) => $point[0] . ',' . $point[1], $points));
+    }
+
+    /**
+     * Approximate circle as closed ring of [lng, lat] points
+     *
+     * @param array $center [longitude, latitude]
+     * @param float $radius Radius in meters
+     * @return array
+     */
+    private function approximateCircle(array $center, float $radius): array
+    {
+        $lat1 = deg2rad($center[1]);
+        $lng1 = deg2rad($center[0]);
+        $distance = $radius / self::EARTH_RADIUS;
+        $ring = [];
+
+        for ($i = 0; $i < self::CIRCLE_SEGMENTS; $i++) {
+            $bearing = 2 * M_PI * $i / self::CIRCLE_SEGMENTS;
+
+            $lat2 = asin(sin($lat1) * cos($distance) + cos($lat1) * sin($distance) * cos($bearing));
+            $lng2 = $lng1 + atan2(
+                sin($bearing) * sin($distance) * cos($lat1),
+                cos($distance) - sin($lat1) * sin($lat2)
+            );
+
+            $ring[] = [round(rad2deg($lng2), 7), round(rad2deg($lat2), 7)];
+        }
+
+        $ring[] = $ring[0];
+
+        return $ring;
+    }
+
+    private function writeGpxInfo(\XMLWriter $xml, GeoObject $geoObject): void
+    {
+        $xml->writeElement('name', (string) $geoObject->getName());
+        if ($geoObject->getDescription()) {
+            $xml->writeElement('desc', $geoObject->getDescription());
+        }
+        if ($geoObject->getSide()) {
+            $xml->writeElement('type', (string) $geoObject->getSide()->getName());
+        }
+    }
+
+    /**
+     * File name based on map title, e.g. "operation-alpha.kml"
+     */
+    private function createFilename(Map $map, string $extension): string
+    {
+        $slug = strtolower(trim((string) preg_replace('/[^A-Za-z0-9]+/', '-', (string) $map->getTitle()), '-'));
+
+        return ($slug !== '' ? $slug : 'map-' . $map->getId()) . '.' . $extension;
+    }
+}
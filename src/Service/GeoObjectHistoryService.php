@@ -0,0 +1,142 @@
+<?php
+
+/**
+ * Geo Object History Service
+ *
+ * Revision log of a single geo object with restore of earlier states
+ */
+
+namespace App\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\GeoObjectRevision;
+use App\Repository\GeoObjectRevisionRepository;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Geo Object History Service
+ *
+ * Lists the recorded revisions of a geo object with the fields each one
+ * changed, and restores an object to the state of an earlier revision.
+ * Restoring is an ordinary update, so it is recorded as a new revision.
+ */
+class GeoObjectHistoryService
+{
+    /**
+     * Fields compared between revisions, in display order
+     */
+    public const TRACKED_FIELDS = ['title', 'description', 'type', 'geoJson', 'sideId', 'visibleToSides', 'ttl', 'activeFrom', 'activeUntil', 'iconUrl'];
+
+    /**
+     * Serialized fields computed at read time, meaningless in a stored state
+     */
+    private const VOLATILE_FIELDS = ['isExpired', 'remainingTtl', 'isPending', 'secondsUntilActive'];
+
+    public function __construct(
+        private GeoObjectRevisionRepository $revisionRepository,
+        private GeoObjectService $geoObjectService
+    ) {
+    }
+
+    /**
+     * Get revision log of a geo object, newest first
+     *
+     * @param GeoObject $geoObject Geo object
+     * @return array ['success', 'objectId', 'revisions'] each revision with
+     *               the fields changed compared to the previous one
+     */
+    public function getHistory(GeoObject $geoObject): array
+    {
+        $revisions = [];
+        $previous = null;
+
+        foreach ($this->revisionRepository->findByObjectChronological($geoObject->getId()) as $revision) {
+            $data = $revision->getData();
+            foreach (self::VOLATILE_FIELDS as $field) {
+                unset($data[$field]);
+            }
+
+            $revisions[] = [
+                'id' => $revision->getId(),
+                'action' => $revision->getAction(),
+                'recordedAt' => $revision->getRecordedAt()->format('c'),
+                'changedBy' => $revision->getChangedBy(),
+                'changes' => $previous === null ? [] : $this->getChangedFields($previous, $data),
+                'object' => $data,
+            ];
+            $previous = $data;
+        }
+
+        return [
+            'success' => true,
+            'objectId' => $geoObject->getId(),
+            'revisions' => array_reverse($revisions),
+        ];
+    }
+
+    /**
+     * Restore geo object to the state of one of its revisions
+     *
+     * @param GeoObject $geoObject Geo object to restore
+     * @param int $revisionId Revision of this object
+     * @return array Result of GeoObjectService::updateGeoObject()
+     */
+    public function restoreRevision(GeoObject $geoObject, int $revisionId): array
+    {
+        $revision = $this->revisionRepository->find($revisionId);
+
+        if (!$revision || $revision->getObjectId() !== $geoObject->getId()) {
+            return [
+                'success' => false,
+                'message' => 'Revision not found for this object',
+                'status' => Response::HTTP_NOT_FOUND
+            ];
+        }
+
+        if ($revision->getAction() === GeoObjectRevision::ACTION_DELETED) {
+            return [
+                'success' => false,
+                'message' => 'Deleted revisions cannot be restored',
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+
+        $data = $revision->getData();
+
+        // updateGeoObject() skips null values, empty ones clear the field
+        $result = $this->geoObjectService->updateGeoObject($geoObject, [
+            'title' => $data['title'] ?? $geoObject->getName(),
+            'description' => $data['description'] ?? '',
+            'type' => $data['type'] ?? $geoObject->getGeometryType(),
+            'geoJson' => $data['geoJson'] ?? $geoObject->getGeometry(),
+            'sideId' => $data['sideId'] ?? '',
+            'visibleToSides' => $data['visibleToSides'] ?? [],
+            'ttl' => $data['ttl'] ?? 0,
+            'iconUrl' => $data['iconUrl'] ?? '',
+            'activeFrom' => $data['activeFrom'] ?? '',
+            'activeUntil' => $data['activeUntil'] ?? '',
+        ]);
+
+        if ($result['success']) {
+            $result['message'] = 'Geo object restored to revision from ' . $revision->getRecordedAt()->format('Y-m-d H:i:s');
+            $result['restoredRevision'] = $revision->getId();
+        }
+
+        return $result;
+    }
+
+    /**
+     * Tracked fields that differ between two serialized states
+     *
+     * @param array $previous Earlier state
+     * @param array $current Later state
+     * @return string[]
+     */
+    private function getChangedFields(array $previous, array $current): array
+    {
+        return array_values(array_filter(
+            self::TRACKED_FIELDS,
+            fn (string $field) => ($previous[$field] ?? null) != ($current[$field] ?? null)
+        ));
+    }
+}
@@ -13,6 +13,11 @@ use Symfony\Component\HttpFoundation\Response;
 
 class GeoObjectService
 {
+    /**
+     * Maximum number of objects accepted by one batch request
+     */
+    public const BATCH_LIMIT = 500;
+    
     private EntityManagerInterface $entityManager;
     private GeoObjectRepository $geoObjectRepository;
     private MapRepository $mapRepository;
@@ -85,27 +90,6 @@ class GeoObjectService
                 ];
             }
             
-            // Create a new GeoObject
-            $geoObject = new GeoObject();
-            $geoObject->setName($data['title']);
-            $geoObject->setDescription($data['description'] ?? '');
-            $geoObject->setGeometryType($data['type']);
-            $geoObject->setTtl($data['ttl'] ?? 0);
-            $geoObject->setMap($map); // Set the map
-            
-            // Set side if provided
-            if (isset($data['sideId']) && !empty($data['sideId'])) {
-                $side = $this->sideRepository->find($data['sideId']);
-                if ($side) {
-                    $geoObject->setSide($side);
-                }
-            }
-            
-            // Set icon URL if provided
-            if (isset($data['iconUrl']) && !empty($data['iconUrl'])) {
-                $geoObject->setIconUrl($data['iconUrl']);
-            }
-            
             // Process GeoJSON
             $geoJsonData = is_string($data['geoJson']) ? json_decode($data['geoJson'], true) : $data['geoJson'];
             if (json_last_error() !== JSON_ERROR_NONE) {
@@ -115,14 +99,9 @@ class GeoObjectService
                     'status' => 400
                 ];
             }
-            $geoObject->setGeometry($geoJsonData);
             
-            // Generate hash, if it is not provided
-            if (empty($data['hash'])) {
-                $geoObject->setHash(bin2hex(random_bytes(16)));
-            } else {
-                $geoObject->setHash($data['hash']);
-            }
+            // Create a new GeoObject
+            $geoObject = $this->buildGeoObject($map, ['geoJson' => $geoJsonData] + $data);
             
             // Save to database
             $this->entityManager->persist($geoObject);
@@ -135,6 +114,12 @@ class GeoObjectService
                 'status' => 201
             ];
             
+        } catch (\InvalidArgumentException $e) {
+            return [
+                'success' => false,
+                'message' => $e->getMessage(),
+                'status' => 400
+            ];
         } catch (\Exception $e) {
             return [
                 'success' => false,
@@ -144,6 +129,80 @@ class GeoObjectService
         }
     }
     
+    /**
+     * Create several GeoObjects on one map (bulk import)
+     *
+     * Each item has the same format as createGeoObject() data. Valid items
+     * are saved, invalid ones are skipped and reported by their index.
+     *
+     * @param array $data ['mapId' => int, 'objects' => array]
+     * @return array
+     */
+    public function createGeoObjectsBatch(array $data): array
+    {
+        $items = $data['objects'] ?? null;
+        if (!is_array($items) || empty($items)) {
+            return [
+                'success' => false,
+                'message' => 'No objects provided',
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+        
+        if (count($items) > self::BATCH_LIMIT) {
+            return [
+                'success' => false,
+                'message' => sprintf('Too many objects, maximum is %d per request', self::BATCH_LIMIT),
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+        
+        $map = empty($data['mapId']) ? null : $this->mapRepository->find($data['mapId']);
+        if (!$map) {
+            return [
+                'success' => false,
+                'message' => 'Map not found',
+                'status' => Response::HTTP_NOT_FOUND
+            ];
+        }
+        
+        $created = [];
+        $errors = [];
+        
+        foreach (array_values($items) as $index => $item) {
+            try {
+                $geoObject = $this->buildGeoObject($map, is_array($item) ? $item : []);
+                $this->entityManager->persist($geoObject);
+                $created[] = $geoObject;
+            } catch (\InvalidArgumentException $e) {
+                $errors[] = [
+                    'index' => $index,
+                    'message' => $e->getMessage()
+                ];
+            }
+        }
+        
+        try {
+            if (!empty($created)) {
+                $this->entityManager->flush();
+            }
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'message' => 'Error creating GeoObjects: ' . $e->getMessage(),
+                'status' => Response::HTTP_INTERNAL_SERVER_ERROR
+            ];
+        }
+        
+        return [
+            'success' => !empty($created),
+            'message' => sprintf('Imported %d of %d objects', count($created), count($items)),
+            'objects' => array_map(fn (GeoObject $geoObject) => $this->serializeGeoObject($geoObject), $created),
+            'errors' => $errors,
+            'status' => empty($created) ? Response::HTTP_UNPROCESSABLE_ENTITY : Response::HTTP_CREATED
+        ];
+    }
+    
     /**
      * Update existing GeoObject
      */
@@ -176,6 +235,18 @@ class GeoObjectService
                 $geoObject->setTtl($data['ttl']);
             }
             
+            // Update schedule and side visibility if provided, empty values clear them
+            try {
+                $this->applySchedule($geoObject, $data);
+                $this->applyVisibleToSides($geoObject, $data);
+            } catch (\InvalidArgumentException $e) {
+                return [
+                    'success' => false,
+                    'message' => $e->getMessage(),
+                    'status' => Response::HTTP_BAD_REQUEST
+                ];
+            }
+            
             // Update side if provided
             if (isset($data['sideId'])) {
                 if (!empty($data['sideId'])) {
@@ -290,6 +361,49 @@ class GeoObjectService
         }
     }
     
+    /**
+     * Get GeoObjects of a map that intersect a bounding box
+     *
+     * @param string $bbox "minLng,minLat,maxLng,maxLat"
+     */
+    public function getGeoObjectsByMapInBounds(Map $map, string $bbox): array
+    {
+        $bounds = $this->parseBbox($bbox);
+        if ($bounds === null) {
+            return [
+                'success' => false,
+                'message' => 'Invalid bbox, expected "minLng,minLat,maxLng,maxLat"',
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+        
+        try {
+            // The query filters by stored bounds, objects without them are checked here
+            $geoObjects = $this->geoObjectRepository->findByMapInBounds($map, $bounds);
+            
+            $result = [];
+            foreach ($geoObjects as $object) {
+                if ($object->intersectsBounds($bounds)) {
+                    $result[] = $this->serializeGeoObject($object);
+                }
+            }
+            
+            return [
+                'success' => true,
+                'bbox' => $bounds,
+                'objects' => $result,
+                'status' => Response::HTTP_OK
+            ];
+            
+        } catch (\Exception $e) {
+            return [
+                'success' => false,
+                'message' => 'Error fetching geo objects: ' . $e->getMessage(),
+                'status' => Response::HTTP_INTERNAL_SERVER_ERROR
+            ];
+        }
+    }
+    
     /**
      * Get one GeoObject by ID
      */
@@ -392,10 +506,180 @@ class GeoObjectService
         }
     }
     
+    /**
+     * Parse "minLng,minLat,maxLng,maxLat" into numbers
+     *
+     * @return array|null Null when format or ranges are invalid
+     */
+    public function parseBbox(string $bbox): ?array
+    {
+        $parts = explode(',', $bbox);
+        if (count($parts) !== 4) {
+            return null;
+        }
+        
+        $bounds = [];
+        foreach ($parts as $part) {
+            if (!is_numeric(trim($part))) {
+                return null;
+            }
+            $bounds[] = (float) $part;
+        }
+        
+        [$minLng, $minLat, $maxLng, $maxLat] = $bounds;
+        if ($minLng > $maxLng || $minLat > $maxLat
+            || $minLng < -180 || $maxLng > 180 || $minLat < -90 || $maxLat > 90) {
+            return null;
+        }
+        
+        return $bounds;
+    }
+    
+    /**
+     * Build new (not persisted) GeoObject from request data
+     *
+     * @throws \InvalidArgumentException When data is incomplete or geometry is invalid
+     */
+    private function buildGeoObject(Map $map, array $data): GeoObject
+    {
+        if (empty($data['title']) || !is_string($data['title'])) {
+            throw new \InvalidArgumentException('Title is required');
+        }
+        
+        if (empty($data['type']) || !is_string($data['type'])) {
+            throw new \InvalidArgumentException('Type is required');
+        }
+        
+        if (empty($data['geoJson']) || !is_array($data['geoJson'])) {
+            throw new \InvalidArgumentException('GeoJSON is required');
+        }
+        
+        $geoObject = new GeoObject();
+        $geoObject->setName($data['title']);
+        $geoObject->setDescription($data['description'] ?? '');
+        $geoObject->setGeometryType($data['type']);
+        $geoObject->setTtl((int) ($data['ttl'] ?? 0));
+        $geoObject->setMap($map); // Set the map
+        $this->applySchedule($geoObject, $data);
+        $this->applyVisibleToSides($geoObject, $data);
+        
+        // Set side if provided
+        if (!empty($data['sideId'])) {
+            $side = $this->sideRepository->find($data['sideId']);
+            if ($side) {
+                $geoObject->setSide($side);
+            }
+        }
+        
+        // Set icon URL if provided
+        if (!empty($data['iconUrl'])) {
+            $geoObject->setIconUrl($data['iconUrl']);
+        }
+        
+        // Validated by GeoObject according to geometry type
+        $geoObject->setGeometry($data['geoJson']);
+        
+        // Generate hash, if it is not provided
+        if (empty($data['hash'])) {
+            $geoObject->setHash(bin2hex(random_bytes(16)));
+        } else {
+            $geoObject->setHash($data['hash']);
+        }
+        
+        return $geoObject;
+    }
+    
+    /**
+     * Set scheduled start and end from request data
+     *
+     * Null values are skipped, empty ones clear the field. Times are ISO 8601
+     * strings (with offset, as sent by the form).
+     *
+     * @throws \InvalidArgumentException When a time is invalid or the end is not after the start
+     */
+    private function applySchedule(GeoObject $geoObject, array $data): void
+    {
+        if (isset($data['activeFrom'])) {
+            $geoObject->setActiveFrom($this->parseScheduleTime($data['activeFrom'], 'active from'));
+        }
+        
+        if (isset($data['activeUntil'])) {
+            $geoObject->setActiveUntil($this->parseScheduleTime($data['activeUntil'], 'active until'));
+        }
+        
+        $activeFrom = $geoObject->getActiveFrom();
+        $activeUntil = $geoObject->getActiveUntil();
+        if ($activeFrom !== null && $activeUntil !== null && $activeUntil <= $activeFrom) {
+            throw new \InvalidArgumentException('Active until must be later than active from');
+        }
+    }
+    
+    /**
+     * Set the sides the object is visible to from request data
+     *
+     * Null is skipped, an empty list makes the object visible to all sides.
+     *
+     * @throws \InvalidArgumentException When the list contains unknown side IDs
+     */
+    private function applyVisibleToSides(GeoObject $geoObject, array $data): void
+    {
+        if (!isset($data['visibleToSides'])) {
+            return;
+        }
+        
+        $sideIds = $data['visibleToSides'];
+        if (!is_array($sideIds)) {
+            throw new \InvalidArgumentException('Visible to sides must be a list of side IDs');
+        }
+        
+        if (empty($sideIds)) {
+            $geoObject->setVisibleToAll();
+            return;
+        }
+        
+        $sideIds = array_values(array_unique(array_map('intval', $sideIds)));
+        $knownIds = array_map(
+            fn (Side $side) => $side->getId(),
+            $this->sideRepository->findBy(['id' => $sideIds])
+        );
+        
+        $unknownIds = array_diff($sideIds, $knownIds);
+        if (!empty($unknownIds)) {
+            throw new \InvalidArgumentException('Unknown side IDs: ' . implode(', ', $unknownIds));
+        }
+        
+        sort($sideIds);
+        $geoObject->setVisibleToSides($sideIds);
+    }
+    
+    /**
+     * Parse schedule time, converted to the server timezone it is stored in
+     *
+     * @throws \InvalidArgumentException When the value is not a valid time
+     */
+    private function parseScheduleTime(mixed $value, string $label): ?\DateTimeImmutable
+    {
+        if ($value === '' || $value === false) {
+            return null;
+        }
+        
+        if (!is_string($value)) {
+            throw new \InvalidArgumentException(sprintf('Invalid %s time', $label));
+        }
+        
+        try {
+            $time = new \DateTimeImmutable($value);
+        } catch (\Exception) {
+            throw new \InvalidArgumentException(sprintf('Invalid %s time', $label));
+        }
+        
+        return $time->setTimezone(new \DateTimeZone(date_default_timezone_get()));
+    }
+    
     /**
      * Serialize GeoObject to array
      */
-    private function serializeGeoObject(GeoObject $geoObject, bool $includeMapId = false): array
+    public function serializeGeoObject(GeoObject $geoObject, bool $includeMapId = false): array
     {
         $data = [
             'id' => $geoObject->getId(),
@@ -408,8 +692,13 @@ class GeoObjectService
             'iconUrl' => $geoObject->getIconUrl(),
             'side' => null,
             'sideId' => null,
+            'visibleToSides' => $geoObject->getVisibleToSides(),
             'isExpired' => $geoObject->isExpired(),
             'remainingTtl' => $geoObject->getRemainingTtl(),
+            'activeFrom' => $geoObject->getActiveFrom()?->format('c'),
+            'activeUntil' => $geoObject->getActiveUntil()?->format('c'),
+            'isPending' => $geoObject->isPending(),
+            'secondsUntilActive' => $geoObject->getSecondsUntilActive(),
             'createdAt' => $geoObject->getCreatedAt()?->format('Y-m-d H:i:s'),
             'updatedAt' => $geoObject->getUpdatedAt()?->format('Y-m-d H:i:s'),
         ];
@@ -0,0 +1,122 @@
+<?php
+
+/**
+ * Geo Object Snapshot Service
+ *
+ * Versioned snapshots and diffs of serialized geo objects for live feeds
+ */
+
+namespace App\Service;
+
+use App\Entity\GeoObject;
+
+/**
+ * Geo Object Snapshot Service
+ *
+ * Shared by the observer feed and the per-map editor feed: turns a list of
+ * GeoObject entities into a serialized snapshot with a stable version string
+ * and computes added/updated/removed diffs between two snapshots.
+ */
+class GeoObjectSnapshotService
+{
+    /**
+     * Fields that change on every read and must not affect the snapshot version
+     */
+    private const VOLATILE_FIELDS = ['remainingTtl', 'secondsUntilActive'];
+
+    public function __construct(
+        private GeoObjectService $geoObjectService
+    ) {
+    }
+
+    /**
+     * Build snapshot from geo object entities
+     *
+     * @param GeoObject[] $geoObjects Geo objects to include
+     * @return array ['version' => string, 'objects' => array<int, array>] objects keyed by id
+     */
+    public function createSnapshot(iterable $geoObjects): array
+    {
+        $objects = [];
+
+        foreach ($geoObjects as $geoObject) {
+            $data = $this->geoObjectService->serializeGeoObject($geoObject);
+            $objects[$data['id']] = $data;
+        }
+
+        return [
+            'version' => $this->computeVersion($objects),
+            'objects' => $objects,
+        ];
+    }
+
+    /**
+     * Compute diff between two snapshots
+     *
+     * @param array $previous Previous objects keyed by id
+     * @param array $current Current objects keyed by id
+     * @return array ['added' => array, 'updated' => array, 'removed' => int[]]
+     */
+    public function diff(array $previous, array $current): array
+    {
+        $added = [];
+        $updated = [];
+
+        foreach ($current as $id => $object) {
+            if (!isset($previous[$id])) {
+                $added[] = $object;
+            } elseif ($this->fingerprint($previous[$id]) !== $this->fingerprint($object)) {
+                $updated[] = $object;
+            }
+        }
+
+        $removed = array_values(array_diff(array_keys($previous), array_keys($current)));
+
+        return [
+            'added' => $added,
+            'updated' => $updated,
+            'removed' => $removed,
+        ];
+    }
+
+    /**
+     * Check if diff contains any changes
+     *
+     * @param array $diff Diff produced by diff()
+     * @return bool
+     */
+    public function hasChanges(array $diff): bool
+    {
+        return !empty($diff['added']) || !empty($diff['updated']) || !empty($diff['removed']);
+    }
+
+    /**
+     * Compute version string for a set of serialized objects
+     *
+     * @param array $objects Objects keyed by id
+     * @return string
+     */
+    public function computeVersion(array $objects): string
+    {
+        ksort($objects);
+
+        $fingerprints = array_map(fn (array $object) => $this->fingerprint($object), $objects);
+
+        return md5(json_encode($fingerprints));
+    }
+
+    /**
+     * Fingerprint a single serialized object ignoring volatile fields
+     *
+     * @param array $object Serialized geo object
+     * @return string
+     */
+    private function fingerprint(array $object): string
+    {
+        foreach (self::VOLATILE_FIELDS as $field) {
+            unset($object[$field]);
+        }
+
+        return md5(json_encode($object));
+    }
+}
@@ -0,0 +1,202 @@
+<?php
+
+/**
+ * Geo Object Timeline Service
+ *
+ * Revision history of a map for timeline playback
+ */
+
+namespace App\Service;
+
+use App\Entity\GeoObjectRevision;
+use App\Entity\Map;
+use App\Repository\GeoObjectRepository;
+use App\Repository\GeoObjectRevisionRepository;
+
+/**
+ * Geo Object Timeline Service
+ *
+ * Lists all revisions of a map's geo objects in chronological order, each
+ * with the moment the object expires in that state. Objects created before
+ * revisions were recorded get a synthetic "created" revision at their
+ * creation time, so the timeline always covers the current map state.
+ */
+class GeoObjectTimelineService
+{
+    /**
+     * Serialized fields computed at read time, meaningless in a stored state
+     */
+    private const VOLATILE_FIELDS = ['isExpired', 'remainingTtl', 'isPending', 'secondsUntilActive'];
+
+    public function __construct(
+        private GeoObjectRevisionRepository $revisionRepository,
+        private GeoObjectRepository $geoObjectRepository,
+        private GeoObjectService $geoObjectService
+    ) {
+    }
+
+    /**
+     * Get timeline of a map
+     *
+     * @param Map $map Map to get the timeline for
+     * @return array ['success', 'start', 'end', 'revisions'] times in ISO 8601
+     */
+    public function getTimeline(Map $map): array
+    {
+        $revisions = [];
+        $baselines = [];
+        $firstRevisions = [];
+
+        foreach ($this->revisionRepository->findByMapChronological($map) as $revision) {
+            $firstRevisions[$revision->getObjectId()] ??= $revision;
+            $revisions[] = $this->createEntry(
+                $revision->getId(),
+                $revision->getObjectId(),
+                $revision->getAction(),
+                $revision->getData(),
+                $revision->getRecordedAt()
+            );
+        }
+
+        // Objects changed after history recording started: their first known
+        // state stands in for the state at creation
+        foreach ($firstRevisions as $objectId => $revision) {
+            $createdAt = $this->parseTime($revision->getData()['createdAt'] ?? null);
+            if ($revision->getAction() === GeoObjectRevision::ACTION_CREATED || $createdAt === null) {
+                continue;
+            }
+
+            $baselines[] = $this->createBaselineEntry($objectId, $revision->getData(), $createdAt);
+        }
+
+        foreach ($this->geoObjectRepository->findBy(['map' => $map]) as $geoObject) {
+            if (isset($firstRevisions[$geoObject->getId()]) || $geoObject->getCreatedAt() === null) {
+                continue;
+            }
+
+            $baselines[] = $this->createBaselineEntry(
+                $geoObject->getId(),
+                $this->geoObjectService->serializeGeoObject($geoObject),
+                $geoObject->getCreatedAt()
+            );
+        }
+
+        // Stable sort keeps baselines first and recorded order within a second
+        $revisions = array_merge($baselines, $revisions);
+        usort($revisions, fn (array $a, array $b) => $a['timestamp'] <=> $b['timestamp']);
+
+        $now = new \DateTimeImmutable();
+        $start = $revisions ? $revisions[0]['recordedAt'] : $now->format('c');
+
+        foreach ($revisions as &$entry) {
+            unset($entry['timestamp']);
+        }
+        unset($entry);
+
+        return [
+            'success' => true,
+            'start' => $start,
+            'end' => $now->format('c'),
+            'revisions' => $revisions,
+        ];
+    }
+
+    /**
+     * Build timeline entry
+     *
+     * @param int|string $id Revision ID
+     * @param int $objectId Geo object ID
+     * @param string $action created, updated or deleted
+     * @param array $data Serialized geo object
+     * @param \DateTimeImmutable $recordedAt When the state was recorded
+     * @return array
+     */
+    private function createEntry(int|string $id, int $objectId, string $action, array $data, \DateTimeImmutable $recordedAt): array
+    {
+        foreach (self::VOLATILE_FIELDS as $field) {
+            unset($data[$field]);
+        }
+
+        $expiresAt = $this->computeExpiresAt($data);
+
+        return [
+            'id' => $id,
+            'objectId' => $objectId,
+            'action' => $action,
+            'recordedAt' => $recordedAt->format('c'),
+            'expiresAt' => $expiresAt?->format('c'),
+            'object' => $data,
+            'timestamp' => $recordedAt->getTimestamp(),
+        ];
+    }
+
+    /**
+     * Build synthetic "created" entry for an object without recorded creation
+     *
+     * @param int $objectId Geo object ID
+     * @param array $data Serialized geo object
+     * @param \DateTimeImmutable $createdAt Object creation time
+     * @return array
+     */
+    private function createBaselineEntry(int $objectId, array $data, \DateTimeImmutable $createdAt): array
+    {
+        return $this->createEntry('base-' . $objectId, $objectId, GeoObjectRevision::ACTION_CREATED, $data, $createdAt);
+    }
+
+    /**
+     * Moment the serialized state expires, same rule as GeoObject::getExpiresAt()
+     *
+     * @param array $data Serialized geo object
+     * @return \DateTimeImmutable|null Null if the object never expires
+     */
+    private function computeExpiresAt(array $data): ?\DateTimeImmutable
+    {
+        $activeFrom = $this->parseScheduleTime($data['activeFrom'] ?? null);
+        $expiresAt = null;
+
+        if (!empty($data['ttl'])) {
+            $lastUpdate = $this->parseTime($data['updatedAt'] ?? $data['createdAt'] ?? null);
+            if ($lastUpdate !== null) {
+                $expiresAt = max($lastUpdate, $activeFrom ?? $lastUpdate)
+                    ->modify(sprintf('+%d seconds', (int) $data['ttl']));
+            }
+        }
+
+        $activeUntil = $this->parseScheduleTime($data['activeUntil'] ?? null);
+        if ($activeUntil !== null && ($expiresAt === null || $activeUntil < $expiresAt)) {
+            $expiresAt = $activeUntil;
+        }
+
+        return $expiresAt;
+    }
+
+    /**
+     * Parse serialized time (GeoObjectService::serializeGeoObject() format)
+     *
+     * @param string|null $value Time as Y-m-d H:i:s
+     * @return \DateTimeImmutable|null
+     */
+    private function parseTime(?string $value): ?\DateTimeImmutable
+    {
+        if ($value === null) {
+            return null;
+        }
+
+        return \DateTimeImmutable::createFromFormat('Y-m-d H:i:s', $value) ?: null;
+    }
+
+    /**
+     * Parse serialized schedule time (ISO 8601 with offset)
+     *
+     * @param string|null $value
+     * @return \DateTimeImmutable|null
+     */
+    private function parseScheduleTime(?string $value): ?\DateTimeImmutable
+    {
+        if ($value === null) {
+            return null;
+        }
+
+        return \DateTimeImmutable::createFromFormat(\DateTimeInterface::ATOM, $value) ?: null;
+    }
+}
@@ -0,0 +1,65 @@
+<?php
+
+/**
+ * Map Feed Service
+ *
+ * Builds geo object snapshots for collaborative editing on a map
+ */
+
+namespace App\Service;
+
+use App\Repository\GeoObjectRepository;
+use App\Repository\MapRepository;
+use Doctrine\ORM\EntityManagerInterface;
+
+/**
+ * Map Feed Service
+ *
+ * Produces versioned snapshots of all objects on a map (same set as
+ * /geo-object/by-map) so every admin editing the map sees changes made
+ * by the others. Editors loading objects by viewport pass the area they
+ * show, so large maps are not reloaded as a whole on every tick.
+ */
+class MapFeedService
+{
+    public function __construct(
+        private GeoObjectSnapshotService $snapshotService,
+        private GeoObjectRepository $geoObjectRepository,
+        private MapRepository $mapRepository,
+        private EntityManagerInterface $entityManager
+    ) {
+    }
+
+    /**
+     * Reload map and build a fresh snapshot of its objects
+     *
+     * Clears the entity manager first so long-running streams see changes
+     * committed by other requests.
+     *
+     * @param int $mapId Map ID
+     * @param array|null $bbox [minLongitude, minLatitude, maxLongitude, maxLatitude] to
+     *                         limit the snapshot to objects intersecting it
+     * @return array|null Snapshot or null if the map no longer exists
+     */
+    public function refreshSnapshot(int $mapId, ?array $bbox = null): ?array
+    {
+        $this->entityManager->clear();
+
+        $map = $this->mapRepository->find($mapId);
+
+        if (!$map) {
+            return null;
+        }
+
+        if ($bbox === null) {
+            return $this->snapshotService->createSnapshot(
+                $this->geoObjectRepository->findBy(['map' => $map])
+            );
+        }
+
+        return $this->snapshotService->createSnapshot(array_values(array_filter(
+            $this->geoObjectRepository->findByMapInBounds($map, $bbox),
+            fn ($geoObject) => $geoObject->intersectsBounds($bbox)
+        )));
+    }
+}
@@ -0,0 +1,237 @@
+<?php
+
+/**
+ * Observer Access Link Service
+ *
+ * Manages the named share links of observers and who opened them
+ */
+
+namespace App\Service;
+
+use App\Entity\Observer;
+use App\Entity\ObserverAccessLink;
+use App\Repository\ObserverAccessLinkRepository;
+use App\Repository\ObserverRepository;
+use Doctrine\ORM\EntityManagerInterface;
+use Symfony\Component\HttpFoundation\Session\SessionInterface;
+
+/**
+ * Observer Access Link Service
+ *
+ * An observer is viewed through any number of access links, each with its
+ * own token, expiry date, maximum number of uses and optional PIN.
+ *
+ * A use is counted once per browser session: reloading the page does not
+ * use the link up. Links with a PIN or a use limit only serve live updates
+ * to sessions that opened them, other links serve anyone holding the token
+ * until they are revoked or expire.
+ *
+ * Observers created before access links existed have no links; they get a
+ * "Default link" carrying their original token the first time they are
+ * listed or viewed, so URLs shared earlier keep working and can be revoked.
+ */
+class ObserverAccessLinkService
+{
+    public const DEFAULT_LINK_NAME = 'Default link';
+
+    private const SESSION_OPENED = 'observer_access_links_opened';
+    private const SESSION_UNLOCKED = 'observer_access_links_unlocked';
+
+    public function __construct(
+        private ObserverAccessLinkRepository $accessLinkRepository,
+        private ObserverRepository $observerRepository,
+        private EntityManagerInterface $entityManager
+    ) {
+    }
+
+    /**
+     * Find link by token, whatever its status
+     *
+     * @param string $token Link token or the original token of an observer without links
+     * @return ObserverAccessLink|null
+     */
+    public function findByToken(string $token): ?ObserverAccessLink
+    {
+        $link = $this->accessLinkRepository->findOneByToken($token);
+        if ($link) {
+            return $link;
+        }
+
+        $observer = $this->observerRepository->findOneBy(['accessToken' => $token]);
+        if (!$observer || !$observer->getAccessLinks()->isEmpty()) {
+            return null;
+        }
+
+        return $this->ensureDefaultLinks([$observer])[0] ?? null;
+    }
+
+    /**
+     * Give observers without links a default link with their original token
+     *
+     * @param Observer[] $observers Observers to check
+     * @return ObserverAccessLink[] Links that were created
+     */
+    public function ensureDefaultLinks(array $observers): array
+    {
+        $created = [];
+
+        foreach ($observers as $observer) {
+            if ($observer->getAccessLinks()->isEmpty()) {
+                $link = new ObserverAccessLink($observer, self::DEFAULT_LINK_NAME, $observer->getAccessToken());
+                $observer->addAccessLink($link);
+                $this->entityManager->persist($link);
+                $created[] = $link;
+            }
+        }
+
+        if ($created) {
+            $this->entityManager->flush();
+        }
+
+        return $created;
+    }
+
+    /**
+     * Create a new link
+     *
+     * @param Observer $observer Observer entity
+     * @param string $name Name shown to admins
+     * @param \DateTimeImmutable|null $expiresAt Expiry date, null for no expiry
+     * @param int|null $maxUses Number of sessions that may open the link, null for no limit
+     * @param string|null $pin PIN viewers must enter, null or empty for none
+     * @return ObserverAccessLink
+     */
+    public function createLink(Observer $observer, string $name, ?\DateTimeImmutable $expiresAt = null, ?int $maxUses = null, ?string $pin = null): ObserverAccessLink
+    {
+        $link = new ObserverAccessLink($observer, $name, null, $expiresAt, $maxUses, $pin);
+        $observer->addAccessLink($link);
+
+        $this->entityManager->persist($link);
+        $this->entityManager->flush();
+
+        return $link;
+    }
+
+    /**
+     * Revoke a link, viewers using it lose access immediately
+     *
+     * @param ObserverAccessLink $link Link to revoke
+     * @return void
+     */
+    public function revoke(ObserverAccessLink $link): void
+    {
+        $link->revoke();
+        $this->entityManager->flush();
+    }
+
+    /**
+     * Replace the token of a link, the previous URL stops working
+     *
+     * @param ObserverAccessLink $link Link to refresh
+     * @return void
+     */
+    public function regenerateToken(ObserverAccessLink $link): void
+    {
+        $link->regenerateToken();
+        $this->entityManager->flush();
+    }
+
+    /**
+     * Whether the session already opened the link
+     *
+     * @param ObserverAccessLink $link Access link
+     * @param SessionInterface $session Viewer session
+     * @return bool
+     */
+    public function isOpened(ObserverAccessLink $link, SessionInterface $session): bool
+    {
+        return isset($session->get(self::SESSION_OPENED, [])[$link->getId()]);
+    }
+
+    /**
+     * Count a use of the link unless the session already opened it
+     *
+     * @param ObserverAccessLink $link Access link
+     * @param SessionInterface $session Viewer session
+     * @return void
+     */
+    public function open(ObserverAccessLink $link, SessionInterface $session): void
+    {
+        if ($this->isOpened($link, $session)) {
+            return;
+        }
+
+        $link->recordUse();
+        $this->entityManager->flush();
+
+        $this->remember($session, self::SESSION_OPENED, $link);
+    }
+
+    /**
+     * Whether the session may load objects through the link
+     *
+     * @param ObserverAccessLink $link Access link
+     * @param SessionInterface $session Viewer session
+     * @return bool
+     */
+    public function canLoadObjects(ObserverAccessLink $link, SessionInterface $session): bool
+    {
+        if (!$link->isActive()) {
+            return false;
+        }
+
+        if ($link->hasPin() || $link->getMaxUses() !== null) {
+            return $this->isOpened($link, $session);
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether the session entered the PIN of the link
+     *
+     * @param ObserverAccessLink $link Access link
+     * @param SessionInterface $session Viewer session
+     * @return bool
+     */
+    public function isUnlocked(ObserverAccessLink $link, SessionInterface $session): bool
+    {
+        return !$link->hasPin() || isset($session->get(self::SESSION_UNLOCKED, [])[$link->getId()]);
+    }
+
+    /**
+     * Check the PIN entered by a viewer and unlock the link for the session
+     *
+     * @param ObserverAccessLink $link Access link
+     * @param string $pin Entered PIN
+     * @param SessionInterface $session Viewer session
+     * @return bool Whether the PIN was correct
+     */
+    public function unlock(ObserverAccessLink $link, string $pin, SessionInterface $session): bool
+    {
+        $valid = $link->verifyPin($pin);
+        // Failed attempts are counted on the link
+        $this->entityManager->flush();
+
+        if ($valid) {
+            $this->remember($session, self::SESSION_UNLOCKED, $link);
+        }
+
+        return $valid;
+    }
+
+    /**
+     * Add link to a list of link IDs kept in the session
+     *
+     * @param SessionInterface $session Viewer session
+     * @param string $key Session key
+     * @param ObserverAccessLink $link Access link
+     * @return void
+     */
+    private function remember(SessionInterface $session, string $key, ObserverAccessLink $link): void
+    {
+        $ids = $session->get($key, []);
+        $ids[$link->getId()] = true;
+        $session->set($key, $ids);
+    }
+}
@@ -0,0 +1,217 @@
+<?php
+
+/**
+ * Observer Access Log Service
+ *
+ * Records requests of observer links and summarizes them for the admin dashboard
+ */
+
+namespace App\Service;
+
+use App\Entity\Observer;
+use App\Entity\ObserverAccessLog;
+use App\Repository\ObserverAccessLogRepository;
+use Doctrine\ORM\EntityManagerInterface;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Observer Access Log Service
+ *
+ * Every observer request that is filtered by rules (the page and the manual
+ * refresh, i.e. the requests stateful rules count) is logged with the number
+ * of objects returned and the rules applied. Client IPs are stored as HMAC
+ * hashes keyed with the application secret: visitors can be told apart, but
+ * addresses cannot be recovered from the log.
+ */
+class ObserverAccessLogService
+{
+    public function __construct(
+        private ObserverAccessLogRepository $accessLogRepository,
+        private EntityManagerInterface $entityManager,
+        private LoggerInterface $logger,
+        private string $secret
+    ) {
+    }
+
+    /**
+     * Log an observer request
+     *
+     * Failures are only logged, the observer is served anyway.
+     *
+     * @param Observer $observer Observer entity
+     * @param Request $request Observer request
+     * @param string $endpoint ObserverAccessLog::ENDPOINT_* constant
+     * @param int $objectCount Number of objects returned
+     * @param array $rules Names of the rules that were applied
+     * @return void
+     */
+    public function logAccess(Observer $observer, Request $request, string $endpoint, int $objectCount, array $rules): void
+    {
+        try {
+            $this->entityManager->persist(new ObserverAccessLog(
+                $observer,
+                $endpoint,
+                $objectCount,
+                array_values($rules),
+                $this->hashIp($request->getClientIp()),
+                $request->headers->get('User-Agent')
+            ));
+            $this->entityManager->flush();
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to log observer access', [
+                'observer' => $observer->getName(),
+                'error' => $e->getMessage()
+            ]);
+        }
+    }
+
+    /**
+     * Access summary of every given observer
+     *
+     * @param Observer[] $observers Observers to summarize
+     * @param int $days Days covered by the daily chart, today included
+     * @param \DateTimeImmutable|null $now Current time
+     * @return array List of ['observer', 'accesses', 'visitors', 'lastAccessedAt', 'daily', 'budget']
+     */
+    public function getOverview(array $observers, int $days = 14, ?\DateTimeImmutable $now = null): array
+    {
+        $now ??= new \DateTimeImmutable();
+        $totals = $this->accessLogRepository->getTotalsByObserver($observers);
+        $countsByObserver = $this->accessLogRepository->countByDaySince($this->getChartStart($days, $now), $observers);
+
+        return array_map(
+            fn (Observer $observer) => $this->buildSummary(
+                $observer,
+                $totals[$observer->getId()] ?? null,
+                $countsByObserver[$observer->getId()] ?? [],
+                $days,
+                $now
+            ),
+            $observers
+        );
+    }
+
+    /**
+     * Access summary of one observer with its latest accesses
+     *
+     * @param Observer $observer Observer entity
+     * @param int $days Days covered by the daily chart, today included
+     * @param int $recentLimit Number of latest accesses listed
+     * @param \DateTimeImmutable|null $now Current time
+     * @return array ['observer', 'accesses', 'visitors', 'lastAccessedAt', 'daily', 'budget', 'recent']
+     */
+    public function getObserverStatistics(Observer $observer, int $days = 30, int $recentLimit = 50, ?\DateTimeImmutable $now = null): array
+    {
+        $now ??= new \DateTimeImmutable();
+        $totals = $this->accessLogRepository->getTotalsByObserver([$observer]);
+        $counts = $this->accessLogRepository->countByDaySince($this->getChartStart($days, $now), [$observer]);
+
+        return $this->buildSummary($observer, $totals[$observer->getId()] ?? null, $counts[$observer->getId()] ?? [], $days, $now) + [
+            'recent' => $this->accessLogRepository->findRecentByObserver($observer, $recentLimit),
+        ];
+    }
+
+    /**
+     * Requests left to the observer under its request_limit rule
+     *
+     * A rule that was not used yet has its full limit left.
+     *
+     * @param Observer $observer Observer entity
+     * @return array|null ['limit' => int, 'remaining' => int], null without the rule
+     */
+    public function getRequestBudget(Observer $observer): ?array
+    {
+        $config = $observer->getRules()['request_limit'] ?? null;
+        if (!is_array($config) || !isset($config['limit'])) {
+            return null;
+        }
+
+        $limit = (int) $config['limit'];
+
+        return [
+            'limit' => $limit,
+            'remaining' => (int) ($config['_state']['remaining'] ?? $limit),
+        ];
+    }
+
+    /**
+     * Combine totals and daily counts into a summary
+     *
+     * @param Observer $observer Observer entity
+     * @param array|null $totals Totals from the repository, null without accesses
+     * @param array<string, int> $counts Accesses by 'Y-m-d' date since the chart start
+     * @param int $days Days covered by the daily chart
+     * @param \DateTimeImmutable $now Current time
+     * @return array
+     */
+    private function buildSummary(Observer $observer, ?array $totals, array $counts, int $days, \DateTimeImmutable $now): array
+    {
+        return [
+            'observer' => $observer,
+            'accesses' => $totals['accesses'] ?? 0,
+            'visitors' => $totals['visitors'] ?? 0,
+            'lastAccessedAt' => isset($totals['lastAccessedAt']) ? $this->toDateTime($totals['lastAccessedAt']) : null,
+            'daily' => $this->getDailyCounts($counts, $days, $now),
+            'budget' => $this->getRequestBudget($observer),
+        ];
+    }
+
+    /**
+     * Accesses per day, oldest day first, days without accesses included
+     *
+     * @param array<string, int> $counts Accesses by 'Y-m-d' date
+     * @param int $days Number of days, today included
+     * @param \DateTimeImmutable $now Current time
+     * @return array List of ['date' => 'Y-m-d', 'count' => int]
+     */
+    private function getDailyCounts(array $counts, int $days, \DateTimeImmutable $now): array
+    {
+        $daily = [];
+        $day = $this->getChartStart($days, $now);
+
+        for ($i = 0; $i < $days; $i++) {
+            $date = $day->format('Y-m-d');
+            $daily[] = ['date' => $date, 'count' => $counts[$date] ?? 0];
+            $day = $day->modify('+1 day');
+        }
+
+        return $daily;
+    }
+
+    /**
+     * Start of the first day covered by a chart
+     *
+     * @param int $days Number of days, today included
+     * @param \DateTimeImmutable $now Current time
+     * @return \DateTimeImmutable
+     */
+    private function getChartStart(int $days, \DateTimeImmutable $now): \DateTimeImmutable
+    {
+        return $now->setTime(0, 0)->modify(sprintf('-%d days', max($days, 1) - 1));
+    }
+
+    /**
+     * Database values of aggregates come back as strings
+     *
+     * @param \DateTimeInterface|string $value Date value
+     * @return \DateTimeImmutable
+     */
+    private function toDateTime(\DateTimeInterface|string $value): \DateTimeImmutable
+    {
+        return $value instanceof \DateTimeInterface
+            ? \DateTimeImmutable::createFromInterface($value)
+            : new \DateTimeImmutable($value);
+    }
+
+    /**
+     * Keyed hash of the client IP
+     *
+     * @param string|null $ip Client IP
+     * @return string|null
+     */
+    private function hashIp(?string $ip): ?string
+    {
+        return $ip !== null ? hash_hmac('sha256', $ip, $this->secret) : null;
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+
+/**
+ * Observer Feed Service
+ *
+ * Builds filtered geo object snapshots for observer live updates
+ */
+
+namespace App\Service;
+
+use App\Entity\Observer;
+use App\Repository\ObserverRepository;
+use Doctrine\ORM\EntityManagerInterface;
+
+/**
+ * Observer Feed Service
+ *
+ * Produces versioned snapshots of the objects an observer is allowed to see
+ * (always through ObserverRuleService), so viewers can be updated in place
+ * instead of reloading the page.
+ */
+class ObserverFeedService
+{
+    public function __construct(
+        private ObserverRuleService $observerRuleService,
+        private GeoObjectSnapshotService $snapshotService,
+        private ObserverRepository $observerRepository,
+        private EntityManagerInterface $entityManager
+    ) {
+    }
+
+    /**
+     * Build snapshot of objects visible to observer
+     *
+     * @param Observer $observer Observer entity
+     * @param bool $trackUsage Whether stateful rules should count this as a request
+     * @param array|null $appliedRules Receives names of the rules that were applied
+     * @return array ['version' => string, 'objects' => array<int, array>] objects keyed by id
+     */
+    public function getSnapshot(Observer $observer, bool $trackUsage = false, ?array &$appliedRules = null): array
+    {
+        return $this->snapshotService->createSnapshot(
+            $this->observerRuleService->getFilteredGeoObjects($observer, $trackUsage, $appliedRules)
+        );
+    }
+
+    /**
+     * Reload observer by token and build a fresh snapshot
+     *
+     * Clears the entity manager first so long-running streams see changes
+     * committed by other requests.
+     *
+     * @param string $token Access link token
+     * @return array|null Snapshot or null once the link is revoked or expired
+     */
+    public function refreshSnapshot(string $token): ?array
+    {
+        $this->entityManager->clear();
+
+        $observer = $this->observerRepository->findByAccessToken($token);
+
+        if (!$observer) {
+            return null;
+        }
+
+        return $this->getSnapshot($observer);
+    }
+}
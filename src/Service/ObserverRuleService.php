@@ -11,10 +11,12 @@ namespace App\Service;
 use App\Entity\Observer;
 use App\Exception\InvalidRuleConfigurationException;
 use App\Repository\GeoObjectRepository;
+use App\Service\Rule\GeofenceRule;
 use App\Service\Rule\RuleFactoryInterface;
 use App\Service\Rule\RuleValidatorInterface;
 use App\Service\Rule\StatefulRuleInterface;
 use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\QueryBuilder;
 use Psr\Log\LoggerInterface;
 
 /**
@@ -39,12 +41,18 @@ class ObserverRuleService
      * 
      * Integrated approach: processes all rules in single pass - creation, state, validation, application
      * 
+     * When $trackUsage is false the rules are evaluated against the persisted state only:
+     * stateful rules are not advanced and nothing is written back (used for live updates).
+     * 
      * @param Observer $observer Observer entity with potential rules configuration
+     * @param bool $trackUsage Whether stateful rules should count this call as a request
+     * @param array|null $appliedRules Receives names of the rules that were applied
      * @return array Array of GeoObject entities
      */
-    public function getFilteredGeoObjects(Observer $observer): array
+    public function getFilteredGeoObjects(Observer $observer, bool $trackUsage = true, ?array &$appliedRules = null): array
     {
         $rulesConfig = $observer->getRules();
+        $appliedRules = [];
         
         // If no rules configured, use default behavior
         if (empty($rulesConfig)) {
@@ -70,11 +78,16 @@ class ObserverRuleService
                     
                     // 2. Process state (if stateful)
                     if ($rule instanceof StatefulRuleInterface) {
-                        [$config, $stateChanged] = $this->processRuleState($rule, $config);
-                        
-                        if ($stateChanged) {
-                            $updatedConfig[$ruleName] = $config;
-                            $configChanged = true;
+                        if (!$trackUsage) {
+                            // Read-only evaluation: use persisted state without advancing it
+                            $config['_state'] ??= $rule->initializeRuleState($config);
+                        } else {
+                            [$config, $stateChanged] = $this->processRuleState($rule, $config);
+                            
+                            if ($stateChanged) {
+                                $updatedConfig[$ruleName] = $config;
+                                $configChanged = true;
+                            }
                         }
                     }
                     
@@ -107,6 +120,8 @@ class ObserverRuleService
                 'rules_count' => count($processedRules)
             ]);
             
+            $appliedRules = array_column($processedRules, 'name');
+            
             return $this->applyProcessedRules($observer, $processedRules);
             
         } catch (InvalidRuleConfigurationException $e) {
@@ -115,6 +130,117 @@ class ObserverRuleService
         }
     }
 
+    /**
+     * Dry run of a rules configuration for an observer
+     * 
+     * Rules are checked like in getFilteredGeoObjects() but nothing is saved and
+     * stateful rules are not advanced: persisted state is used as it is, a rule
+     * without state is evaluated as if it was used for the first time now.
+     * Rules are applied one by one in priority order, so every hidden object is
+     * attributed to the first rule that removed it.
+     * 
+     * @param Observer $observer Observer entity (its map is previewed)
+     * @param array $rulesConfig Rules configuration to try, may be unsaved
+     * @return array [
+     *     'objects' => GeoObject[] visible objects,
+     *     'removed' => array<int, array{object: GeoObject, rule: string}>,
+     *     'rules' => array<int, array{name: string, applied: bool, removed: int, errors: string[]}>
+     * ]
+     */
+    public function previewRules(Observer $observer, array $rulesConfig): array
+    {
+        if (empty($rulesConfig)) {
+            return [
+                'objects' => $this->getDefaultGeoObjects($observer),
+                'removed' => [],
+                'rules' => []
+            ];
+        }
+        
+        $processedRules = [];
+        $reports = [];
+        
+        foreach ($rulesConfig as $ruleName => $config) {
+            $ruleName = (string) $ruleName;
+            $reports[$ruleName] = ['name' => $ruleName, 'applied' => false, 'removed' => 0, 'errors' => []];
+            
+            try {
+                $rule = $this->ruleFactory->getRule($ruleName);
+                
+                if (!$rule) {
+                    $reports[$ruleName]['errors'][] = "Rule not found: $ruleName";
+                    continue;
+                }
+                
+                if (!is_array($config)) {
+                    $reports[$ruleName]['errors'][] = 'Rule configuration must be an array or an object';
+                    continue;
+                }
+                
+                if ($rule instanceof StatefulRuleInterface) {
+                    $config['_state'] ??= $rule->initializeRuleState($config);
+                }
+                
+                $this->validateRuleConfig($rule, $config);
+                
+                $processedRules[] = ['rule' => $rule, 'config' => $config, 'name' => $ruleName];
+                $reports[$ruleName]['applied'] = true;
+                
+            } catch (InvalidRuleConfigurationException $e) {
+                $reports[$ruleName]['errors'] = $e->getValidationErrors();
+            } catch (\Exception $e) {
+                $reports[$ruleName]['errors'][] = $e->getMessage();
+            }
+        }
+        
+        usort($processedRules, function ($a, $b) {
+            return $a['rule']->getPriority() <=> $b['rule']->getPriority();
+        });
+        
+        $geoObjects = $this->createRulesQueryBuilder($observer)->getQuery()->getResult() ?? [];
+        $removed = [];
+        
+        foreach ($processedRules as ['rule' => $rule, 'config' => $config, 'name' => $ruleName]) {
+            // Same entity manager, so the same objects are returned as the same instances
+            $allowed = $rule->applyToQuery($this->createRulesQueryBuilder($observer), $config)
+                ->getQuery()
+                ->getResult() ?? [];
+            $kept = array_values(array_filter(
+                $geoObjects,
+                fn ($geoObject) => in_array($geoObject, $allowed, true)
+            ));
+            $kept = $rule->applyToObjects($kept, $config);
+            
+            foreach ($geoObjects as $geoObject) {
+                if (!in_array($geoObject, $kept, true)) {
+                    $removed[] = ['object' => $geoObject, 'rule' => $ruleName];
+                    $reports[$ruleName]['removed']++;
+                }
+            }
+            
+            $geoObjects = $kept;
+        }
+        
+        return [
+            'objects' => $geoObjects,
+            'removed' => $removed,
+            'rules' => array_values($reports)
+        ];
+    }
+
+    /**
+     * Area the observer is limited to by the geofence rule
+     * 
+     * @param array $rulesConfig Rules configuration
+     * @return array|null Boundary geometry (see GeofenceRule::getBoundary()), null without a geofence
+     */
+    public function getGeofenceBoundary(array $rulesConfig): ?array
+    {
+        $config = $rulesConfig['geofence'] ?? null;
+        
+        return is_array($config) ? GeofenceRule::getBoundary($config) : null;
+    }
+
     /**
      * Get default geo objects for observer (fallback behavior)
      * 
@@ -236,13 +362,8 @@ class ObserverRuleService
      */
     private function applyProcessedRules(Observer $observer, array $processedRules): array
     {
-        $map = $observer->getMap();
-        
         // Phase 1: SQL-level filtering
-        $queryBuilder = $this->geoObjectRepository->createQueryBuilder('g')
-            ->where('g.map = :map')
-            ->andWhere('g.isActive = true')
-            ->setParameter('map', $map);
+        $queryBuilder = $this->createRulesQueryBuilder($observer);
         
         // Apply SQL-compatible rules to QueryBuilder
         foreach ($processedRules as $ruleData) {
@@ -278,7 +399,25 @@ class ObserverRuleService
         return $geoObjects;
     }
 
-
+    /**
+     * Base query for rule filtering: active objects of the observer map
+     * 
+     * Expired objects, pending (not yet started) and ended scheduled objects
+     * are never shown
+     * 
+     * @param Observer $observer Observer entity
+     * @return QueryBuilder Query on geo objects aliased "g"
+     */
+    private function createRulesQueryBuilder(Observer $observer): QueryBuilder
+    {
+        $queryBuilder = $this->geoObjectRepository->createQueryBuilder('g')
+            ->where('g.map = :map')
+            ->setParameter('map', $observer->getMap());
+        
+        $this->geoObjectRepository->addActiveConstraint($queryBuilder);
+        
+        return $queryBuilder;
+    }
 
     /**
      * Log validation error
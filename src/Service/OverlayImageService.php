@@ -0,0 +1,104 @@
+<?php
+
+namespace App\Service;
+
+use Symfony\Component\HttpFoundation\File\Exception\FileException;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Stores images for georeferenced overlays (scanned maps, drone orthophotos)
+ *
+ * Files are saved under public/uploads/overlays with a random name, the
+ * returned URL is used as "imageUrl" of Image geo objects.
+ */
+class OverlayImageService
+{
+    /**
+     * Accepted MIME types => file extension
+     */
+    public const ALLOWED_TYPES = [
+        'image/jpeg' => 'jpg',
+        'image/png' => 'png',
+        'image/webp' => 'webp',
+        'image/gif' => 'gif',
+    ];
+
+    /**
+     * Maximum file size in bytes (orthophotos can be large)
+     */
+    public const MAX_SIZE = 30 * 1024 * 1024;
+
+    /**
+     * Public URL path of the upload directory
+     */
+    public const PUBLIC_PATH = '/uploads/overlays';
+
+    public function __construct(
+        private string $uploadDir
+    ) {
+    }
+
+    /**
+     * Validate and store uploaded image
+     *
+     * @return array ['success' => bool, 'url' => string, 'width' => int, 'height' => int, 'status' => int]
+     */
+    public function upload(?UploadedFile $file): array
+    {
+        if ($file === null) {
+            return [
+                'success' => false,
+                'message' => 'No image uploaded',
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+
+        if (!$file->isValid()) {
+            return [
+                'success' => false,
+                'message' => 'Upload failed: ' . $file->getErrorMessage(),
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+
+        if ($file->getSize() > self::MAX_SIZE) {
+            return [
+                'success' => false,
+                'message' => sprintf('Image is too large, maximum is %d MB', self::MAX_SIZE / 1024 / 1024),
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+
+        $extension = self::ALLOWED_TYPES[$file->getMimeType()] ?? null;
+        $imageSize = $extension !== null ? @getimagesize($file->getPathname()) : false;
+
+        if ($extension === null || $imageSize === false) {
+            return [
+                'success' => false,
+                'message' => 'Only JPEG, PNG, WebP and GIF images are supported',
+                'status' => Response::HTTP_BAD_REQUEST
+            ];
+        }
+
+        $filename = bin2hex(random_bytes(16)) . '.' . $extension;
+
+        try {
+            $file->move($this->uploadDir, $filename);
+        } catch (FileException $e) {
+            return [
+                'success' => false,
+                'message' => 'Error saving image: ' . $e->getMessage(),
+                'status' => Response::HTTP_INTERNAL_SERVER_ERROR
+            ];
+        }
+
+        return [
+            'success' => true,
+            'url' => self::PUBLIC_PATH . '/' . $filename,
+            'width' => $imageSize[0],
+            'height' => $imageSize[1],
+            'status' => Response::HTTP_CREATED
+        ];
+    }
+}
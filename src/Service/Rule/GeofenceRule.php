@@ -0,0 +1,236 @@
+<?php
+
+namespace App\Service\Rule;
+
+use App\Entity\GeoObject;
+use Location\Coordinate;
+use Location\Distance\Haversine;
+use Location\Polygon as GeoPolygon;
+
+/**
+ * Geofence rule - limits the observer to objects inside an area
+ *
+ * The area is a polygon or a circle (center and radius in meters). Geometry
+ * is stored as JSON, so the rule works in memory only. An object is shown
+ * when any of its vertices (the center for points and circles) lies inside
+ * the area, so objects crossing the boundary stay visible.
+ */
+class GeofenceRule extends AbstractObserverRule
+{
+    public const SHAPE_POLYGON = 'polygon';
+    public const SHAPE_CIRCLE = 'circle';
+
+    /**
+     * Get rule name for identification
+     *
+     * @return string Rule name
+     */
+    public function getName(): string
+    {
+        return 'geofence';
+    }
+
+    /**
+     * Low priority - geometry checks run after cheaper rules reduced the set
+     *
+     * @return int Priority value
+     */
+    public function getPriority(): int
+    {
+        return 90;
+    }
+
+    /**
+     * Apply rule to objects in memory - keeps objects inside the area
+     *
+     * @param array $geoObjects Array of geo objects
+     * @param array $config Rule configuration with the area
+     * @return array Filtered array of objects
+     */
+    public function applyToObjects(array $geoObjects, array $config): array
+    {
+        $boundary = self::getBoundary($config);
+        if ($boundary === null) {
+            return $geoObjects; // Invalid config, no filtering
+        }
+
+        $contains = $this->createContainsCheck($boundary);
+
+        return array_values(array_filter($geoObjects, function (GeoObject $geoObject) use ($contains) {
+            foreach ($this->getPositions($geoObject) as $position) {
+                if ($contains(new Coordinate((float) $position[1], (float) $position[0]))) {
+                    return true;
+                }
+            }
+
+            return false;
+        }));
+    }
+
+    /**
+     * Get JSON Schema for rule configuration
+     *
+     * Polygon: {"shape": "polygon", "coordinates": [[lng, lat], ...]}
+     * Circle: {"shape": "circle", "center": [lng, lat], "radius": meters}
+     *
+     * @return array JSON Schema for validation
+     */
+    public static function getConfigSchema(): array
+    {
+        $position = [
+            'type' => 'array',
+            'items' => ['type' => 'number'],
+            'minItems' => 2,
+            'maxItems' => 2
+        ];
+
+        return [
+            'type' => 'object',
+            'properties' => [
+                'shape' => [
+                    'type' => 'string',
+                    'enum' => [self::SHAPE_POLYGON, self::SHAPE_CIRCLE],
+                    'description' => 'Area shape'
+                ],
+                'coordinates' => [
+                    'type' => 'array',
+                    'items' => $position,
+                    'minItems' => 3,
+                    'maxItems' => 500,
+                    'description' => 'Polygon points as [longitude, latitude]'
+                ],
+                'center' => $position + [
+                    'description' => 'Circle center as [longitude, latitude]'
+                ],
+                'radius' => [
+                    'type' => 'number',
+                    'minimum' => 1,
+                    'maximum' => 1000000,
+                    'description' => 'Circle radius in meters'
+                ]
+            ],
+            'required' => ['shape'],
+            'oneOf' => [
+                [
+                    'properties' => ['shape' => ['enum' => [self::SHAPE_POLYGON]]],
+                    'required' => ['coordinates']
+                ],
+                [
+                    'properties' => ['shape' => ['enum' => [self::SHAPE_CIRCLE]]],
+                    'required' => ['center', 'radius']
+                ]
+            ],
+            'additionalProperties' => false
+        ];
+    }
+
+    /**
+     * Area of the rule as a geometry to outline on the map
+     *
+     * Same format as GeoObject geometry: a closed Polygon ring or a Point
+     * with "radius" for circles
+     *
+     * @param array $config Rule configuration
+     * @return array|null Geometry, null if the configuration has no valid area
+     */
+    public static function getBoundary(array $config): ?array
+    {
+        $shape = $config['shape'] ?? null;
+
+        if ($shape === self::SHAPE_CIRCLE) {
+            $center = $config['center'] ?? null;
+            $radius = $config['radius'] ?? null;
+            if (!self::isPosition($center) || !is_numeric($radius) || $radius <= 0) {
+                return null;
+            }
+
+            return [
+                'type' => 'Point',
+                'coordinates' => [(float) $center[0], (float) $center[1]],
+                'radius' => (float) $radius
+            ];
+        }
+
+        if ($shape === self::SHAPE_POLYGON) {
+            $ring = array_values(array_filter(
+                $config['coordinates'] ?? [],
+                fn ($position) => self::isPosition($position)
+            ));
+            $ring = array_map(fn (array $position) => [(float) $position[0], (float) $position[1]], $ring);
+
+            if (count($ring) > 1 && $ring[0] === end($ring)) {
+                array_pop($ring);
+            }
+            if (count($ring) < 3) {
+                return null;
+            }
+
+            $ring[] = $ring[0];
+
+            return ['type' => 'Polygon', 'coordinates' => [$ring]];
+        }
+
+        return null;
+    }
+
+    /**
+     * Build point-in-area check for the boundary
+     *
+     * @param array $boundary Geometry from getBoundary()
+     * @return callable fn(Coordinate): bool
+     */
+    private function createContainsCheck(array $boundary): callable
+    {
+        if (isset($boundary['radius'])) {
+            $center = new Coordinate($boundary['coordinates'][1], $boundary['coordinates'][0]);
+            $radius = $boundary['radius'];
+            $calculator = new Haversine();
+
+            return fn (Coordinate $point) => $calculator->getDistance($center, $point) <= $radius;
+        }
+
+        $polygon = new GeoPolygon();
+        foreach ($boundary['coordinates'][0] as $position) {
+            // GeoJSON format is [longitude, latitude]
+            $polygon->addPoint(new Coordinate($position[1], $position[0]));
+        }
+
+        return fn (Coordinate $point) => $polygon->contains($point);
+    }
+
+    /**
+     * Vertices of the object geometry as [longitude, latitude] positions
+     *
+     * @param GeoObject $geoObject Geo object
+     * @return array
+     */
+    private function getPositions(GeoObject $geoObject): array
+    {
+        $coordinates = $geoObject->getGeometry()['coordinates'] ?? null;
+        if (!is_array($coordinates)) {
+            return [];
+        }
+
+        $positions = match ($geoObject->getGeometryType()) {
+            GeoObject::GEOM_TYPE_POINT, GeoObject::GEOM_TYPE_CIRCLE => [$coordinates],
+            GeoObject::GEOM_TYPE_POLYGON, GeoObject::GEOM_TYPE_IMAGE => $coordinates[0] ?? [],
+            default => $coordinates,
+        };
+
+        return array_filter($positions, fn ($position) => self::isPosition($position));
+    }
+
+    /**
+     * Check value is a [longitude, latitude] pair
+     *
+     * @param mixed $value Value to check
+     * @return bool
+     */
+    private static function isPosition(mixed $value): bool
+    {
+        return is_array($value) && count($value) >= 2
+            && is_numeric($value[0] ?? null) && is_numeric($value[1] ?? null)
+            && $value[1] >= -90 && $value[1] <= 90
+            && $value[0] >= -180 && $value[0] <= 180;
+    }
+}
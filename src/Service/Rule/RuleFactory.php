@@ -122,8 +122,7 @@ class RuleFactory implements RuleFactoryInterface
      */
     private function validateRuleConfiguration(array $config): void
     {
-        $schema = $this->buildSchema();
-        $validationErrors = $this->configValidator->validateWithSchema($config, $schema);
+        $validationErrors = $this->validateConfig($config);
         
         if (!empty($validationErrors)) {
             throw new InvalidRuleConfigurationException(
@@ -133,6 +132,45 @@ class RuleFactory implements RuleFactoryInterface
         }
     }
 
+    /**
+     * Validate rule configuration against schema without creating rules
+     * 
+     * Used by the observer form to report errors while rules are edited
+     * 
+     * @param array $config Rule configuration
+     * @return array Array of validation errors (empty if valid)
+     */
+    public function validateConfig(array $config): array
+    {
+        return $this->configValidator->validateWithSchema($config, $this->buildSchema());
+    }
+
+    /**
+     * Get configuration schemas of all available rules
+     * 
+     * Rules without a schema are left out, the same as in the schema
+     * configurations are validated against
+     * 
+     * @return array ['schema' => array, 'priority' => int] indexed by rule name
+     */
+    public function getConfigSchemas(): array
+    {
+        $schemas = [];
+
+        foreach ($this->ruleInstances as $ruleName => $rule) {
+            $ruleSchema = $rule::getConfigSchema();
+
+            if (!empty($ruleSchema)) {
+                $schemas[$ruleName] = [
+                    'schema' => $ruleSchema,
+                    'priority' => $rule->getPriority()
+                ];
+            }
+        }
+
+        return $schemas;
+    }
+
     /**
      * Create rule instances from validated configuration
      * 
@@ -48,4 +48,19 @@ interface RuleFactoryInterface
      * @throws InvalidRuleConfigurationException If configuration is invalid
      */
     public function createRulesFromConfig(array $config): array;
+
+    /**
+     * Validate rule configuration without creating rules
+     * 
+     * @param array $config Rule configuration
+     * @return array Array of validation errors (empty if valid)
+     */
+    public function validateConfig(array $config): array;
+
+    /**
+     * Get configuration schemas of all available rules
+     * 
+     * @return array Rule schemas with priorities indexed by rule name
+     */
+    public function getConfigSchemas(): array;
 }
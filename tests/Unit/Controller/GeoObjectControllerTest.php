@@ -0,0 +1,196 @@
+<?php
+
+/**
+ * Unit tests for GeoObjectController
+ * 
+ * @category Tests
+ * @package  App\Tests\Unit\Controller
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Controller;
+
+use App\Controller\GeoObjectController;
+use App\Entity\GeoObject;
+use App\Entity\Map;
+use App\Service\GeoObjectHistoryService;
+use App\Service\GeoObjectService;
+use App\Service\GeoObjectTimelineService;
+use App\Service\OverlayImageService;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\Security\Core\Authorization\AuthorizationCheckerInterface;
+use Symfony\Component\Security\Core\Exception\AccessDeniedException;
+
+/**
+ * Unit tests for GeoObjectController
+ * 
+ * Tests that the endpoints which write files, expose who edited objects or
+ * restore old states under the public /geo-object prefix are limited to admins.
+ */
+class GeoObjectControllerTest extends TestCase
+{
+    private GeoObjectController $_controller;
+    private MockObject $_mockAuthorizationChecker;
+
+    /**
+     * Set up test fixtures
+     * 
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockAuthorizationChecker = $this->createMock(AuthorizationCheckerInterface::class);
+        
+        $this->_controller = new GeoObjectController($this->createMock(GeoObjectService::class));
+        $this->_controller->setContainer($this->_createMockContainer());
+    }
+
+    /**
+     * Test anonymous overlay image upload is rejected before anything is written
+     * 
+     * @return void
+     */
+    public function testUploadOverlayImageRejectsAnonymous(): void
+    {
+        // Arrange
+        $this->_mockAuthorizationChecker->method('isGranted')->with('ROLE_ADMIN')->willReturn(false);
+        $overlayImageService = $this->createMock(OverlayImageService::class);
+        $overlayImageService->expects($this->never())->method('upload');
+        
+        // Expect exception
+        $this->expectException(AccessDeniedException::class);
+        
+        // Act
+        $this->_controller->uploadOverlayImage(Request::create('/geo-object/overlay-image', 'POST'), $overlayImageService);
+    }
+
+    /**
+     * Test admin overlay image upload reaches the upload service
+     * 
+     * @return void
+     */
+    public function testUploadOverlayImageAsAdmin(): void
+    {
+        // Arrange
+        $this->_mockAuthorizationChecker->method('isGranted')->with('ROLE_ADMIN')->willReturn(true);
+        $overlayImageService = $this->createMock(OverlayImageService::class);
+        $overlayImageService->expects($this->once())
+            ->method('upload')
+            ->willReturn(['success' => false, 'message' => 'No image uploaded', 'status' => 400]);
+        
+        // Act
+        $response = $this->_controller->uploadOverlayImage(Request::create('/geo-object/overlay-image', 'POST'), $overlayImageService);
+        
+        // Assert
+        $this->assertEquals(400, $response->getStatusCode());
+    }
+
+    /**
+     * Test anonymous visitors cannot read the revision log (it names the admins)
+     * 
+     * @return void
+     */
+    public function testHistoryRejectsAnonymous(): void
+    {
+        // Arrange
+        $this->_mockAuthorizationChecker->method('isGranted')->with('ROLE_ADMIN')->willReturn(false);
+        $historyService = $this->createMock(GeoObjectHistoryService::class);
+        $historyService->expects($this->never())->method('getHistory');
+        
+        // Expect exception
+        $this->expectException(AccessDeniedException::class);
+        
+        // Act
+        $this->_controller->history(new GeoObject(), $historyService);
+    }
+
+    /**
+     * Test non-admins get 403 for the revision timeline of a map
+     * 
+     * @return void
+     */
+    public function testTimelineRejectsNonAdmin(): void
+    {
+        // Arrange
+        $this->_mockAuthorizationChecker->method('isGranted')->with('ROLE_ADMIN')->willReturn(false);
+        $timelineService = $this->createMock(GeoObjectTimelineService::class);
+        $timelineService->expects($this->never())->method('getTimeline');
+        
+        // Expect exception
+        $this->expectException(AccessDeniedException::class);
+        $this->expectExceptionCode(403);
+        
+        // Act
+        $this->_controller->timeline(new Map(), $timelineService);
+    }
+
+    /**
+     * Test anonymous visitors cannot restore a revision
+     * 
+     * @return void
+     */
+    public function testRestoreRevisionRejectsAnonymous(): void
+    {
+        // Arrange
+        $this->_mockAuthorizationChecker->method('isGranted')->with('ROLE_ADMIN')->willReturn(false);
+        $historyService = $this->createMock(GeoObjectHistoryService::class);
+        $historyService->expects($this->never())->method('restoreRevision');
+        
+        // Expect exception
+        $this->expectException(AccessDeniedException::class);
+        
+        // Act
+        $this->_controller->restoreRevision(new GeoObject(), 1, $historyService);
+    }
+
+    /**
+     * Test admins get the revision log
+     * 
+     * @return void
+     */
+    public function testHistoryAsAdmin(): void
+    {
+        // Arrange
+        $this->_mockAuthorizationChecker->method('isGranted')->with('ROLE_ADMIN')->willReturn(true);
+        $historyService = $this->createMock(GeoObjectHistoryService::class);
+        $historyService->expects($this->once())
+            ->method('getHistory')
+            ->willReturn(['success' => true, 'revisions' => []]);
+        
+        // Act
+        $response = $this->_controller->history(new GeoObject(), $historyService);
+        
+        // Assert
+        $this->assertEquals(200, $response->getStatusCode());
+    }
+
+    /**
+     * Create a mock container for the controller
+     * 
+     * @return MockObject
+     */
+    private function _createMockContainer(): MockObject
+    {
+        $container = $this->createMock(ContainerInterface::class);
+        
+        // Without a serializer the controller falls back to json_encode
+        $container
+            ->method('has')
+            ->willReturnCallback(fn (string $id) => $id === 'security.authorization_checker');
+        
+        $container
+            ->method('get')
+            ->willReturnMap(
+                [
+                    ['security.authorization_checker', $this->_mockAuthorizationChecker],
+                ]
+            );
+        
+        return $container;
+    }
+}
@@ -16,11 +16,18 @@ use App\Controller\ObserverViewerController;
 use App\Entity\Observer;
 use App\Entity\Map;
 use App\Entity\GeoObject;
-use App\Repository\ObserverRepository;
+use App\Entity\ObserverAccessLink;
+use App\Entity\ObserverAccessLog;
+use App\Repository\TileSourceRepository;
+use App\Service\ObserverAccessLinkService;
+use App\Service\ObserverAccessLogService;
 use App\Service\ObserverRuleService;
 use PHPUnit\Framework\TestCase;
 use PHPUnit\Framework\MockObject\MockObject;
+use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\Session\Session;
+use Symfony\Component\HttpFoundation\Session\Storage\MockArraySessionStorage;
 use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Twig\Environment;
@@ -28,14 +35,17 @@ use Twig\Environment;
 /**
  * Unit tests for ObserverViewerController
  * 
- * Tests the observer viewer functionality including token validation,
+ * Tests the observer viewer functionality including access link validation,
  * rule service integration, and template rendering.
  */
 class ObserverViewerControllerTest extends TestCase
 {
     private ObserverViewerController $_controller;
-    private MockObject $_mockObserverRepository;
+    private MockObject $_mockAccessLinkService;
     private MockObject $_mockObserverRuleService;
+    private MockObject $_mockTileSourceRepository;
+    private MockObject $_mockAccessLogService;
+    private Request $_request;
     private MockObject $_mockTwig;
     private MockObject $_mockObserver;
     private MockObject $_mockMap;
@@ -48,8 +58,14 @@ class ObserverViewerControllerTest extends TestCase
     protected function setUp(): void
     {
         // Create mocks
-        $this->_mockObserverRepository = $this->createMock(ObserverRepository::class);
+        $this->_mockAccessLinkService = $this->createMock(ObserverAccessLinkService::class);
+        $this->_mockAccessLinkService->method('isUnlocked')->willReturn(true);
         $this->_mockObserverRuleService = $this->createMock(ObserverRuleService::class);
+        $this->_mockTileSourceRepository = $this->createMock(TileSourceRepository::class);
+        $this->_mockTileSourceRepository->method('getLayerConfigsForMap')->willReturn([]);
+        $this->_mockAccessLogService = $this->createMock(ObserverAccessLogService::class);
+        $this->_request = Request::create('/observer/token');
+        $this->_request->setSession(new Session(new MockArraySessionStorage()));
         $this->_mockTwig = $this->createMock(Environment::class);
         
         // Create controller instance
@@ -115,12 +131,12 @@ class ObserverViewerControllerTest extends TestCase
             ->method('getId')
             ->willReturn($mapId);
         
-        // Configure repository mock
-        $this->_mockObserverRepository
+        // Configure link service mock
+        $this->_mockAccessLinkService
             ->expects($this->once())
-            ->method('findByAccessToken')
+            ->method('findByToken')
             ->with($token)
-            ->willReturn($this->_mockObserver);
+            ->willReturn(new ObserverAccessLink($this->_mockObserver, 'Test link', $token));
         
         // Configure rule service mock
         $this->_mockObserverRuleService
@@ -129,6 +145,17 @@ class ObserverViewerControllerTest extends TestCase
             ->with($this->_mockObserver)
             ->willReturn($geoObjects);
         
+        // Access is logged with the number of objects served
+        $this->_mockAccessLogService
+            ->expects($this->once())
+            ->method('logAccess')
+            ->with($this->_mockObserver, $this->_request, ObserverAccessLog::ENDPOINT_PAGE, 2, []);
+        
+        // Page view counts as a use of the link
+        $this->_mockAccessLinkService
+            ->expects($this->once())
+            ->method('open');
+        
         // Configure twig mock to return rendered content
         $expectedContent = '<html>Rendered observer view</html>';
         $this->_mockTwig
@@ -138,8 +165,11 @@ class ObserverViewerControllerTest extends TestCase
                 'observer_viewer/view.html.twig',
                 [
                     'observer' => $this->_mockObserver,
+                    'token' => $token,
                     'map' => $this->_mockMap,
                     'geoObjects' => $geoObjects,
+                    'tileSources' => [],
+                    'geofence' => null,
                 ]
             )
             ->willReturn($expectedContent);
@@ -147,8 +177,11 @@ class ObserverViewerControllerTest extends TestCase
         // Act
         $response = $this->_controller->view(
             $token,
-            $this->_mockObserverRepository,
-            $this->_mockObserverRuleService
+            $this->_request,
+            $this->_mockAccessLinkService,
+            $this->_mockObserverRuleService,
+            $this->_mockTileSourceRepository,
+            $this->_mockAccessLogService
         );
         
         // Assert
@@ -167,17 +200,20 @@ class ObserverViewerControllerTest extends TestCase
         // Arrange
         $invalidToken = 'invalid-token';
         
-        // Configure repository to return null (observer not found)
-        $this->_mockObserverRepository
+        // Configure link service to return null (link not found)
+        $this->_mockAccessLinkService
             ->expects($this->once())
-            ->method('findByAccessToken')
+            ->method('findByToken')
             ->with($invalidToken)
             ->willReturn(null);
         
-        // Rule service should not be called
+        // Rule service should not be called and nothing is logged
         $this->_mockObserverRuleService
             ->expects($this->never())
             ->method('getFilteredGeoObjects');
+        $this->_mockAccessLogService
+            ->expects($this->never())
+            ->method('logAccess');
         
         // Expect exception
         $this->expectException(NotFoundHttpException::class);
@@ -186,8 +222,11 @@ class ObserverViewerControllerTest extends TestCase
         // Act
         $this->_controller->view(
             $invalidToken,
-            $this->_mockObserverRepository,
-            $this->_mockObserverRuleService
+            $this->_request,
+            $this->_mockAccessLinkService,
+            $this->_mockObserverRuleService,
+            $this->_mockTileSourceRepository,
+            $this->_mockAccessLogService
         );
     }
 
@@ -218,12 +257,12 @@ class ObserverViewerControllerTest extends TestCase
             ->method('getId')
             ->willReturn($mapId);
         
-        // Configure repository mock
-        $this->_mockObserverRepository
+        // Configure link service mock
+        $this->_mockAccessLinkService
             ->expects($this->once())
-            ->method('findByAccessToken')
+            ->method('findByToken')
             ->with($token)
-            ->willReturn($this->_mockObserver);
+            ->willReturn(new ObserverAccessLink($this->_mockObserver, 'Test link', $token));
         
         // Configure rule service to return empty array
         $this->_mockObserverRuleService
@@ -241,8 +280,11 @@ class ObserverViewerControllerTest extends TestCase
                 'observer_viewer/view.html.twig',
                 [
                     'observer' => $this->_mockObserver,
+                    'token' => $token,
                     'map' => $this->_mockMap,
                     'geoObjects' => [],
+                    'tileSources' => [],
+                    'geofence' => null,
                 ]
             )
             ->willReturn($expectedContent);
@@ -250,8 +292,11 @@ class ObserverViewerControllerTest extends TestCase
         // Act
         $response = $this->_controller->view(
             $token,
-            $this->_mockObserverRepository,
-            $this->_mockObserverRuleService
+            $this->_request,
+            $this->_mockAccessLinkService,
+            $this->_mockObserverRuleService,
+            $this->_mockTileSourceRepository,
+            $this->_mockAccessLogService
         );
         
         // Assert
@@ -301,11 +346,11 @@ class ObserverViewerControllerTest extends TestCase
             ->method('getId')
             ->willReturn($mapId);
         
-        $this->_mockObserverRepository
+        $this->_mockAccessLinkService
             ->expects($this->once())
-            ->method('findByAccessToken')
+            ->method('findByToken')
             ->with($token)
-            ->willReturn($this->_mockObserver);
+            ->willReturn(new ObserverAccessLink($this->_mockObserver, 'Test link', $token));
         
         // Verify that the rule service is called with the correct observer
         $this->_mockObserverRuleService
@@ -321,8 +366,11 @@ class ObserverViewerControllerTest extends TestCase
                 'observer_viewer/view.html.twig',
                 [
                     'observer' => $this->_mockObserver,
+                    'token' => $token,
                     'map' => $this->_mockMap,
                     'geoObjects' => $filteredObjects,
+                    'tileSources' => [],
+                    'geofence' => null,
                 ]
             )
             ->willReturn('<html>Filtered view</html>');
@@ -330,8 +378,11 @@ class ObserverViewerControllerTest extends TestCase
         // Act
         $response = $this->_controller->view(
             $token,
-            $this->_mockObserverRepository,
-            $this->_mockObserverRuleService
+            $this->_request,
+            $this->_mockAccessLinkService,
+            $this->_mockObserverRuleService,
+            $this->_mockTileSourceRepository,
+            $this->_mockAccessLogService
         );
         
         // Assert
@@ -349,10 +400,10 @@ class ObserverViewerControllerTest extends TestCase
         // Arrange
         $specialToken = 'token-with-special-chars_123!@#';
         
-        // Configure repository to return null
-        $this->_mockObserverRepository
+        // Configure link service to return null
+        $this->_mockAccessLinkService
             ->expects($this->once())
-            ->method('findByAccessToken')
+            ->method('findByToken')
             ->with($specialToken)
             ->willReturn(null);
         
@@ -363,11 +414,94 @@ class ObserverViewerControllerTest extends TestCase
         // Act
         $this->_controller->view(
             $specialToken,
-            $this->_mockObserverRepository,
-            $this->_mockObserverRuleService
+            $this->_request,
+            $this->_mockAccessLinkService,
+            $this->_mockObserverRuleService,
+            $this->_mockTileSourceRepository,
+            $this->_mockAccessLogService
         );
     }
 
+    /**
+     * Test revoked link shows the unavailable page instead of the map
+     * 
+     * @return void
+     */
+    public function testViewWithRevokedLink(): void
+    {
+        // Arrange
+        $token = 'revoked-token';
+        $link = (new ObserverAccessLink($this->_mockObserver, 'Revoked link', $token))->revoke();
+        
+        $this->_mockAccessLinkService
+            ->method('findByToken')
+            ->with($token)
+            ->willReturn($link);
+        
+        // Link is not used and no objects are loaded
+        $this->_mockAccessLinkService
+            ->expects($this->never())
+            ->method('open');
+        $this->_mockObserverRuleService
+            ->expects($this->never())
+            ->method('getFilteredGeoObjects');
+        
+        $this->_mockTwig
+            ->expects($this->once())
+            ->method('render')
+            ->with('observer_viewer/link_unavailable.html.twig', ['status' => ObserverAccessLink::STATUS_REVOKED])
+            ->willReturn('<html>Link unavailable</html>');
+        
+        // Act
+        $response = $this->_controller->view(
+            $token,
+            $this->_request,
+            $this->_mockAccessLinkService,
+            $this->_mockObserverRuleService,
+            $this->_mockTileSourceRepository,
+            $this->_mockAccessLogService
+        );
+        
+        // Assert
+        $this->assertEquals(Response::HTTP_GONE, $response->getStatusCode());
+    }
+
+    /**
+     * Test link with a PIN asks for it before the map is shown
+     * 
+     * @return void
+     */
+    public function testViewWithPinAsksForPin(): void
+    {
+        // Arrange
+        $token = 'pin-token';
+        $link = new ObserverAccessLink($this->_mockObserver, 'PIN link', $token, null, null, '1234');
+        $accessLinkService = $this->createMock(ObserverAccessLinkService::class);
+        
+        $accessLinkService->method('findByToken')->with($token)->willReturn($link);
+        $accessLinkService->method('isUnlocked')->willReturn(false);
+        $accessLinkService->expects($this->never())->method('open');
+        
+        $this->_mockTwig
+            ->expects($this->once())
+            ->method('render')
+            ->with('observer_viewer/unlock.html.twig', ['token' => $token, 'error' => null, 'locked' => false])
+            ->willReturn('<html>PIN required</html>');
+        
+        // Act
+        $response = $this->_controller->view(
+            $token,
+            $this->_request,
+            $accessLinkService,
+            $this->_mockObserverRuleService,
+            $this->_mockTileSourceRepository,
+            $this->_mockAccessLogService
+        );
+        
+        // Assert
+        $this->assertEquals(Response::HTTP_UNAUTHORIZED, $response->getStatusCode());
+    }
+
     /**
      * Create a mock container for the controller
      * 
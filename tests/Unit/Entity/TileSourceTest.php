@@ -0,0 +1,140 @@
+<?php
+
+/**
+ * Unit tests for TileSource
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Entity
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Entity;
+
+use App\Entity\TileSource;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\Validator\Validation;
+use Symfony\Component\Validator\Validator\ValidatorInterface;
+
+/**
+ * Unit tests for TileSource
+ *
+ * Tests URL template validation of custom tile sources.
+ */
+class TileSourceTest extends TestCase
+{
+    private ValidatorInterface $_validator;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_validator = Validation::createValidatorBuilder()
+            ->enableAttributeMapping()
+            ->getValidator();
+    }
+
+    /**
+     * Test XYZ template with all placeholders and subdomains is valid
+     *
+     * @return void
+     */
+    public function testValidXyzTemplate(): void
+    {
+        // Arrange
+        $source = $this->_createSource('https://{s}.tiles.example.com/{z}/{x}/{y}.png')
+            ->setSubdomains('abc');
+
+        // Act & Assert
+        $this->assertSame([], $this->_getViolations($source));
+    }
+
+    /**
+     * Test XYZ template missing a placeholder is rejected
+     *
+     * @return void
+     */
+    public function testTemplateMissingPlaceholder(): void
+    {
+        // Arrange
+        $source = $this->_createSource('https://tiles.example.com/{z}/{x}.png');
+
+        // Act
+        $violations = $this->_getViolations($source);
+
+        // Assert
+        $this->assertSame(['urlTemplate' => 'URL template must contain {y}'], $violations);
+    }
+
+    /**
+     * Test {s} in the template requires subdomains
+     *
+     * @return void
+     */
+    public function testTemplateWithSubdomainPlaceholderNeedsSubdomains(): void
+    {
+        // Arrange
+        $source = $this->_createSource('https://{s}.tiles.example.com/{z}/{x}/{y}.png');
+
+        // Act
+        $violations = $this->_getViolations($source);
+
+        // Assert
+        $this->assertSame(['subdomains' => 'URL template uses {s}, please set subdomains'], $violations);
+    }
+
+    /**
+     * Test WMS service URL needs no placeholders but a layer name
+     *
+     * @return void
+     */
+    public function testWmsSourceNeedsLayers(): void
+    {
+        // Arrange
+        $source = $this->_createSource('https://wms.example.com/service')
+            ->setType(TileSource::TYPE_WMS);
+
+        // Act
+        $withoutLayers = $this->_getViolations($source);
+        $withLayers = $this->_getViolations($source->setWmsLayers('roads'));
+
+        // Assert
+        $this->assertSame(['wmsLayers' => 'WMS sources need at least one layer name'], $withoutLayers);
+        $this->assertSame([], $withLayers);
+    }
+
+    /**
+     * Create XYZ source with given URL template
+     *
+     * @param string $urlTemplate URL template
+     *
+     * @return TileSource
+     */
+    private function _createSource(string $urlTemplate): TileSource
+    {
+        return (new TileSource())
+            ->setName('Self-hosted')
+            ->setUrlTemplate($urlTemplate);
+    }
+
+    /**
+     * Validate source
+     *
+     * @param TileSource $source Tile source
+     *
+     * @return array Violation messages by property path
+     */
+    private function _getViolations(TileSource $source): array
+    {
+        $violations = [];
+        foreach ($this->_validator->validate($source) as $violation) {
+            $violations[$violation->getPropertyPath()] = $violation->getMessage();
+        }
+
+        return $violations;
+    }
+}
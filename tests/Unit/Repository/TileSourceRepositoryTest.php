@@ -0,0 +1,133 @@
+<?php
+
+/**
+ * Unit tests for TileSourceRepository
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Repository
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Repository;
+
+use App\Entity\Map;
+use App\Entity\TileSource;
+use App\Repository\TileSourceRepository;
+use Doctrine\ORM\Query;
+use Doctrine\ORM\QueryBuilder;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for TileSourceRepository
+ *
+ * Tests the tile sources listed for a map.
+ */
+class TileSourceRepositoryTest extends TestCase
+{
+    /**
+     * Test sources for a map include global sources and those of the map
+     *
+     * @return void
+     */
+    public function testFindAvailableForMap(): void
+    {
+        // Arrange
+        $map = $this->createMock(Map::class);
+        $map->method('getId')->willReturn(3);
+        $source = $this->_createSource('https://tiles.example.com/{z}/{x}/{y}.png')->setMap($map);
+
+        $queryBuilder = $this->_createQueryBuilder([$source]);
+        $queryBuilder->expects($this->once())
+            ->method('andWhere')
+            ->with('t.map IS NULL OR t.map = :map')
+            ->willReturnSelf();
+        $queryBuilder->expects($this->once())
+            ->method('setParameter')
+            ->with('map', $map)
+            ->willReturnSelf();
+
+        // Act
+        $configs = $this->_createRepository($queryBuilder)->getLayerConfigsForMap($map);
+
+        // Assert
+        $this->assertCount(1, $configs);
+        $this->assertSame('https://tiles.example.com/{z}/{x}/{y}.png', $configs[0]['url']);
+        $this->assertSame(3, $configs[0]['mapId']);
+    }
+
+    /**
+     * Test without a saved map only global sources are listed
+     *
+     * @return void
+     */
+    public function testFindAvailableWithoutMap(): void
+    {
+        // Arrange
+        $queryBuilder = $this->_createQueryBuilder([]);
+        $queryBuilder->expects($this->once())
+            ->method('andWhere')
+            ->with('t.map IS NULL')
+            ->willReturnSelf();
+        $queryBuilder->expects($this->never())->method('setParameter');
+
+        // Act
+        $sources = $this->_createRepository($queryBuilder)->findAvailableForMap(new Map());
+
+        // Assert
+        $this->assertSame([], $sources);
+    }
+
+    /**
+     * Create XYZ source with given URL template
+     *
+     * @param string $urlTemplate URL template
+     *
+     * @return TileSource
+     */
+    private function _createSource(string $urlTemplate): TileSource
+    {
+        return (new TileSource())
+            ->setName('Self-hosted')
+            ->setUrlTemplate($urlTemplate);
+    }
+
+    /**
+     * Create query builder mock returning given sources
+     *
+     * @param array $result Query result
+     *
+     * @return MockObject
+     */
+    private function _createQueryBuilder(array $result): MockObject
+    {
+        $query = $this->createMock(Query::class);
+        $query->method('getResult')->willReturn($result);
+
+        $queryBuilder = $this->createMock(QueryBuilder::class);
+        $queryBuilder->method('orderBy')->willReturnSelf();
+        $queryBuilder->method('getQuery')->willReturn($query);
+
+        return $queryBuilder;
+    }
+
+    /**
+     * Create repository building queries with given query builder
+     *
+     * @param MockObject $queryBuilder Query builder mock
+     *
+     * @return TileSourceRepository
+     */
+    private function _createRepository(MockObject $queryBuilder): TileSourceRepository
+    {
+        $repository = $this->getMockBuilder(TileSourceRepository::class)
+            ->disableOriginalConstructor()
+            ->onlyMethods(['createQueryBuilder'])
+            ->getMock();
+        $repository->method('createQueryBuilder')->with('t')->willReturn($queryBuilder);
+
+        return $repository;
+    }
+}
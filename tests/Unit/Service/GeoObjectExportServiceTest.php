@@ -0,0 +1,189 @@
+<?php
+
+/**
+ * Unit tests for GeoObjectExportService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Map;
+use App\Entity\Side;
+use App\Repository\GeoObjectRepository;
+use App\Service\GeoObjectExportService;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for GeoObjectExportService
+ *
+ * Tests filtering and GeoJSON/KML/GPX conversion.
+ */
+class GeoObjectExportServiceTest extends TestCase
+{
+    private GeoObjectExportService $_service;
+    private MockObject $_mockGeoObjectRepository;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockGeoObjectRepository = $this->createMock(GeoObjectRepository::class);
+        $this->_service = new GeoObjectExportService($this->_mockGeoObjectRepository);
+    }
+
+    /**
+     * Test hidden sides and expired objects are filtered out
+     *
+     * @return void
+     */
+    public function testFilterGeoObjectsSkipsHiddenSidesAndExpiredObjects(): void
+    {
+        // Arrange
+        $hiddenSideObject = $this->_createObjectMock(3, false);
+        $expiredObject = $this->_createObjectMock(null, true);
+        $visibleObject = $this->_createObjectMock(4, false);
+
+        // Act
+        $result = $this->_service->filterGeoObjects(
+            [$hiddenSideObject, $expiredObject, $visibleObject],
+            [3],
+            true
+        );
+
+        // Assert
+        $this->assertSame([$visibleObject], $result);
+    }
+
+    /**
+     * Test circle is exported as GeoJSON Point with radius property
+     *
+     * @return void
+     */
+    public function testToGeoJsonExportsCircleAsPointWithRadius(): void
+    {
+        // Arrange
+        $circle = GeoObject::createCircle('Danger zone', 50.4, 30.5, 250);
+
+        // Act
+        $collection = $this->_service->toGeoJson([$circle]);
+
+        // Assert
+        $this->assertSame('FeatureCollection', $collection['type']);
+        $this->assertSame(
+            ['type' => 'Point', 'coordinates' => [30.5, 50.4]],
+            $collection['features'][0]['geometry']
+        );
+        $this->assertSame('Danger zone', $collection['features'][0]['properties']['name']);
+        $this->assertSame(250.0, $collection['features'][0]['properties']['radius']);
+    }
+
+    /**
+     * Test image overlay is exported as outline polygon with image URL
+     *
+     * @return void
+     */
+    public function testToGeoJsonExportsImageOverlayAsPolygon(): void
+    {
+        // Arrange
+        $ring = [[30.5, 50.5], [30.6, 50.5], [30.6, 50.4], [30.5, 50.4], [30.5, 50.5]];
+        $image = (new GeoObject())
+            ->setName('Drone photo')
+            ->setGeometryType(GeoObject::GEOM_TYPE_IMAGE)
+            ->setGeometry([
+                'coordinates' => [$ring],
+                'imageUrl' => '/uploads/overlays/photo.jpg',
+                'opacity' => 0.6,
+            ]);
+
+        // Act
+        $collection = $this->_service->toGeoJson([$image]);
+
+        // Assert
+        $this->assertSame(
+            ['type' => 'Polygon', 'coordinates' => [$ring]],
+            $collection['features'][0]['geometry']
+        );
+        $this->assertSame('/uploads/overlays/photo.jpg', $collection['features'][0]['properties']['imageUrl']);
+        $this->assertSame(0.6, $collection['features'][0]['properties']['opacity']);
+    }
+
+    /**
+     * Test KML uses side color as style
+     *
+     * @return void
+     */
+    public function testToKmlWritesSideStyle(): void
+    {
+        // Arrange
+        $side = $this->createMock(Side::class);
+        $side->method('getId')->willReturn(7);
+        $side->method('getName')->willReturn('Blue');
+        $side->method('getColor')->willReturn('#1E90FF');
+
+        $point = GeoObject::createPoint('Observation post', 50.4, 30.5);
+        $point->setSide($side);
+
+        // Act
+        $kml = $this->_service->toKml((new Map())->setTitle('Exercise'), [$point]);
+
+        // Assert
+        $this->assertStringContainsString('<Style id="side-7">', $kml);
+        $this->assertStringContainsString('<color>ffff901e</color>', $kml);
+        $this->assertStringContainsString('<styleUrl>#side-7</styleUrl>', $kml);
+        $this->assertStringContainsString('<coordinates>30.5,50.4</coordinates>', $kml);
+    }
+
+    /**
+     * Test GPX contains only points and lines
+     *
+     * @return void
+     */
+    public function testToGpxSkipsAreas(): void
+    {
+        // Arrange
+        $point = GeoObject::createPoint('Checkpoint', 50.4, 30.5);
+        $line = GeoObject::createLineString('Route', [[30.5, 50.4], [30.6, 50.5]]);
+        $polygon = GeoObject::createPolygon('Area', [[30, 50], [31, 50], [31, 51]]);
+
+        // Act
+        $gpx = $this->_service->toGpx((new Map())->setTitle('Exercise'), [$polygon, $line, $point]);
+
+        // Assert
+        $this->assertStringContainsString('<wpt lat="50.4" lon="30.5">', $gpx);
+        $this->assertStringContainsString('<trkpt lat="50.5" lon="30.6"/>', $gpx);
+        $this->assertStringNotContainsString('Area', $gpx);
+        $this->assertLessThan(strpos($gpx, '<trk>'), strpos($gpx, '<wpt'));
+    }
+
+    /**
+     * Create GeoObject mock with optional side
+     *
+     * @param int|null $sideId Side ID or null for no side
+     * @param bool $expired Whether object is expired
+     * @return MockObject
+     */
+    private function _createObjectMock(?int $sideId, bool $expired): MockObject
+    {
+        $side = null;
+        if ($sideId !== null) {
+            $side = $this->createMock(Side::class);
+            $side->method('getId')->willReturn($sideId);
+        }
+
+        $geoObject = $this->createMock(GeoObject::class);
+        $geoObject->method('getSide')->willReturn($side);
+        $geoObject->method('isExpired')->willReturn($expired);
+
+        return $geoObject;
+    }
+}
@@ -0,0 +1,181 @@
+<?php
+
+/**
+ * Unit tests for GeoObjectHistoryService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\GeoObjectRevision;
+use App\Entity\Map;
+use App\Repository\GeoObjectRevisionRepository;
+use App\Service\GeoObjectHistoryService;
+use App\Service\GeoObjectService;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for GeoObjectHistoryService
+ *
+ * Tests change detection between revisions and restoring earlier states.
+ */
+class GeoObjectHistoryServiceTest extends TestCase
+{
+    private GeoObjectHistoryService $_service;
+    private MockObject $_mockRevisionRepository;
+    private MockObject $_mockGeoObjectService;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockRevisionRepository = $this->createMock(GeoObjectRevisionRepository::class);
+        $this->_mockGeoObjectService = $this->createMock(GeoObjectService::class);
+
+        $this->_service = new GeoObjectHistoryService(
+            $this->_mockRevisionRepository,
+            $this->_mockGeoObjectService
+        );
+    }
+
+    /**
+     * Test history is newest first and lists fields changed by each revision
+     *
+     * @return void
+     */
+    public function testGetHistoryListsChangedFields(): void
+    {
+        // Arrange
+        $point = ['type' => 'Point', 'coordinates' => [30.5, 50.4]];
+        $moved = ['type' => 'Point', 'coordinates' => [30.6, 50.4]];
+
+        $this->_mockRevisionRepository
+            ->method('findByObjectChronological')
+            ->with(1)
+            ->willReturn([
+                $this->_createRevision('created', ['title' => 'Alpha', 'geoJson' => $point, 'ttl' => null], 'admin@example.com'),
+                $this->_createRevision('updated', ['title' => 'Alpha', 'geoJson' => $moved, 'ttl' => 0], 'admin@example.com'),
+                $this->_createRevision('updated', ['title' => 'Bravo', 'geoJson' => $moved, 'ttl' => 600], null),
+            ]);
+
+        // Act
+        $result = $this->_service->getHistory($this->_createGeoObject());
+
+        // Assert
+        $this->assertTrue($result['success']);
+        $this->assertSame(
+            [['title', 'ttl'], ['geoJson'], []],
+            array_column($result['revisions'], 'changes')
+        );
+        $this->assertSame([null, 'admin@example.com', 'admin@example.com'], array_column($result['revisions'], 'changedBy'));
+        $this->assertArrayNotHasKey('remainingTtl', $result['revisions'][0]['object']);
+    }
+
+    /**
+     * Test restore sends the stored state as an update, clearing empty fields
+     *
+     * @return void
+     */
+    public function testRestoreRevisionUpdatesObject(): void
+    {
+        // Arrange
+        $geoObject = $this->_createGeoObject();
+        $geoJson = ['type' => 'Point', 'coordinates' => [30.5, 50.4]];
+
+        $this->_mockRevisionRepository
+            ->method('find')
+            ->with(5)
+            ->willReturn($this->_createRevision('updated', ['title' => 'Alpha', 'type' => 'Point', 'geoJson' => $geoJson, 'ttl' => null, 'sideId' => null]));
+
+        $this->_mockGeoObjectService
+            ->expects($this->once())
+            ->method('updateGeoObject')
+            ->with($geoObject, [
+                'title' => 'Alpha',
+                'description' => '',
+                'type' => 'Point',
+                'geoJson' => $geoJson,
+                'sideId' => '',
+                'visibleToSides' => [],
+                'ttl' => 0,
+                'iconUrl' => '',
+                'activeFrom' => '',
+                'activeUntil' => '',
+            ])
+            ->willReturn(['success' => true, 'message' => 'Geo object updated successfully', 'status' => 200]);
+
+        // Act
+        $result = $this->_service->restoreRevision($geoObject, 5);
+
+        // Assert
+        $this->assertTrue($result['success']);
+        $this->assertStringStartsWith('Geo object restored', $result['message']);
+    }
+
+    /**
+     * Test revisions of other objects and deletions cannot be restored
+     *
+     * @return void
+     */
+    public function testRestoreRevisionRejectsForeignAndDeletedRevisions(): void
+    {
+        // Arrange
+        $foreign = new GeoObjectRevision(new Map(), 2, 'updated', []);
+        $deleted = $this->_createRevision('deleted', ['title' => 'Alpha']);
+
+        $this->_mockRevisionRepository
+            ->method('find')
+            ->willReturnMap([[7, null, null, $foreign], [8, null, null, $deleted], [9, null, null, null]]);
+        $this->_mockGeoObjectService
+            ->expects($this->never())
+            ->method('updateGeoObject');
+
+        // Act & Assert
+        $this->assertSame(404, $this->_service->restoreRevision($this->_createGeoObject(), 7)['status']);
+        $this->assertSame(400, $this->_service->restoreRevision($this->_createGeoObject(), 8)['status']);
+        $this->assertSame(404, $this->_service->restoreRevision($this->_createGeoObject(), 9)['status']);
+    }
+
+    /**
+     * Create geo object mock with ID 1
+     *
+     * @return GeoObject
+     */
+    private function _createGeoObject(): GeoObject
+    {
+        $geoObject = $this->createMock(GeoObject::class);
+        $geoObject->method('getId')->willReturn(1);
+
+        return $geoObject;
+    }
+
+    /**
+     * Create revision of object 1
+     *
+     * @param string $action Revision action
+     * @param array $data Serialized object fields
+     * @param string|null $changedBy User identifier
+     * @return GeoObjectRevision
+     */
+    private function _createRevision(string $action, array $data, ?string $changedBy = null): GeoObjectRevision
+    {
+        return new GeoObjectRevision(
+            new Map(),
+            1,
+            $action,
+            array_merge(['id' => 1, 'remainingTtl' => 0, 'isExpired' => false], $data),
+            new \DateTimeImmutable('2025-01-01 10:00:00'),
+            $changedBy
+        );
+    }
+}
@@ -0,0 +1,222 @@
+<?php
+
+/**
+ * Unit tests for GeoObjectService batch creation
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Map;
+use App\Repository\GeoObjectRepository;
+use App\Repository\MapRepository;
+use App\Repository\SideRepository;
+use App\Service\GeoObjectService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for GeoObjectService batch creation
+ *
+ * Tests bulk import with per-item validation errors.
+ */
+class GeoObjectServiceBatchTest extends TestCase
+{
+    private GeoObjectService $_service;
+    private MockObject $_mockEntityManager;
+    private MockObject $_mockMapRepository;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockEntityManager = $this->createMock(EntityManagerInterface::class);
+        $this->_mockMapRepository = $this->createMock(MapRepository::class);
+
+        $this->_service = new GeoObjectService(
+            $this->_mockEntityManager,
+            $this->createMock(GeoObjectRepository::class),
+            $this->_mockMapRepository,
+            $this->createMock(SideRepository::class)
+        );
+    }
+
+    /**
+     * Test valid items are saved and invalid ones reported by index
+     *
+     * @return void
+     */
+    public function testCreateGeoObjectsBatchReportsInvalidItems(): void
+    {
+        // Arrange
+        $this->_mockMapRepository
+            ->method('find')
+            ->with(5)
+            ->willReturn(new Map());
+
+        $this->_mockEntityManager
+            ->expects($this->once())
+            ->method('persist')
+            ->with($this->isInstanceOf(GeoObject::class));
+
+        $this->_mockEntityManager
+            ->expects($this->once())
+            ->method('flush');
+
+        $data = [
+            'mapId' => 5,
+            'objects' => [
+                [
+                    'title' => 'Checkpoint',
+                    'type' => GeoObject::GEOM_TYPE_POINT,
+                    'geoJson' => ['type' => 'Point', 'coordinates' => [30.5, 50.4]],
+                ],
+                [
+                    'title' => 'Open area',
+                    'type' => GeoObject::GEOM_TYPE_POLYGON,
+                    'geoJson' => [
+                        'type' => 'Polygon',
+                        'coordinates' => [[[30, 50], [31, 50], [31, 51], [30, 51]]],
+                    ],
+                ],
+                [
+                    'type' => GeoObject::GEOM_TYPE_POINT,
+                    'geoJson' => ['type' => 'Point', 'coordinates' => [30.5, 50.4]],
+                ],
+            ],
+        ];
+
+        // Act
+        $result = $this->_service->createGeoObjectsBatch($data);
+
+        // Assert
+        $this->assertTrue($result['success']);
+        $this->assertSame(201, $result['status']);
+        $this->assertCount(1, $result['objects']);
+        $this->assertSame('Checkpoint', $result['objects'][0]['title']);
+        $this->assertSame(
+            [
+                [
+                    'index' => 1,
+                    'message' => 'Polygon outer ring must be closed (first and last points must be the same)',
+                ],
+                ['index' => 2, 'message' => 'Title is required'],
+            ],
+            $result['errors']
+        );
+    }
+
+    /**
+     * Test nothing is saved when every item is invalid
+     *
+     * @return void
+     */
+    public function testCreateGeoObjectsBatchWithOnlyInvalidItems(): void
+    {
+        // Arrange
+        $this->_mockMapRepository
+            ->method('find')
+            ->willReturn(new Map());
+
+        $this->_mockEntityManager
+            ->expects($this->never())
+            ->method('flush');
+
+        $data = [
+            'mapId' => 5,
+            'objects' => [
+                [
+                    'title' => 'Far away',
+                    'type' => GeoObject::GEOM_TYPE_POINT,
+                    'geoJson' => ['type' => 'Point', 'coordinates' => [30.5, 95]],
+                ],
+            ],
+        ];
+
+        // Act
+        $result = $this->_service->createGeoObjectsBatch($data);
+
+        // Assert
+        $this->assertFalse($result['success']);
+        $this->assertSame(422, $result['status']);
+        $this->assertSame('Latitude must be between -90 and 90 degrees', $result['errors'][0]['message']);
+    }
+
+    /**
+     * Test request without objects is rejected
+     *
+     * @return void
+     */
+    public function testCreateGeoObjectsBatchWithoutObjects(): void
+    {
+        // Arrange
+        $this->_mockMapRepository
+            ->expects($this->never())
+            ->method('find');
+
+        // Act
+        $result = $this->_service->createGeoObjectsBatch(['mapId' => 5, 'objects' => []]);
+
+        // Assert
+        $this->assertFalse($result['success']);
+        $this->assertSame(400, $result['status']);
+    }
+
+    /**
+     * Test a file with more features than BATCH_LIMIT is rejected in one
+     * request and imported in chunks, errors indexed within their chunk
+     *
+     * @return void
+     */
+    public function testCreateGeoObjectsBatchAboveLimitInChunks(): void
+    {
+        // Arrange
+        $this->_mockMapRepository
+            ->method('find')
+            ->willReturn(new Map());
+
+        $features = [];
+        for ($i = 0; $i < GeoObjectService::BATCH_LIMIT + 1; $i++) {
+            $features[] = [
+                'title' => sprintf('Waypoint %d', $i),
+                'type' => GeoObject::GEOM_TYPE_POINT,
+                'geoJson' => ['type' => 'Point', 'coordinates' => [30.5, 50.4]],
+            ];
+        }
+        // Last feature is invalid
+        $features[GeoObjectService::BATCH_LIMIT]['geoJson']['coordinates'] = [30.5, 95];
+
+        $this->_mockEntityManager
+            ->expects($this->exactly(GeoObjectService::BATCH_LIMIT))
+            ->method('persist');
+
+        // Act
+        $single = $this->_service->createGeoObjectsBatch(['mapId' => 5, 'objects' => $features]);
+
+        $created = 0;
+        $errorIndexes = [];
+        foreach (array_chunk($features, GeoObjectService::BATCH_LIMIT) as $chunkNumber => $chunk) {
+            $result = $this->_service->createGeoObjectsBatch(['mapId' => 5, 'objects' => $chunk]);
+            $created += count($result['objects']);
+            foreach ($result['errors'] as $error) {
+                $errorIndexes[] = $chunkNumber * GeoObjectService::BATCH_LIMIT + $error['index'];
+            }
+        }
+
+        // Assert
+        $this->assertFalse($single['success']);
+        $this->assertSame(400, $single['status']);
+        $this->assertSame(GeoObjectService::BATCH_LIMIT, $created);
+        $this->assertSame([GeoObjectService::BATCH_LIMIT], $errorIndexes);
+    }
+}
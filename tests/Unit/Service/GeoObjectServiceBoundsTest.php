@@ -0,0 +1,124 @@
+<?php
+
+/**
+ * Unit tests for GeoObjectService bounding box queries
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Map;
+use App\Repository\GeoObjectRepository;
+use App\Repository\MapRepository;
+use App\Repository\SideRepository;
+use App\Service\GeoObjectService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for GeoObjectService bounding box queries
+ *
+ * Tests that only objects intersecting the requested area are returned.
+ */
+class GeoObjectServiceBoundsTest extends TestCase
+{
+    private GeoObjectService $_service;
+    private MockObject $_mockGeoObjectRepository;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockGeoObjectRepository = $this->createMock(GeoObjectRepository::class);
+
+        $this->_service = new GeoObjectService(
+            $this->createMock(EntityManagerInterface::class),
+            $this->_mockGeoObjectRepository,
+            $this->createMock(MapRepository::class),
+            $this->createMock(SideRepository::class)
+        );
+    }
+
+    /**
+     * Test objects outside the box are skipped, circles count with radius
+     *
+     * @return void
+     */
+    public function testGetGeoObjectsByMapInBoundsFiltersObjects(): void
+    {
+        // Arrange
+        $this->_mockGeoObjectRepository
+            ->expects($this->once())
+            ->method('findByMapInBounds')
+            ->with($this->isInstanceOf(Map::class), [30.4, 50.4, 30.6, 50.5])
+            ->willReturn([
+                GeoObject::createPoint('Inside', 50.45, 30.52),
+                GeoObject::createPoint('Outside', 49.8, 24.0),
+                // Center 0.01 deg (~1.1 km) south of the box, 2 km radius
+                GeoObject::createCircle('Reaching in', 50.39, 30.5, 2000),
+                GeoObject::createPolygon('Crossing', [[30.3, 50.3], [30.5, 50.5], [30.3, 50.5]]),
+            ]);
+
+        // Act
+        $result = $this->_service->getGeoObjectsByMapInBounds(new Map(), '30.4,50.4,30.6,50.5');
+
+        // Assert
+        $this->assertTrue($result['success']);
+        $this->assertSame([30.4, 50.4, 30.6, 50.5], $result['bbox']);
+        $this->assertSame(
+            ['Inside', 'Reaching in', 'Crossing'],
+            array_column($result['objects'], 'title')
+        );
+    }
+
+    /**
+     * Test stored bounds follow the geometry, circles include their radius
+     *
+     * @return void
+     */
+    public function testStoredBoundsFollowGeometry(): void
+    {
+        // Arrange
+        $polygon = GeoObject::createPolygon('Area', [[30.3, 50.3], [30.5, 50.5], [30.3, 50.5]]);
+        $circle = GeoObject::createCircle('Ring', 50.0, 30.0, 1113.2);
+
+        // Act
+        $polygon->setGeometry(['coordinates' => [[[31.0, 51.0], [31.2, 51.0], [31.2, 51.1], [31.0, 51.0]]]]);
+
+        // Assert
+        $this->assertSame([31.0, 51.0, 31.2, 51.1], $polygon->getStoredBounds());
+        $this->assertEqualsWithDelta([29.984, 49.99, 30.016, 50.01], $circle->getStoredBounds(), 0.001);
+    }
+
+    /**
+     * Test malformed or out of range boxes are rejected
+     *
+     * @return void
+     */
+    public function testGetGeoObjectsByMapInBoundsRejectsInvalidBbox(): void
+    {
+        // Arrange
+        $this->_mockGeoObjectRepository
+            ->expects($this->never())
+            ->method('findByMapInBounds');
+
+        foreach (['30,50,31', '30,50,abc,51', '31,50,30,51', '-190,50,30,51'] as $bbox) {
+            // Act
+            $result = $this->_service->getGeoObjectsByMapInBounds(new Map(), $bbox);
+
+            // Assert
+            $this->assertFalse($result['success'], $bbox);
+            $this->assertSame(400, $result['status'], $bbox);
+        }
+    }
+}
@@ -0,0 +1,128 @@
+<?php
+
+/**
+ * Unit tests for scheduled activation of geo objects
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Repository\GeoObjectRepository;
+use App\Repository\MapRepository;
+use App\Repository\SideRepository;
+use App\Service\GeoObjectService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for scheduled activation of geo objects
+ *
+ * Tests start/end times set through GeoObjectService and how they combine
+ * with TTL in GeoObject.
+ */
+class GeoObjectServiceScheduleTest extends TestCase
+{
+    private GeoObjectService $_service;
+    private MockObject $_mockEntityManager;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockEntityManager = $this->createMock(EntityManagerInterface::class);
+
+        $this->_service = new GeoObjectService(
+            $this->_mockEntityManager,
+            $this->createMock(GeoObjectRepository::class),
+            $this->createMock(MapRepository::class),
+            $this->createMock(SideRepository::class)
+        );
+    }
+
+    /**
+     * Test object with a future start is pending and its TTL counts from the start
+     *
+     * @return void
+     */
+    public function testFutureStartMakesObjectPending(): void
+    {
+        // Arrange
+        $geoObject = GeoObject::createPoint('Ambush', 50.45, 30.52);
+        $geoObject->setCreatedAtValue();
+        $geoObject->setTtl(60);
+        $this->_mockEntityManager->expects($this->once())->method('flush');
+
+        // Act
+        $result = $this->_service->updateGeoObject($geoObject, [
+            'activeFrom' => (new \DateTimeImmutable('+10 minutes'))->format('c'),
+        ]);
+
+        // Assert
+        $this->assertTrue($result['success']);
+        $this->assertTrue($result['object']['isPending']);
+        $this->assertFalse($result['object']['isExpired']);
+        $this->assertEqualsWithDelta(600, $result['object']['secondsUntilActive'], 2);
+        $this->assertEqualsWithDelta(660, $result['object']['remainingTtl'], 2);
+    }
+
+    /**
+     * Test fixed end expires the object before its TTL and empty values clear the schedule
+     *
+     * @return void
+     */
+    public function testEndTimeExpiresObjectAndEmptyValueClearsIt(): void
+    {
+        // Arrange
+        $geoObject = GeoObject::createPoint('Checkpoint', 50.45, 30.52);
+        $geoObject->setCreatedAtValue();
+        $geoObject->setTtl(3600);
+        $geoObject->setActiveUntil(new \DateTimeImmutable('-1 minute'));
+
+        // Act
+        $expired = $geoObject->isExpired();
+        $result = $this->_service->updateGeoObject($geoObject, ['activeUntil' => '']);
+
+        // Assert
+        $this->assertTrue($expired);
+        $this->assertTrue($result['success']);
+        $this->assertNull($result['object']['activeUntil']);
+        $this->assertFalse($result['object']['isExpired']);
+        $this->assertFalse($result['object']['isPending']);
+    }
+
+    /**
+     * Test end before start and malformed times are rejected without saving
+     *
+     * @return void
+     */
+    public function testInvalidScheduleIsRejected(): void
+    {
+        // Arrange
+        $geoObject = GeoObject::createPoint('Patrol', 50.45, 30.52);
+        $this->_mockEntityManager->expects($this->never())->method('flush');
+
+        // Act
+        $reversed = $this->_service->updateGeoObject($geoObject, [
+            'activeFrom' => '2030-01-02T10:00:00+00:00',
+            'activeUntil' => '2030-01-02T09:00:00+00:00',
+        ]);
+        $malformed = $this->_service->updateGeoObject($geoObject, ['activeFrom' => '2030-13-45 99:99']);
+
+        // Assert
+        $this->assertFalse($reversed['success']);
+        $this->assertSame(400, $reversed['status']);
+        $this->assertSame('Active until must be later than active from', $reversed['message']);
+        $this->assertFalse($malformed['success']);
+        $this->assertSame(400, $malformed['status']);
+    }
+}
@@ -0,0 +1,120 @@
+<?php
+
+/**
+ * Unit tests for per-side visibility of geo objects
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Side;
+use App\Repository\GeoObjectRepository;
+use App\Repository\MapRepository;
+use App\Repository\SideRepository;
+use App\Service\GeoObjectService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for per-side visibility of geo objects
+ *
+ * Tests visibleToSides sent by the geo object form.
+ */
+class GeoObjectServiceVisibilityTest extends TestCase
+{
+    private GeoObjectService $_service;
+    private MockObject $_mockEntityManager;
+    private MockObject $_mockSideRepository;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockEntityManager = $this->createMock(EntityManagerInterface::class);
+        $this->_mockSideRepository = $this->createMock(SideRepository::class);
+
+        $this->_service = new GeoObjectService(
+            $this->_mockEntityManager,
+            $this->createMock(GeoObjectRepository::class),
+            $this->createMock(MapRepository::class),
+            $this->_mockSideRepository
+        );
+    }
+
+    /**
+     * Test selected sides are stored as sorted unique IDs and an empty list shows the object to all
+     *
+     * @return void
+     */
+    public function testUpdateSetsAndClearsVisibleToSides(): void
+    {
+        // Arrange
+        $geoObject = GeoObject::createPoint('Observation post', 50.45, 30.52);
+        $this->_mockSideRepository
+            ->method('findBy')
+            ->with(['id' => [3, 1]])
+            ->willReturn([$this->_createSide(1), $this->_createSide(3)]);
+
+        // Act
+        $restricted = $this->_service->updateGeoObject($geoObject, ['visibleToSides' => ['3', 1, 3]]);
+        $visibleToSide = $geoObject->isVisibleToSide($this->_createSide(3));
+        $hiddenFromSide = !$geoObject->isVisibleToSide($this->_createSide(2));
+        $cleared = $this->_service->updateGeoObject($geoObject, ['visibleToSides' => []]);
+
+        // Assert
+        $this->assertTrue($restricted['success']);
+        $this->assertSame([1, 3], $restricted['object']['visibleToSides']);
+        $this->assertTrue($visibleToSide);
+        $this->assertTrue($hiddenFromSide);
+        $this->assertTrue($cleared['success']);
+        $this->assertNull($cleared['object']['visibleToSides']);
+    }
+
+    /**
+     * Test unknown side IDs are rejected without saving
+     *
+     * @return void
+     */
+    public function testUpdateRejectsUnknownSides(): void
+    {
+        // Arrange
+        $geoObject = GeoObject::createPoint('Observation post', 50.45, 30.52);
+        $this->_mockSideRepository
+            ->method('findBy')
+            ->willReturn([$this->_createSide(1)]);
+        $this->_mockEntityManager->expects($this->never())->method('flush');
+
+        // Act
+        $result = $this->_service->updateGeoObject($geoObject, ['visibleToSides' => [1, 99]]);
+
+        // Assert
+        $this->assertFalse($result['success']);
+        $this->assertSame(400, $result['status']);
+        $this->assertSame('Unknown side IDs: 99', $result['message']);
+        $this->assertNull($geoObject->getVisibleToSides());
+    }
+
+    /**
+     * Create side mock with ID
+     *
+     * @param int $id Side ID
+     * @return Side
+     */
+    private function _createSide(int $id): Side
+    {
+        $side = $this->createMock(Side::class);
+        $side->method('getId')->willReturn($id);
+
+        return $side;
+    }
+}
@@ -0,0 +1,173 @@
+<?php
+
+/**
+ * Unit tests for GeoObjectSnapshotService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Service\GeoObjectService;
+use App\Service\GeoObjectSnapshotService;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for GeoObjectSnapshotService
+ *
+ * Tests snapshot building, versioning and diffing used by live feeds.
+ */
+class GeoObjectSnapshotServiceTest extends TestCase
+{
+    private GeoObjectSnapshotService $_service;
+    private MockObject $_mockGeoObjectService;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockGeoObjectService = $this->createMock(GeoObjectService::class);
+        $this->_service = new GeoObjectSnapshotService($this->_mockGeoObjectService);
+    }
+
+    /**
+     * Test snapshot is keyed by object id
+     *
+     * @return void
+     */
+    public function testCreateSnapshotKeysObjectsById(): void
+    {
+        // Arrange
+        $geoObject = $this->createMock(GeoObject::class);
+
+        $this->_mockGeoObjectService
+            ->expects($this->once())
+            ->method('serializeGeoObject')
+            ->with($geoObject)
+            ->willReturn($this->_createObjectData(7, 'Alpha'));
+
+        // Act
+        $snapshot = $this->_service->createSnapshot([$geoObject]);
+
+        // Assert
+        $this->assertArrayHasKey(7, $snapshot['objects']);
+        $this->assertSame('Alpha', $snapshot['objects'][7]['title']);
+        $this->assertSame(32, strlen($snapshot['version']));
+    }
+
+    /**
+     * Test version ignores remaining TTL which changes on every read
+     *
+     * @return void
+     */
+    public function testVersionIgnoresRemainingTtl(): void
+    {
+        // Arrange
+        $first = [1 => $this->_createObjectData(1, 'Alpha', 300)];
+        $second = [1 => $this->_createObjectData(1, 'Alpha', 297)];
+
+        // Act & Assert
+        $this->assertSame(
+            $this->_service->computeVersion($first),
+            $this->_service->computeVersion($second)
+        );
+    }
+
+    /**
+     * Test version changes when object content changes
+     *
+     * @return void
+     */
+    public function testVersionChangesWhenObjectChanges(): void
+    {
+        // Arrange
+        $first = [1 => $this->_createObjectData(1, 'Alpha')];
+        $second = [1 => $this->_createObjectData(1, 'Alpha renamed')];
+
+        // Act & Assert
+        $this->assertNotSame(
+            $this->_service->computeVersion($first),
+            $this->_service->computeVersion($second)
+        );
+    }
+
+    /**
+     * Test diff detects added, updated and removed objects
+     *
+     * @return void
+     */
+    public function testDiffDetectsAllChangeTypes(): void
+    {
+        // Arrange
+        $previous = [
+            1 => $this->_createObjectData(1, 'Unchanged'),
+            2 => $this->_createObjectData(2, 'Before'),
+            3 => $this->_createObjectData(3, 'Removed'),
+        ];
+        $current = [
+            1 => $this->_createObjectData(1, 'Unchanged', 100),
+            2 => $this->_createObjectData(2, 'After'),
+            4 => $this->_createObjectData(4, 'Added'),
+        ];
+
+        // Act
+        $diff = $this->_service->diff($previous, $current);
+
+        // Assert
+        $this->assertCount(1, $diff['added']);
+        $this->assertSame(4, $diff['added'][0]['id']);
+        $this->assertCount(1, $diff['updated']);
+        $this->assertSame('After', $diff['updated'][0]['title']);
+        $this->assertSame([3], $diff['removed']);
+        $this->assertTrue($this->_service->hasChanges($diff));
+    }
+
+    /**
+     * Test diff of identical snapshots has no changes
+     *
+     * @return void
+     */
+    public function testDiffWithoutChanges(): void
+    {
+        // Arrange
+        $objects = [1 => $this->_createObjectData(1, 'Alpha')];
+
+        // Act
+        $diff = $this->_service->diff($objects, $objects);
+
+        // Assert
+        $this->assertFalse($this->_service->hasChanges($diff));
+    }
+
+    /**
+     * Create serialized geo object data
+     *
+     * @param int    $id           Object ID
+     * @param string $title        Object title
+     * @param int    $remainingTtl Remaining TTL in seconds
+     *
+     * @return array
+     */
+    private function _createObjectData(int $id, string $title, int $remainingTtl = 600): array
+    {
+        return [
+            'id' => $id,
+            'hash' => 'hash-' . $id,
+            'title' => $title,
+            'type' => 'Point',
+            'geoJson' => ['type' => 'Point', 'coordinates' => [30.5, 50.4]],
+            'ttl' => 600,
+            'isExpired' => false,
+            'remainingTtl' => $remainingTtl,
+        ];
+    }
+}
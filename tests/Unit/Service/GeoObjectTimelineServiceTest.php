@@ -0,0 +1,144 @@
+<?php
+
+/**
+ * Unit tests for GeoObjectTimelineService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\GeoObjectRevision;
+use App\Entity\Map;
+use App\Repository\GeoObjectRepository;
+use App\Repository\GeoObjectRevisionRepository;
+use App\Service\GeoObjectService;
+use App\Service\GeoObjectTimelineService;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for GeoObjectTimelineService
+ *
+ * Tests revision ordering, expiry times and synthetic baseline revisions.
+ */
+class GeoObjectTimelineServiceTest extends TestCase
+{
+    private GeoObjectTimelineService $_service;
+    private MockObject $_mockRevisionRepository;
+    private MockObject $_mockGeoObjectRepository;
+    private MockObject $_mockGeoObjectService;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockRevisionRepository = $this->createMock(GeoObjectRevisionRepository::class);
+        $this->_mockGeoObjectRepository = $this->createMock(GeoObjectRepository::class);
+        $this->_mockGeoObjectService = $this->createMock(GeoObjectService::class);
+
+        $this->_service = new GeoObjectTimelineService(
+            $this->_mockRevisionRepository,
+            $this->_mockGeoObjectRepository,
+            $this->_mockGeoObjectService
+        );
+    }
+
+    /**
+     * Test revisions are listed in order with the moment their state expires
+     *
+     * @return void
+     */
+    public function testGetTimelineListsRevisionsWithExpiry(): void
+    {
+        // Arrange
+        $map = new Map();
+        $this->_mockRevisionRepository
+            ->method('findByMapChronological')
+            ->willReturn([
+                $this->_createRevision($map, 'created', ['createdAt' => '2025-01-01 10:00:00', 'updatedAt' => null, 'ttl' => 600], '2025-01-01 10:00:00'),
+                $this->_createRevision($map, 'updated', ['createdAt' => '2025-01-01 10:00:00', 'updatedAt' => '2025-01-01 10:05:00', 'ttl' => 600], '2025-01-01 10:05:00'),
+                $this->_createRevision($map, 'deleted', ['createdAt' => '2025-01-01 10:00:00', 'updatedAt' => '2025-01-01 10:05:00', 'ttl' => 0], '2025-01-01 10:07:00'),
+            ]);
+        $this->_mockGeoObjectRepository->method('findBy')->willReturn([]);
+
+        // Act
+        $result = $this->_service->getTimeline($map);
+
+        // Assert
+        $this->assertTrue($result['success']);
+        $this->assertSame(['created', 'updated', 'deleted'], array_column($result['revisions'], 'action'));
+        $this->assertSame($result['revisions'][0]['recordedAt'], $result['start']);
+        $this->assertSame(
+            (new \DateTimeImmutable('2025-01-01 10:10:00'))->format('c'),
+            $result['revisions'][0]['expiresAt']
+        );
+        $this->assertSame(
+            (new \DateTimeImmutable('2025-01-01 10:15:00'))->format('c'),
+            $result['revisions'][1]['expiresAt']
+        );
+        $this->assertNull($result['revisions'][2]['expiresAt']);
+        $this->assertArrayNotHasKey('remainingTtl', $result['revisions'][0]['object']);
+    }
+
+    /**
+     * Test objects without recorded creation get a baseline at their creation time
+     *
+     * @return void
+     */
+    public function testGetTimelineAddsBaselineRevisions(): void
+    {
+        // Arrange
+        $map = new Map();
+        $this->_mockRevisionRepository
+            ->method('findByMapChronological')
+            ->willReturn([
+                $this->_createRevision($map, 'updated', ['createdAt' => '2025-01-01 09:00:00', 'updatedAt' => '2025-01-01 10:00:00', 'ttl' => null], '2025-01-01 10:00:00'),
+            ]);
+
+        $untracked = $this->createMock(GeoObject::class);
+        $untracked->method('getId')->willReturn(2);
+        $untracked->method('getCreatedAt')->willReturn(new \DateTimeImmutable('2025-01-01 08:00:00'));
+        $this->_mockGeoObjectRepository->method('findBy')->willReturn([$untracked]);
+        $this->_mockGeoObjectService
+            ->method('serializeGeoObject')
+            ->with($untracked)
+            ->willReturn(['id' => 2, 'ttl' => null, 'createdAt' => '2025-01-01 08:00:00', 'updatedAt' => null]);
+
+        // Act
+        $result = $this->_service->getTimeline($map);
+
+        // Assert
+        $this->assertSame(['base-2', 'base-1'], array_slice(array_column($result['revisions'], 'id'), 0, 2));
+        $this->assertSame(['created', 'created', 'updated'], array_column($result['revisions'], 'action'));
+        $this->assertSame([2, 1, 1], array_column($result['revisions'], 'objectId'));
+    }
+
+    /**
+     * Create revision of object 1
+     *
+     * @param Map $map Map of the revision
+     * @param string $action Revision action
+     * @param array $data Serialized object fields
+     * @param string $recordedAt Recording time
+     * @return GeoObjectRevision
+     */
+    private function _createRevision(Map $map, string $action, array $data, string $recordedAt): GeoObjectRevision
+    {
+        return new GeoObjectRevision(
+            $map,
+            1,
+            $action,
+            array_merge(['id' => 1, 'remainingTtl' => 0, 'isExpired' => false], $data),
+            new \DateTimeImmutable($recordedAt)
+        );
+    }
+}
@@ -0,0 +1,109 @@
+<?php
+
+/**
+ * Unit tests for MapFeedService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Map;
+use App\Repository\GeoObjectRepository;
+use App\Repository\MapRepository;
+use App\Service\GeoObjectSnapshotService;
+use App\Service\MapFeedService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for MapFeedService
+ *
+ * Tests map snapshots of the editor change feed, whole map or one area.
+ */
+class MapFeedServiceTest extends TestCase
+{
+    private MapFeedService $_service;
+    private MockObject $_mockSnapshotService;
+    private MockObject $_mockGeoObjectRepository;
+    private MockObject $_mockMapRepository;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockSnapshotService = $this->createMock(GeoObjectSnapshotService::class);
+        $this->_mockGeoObjectRepository = $this->createMock(GeoObjectRepository::class);
+        $this->_mockMapRepository = $this->createMock(MapRepository::class);
+
+        $this->_service = new MapFeedService(
+            $this->_mockSnapshotService,
+            $this->_mockGeoObjectRepository,
+            $this->_mockMapRepository,
+            $this->createMock(EntityManagerInterface::class)
+        );
+    }
+
+    /**
+     * Test snapshot with an area is queried by bounds instead of the whole map
+     *
+     * @return void
+     */
+    public function testRefreshSnapshotWithBbox(): void
+    {
+        // Arrange
+        $map = new Map();
+        $bbox = [30.4, 50.4, 30.6, 50.5];
+        $inside = GeoObject::createPoint('Inside', 50.45, 30.52);
+        $outside = GeoObject::createPoint('Outside', 49.8, 24.0);
+
+        $this->_mockMapRepository->method('find')->with(7)->willReturn($map);
+        $this->_mockGeoObjectRepository->expects($this->never())->method('findBy');
+        $this->_mockGeoObjectRepository->expects($this->once())
+            ->method('findByMapInBounds')
+            ->with($map, $bbox)
+            ->willReturn([$inside, $outside]);
+        $this->_mockSnapshotService->expects($this->once())
+            ->method('createSnapshot')
+            ->with([$inside])
+            ->willReturn(['version' => 'v1', 'objects' => []]);
+
+        // Act
+        $result = $this->_service->refreshSnapshot(7, $bbox);
+
+        // Assert
+        $this->assertSame('v1', $result['version']);
+    }
+
+    /**
+     * Test snapshot without an area covers the whole map
+     *
+     * @return void
+     */
+    public function testRefreshSnapshotWholeMap(): void
+    {
+        // Arrange
+        $map = new Map();
+        $objects = [GeoObject::createPoint('Anywhere', 49.8, 24.0)];
+
+        $this->_mockMapRepository->method('find')->willReturn($map);
+        $this->_mockGeoObjectRepository->expects($this->never())->method('findByMapInBounds');
+        $this->_mockGeoObjectRepository->method('findBy')->with(['map' => $map])->willReturn($objects);
+        $this->_mockSnapshotService->expects($this->once())
+            ->method('createSnapshot')
+            ->with($objects)
+            ->willReturn(['version' => 'v2', 'objects' => []]);
+
+        // Act & Assert
+        $this->assertSame('v2', $this->_service->refreshSnapshot(7)['version']);
+    }
+}
@@ -0,0 +1,171 @@
+<?php
+
+/**
+ * Unit tests for ObserverAccessLinkService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\Observer;
+use App\Entity\ObserverAccessLink;
+use App\Repository\ObserverAccessLinkRepository;
+use App\Repository\ObserverRepository;
+use App\Service\ObserverAccessLinkService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+use Symfony\Component\HttpFoundation\Session\Session;
+use Symfony\Component\HttpFoundation\Session\Storage\MockArraySessionStorage;
+
+/**
+ * Unit tests for ObserverAccessLinkService
+ *
+ * Tests default links for observers from before access links, uses counted
+ * per session, link status and the PIN lock.
+ */
+class ObserverAccessLinkServiceTest extends TestCase
+{
+    private ObserverAccessLinkService $_service;
+    private MockObject $_mockLinkRepository;
+    private MockObject $_mockObserverRepository;
+    private MockObject $_mockEntityManager;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockLinkRepository = $this->createMock(ObserverAccessLinkRepository::class);
+        $this->_mockObserverRepository = $this->createMock(ObserverRepository::class);
+        $this->_mockEntityManager = $this->createMock(EntityManagerInterface::class);
+
+        $this->_service = new ObserverAccessLinkService(
+            $this->_mockLinkRepository,
+            $this->_mockObserverRepository,
+            $this->_mockEntityManager
+        );
+    }
+
+    /**
+     * Test original token of an observer without links becomes its default link
+     *
+     * @return void
+     */
+    public function testFindByTokenCreatesDefaultLink(): void
+    {
+        // Arrange
+        $observer = (new Observer())->setAccessToken('original-token');
+
+        $this->_mockLinkRepository->method('findOneByToken')->willReturn(null);
+        $this->_mockObserverRepository->method('findOneBy')
+            ->with(['accessToken' => 'original-token'])
+            ->willReturn($observer);
+        $this->_mockEntityManager->expects($this->once())->method('persist');
+        $this->_mockEntityManager->expects($this->once())->method('flush');
+
+        // Act
+        $link = $this->_service->findByToken('original-token');
+
+        // Assert
+        $this->assertSame('original-token', $link->getToken());
+        $this->assertSame(ObserverAccessLinkService::DEFAULT_LINK_NAME, $link->getName());
+        $this->assertSame($observer, $link->getObserver());
+        $this->assertCount(1, $observer->getAccessLinks());
+    }
+
+    /**
+     * Test original token stops working once the observer has links
+     *
+     * @return void
+     */
+    public function testFindByTokenIgnoresOriginalTokenOfObserverWithLinks(): void
+    {
+        // Arrange
+        $observer = (new Observer())->setAccessToken('original-token');
+        $observer->addAccessLink((new ObserverAccessLink($observer, 'Revoked link'))->revoke());
+
+        $this->_mockLinkRepository->method('findOneByToken')->willReturn(null);
+        $this->_mockObserverRepository->method('findOneBy')->willReturn($observer);
+        $this->_mockEntityManager->expects($this->never())->method('persist');
+
+        // Act & Assert
+        $this->assertNull($this->_service->findByToken('original-token'));
+    }
+
+    /**
+     * Test a use is counted once per session and only opening sessions load objects
+     *
+     * @return void
+     */
+    public function testOpenCountsUseOncePerSession(): void
+    {
+        // Arrange
+        $link = new ObserverAccessLink(new Observer(), 'Single use', null, null, 1);
+        $session = new Session(new MockArraySessionStorage());
+        $otherSession = new Session(new MockArraySessionStorage());
+
+        // Act
+        $this->_service->open($link, $session);
+        $this->_service->open($link, $session);
+
+        // Assert
+        $this->assertSame(1, $link->getUseCount());
+        $this->assertSame(ObserverAccessLink::STATUS_USED_UP, $link->getStatus());
+        $this->assertTrue($this->_service->canLoadObjects($link, $session));
+        $this->assertFalse($this->_service->canLoadObjects($link, $otherSession));
+    }
+
+    /**
+     * Test status of revoked, expired and active links
+     *
+     * @return void
+     */
+    public function testLinkStatus(): void
+    {
+        // Arrange
+        $observer = new Observer();
+        $now = new \DateTimeImmutable('2026-10-19 12:00:00');
+        $active = new ObserverAccessLink($observer, 'Active', null, new \DateTimeImmutable('2026-10-20 12:00:00'), 5);
+        $expired = new ObserverAccessLink($observer, 'Expired', null, new \DateTimeImmutable('2026-10-19 11:59:00'));
+        $revoked = (new ObserverAccessLink($observer, 'Revoked'))->revoke();
+
+        // Act & Assert
+        $this->assertSame(ObserverAccessLink::STATUS_ACTIVE, $active->getStatus($now));
+        $this->assertTrue($active->isUsable($now));
+        $this->assertSame(ObserverAccessLink::STATUS_EXPIRED, $expired->getStatus($now));
+        $this->assertFalse($expired->isActive($now));
+        $this->assertSame(ObserverAccessLink::STATUS_REVOKED, $revoked->getStatus($now));
+        $this->assertFalse($this->_service->canLoadObjects($revoked, new Session(new MockArraySessionStorage())));
+    }
+
+    /**
+     * Test PIN is locked after too many wrong attempts and only checked as a hash
+     *
+     * @return void
+     */
+    public function testVerifyPinLocksAfterWrongAttempts(): void
+    {
+        // Arrange
+        $link = new ObserverAccessLink(new Observer(), 'With PIN', null, null, null, '4321');
+        $now = new \DateTimeImmutable('2026-10-19 12:00:00');
+
+        // Act
+        for ($i = 0; $i < ObserverAccessLink::MAX_PIN_ATTEMPTS; $i++) {
+            $link->verifyPin('0000', $now);
+        }
+
+        // Assert
+        $this->assertTrue($link->hasPin());
+        $this->assertTrue($link->isPinLocked($now));
+        $this->assertFalse($link->verifyPin('4321', $now));
+        $this->assertTrue($link->verifyPin('4321', $now->modify('+16 minutes')));
+    }
+}
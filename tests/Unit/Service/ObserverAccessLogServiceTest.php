@@ -0,0 +1,192 @@
+<?php
+
+/**
+ * Unit tests for ObserverAccessLogService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\Observer;
+use App\Entity\ObserverAccessLog;
+use App\Repository\ObserverAccessLogRepository;
+use App\Service\ObserverAccessLogService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Unit tests for ObserverAccessLogService
+ *
+ * Tests logging of observer requests (hashed IPs, failures do not break the
+ * viewer) and the per-day and request budget summaries.
+ */
+class ObserverAccessLogServiceTest extends TestCase
+{
+    private ObserverAccessLogService $_service;
+    private MockObject $_mockRepository;
+    private MockObject $_mockEntityManager;
+    private MockObject $_mockLogger;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockRepository = $this->createMock(ObserverAccessLogRepository::class);
+        $this->_mockEntityManager = $this->createMock(EntityManagerInterface::class);
+        $this->_mockLogger = $this->createMock(LoggerInterface::class);
+
+        $this->_service = new ObserverAccessLogService(
+            $this->_mockRepository,
+            $this->_mockEntityManager,
+            $this->_mockLogger,
+            'test-secret'
+        );
+    }
+
+    /**
+     * Test access is stored with a keyed hash instead of the client IP
+     *
+     * @return void
+     */
+    public function testLogAccessStoresHashedIp(): void
+    {
+        // Arrange
+        $observer = new Observer();
+        $request = Request::create('/observer/token', 'GET', [], [], [], [
+            'REMOTE_ADDR' => '203.0.113.7',
+            'HTTP_USER_AGENT' => 'Field tablet',
+        ]);
+        $logged = null;
+
+        $this->_mockEntityManager->expects($this->once())
+            ->method('persist')
+            ->willReturnCallback(function ($entity) use (&$logged) {
+                $logged = $entity;
+            });
+        $this->_mockEntityManager->expects($this->once())->method('flush');
+
+        // Act
+        $this->_service->logAccess($observer, $request, ObserverAccessLog::ENDPOINT_PAGE, 3, ['SideIdRule']);
+
+        // Assert
+        $this->assertInstanceOf(ObserverAccessLog::class, $logged);
+        $this->assertSame($observer, $logged->getObserver());
+        $this->assertSame(hash_hmac('sha256', '203.0.113.7', 'test-secret'), $logged->getIpHash());
+        $this->assertSame('Field tablet', $logged->getUserAgent());
+        $this->assertSame(3, $logged->getObjectCount());
+        $this->assertSame(['SideIdRule'], $logged->getRules());
+    }
+
+    /**
+     * Test failing to save the log does not fail the observer request
+     *
+     * @return void
+     */
+    public function testLogAccessFailureIsOnlyLogged(): void
+    {
+        // Arrange
+        $this->_mockEntityManager->method('flush')->willThrowException(new \RuntimeException('Database is down'));
+        $this->_mockLogger->expects($this->once())->method('error');
+
+        // Act
+        $this->_service->logAccess(new Observer(), Request::create('/observer/token'), ObserverAccessLog::ENDPOINT_REFRESH, 0, []);
+
+        // Assert
+        $this->addToAssertionCount(1);
+    }
+
+    /**
+     * Test accesses are counted per day including days without accesses
+     *
+     * @return void
+     */
+    public function testGetObserverStatisticsCountsAccessesPerDay(): void
+    {
+        // Arrange
+        $observer = $this->createMock(Observer::class);
+        $observer->method('getId')->willReturn(1);
+        $now = new \DateTimeImmutable('2026-10-19 15:00:00');
+
+        $this->_mockRepository->method('getTotalsByObserver')->with([$observer])->willReturn([]);
+        $this->_mockRepository->method('countByDaySince')
+            ->with(new \DateTimeImmutable('2026-10-17 00:00:00'), [$observer])
+            ->willReturn([1 => ['2026-10-17' => 1, '2026-10-19' => 2]]);
+        $this->_mockRepository->method('findRecentByObserver')->willReturn([]);
+
+        // Act
+        $statistics = $this->_service->getObserverStatistics($observer, 3, 10, $now);
+
+        // Assert
+        $this->assertSame([
+            ['date' => '2026-10-17', 'count' => 1],
+            ['date' => '2026-10-18', 'count' => 0],
+            ['date' => '2026-10-19', 'count' => 2],
+        ], $statistics['daily']);
+        $this->assertSame(0, $statistics['accesses']);
+        $this->assertNull($statistics['lastAccessedAt']);
+    }
+
+    /**
+     * Test overview only counts the listed observers
+     *
+     * @return void
+     */
+    public function testGetOverviewIsLimitedToListedObservers(): void
+    {
+        // Arrange
+        $observer = $this->createMock(Observer::class);
+        $observer->method('getId')->willReturn(7);
+        $now = new \DateTimeImmutable('2026-10-19 15:00:00');
+
+        $this->_mockRepository->expects($this->once())
+            ->method('getTotalsByObserver')
+            ->with([$observer])
+            ->willReturn([7 => ['accesses' => 4, 'visitors' => 2, 'lastAccessedAt' => '2026-10-18 10:00:00']]);
+        $this->_mockRepository->expects($this->once())
+            ->method('countByDaySince')
+            ->with(new \DateTimeImmutable('2026-10-18 00:00:00'), [$observer])
+            ->willReturn([7 => ['2026-10-18' => 4]]);
+
+        // Act
+        $overview = $this->_service->getOverview([$observer], 2, $now);
+
+        // Assert
+        $this->assertCount(1, $overview);
+        $this->assertSame(4, $overview[0]['accesses']);
+        $this->assertSame([
+            ['date' => '2026-10-18', 'count' => 4],
+            ['date' => '2026-10-19', 'count' => 0],
+        ], $overview[0]['daily']);
+    }
+
+    /**
+     * Test request budget comes from the request_limit rule state
+     *
+     * @return void
+     */
+    public function testGetRequestBudget(): void
+    {
+        // Arrange
+        $unused = (new Observer())->setRules(['request_limit' => ['limit' => 20]]);
+        $used = (new Observer())->setRules([
+            'request_limit' => ['limit' => 20, '_state' => ['remaining' => 4, 'initialized_at' => 1000]],
+        ]);
+        $unlimited = (new Observer())->setRules(['SideIdRule' => [1]]);
+
+        // Act & Assert
+        $this->assertSame(['limit' => 20, 'remaining' => 20], $this->_service->getRequestBudget($unused));
+        $this->assertSame(['limit' => 20, 'remaining' => 4], $this->_service->getRequestBudget($used));
+        $this->assertNull($this->_service->getRequestBudget($unlimited));
+    }
+}
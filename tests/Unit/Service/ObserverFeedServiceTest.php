@@ -0,0 +1,117 @@
+<?php
+
+/**
+ * Unit tests for ObserverFeedService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Observer;
+use App\Repository\ObserverRepository;
+use App\Service\GeoObjectSnapshotService;
+use App\Service\ObserverFeedService;
+use App\Service\ObserverRuleService;
+use Doctrine\ORM\EntityManagerInterface;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+
+/**
+ * Unit tests for ObserverFeedService
+ *
+ * Tests observer snapshots used by live updates.
+ */
+class ObserverFeedServiceTest extends TestCase
+{
+    private ObserverFeedService $_service;
+    private MockObject $_mockRuleService;
+    private MockObject $_mockSnapshotService;
+    private MockObject $_mockObserverRepository;
+    private MockObject $_mockEntityManager;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockRuleService = $this->createMock(ObserverRuleService::class);
+        $this->_mockSnapshotService = $this->createMock(GeoObjectSnapshotService::class);
+        $this->_mockObserverRepository = $this->createMock(ObserverRepository::class);
+        $this->_mockEntityManager = $this->createMock(EntityManagerInterface::class);
+
+        $this->_service = new ObserverFeedService(
+            $this->_mockRuleService,
+            $this->_mockSnapshotService,
+            $this->_mockObserverRepository,
+            $this->_mockEntityManager
+        );
+    }
+
+    /**
+     * Test snapshot goes through rule service without tracking usage
+     *
+     * @return void
+     */
+    public function testGetSnapshotUsesRuleServiceWithoutTrackingUsage(): void
+    {
+        // Arrange
+        $observer = new Observer();
+        $geoObject = $this->createMock(GeoObject::class);
+        $expectedSnapshot = ['version' => 'abc', 'objects' => [7 => ['id' => 7]]];
+
+        $this->_mockRuleService
+            ->expects($this->once())
+            ->method('getFilteredGeoObjects')
+            ->with($observer, false)
+            ->willReturn([$geoObject]);
+
+        $this->_mockSnapshotService
+            ->expects($this->once())
+            ->method('createSnapshot')
+            ->with([$geoObject])
+            ->willReturn($expectedSnapshot);
+
+        // Act
+        $snapshot = $this->_service->getSnapshot($observer);
+
+        // Assert
+        $this->assertSame($expectedSnapshot, $snapshot);
+    }
+
+    /**
+     * Test refresh returns null when token is no longer valid
+     *
+     * @return void
+     */
+    public function testRefreshSnapshotWithRevokedToken(): void
+    {
+        // Arrange
+        $this->_mockEntityManager
+            ->expects($this->once())
+            ->method('clear');
+
+        $this->_mockObserverRepository
+            ->expects($this->once())
+            ->method('findByAccessToken')
+            ->with('revoked-token')
+            ->willReturn(null);
+
+        $this->_mockRuleService
+            ->expects($this->never())
+            ->method('getFilteredGeoObjects');
+
+        // Act
+        $result = $this->_service->refreshSnapshot('revoked-token');
+
+        // Assert
+        $this->assertNull($result);
+    }
+}
@@ -0,0 +1,181 @@
+<?php
+
+/**
+ * Unit tests for the observer rules dry run
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Entity\GeoObject;
+use App\Entity\Map;
+use App\Entity\Observer;
+use App\Repository\GeoObjectRepository;
+use App\Service\ObserverRuleService;
+use App\Service\Rule\ObjectIdRule;
+use App\Service\Rule\RequestLimitRule;
+use App\Service\Rule\RuleFactoryInterface;
+use App\Service\Rule\RuleValidatorInterface;
+use App\Service\Rule\SideIdRule;
+use Doctrine\ORM\EntityManagerInterface;
+use Doctrine\ORM\Query;
+use Doctrine\ORM\QueryBuilder;
+use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\MockObject\MockObject;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Unit tests for the observer rules dry run
+ *
+ * Tests ObserverRuleService::previewRules(): attribution of hidden objects to
+ * rules and that nothing is saved or counted.
+ */
+class ObserverRuleServicePreviewTest extends TestCase
+{
+    private ObserverRuleService $_service;
+    private MockObject $_mockRepository;
+    private MockObject $_mockRuleFactory;
+    private MockObject $_mockEntityManager;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_mockRepository = $this->createMock(GeoObjectRepository::class);
+        $this->_mockRuleFactory = $this->createMock(RuleFactoryInterface::class);
+        $this->_mockEntityManager = $this->createMock(EntityManagerInterface::class);
+
+        $mockValidator = $this->createMock(RuleValidatorInterface::class);
+        $mockValidator->method('validateWithSchema')->willReturn([]);
+
+        $this->_service = new ObserverRuleService(
+            $this->_mockRepository,
+            $this->_mockRuleFactory,
+            $mockValidator,
+            $this->_mockEntityManager,
+            $this->createMock(LoggerInterface::class)
+        );
+    }
+
+    /**
+     * Test every hidden object is attributed to the first rule (by priority) that removed it
+     *
+     * @return void
+     */
+    public function testHiddenObjectsAreAttributedToRules(): void
+    {
+        // Arrange
+        $tank = new GeoObject();
+        $bridge = new GeoObject();
+        $camp = new GeoObject();
+        $observer = $this->_createObserver([]);
+
+        $this->_mockRuleFactory->method('getRule')->willReturnMap([
+            ['SideIdRule', new SideIdRule()],
+            ['ObjectIdRule', new ObjectIdRule()],
+        ]);
+
+        // Base query, then one query per rule in priority order (ObjectIdRule first)
+        $this->_mockRepository->method('createQueryBuilder')->willReturnOnConsecutiveCalls(
+            $this->_createQueryBuilder([$tank, $bridge, $camp]),
+            $this->_createQueryBuilder([$tank, $bridge]),
+            $this->_createQueryBuilder([$tank, $camp])
+        );
+
+        // Act
+        $result = $this->_service->previewRules($observer, [
+            'SideIdRule' => [1],
+            'ObjectIdRule' => [1, 2],
+        ]);
+
+        // Assert
+        $this->assertSame([$tank], $result['objects']);
+        $this->assertSame([
+            ['object' => $camp, 'rule' => 'ObjectIdRule'],
+            ['object' => $bridge, 'rule' => 'SideIdRule'],
+        ], $result['removed']);
+        $this->assertSame([
+            ['name' => 'SideIdRule', 'applied' => true, 'removed' => 1, 'errors' => []],
+            ['name' => 'ObjectIdRule', 'applied' => true, 'removed' => 1, 'errors' => []],
+        ], $result['rules']);
+    }
+
+    /**
+     * Test stateful rules are not advanced or saved and unknown rules are reported
+     *
+     * @return void
+     */
+    public function testDryRunDoesNotCountRequestsAndReportsUnknownRules(): void
+    {
+        // Arrange
+        $savedRules = ['request_limit' => ['limit' => 5, '_state' => ['remaining' => 3, 'initialized_at' => 1000]]];
+        $observer = $this->_createObserver($savedRules);
+        $objects = [new GeoObject(), new GeoObject()];
+
+        $this->_mockRuleFactory->method('getRule')->willReturnMap([
+            ['request_limit', new RequestLimitRule()],
+            ['view_range', null],
+        ]);
+        $this->_mockRepository->method('createQueryBuilder')->willReturnCallback(
+            fn () => $this->_createQueryBuilder($objects)
+        );
+        $this->_mockEntityManager->expects($this->never())->method('flush');
+
+        // Act
+        $result = $this->_service->previewRules($observer, $savedRules + ['view_range' => 1000]);
+
+        // Assert
+        $this->assertSame($objects, $result['objects']);
+        $this->assertSame([], $result['removed']);
+        $this->assertTrue($result['rules'][0]['applied']);
+        $this->assertFalse($result['rules'][1]['applied']);
+        $this->assertSame(['Rule not found: view_range'], $result['rules'][1]['errors']);
+        $this->assertSame($savedRules, $observer->getRules());
+    }
+
+    /**
+     * Create observer of a new map with rules
+     *
+     * @param array $rules Rules configuration
+     *
+     * @return Observer
+     */
+    private function _createObserver(array $rules): Observer
+    {
+        $observer = new Observer();
+        $observer->setMap(new Map());
+        $observer->setRules($rules);
+
+        return $observer;
+    }
+
+    /**
+     * Create query builder mock returning given objects
+     *
+     * @param array $result Query result
+     *
+     * @return MockObject
+     */
+    private function _createQueryBuilder(array $result): MockObject
+    {
+        $query = $this->createMock(Query::class);
+        $query->method('getResult')->willReturn($result);
+
+        $queryBuilder = $this->createMock(QueryBuilder::class);
+        $queryBuilder->method('where')->willReturnSelf();
+        $queryBuilder->method('andWhere')->willReturnSelf();
+        $queryBuilder->method('leftJoin')->willReturnSelf();
+        $queryBuilder->method('setParameter')->willReturnSelf();
+        $queryBuilder->method('getQuery')->willReturn($query);
+
+        return $queryBuilder;
+    }
+}
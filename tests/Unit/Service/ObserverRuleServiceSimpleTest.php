@@ -169,6 +169,47 @@ class ObserverRuleServiceSimpleTest extends TestCase
         $this->assertCount(1, $result);
     }
 
+    public function testGetFilteredGeoObjectsWithoutTrackingUsageKeepsState(): void
+    {
+        // Arrange
+        $map = new Map();
+        $observer = new Observer();
+        $observer->setMap($map);
+        $rules = ['request_limit' => ['limit' => 5, '_state' => ['remaining' => 3, 'initialized_at' => 1000]]];
+        $observer->setRules($rules);
+
+        $this->ruleFactory
+            ->expects($this->once())
+            ->method('getRule')
+            ->with('request_limit')
+            ->willReturn(new \App\Service\Rule\RequestLimitRule());
+
+        $this->configValidator->method('validateWithSchema')->willReturn([]);
+
+        $this->entityManager
+            ->expects($this->never())
+            ->method('flush');
+
+        $queryBuilder = $this->createMock(\Doctrine\ORM\QueryBuilder::class);
+        $queryBuilder->method('where')->willReturnSelf();
+        $queryBuilder->method('andWhere')->willReturnSelf();
+        $queryBuilder->method('setParameter')->willReturnSelf();
+        $queryBuilder->method('getQuery')->willReturn(
+            $this->createQueryMock([new GeoObject()])
+        );
+
+        $this->geoObjectRepository
+            ->method('createQueryBuilder')
+            ->willReturn($queryBuilder);
+
+        // Act
+        $result = $this->observerRuleService->getFilteredGeoObjects($observer, false);
+
+        // Assert - objects returned and state not decremented
+        $this->assertCount(1, $result);
+        $this->assertEquals($rules, $observer->getRules());
+    }
+
     private function createQueryMock(array $result)
     {
         $query = $this->createMock(\Doctrine\ORM\Query::class);
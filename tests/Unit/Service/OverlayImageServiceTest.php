@@ -0,0 +1,130 @@
+<?php
+
+/**
+ * Unit tests for OverlayImageService
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service;
+
+use App\Service\OverlayImageService;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\HttpFoundation\File\UploadedFile;
+
+/**
+ * Unit tests for OverlayImageService
+ *
+ * Tests image validation and storing of overlay images.
+ */
+class OverlayImageServiceTest extends TestCase
+{
+    /**
+     * 1x1 transparent PNG
+     */
+    private const PNG_PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+    private string $_uploadDir;
+    private OverlayImageService $_service;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_uploadDir = sys_get_temp_dir() . '/overlay-test-' . bin2hex(random_bytes(4));
+        $this->_service = new OverlayImageService($this->_uploadDir);
+    }
+
+    /**
+     * Remove stored files
+     *
+     * @return void
+     */
+    protected function tearDown(): void
+    {
+        foreach (glob($this->_uploadDir . '/*') ?: [] as $file) {
+            unlink($file);
+        }
+        if (is_dir($this->_uploadDir)) {
+            rmdir($this->_uploadDir);
+        }
+    }
+
+    /**
+     * Test valid image is stored with random name and its size is returned
+     *
+     * @return void
+     */
+    public function testUploadStoresImage(): void
+    {
+        // Arrange
+        $file = $this->_createUploadedFile('photo.png', base64_decode(self::PNG_PIXEL));
+
+        // Act
+        $result = $this->_service->upload($file);
+
+        // Assert
+        $this->assertTrue($result['success']);
+        $this->assertSame(201, $result['status']);
+        $this->assertMatchesRegularExpression('#^/uploads/overlays/[0-9a-f]{32}\.png$#', $result['url']);
+        $this->assertSame(1, $result['width']);
+        $this->assertSame(1, $result['height']);
+        $this->assertFileExists($this->_uploadDir . '/' . basename($result['url']));
+    }
+
+    /**
+     * Test non-image file is rejected
+     *
+     * @return void
+     */
+    public function testUploadRejectsNonImage(): void
+    {
+        // Arrange
+        $file = $this->_createUploadedFile('photo.png', '<?php echo "not an image";');
+
+        // Act
+        $result = $this->_service->upload($file);
+
+        // Assert
+        $this->assertFalse($result['success']);
+        $this->assertSame(400, $result['status']);
+        $this->assertDirectoryDoesNotExist($this->_uploadDir);
+    }
+
+    /**
+     * Test missing file is reported
+     *
+     * @return void
+     */
+    public function testUploadWithoutFile(): void
+    {
+        // Act
+        $result = $this->_service->upload(null);
+
+        // Assert
+        $this->assertFalse($result['success']);
+        $this->assertSame('No image uploaded', $result['message']);
+    }
+
+    /**
+     * Create uploaded file (test mode) with given content
+     *
+     * @param string $name Original file name
+     * @param string $content File content
+     * @return UploadedFile
+     */
+    private function _createUploadedFile(string $name, string $content): UploadedFile
+    {
+        $path = tempnam(sys_get_temp_dir(), 'overlay');
+        file_put_contents($path, $content);
+
+        return new UploadedFile($path, $name, null, null, true);
+    }
+}
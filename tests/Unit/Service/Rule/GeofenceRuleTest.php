@@ -0,0 +1,160 @@
+<?php
+
+/**
+ * Unit tests for GeofenceRule
+ *
+ * @category Tests
+ * @package  App\Tests\Unit\Service\Rule
+ * @author   Tactical Maps Team
+ * @license  MIT
+ * @link     https://github.com/tactical-maps
+ */
+
+namespace App\Tests\Unit\Service\Rule;
+
+use App\Entity\GeoObject;
+use App\Service\Rule\GeofenceRule;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Unit tests for GeofenceRule
+ *
+ * Tests filtering of geo objects by a polygon or circle area.
+ */
+class GeofenceRuleTest extends TestCase
+{
+    private GeofenceRule $_rule;
+
+    /**
+     * Set up test fixtures
+     *
+     * @return void
+     */
+    protected function setUp(): void
+    {
+        $this->_rule = new GeofenceRule();
+    }
+
+    /**
+     * Test objects with at least one vertex inside the polygon are kept
+     *
+     * @return void
+     */
+    public function testApplyToObjectsWithPolygon(): void
+    {
+        // Arrange
+        $config = [
+            'shape' => 'polygon',
+            'coordinates' => [[30.0, 50.0], [31.0, 50.0], [31.0, 51.0], [30.0, 51.0]]
+        ];
+        $inside = $this->_createObject(GeoObject::GEOM_TYPE_POINT, ['coordinates' => [30.5, 50.5]]);
+        $outside = $this->_createObject(GeoObject::GEOM_TYPE_POINT, ['coordinates' => [32.0, 50.5]]);
+        $crossing = $this->_createObject(GeoObject::GEOM_TYPE_LINESTRING, [
+            'coordinates' => [[29.0, 50.5], [30.5, 50.6]]
+        ]);
+
+        // Act
+        $result = $this->_rule->applyToObjects([$inside, $outside, $crossing], $config);
+
+        // Assert
+        $this->assertSame([$inside, $crossing], $result);
+    }
+
+    /**
+     * Test objects are kept by the distance of their center to the circle center
+     *
+     * @return void
+     */
+    public function testApplyToObjectsWithCircle(): void
+    {
+        // Arrange
+        $config = ['shape' => 'circle', 'center' => [30.0, 50.0], 'radius' => 1000];
+        $near = $this->_createObject(GeoObject::GEOM_TYPE_CIRCLE, [
+            'coordinates' => [30.005, 50.005],
+            'radius' => 50
+        ]);
+        $far = $this->_createObject(GeoObject::GEOM_TYPE_POINT, ['coordinates' => [30.05, 50.0]]);
+
+        // Act
+        $result = $this->_rule->applyToObjects([$near, $far], $config);
+
+        // Assert
+        $this->assertSame([$near], $result);
+    }
+
+    /**
+     * Test boundary of a polygon is closed and a circle becomes a point with radius
+     *
+     * @return void
+     */
+    public function testGetBoundary(): void
+    {
+        // Act
+        $polygon = GeofenceRule::getBoundary([
+            'shape' => 'polygon',
+            'coordinates' => [[30, 50], [31, 50], [31, 51], [30, 50]]
+        ]);
+        $circle = GeofenceRule::getBoundary(['shape' => 'circle', 'center' => [30, 50], 'radius' => 500]);
+
+        // Assert
+        $this->assertSame(
+            ['type' => 'Polygon', 'coordinates' => [[[30.0, 50.0], [31.0, 50.0], [31.0, 51.0], [30.0, 50.0]]]],
+            $polygon
+        );
+        $this->assertSame(['type' => 'Point', 'coordinates' => [30.0, 50.0], 'radius' => 500.0], $circle);
+        $this->assertNull(GeofenceRule::getBoundary(['shape' => 'polygon', 'coordinates' => [[30, 50], [31, 50]]]));
+        $this->assertNull(GeofenceRule::getBoundary(['shape' => 'circle', 'center' => [30, 50]]));
+    }
+
+    /**
+     * Test configuration without a valid area does not filter objects
+     *
+     * @return void
+     */
+    public function testApplyToObjectsWithoutValidAreaKeepsObjects(): void
+    {
+        // Arrange
+        $objects = [$this->_createObject(GeoObject::GEOM_TYPE_POINT, ['coordinates' => [30.5, 50.5]])];
+
+        // Act
+        $result = $this->_rule->applyToObjects($objects, ['shape' => 'circle']);
+
+        // Assert
+        $this->assertSame($objects, $result);
+    }
+
+    /**
+     * Test schema requires the fields of the chosen shape
+     *
+     * @return void
+     */
+    public function testGetConfigSchema(): void
+    {
+        // Act
+        $schema = GeofenceRule::getConfigSchema();
+
+        // Assert
+        $this->assertEquals('geofence', $this->_rule->getName());
+        $this->assertEquals('object', $schema['type']);
+        $this->assertSame(['polygon', 'circle'], $schema['properties']['shape']['enum']);
+        $this->assertSame(['coordinates'], $schema['oneOf'][0]['required']);
+        $this->assertSame(['center', 'radius'], $schema['oneOf'][1]['required']);
+    }
+
+    /**
+     * Create geo object with geometry
+     *
+     * @param string $type     Geometry type
+     * @param array  $geometry Geometry
+     *
+     * @return GeoObject
+     */
+    private function _createObject(string $type, array $geometry): GeoObject
+    {
+        $geoObject = new GeoObject();
+        $geoObject->setGeometryType($type);
+        $geoObject->setGeometry($geometry);
+
+        return $geoObject;
+    }
+}
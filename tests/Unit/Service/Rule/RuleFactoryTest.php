@@ -275,4 +275,38 @@ class RuleFactoryTest extends TestCase
         $this->assertEquals('HighPriorityTestRule', $result[0]['name']); // Priority 10 first
         $this->assertEquals('LowPriorityTestRule', $result[1]['name']);  // Priority 100 second
     }
+
+    /**
+     * Test configuration schemas are listed per rule with their priority
+     */
+    public function testGetConfigSchemas(): void
+    {
+        $schemas = $this->ruleFactory->getConfigSchemas();
+        
+        $this->assertSame(['HighPriorityTestRule', 'LowPriorityTestRule'], array_keys($schemas));
+        $this->assertEquals(HighPriorityTestRule::getConfigSchema(), $schemas['HighPriorityTestRule']['schema']);
+        $this->assertEquals(10, $schemas['HighPriorityTestRule']['priority']);
+        $this->assertEquals(100, $schemas['LowPriorityTestRule']['priority']);
+    }
+
+    /**
+     * Test validateConfig returns validator errors without creating rules
+     */
+    public function testValidateConfigReturnsErrors(): void
+    {
+        $config = ['HighPriorityTestRule' => ['not a number']];
+        
+        $this->mockValidator->expects($this->once())
+            ->method('validateWithSchema')
+            ->with($config, $this->isObject())
+            ->willReturn(['[HighPriorityTestRule[0]] String value found, but an integer is required']);
+        
+        // Nothing is created, so no creation result is logged
+        $this->mockLogger->expects($this->never())
+            ->method('info');
+        
+        $errors = $this->ruleFactory->validateConfig($config);
+        
+        $this->assertEquals(['[HighPriorityTestRule[0]] String value found, but an integer is required'], $errors);
+    }
 }